@@ -10,8 +10,12 @@ import configRoutes from './src/routes/configRoutes.js';
 import codebaseRoutes from './src/routes/codebaseRoutes.js';
 import unifiedRoutes from './src/routes/unifiedRoutes.js';
 import { errorHandler } from './src/middleware/errorHandler.js';
+import { usageContext } from './src/middleware/usageContext.js';
 import { logger } from './src/utils/logger.js';
 import { initDatabase } from './src/utils/database.js';
+import { batchGenerationService } from './src/services/batchGenerationService.js';
+import { multiAgentPipelineService } from './src/services/multiAgentPipelineService.js';
+import { locatorRepairService } from './src/services/locatorRepairService.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -41,6 +45,9 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Attribute LLM usage to the requesting user/workflow
+app.use(usageContext);
+
 // Request logging
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`);
@@ -105,6 +112,10 @@ async function startServer() {
   try {
     checkEnvironment();
     await initDatabase();
+    // Before resumed batch jobs start runs of their own
+    await multiAgentPipelineService.markInterruptedRuns();
+    await batchGenerationService.resumeInterruptedJobs();
+    await locatorRepairService.loadAttributeStability();
     app.listen(PORT, () => {
       logger.info(`✨ QA Copilot API running on http://localhost:${PORT}`);
       logger.info(`📊 Health check: http://localhost:${PORT}/health`);
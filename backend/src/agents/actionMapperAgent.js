@@ -101,10 +101,20 @@ class ActionMapperAgent {
    *
    * @param {Object} decomposition - Output from ScenarioDecomposerAgent
    * @param {Object} options - Platform, brand, screenPathTracker, etc.
+   * @param {Function} options.onStepMapped - Called with (mapping, index, total) as each step is mapped
+   * @param {AbortSignal} options.signal - Stops mapping between steps when aborted
    * @returns {Object} Mapping results with found/unmapped actions
    */
   async mapSteps(decomposition, options = {}) {
-    const { platform = null, brand = null, screenPathTracker = null, fastSeekSeconds = null, seekRatio = 6 } = options;
+    const {
+      platform = null,
+      brand = null,
+      screenPathTracker = null,
+      fastSeekSeconds = null,
+      seekRatio = 6,
+      onStepMapped = null,
+      signal = null
+    } = options;
     const steps = decomposition.steps || [];
 
     // Store seek options for use in duration action handling
@@ -129,7 +139,9 @@ class ActionMapperAgent {
     const imports = new Set();
     let totalConfidence = 0;
 
-    for (const step of steps) {
+    for (const [index, step] of steps.entries()) {
+      signal?.throwIfAborted();
+
       const mapping = await this.mapSingleStep(step, { platform, brand });
 
       if (mapping.status === 'found') {
@@ -140,6 +152,8 @@ class ActionMapperAgent {
         if (mapping.class) {
           imports.add(mapping.class);
         }
+
+        onStepMapped?.(mapping, index, steps.length);
       } else {
         // Track as missing action with clear details for KB addition
         const missingAction = {
@@ -158,6 +172,8 @@ class ActionMapperAgent {
         };
         unmapped.push(missingAction);
         logger.info(`[Missing Action] "${step.action} ${step.target || ''}" - needs to be added to KB`);
+
+        onStepMapped?.(missingAction, index, steps.length);
       }
     }
 
@@ -0,0 +1,378 @@
+/**
+ * Code Validator Agent
+ *
+ * Compile-checks a composed test against the target repository's symbol
+ * table (see JavaSymbolTableService):
+ * - Parses the generated class with Tree-sitter and walks every method call
+ * - Resolves the receiver type (screen accessors, locals, static classes,
+ *   chained calls via return types)
+ * - Reports calls whose class, method or arity does not exist, with the
+ *   nearest existing name as a suggestion
+ * - Returns the unresolved calls as stubs for ComponentGeneratorAgent
+ *
+ * @see /docs/architecture/multi-agent-system-guide.md
+ */
+
+import codebaseIndexService from '../services/codebaseIndexService.js';
+import { javaSymbolTableService } from '../services/javaSymbolTableService.js';
+import { frameworkProfileService } from '../services/frameworkProfileService.js';
+import { logger } from '../utils/logger.js';
+
+// Java types that never resolve to repository classes
+const PRIMITIVE_TYPES = new Set(['void', 'boolean', 'byte', 'char', 'short', 'int', 'long', 'float', 'double']);
+
+// Literal argument node → parameter type for generated stubs
+const LITERAL_TYPES = {
+  string_literal: 'String',
+  decimal_integer_literal: 'int',
+  decimal_floating_point_literal: 'double',
+  true: 'boolean',
+  false: 'boolean'
+};
+
+class CodeValidatorAgent {
+  constructor() {
+    this.symbolTables = javaSymbolTableService;
+  }
+
+  /**
+   * Initialize the agent
+   */
+  async initialize() {
+    logger.info('CodeValidatorAgent initialized');
+  }
+
+  /**
+   * Validate a composed test against a repository
+   *
+   * @param {Object} composedTest - Output from TestComposerAgent (code, profile)
+   * @param {Object} options - { repositoryPath, refresh }
+   * @returns {Object} { valid, issues, unverified, stubs, checkedCalls, symbolTable }
+   */
+  async validate(composedTest, options = {}) {
+    const { repositoryPath = null, refresh = false } = options;
+
+    if (!repositoryPath) {
+      return {
+        success: true,
+        skipped: true,
+        reason: 'No repository to validate against (set repositoryPath or index a repository first)'
+      };
+    }
+
+    const table = await this.symbolTables.getSymbolTable(repositoryPath, { refresh });
+    const code = composedTest.code || '';
+    const tree = codebaseIndexService.parseJava(code);
+    const generated = codebaseIndexService.analyzeJavaFile(tree, code, 'generated');
+
+    const context = {
+      code,
+      table,
+      generated,
+      variables: this.collectVariableTypes(tree.rootNode, code),
+      accessorClasses: this.getAccessorClasses(composedTest.profile),
+      resolved: new Map(),
+      issues: [],
+      unverified: [],
+      checkedCalls: 0
+    };
+
+    this.walk(tree.rootNode, node => {
+      if (node.type === 'method_invocation') {
+        this.resolveCall(node, context);
+      }
+    });
+
+    const stubs = this.buildStubs(context.issues);
+
+    logger.info(`Validated ${generated.className || 'generated test'}: ${context.checkedCalls} calls, ${context.issues.length} issues, ${context.unverified.length} unverified`);
+
+    return {
+      success: true,
+      valid: context.issues.length === 0,
+      checkedCalls: context.checkedCalls,
+      issues: context.issues,
+      unverified: context.unverified,
+      stubs,
+      symbolTable: this.symbolTables.summarize(table)
+    };
+  }
+
+  /**
+   * Resolve a call and check it exists
+   *
+   * @returns {string|null} Simple name of the call's return type (null if unknown)
+   */
+  resolveCall(node, context) {
+    const key = `${node.startIndex}:${node.endIndex}`;
+    if (context.resolved.has(key)) {
+      return context.resolved.get(key);
+    }
+    context.resolved.set(key, null);
+
+    const methodName = this.text(node.childForFieldName('name'), context);
+    const args = node.childForFieldName('arguments')?.namedChildren || [];
+    const receiver = this.resolveReceiver(node.childForFieldName('object'), context);
+
+    let returnType = null;
+    if (receiver) {
+      context.checkedCalls++;
+      returnType = this.checkCall(node, receiver, methodName, args, context);
+    }
+
+    context.resolved.set(key, returnType);
+    return returnType;
+  }
+
+  /**
+   * Work out which class a call is made on
+   *
+   * @returns {Object|null} { className, self, static, expected } - expected means
+   *   the class should exist in the repository; null when the type is unknown
+   */
+  resolveReceiver(object, context) {
+    const { generated, variables } = context;
+
+    if (!object || object.type === 'this') {
+      return { className: generated.className, self: true, expected: true };
+    }
+
+    if (object.type === 'super') {
+      return generated.superclass ? { className: generated.superclass, expected: true } : null;
+    }
+
+    if (object.type === 'method_invocation') {
+      const className = this.resolveCall(object, context);
+      return className ? { className, expected: true } : null;
+    }
+
+    if (object.type === 'object_creation_expression') {
+      const className = this.simpleType(this.text(object.childForFieldName('type'), context));
+      return { className, expected: this.isRepositoryType(className, context) };
+    }
+
+    if (object.type === 'identifier') {
+      const name = this.text(object, context);
+      if (variables[name]) {
+        const className = this.simpleType(variables[name]);
+        return className ? { className, expected: this.isRepositoryType(className, context) } : null;
+      }
+      if (/^[A-Z]/.test(name)) {
+        return { className: name, static: true, expected: this.isRepositoryType(name, context) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a call on a resolved receiver and record any issue
+   */
+  checkCall(node, receiver, methodName, args, context) {
+    const { table, generated } = context;
+    const call = {
+      className: receiver.className,
+      methodName,
+      arity: args.length,
+      line: node.startPosition.row + 1,
+      code: this.text(node, context).split('\n')[0].trim()
+    };
+
+    // Methods declared in the generated class itself, then its superclasses
+    let overloads = [];
+    let complete = true;
+    if (receiver.self) {
+      overloads = generated.methods.filter(m => m.name === methodName);
+      if (overloads.length === 0) {
+        ({ overloads, complete } = generated.superclass
+          ? this.symbolTables.findMethod(table, generated.superclass, methodName)
+          : { overloads: [], complete: false });
+      }
+    } else if (table.classes.has(receiver.className)) {
+      ({ overloads, complete } = this.symbolTables.findMethod(table, receiver.className, methodName));
+    } else {
+      if (receiver.expected) {
+        this.addIssue(context, {
+          type: 'missing_class',
+          ...call,
+          suggestion: this.symbolTables.suggest(receiver.className, [...table.classes.keys()]),
+          message: `Class ${receiver.className} does not exist in the repository`
+        }, args);
+      }
+      return null;
+    }
+
+    if (overloads.length === 0) {
+      // Screen accessors from the framework profile still tell us the screen class
+      const accessorClass = receiver.self && args.length === 0 ? context.accessorClasses[methodName] : null;
+
+      if (!complete) {
+        context.unverified.push({ ...call, reason: 'Class hierarchy extends outside the repository' });
+        return accessorClass || null;
+      }
+
+      const owner = receiver.self ? (generated.superclass || generated.className) : receiver.className;
+      const candidates = receiver.self
+        ? [...generated.methods.map(m => m.name), ...this.symbolTables.getMethodNames(table, generated.superclass)]
+        : this.symbolTables.getMethodNames(table, receiver.className);
+
+      this.addIssue(context, {
+        type: 'missing_method',
+        ...call,
+        className: owner,
+        suggestion: this.symbolTables.suggest(methodName, candidates),
+        returnType: accessorClass,
+        message: `Method ${owner}.${methodName}() does not exist`
+      }, args);
+      return accessorClass || null;
+    }
+
+    const match = overloads.find(o => this.symbolTables.matchesArity(o, args.length));
+    if (!match) {
+      this.addIssue(context, {
+        type: 'arity_mismatch',
+        ...call,
+        expected: overloads.map(o => o.signature || `${o.name}(${(o.parameters || []).map(p => p.type).join(', ')})`),
+        suggestion: null,
+        message: `${receiver.className}.${methodName}() takes ${overloads.map(o => this.describeArity(o)).join(' or ')} argument(s), called with ${args.length}`
+      }, args);
+    }
+
+    return this.simpleType((match || overloads[0]).returnType);
+  }
+
+  describeArity(overload) {
+    const params = overload.parameters || [];
+    return params.some(p => p.varargs) ? `${params.length - 1}+` : `${params.length}`;
+  }
+
+  addIssue(context, issue, args) {
+    issue.parameters = args.map((arg, index) => this.inferParameter(arg, index, context));
+    context.issues.push(issue);
+  }
+
+  /**
+   * Unresolved calls as method stubs for ComponentGeneratorAgent
+   * (one per class/method/arity; arity mismatches get a new overload)
+   */
+  buildStubs(issues) {
+    const stubs = new Map();
+
+    for (const issue of issues) {
+      const key = `${issue.className}.${issue.methodName}/${issue.arity}`;
+      if (stubs.has(key)) continue;
+
+      stubs.set(key, {
+        className: issue.className,
+        methodName: issue.methodName,
+        parameters: issue.parameters,
+        returnType: issue.returnType || 'void',
+        reason: issue.type,
+        line: issue.line,
+        missingClass: issue.type === 'missing_class'
+      });
+    }
+
+    return [...stubs.values()];
+  }
+
+  /**
+   * Guess a stub parameter from the argument the generated code passes
+   */
+  inferParameter(arg, index, context) {
+    if (arg.type === 'identifier') {
+      const name = this.text(arg, context);
+      return { type: context.variables[name] || 'Object', name };
+    }
+
+    return { type: LITERAL_TYPES[arg.type] || 'Object', name: `arg${index + 1}` };
+  }
+
+  /**
+   * Declared types of fields, parameters and locals in the generated class
+   * (scopes are flattened - generated tests do not shadow names)
+   */
+  collectVariableTypes(root, code) {
+    const variables = {};
+    const context = { code };
+
+    this.walk(root, node => {
+      if (['local_variable_declaration', 'field_declaration'].includes(node.type)) {
+        const type = this.text(node.childForFieldName('type'), context);
+        for (const declarator of node.namedChildren.filter(n => n.type === 'variable_declarator')) {
+          variables[this.text(declarator.childForFieldName('name'), context)] = type;
+        }
+      } else if (node.type === 'formal_parameter') {
+        variables[this.text(node.childForFieldName('name'), context)] = this.text(node.childForFieldName('type'), context);
+      }
+    });
+
+    return variables;
+  }
+
+  /**
+   * Accessor method → screen class, from the framework profile
+   * (e.g. signInScreen → LoginScreen)
+   */
+  getAccessorClasses(profileId) {
+    const accessorClasses = {};
+    try {
+      const accessors = frameworkProfileService.getProfile(profileId).composer?.screenAccessors || {};
+      for (const [className, accessor] of Object.entries(accessors)) {
+        const name = accessor.replace(/\(\)$/, '');
+        accessorClasses[name] = accessorClasses[name] || className;
+      }
+    } catch (error) {
+      logger.debug(`No screen accessors for profile ${profileId}: ${error.message}`);
+    }
+    return accessorClasses;
+  }
+
+  /**
+   * Types we expect to find in the repository: known classes and classes
+   * imported from one of the repository's packages
+   */
+  isRepositoryType(className, context) {
+    if (context.table.classes.has(className)) return true;
+
+    return context.generated.imports.some(imp => {
+      const lastDot = imp.lastIndexOf('.');
+      return imp.slice(lastDot + 1) === className && context.table.packages.has(imp.slice(0, lastDot));
+    });
+  }
+
+  /**
+   * Simple class name of a declared type (`List<Foo>` → List, `int` → null)
+   */
+  simpleType(type) {
+    if (!type) return null;
+    const name = type.replace(/<[\s\S]*>/, '').replace(/\[\]/g, '').trim().split('.').pop();
+    return PRIMITIVE_TYPES.has(name) ? null : name;
+  }
+
+  text(node, context) {
+    return node ? context.code.substring(node.startIndex, node.endIndex) : '';
+  }
+
+  walk(node, visit) {
+    visit(node);
+    for (const child of node.namedChildren) {
+      this.walk(child, visit);
+    }
+  }
+
+  /**
+   * Get agent statistics
+   */
+  getStats() {
+    return {
+      agent: 'CodeValidatorAgent',
+      version: '1.0.0',
+      cachedSymbolTables: [...this.symbolTables.tables.values()].map(t => this.symbolTables.summarize(t))
+    };
+  }
+}
+
+// Export singleton instance
+export const codeValidatorAgent = new CodeValidatorAgent();
+export default codeValidatorAgent;
@@ -9,20 +9,21 @@
  * - Generate new methods following existing patterns
  * - Smart locator generation (Android/iOS/Web)
  * - Property file entry generation
+ * - Stub methods for calls the compile check could not resolve
  * - Pattern learning from existing codebase
  *
  * @see /docs/architecture/multi-agent-test-generation-architecture.md
  */
 
 import { hybridRAGService } from '../services/hybridRAGService.js';
-import { openrouterService } from '../services/openrouterService.js';
+import { llmGateway, isFatalLLMError } from '../services/llmGateway.js';
+import { structuredOutput } from '../services/structuredOutput.js';
 import { logger } from '../utils/logger.js';
 
 class ComponentGeneratorAgent {
   constructor() {
     this.ragService = hybridRAGService;
-    this.openRouterService = null;
-    this.model = 'google/gemini-2.0-flash-001';
+    this.llm = null;
 
     // Common action patterns for method generation
     this.actionPatterns = {
@@ -70,8 +71,7 @@ class ComponentGeneratorAgent {
    * Initialize the agent
    */
   async initialize() {
-    this.openRouterService = openrouterService;
-    // OpenRouter service initializes in constructor, no need to call initialize()
+    this.llm = llmGateway;
     logger.info('ComponentGeneratorAgent initialized');
   }
 
@@ -79,13 +79,14 @@ class ComponentGeneratorAgent {
    * Generate components for all unmapped actions
    *
    * @param {Array} unmappedActions - Actions that couldn't be mapped
-   * @param {Object} context - Platform, brand, screen context
+   * @param {Object} context - Platform, brand, screen context; `stubs` lists
+   *   unresolved calls from CodeValidatorAgent to create stub methods for
    * @returns {Object} Generated methods, properties, and locators
    */
   async generateComponents(unmappedActions, context = {}) {
-    const { platform = 'android', brand = null, targetScreen = 'GenericScreen' } = context;
+    const { platform = 'android', brand = null, targetScreen = 'GenericScreen', stubs = [] } = context;
 
-    if (!unmappedActions || unmappedActions.length === 0) {
+    if ((!unmappedActions || unmappedActions.length === 0) && stubs.length === 0) {
       return {
         success: true,
         newMethods: [],
@@ -95,7 +96,8 @@ class ComponentGeneratorAgent {
       };
     }
 
-    logger.info(`Generating components for ${unmappedActions.length} unmapped actions`);
+    unmappedActions = unmappedActions || [];
+    logger.info(`Generating components for ${unmappedActions.length} unmapped actions and ${stubs.length} unresolved calls`);
 
     // Learn existing patterns from the codebase
     const existingPatterns = await this.learnExistingPatterns(targetScreen, platform);
@@ -104,6 +106,10 @@ class ComponentGeneratorAgent {
     const newProperties = [];
     const newLocators = [];
 
+    // Stubs for calls in the composed test that do not exist in the repository
+    const stubMethods = this.generateStubMethods(stubs, context);
+    newMethods.push(...stubMethods);
+
     for (const action of unmappedActions) {
       try {
         // Generate method
@@ -132,6 +138,8 @@ class ComponentGeneratorAgent {
       newLocators,
       statistics: {
         unmappedCount: unmappedActions.length,
+        unresolvedCalls: stubs.length,
+        stubsGenerated: stubMethods.length,
         methodsGenerated: newMethods.length,
         propertiesGenerated: newProperties.length,
         locatorsGenerated: newLocators.length
@@ -221,6 +229,35 @@ class ComponentGeneratorAgent {
     };
   }
 
+  /**
+   * Generate stub methods for unresolved calls (same shape as generateMethod)
+   */
+  generateStubMethods(stubs, context) {
+    const { platform } = context;
+
+    return stubs.map(stub => ({
+      class: stub.className,
+      platform,
+      method: {
+        name: stub.methodName,
+        returnType: stub.returnType || 'void',
+        parameters: stub.parameters || [],
+        body: stub.returnType && stub.returnType !== 'void'
+          ? `return null; // TODO: Implement ${stub.methodName}`
+          : `// TODO: Implement ${stub.methodName}`,
+        javadoc: [
+          '/**',
+          ` * Called by the generated test but not found in ${stub.className}${stub.missingClass ? ' (class does not exist)' : ''}`,
+          ' * @generated by ComponentGeneratorAgent',
+          ' */'
+        ].join('\n')
+      },
+      needsLocator: false,
+      elementName: null,
+      generatedFrom: { type: 'unresolved_call', ...stub }
+    }));
+  }
+
   /**
    * Find matching action pattern
    */
@@ -442,8 +479,8 @@ class ComponentGeneratorAgent {
    * Generate complete code snippets using AI
    */
   async generateWithAI(unmappedActions, context = {}) {
-    if (!this.openRouterService?.isConfigured()) {
-      logger.warn('OpenRouter not configured, using rule-based generation');
+    if (!this.llm?.isAvailable('create-method')) {
+      logger.warn('No LLM provider configured, using rule-based generation');
       return this.generateComponents(unmappedActions, context);
     }
 
@@ -472,43 +509,36 @@ Return as JSON:
 }`;
 
     try {
-      const response = await this.openRouterService.query(prompt, {
-        model: this.model,
+      const { data } = await structuredOutput.complete({
+        schema: 'page-object-methods',
+        task: 'create-method',
+        userPrompt: prompt,
         maxTokens: 2000,
         temperature: 0.3
       });
 
-      return this.parseAIResponse(response, context);
+      return this.parseAIResponse(data, context);
     } catch (error) {
+      if (isFatalLLMError(error)) {
+        throw error;
+      }
       logger.warn(`AI generation failed: ${error.message}, falling back to rules`);
       return this.generateComponents(unmappedActions, context);
     }
   }
 
   /**
-   * Parse AI response
+   * Components from a schema-validated AI response
    */
-  parseAIResponse(response, context) {
-    try {
-      const content = response.content || response;
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-          success: true,
-          newMethods: parsed.methods || [],
-          newLocators: parsed.locators || [],
-          newProperties: [],
-          source: 'ai',
-          context
-        };
-      }
-    } catch (error) {
-      logger.warn(`Failed to parse AI response: ${error.message}`);
-    }
-
-    return { success: false, error: 'Failed to parse AI response' };
+  parseAIResponse(parsed, context) {
+    return {
+      success: true,
+      newMethods: parsed.methods,
+      newLocators: parsed.locators || [],
+      newProperties: [],
+      source: 'ai',
+      context
+    };
   }
 
   /**
@@ -520,24 +550,38 @@ Return as JSON:
 
     // Format each method
     for (const method of newMethods) {
-      const m = method.method;
-
-      // JavaDoc
-      if (m.javadoc) {
-        lines.push(m.javadoc);
-      }
-
-      // Method signature
-      const params = m.parameters?.map(p => `${p.type} ${p.name}`).join(', ') || '';
-      lines.push(`public ${m.returnType} ${m.name}(${params}) {`);
-      lines.push(`    ${m.body}`);
-      lines.push('}');
+      lines.push(...this.formatMethod(method));
       lines.push('');
     }
 
     return lines.join('\n');
   }
 
+  /**
+   * Format one generated method as Java source lines
+   *
+   * @param {Object} generatedMethod - Entry of newMethods
+   * @param {string} indent - Indentation of the method inside its class
+   * @param {string} bodyIndent - Additional indentation of the method body
+   */
+  formatMethod(generatedMethod, indent = '', bodyIndent = '    ') {
+    const m = generatedMethod.method;
+    const lines = [];
+
+    // JavaDoc
+    if (m.javadoc) {
+      lines.push(...m.javadoc.split('\n').map(line => `${indent}${line}`));
+    }
+
+    // Method signature
+    const params = m.parameters?.map(p => `${p.type} ${p.name}`).join(', ') || '';
+    lines.push(`${indent}public ${m.returnType} ${m.name}(${params}) {`);
+    lines.push(`${indent}${bodyIndent}${m.body}`);
+    lines.push(`${indent}}`);
+
+    return lines;
+  }
+
   /**
    * Format generated properties
    */
@@ -2,7 +2,8 @@
  * Prerequisite Builder Agent
  *
  * Builds navigation paths and setup sequences for test execution:
- * - Determines navigation path to target screen
+ * - Determines navigation path to target screen (learned from the indexed
+ *   tests when available, see ScreenGraphService)
  * - Collects required imports
  * - Identifies test data requirements
  * - Generates @BeforeMethod setup code
@@ -11,13 +12,15 @@
  */
 
 import { actionKnowledgeBaseService } from '../services/actionKnowledgeBaseService.js';
+import { frameworkProfileService } from '../services/frameworkProfileService.js';
+import { screenGraphService, toScreenKey } from '../services/screenGraphService.js';
 import { logger } from '../utils/logger.js';
 
 class PrerequisiteBuilderAgent {
   constructor() {
     this.knowledgeBase = actionKnowledgeBaseService;
 
-    // Screen navigation graph - defines possible paths between screens
+    // Default screen navigation graph - used when the learned graph has no path
     this.screenGraph = {
       'app_launch': ['splash', 'login', 'home'],
       'splash': ['login', 'home'],
@@ -60,80 +63,34 @@ class PrerequisiteBuilderAgent {
       }
     };
 
-    // MQE-specific content navigation patterns
-    this.mqeContentPatterns = {
-      // Navigate to episode and start playback
-      play_episode: {
-        testDataSetup: 'TestData data = TestUtils.getDataWithSkip(TestDataProvider::getThreadSafeEpisodeWithoutContinuousPlayback);',
-        itemSetup: 'Item item = TestDataProvider.getBrandFeedEpisodeItem(data);',
-        steps: [
-          { method: 'launchAppAndNavigateToHomeScreen', class: 'BaseTest' },
-          { method: 'openShowFromBrandFeedSection', class: 'HomeScreen', params: ['data', 'item'] },
-          { method: 'selectEpisode', class: 'ContainerScreen', params: ['item', 'data.getEpisodeIndex()', 'data.getSeasonIndex()'] },
-          { method: 'waitForVideoLoaded', class: 'PlayerScreen' }
-        ],
-        cleanup: 'TestDataProvider.removeThreadSafeEpisode(data);',
-        imports: ['TestData', 'Item', 'TestDataProvider', 'TestUtils']
-      },
-      // Navigate to player (content is playing)
-      player_screen: {
-        testDataSetup: 'TestData data = TestUtils.getDataWithSkip(TestDataProvider::getThreadSafeEpisodeWithoutContinuousPlayback);',
-        itemSetup: 'Item item = TestDataProvider.getBrandFeedEpisodeItem(data);',
-        steps: [
-          { method: 'launchAppAndNavigateToHomeScreen', class: 'BaseTest' },
-          { method: 'openShowFromBrandFeedSection', class: 'HomeScreen', params: ['data', 'item'] },
-          { method: 'selectEpisode', class: 'ContainerScreen', params: ['item', 'data.getEpisodeIndex()', 'data.getSeasonIndex()'] },
-          { method: 'waitForVideoLoaded', class: 'PlayerScreen' }
-        ],
-        cleanup: 'TestDataProvider.removeThreadSafeEpisode(data);',
-        imports: ['TestData', 'Item', 'TestDataProvider', 'TestUtils']
-      },
-      // Navigate to player with watch progress (for restart/resume tests)
-      // Seek forward to simulate having watched content
-      player_with_progress: {
-        testDataSetup: 'TestData data = TestUtils.getDataWithSkip(TestDataProvider::getThreadSafeEpisodeWithoutContinuousPlayback);',
-        itemSetup: 'Item item = TestDataProvider.getBrandFeedEpisodeItem(data);',
-        steps: [
-          { method: 'launchAppAndNavigateToHomeScreen', class: 'BaseTest' },
-          { method: 'openShowFromBrandFeedSection', class: 'HomeScreen', params: ['data', 'item'] },
-          { method: 'selectEpisode', class: 'ContainerScreen', params: ['item', 'data.getEpisodeIndex()', 'data.getSeasonIndex()'] },
-          { method: 'waitForVideoLoaded', class: 'PlayerScreen' },
-          { method: 'seekForwardToPosition', class: 'PlayerScreen', params: ['10'], comment: '// Adjust seek time as needed for test requirements' }
-        ],
-        cleanup: 'TestDataProvider.removeThreadSafeEpisode(data);',
-        imports: ['TestData', 'Item', 'TestDataProvider', 'TestUtils']
-      },
-      // Navigate to container screen (show details page)
-      container_screen: {
-        testDataSetup: 'TestData data = TestUtils.getDataWithSkip(TestDataProvider::getThreadSafeEpisodeWithoutContinuousPlayback);',
-        itemSetup: 'Item item = TestDataProvider.getBrandFeedEpisodeItem(data);',
-        steps: [
-          { method: 'launchAppAndNavigateToHomeScreen', class: 'BaseTest' },
-          { method: 'openShowFromBrandFeedSection', class: 'HomeScreen', params: ['data', 'item'] }
-        ],
-        cleanup: 'TestDataProvider.removeThreadSafeEpisode(data);',
-        imports: ['TestData', 'Item', 'TestDataProvider', 'TestUtils']
-      }
-    };
+    // Content navigation patterns and screen classes come from the default framework profile
+    this.applyProfile(frameworkProfileService.getProfile());
+  }
+
+  /**
+   * Apply a framework profile's prerequisite settings to this instance
+   */
+  applyProfile(profile) {
+    this.profileId = profile.id;
+
+    // Test base class; its navigation helpers are called without a receiver
+    this.baseClass = profile.composer?.baseClass || 'BaseTest';
+
+    // Content navigation patterns (MQE: navigate to episode, player, container...)
+    this.mqeContentPatterns = profile.prerequisites?.contentPatterns || {};
 
     // Screen to class mapping
-    this.screenClassMap = {
-      'login': 'LoginScreen',
-      'home': 'HomeScreen',
-      'browse': 'BrowseScreen',
-      'search': 'SearchScreen',
-      'content': 'ContentScreen',
-      'player': 'PlayerScreen',
-      'series': 'SeriesScreen',
-      'episode_picker': 'EpisodePickerScreen',
-      'live': 'LiveScreen',
-      'channel_guide': 'ChannelGuideScreen',
-      'profile': 'ProfileScreen',
-      'settings': 'SettingsScreen',
-      'account': 'AccountScreen',
-      'onboarding': 'OnboardingScreen',
-      'splash': 'SplashScreen'
-    };
+    this.screenClassMap = profile.prerequisites?.screenClassMap || {};
+  }
+
+  /**
+   * Get a view of this agent bound to a framework profile
+   * (per-request settings without touching the shared instance)
+   */
+  forProfile(profileId = null) {
+    const builder = Object.create(this);
+    builder.applyProfile(frameworkProfileService.getProfile(profileId));
+    return builder;
   }
 
   /**
@@ -147,10 +104,17 @@ class PrerequisiteBuilderAgent {
    * Build prerequisites for a test based on mappings and target screen
    *
    * @param {Object} mappingResult - Output from ActionMapperAgent
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (profile selects the framework profile)
    * @returns {Object} Prerequisites with imports, setup, and navigation
    */
   async buildPrerequisites(mappingResult, options = {}) {
+    return this.forProfile(options.profile).buildWithProfile(mappingResult, options);
+  }
+
+  /**
+   * Build prerequisites using the settings of the profile this instance is bound to
+   */
+  async buildWithProfile(mappingResult, options = {}) {
     const {
       platform = null,
       brand = null,
@@ -168,7 +132,8 @@ class PrerequisiteBuilderAgent {
     logger.info(`Building prerequisites for target screen: ${target}, platform: ${platform}`);
 
     // Check if we should use MQE-specific patterns (CTV platform)
-    const useMqePatterns = platform === 'ctv' || platform === 'CTV';
+    const useMqePatterns = (platform === 'ctv' || platform === 'CTV') &&
+      Object.keys(this.mqeContentPatterns).length > 0;
 
     if (useMqePatterns) {
       // Check if test needs content navigation (player, container, restart, etc.)
@@ -180,8 +145,9 @@ class PrerequisiteBuilderAgent {
       }
     }
 
-    // Standard navigation path
-    const navigationPath = this.findNavigationPath('app_launch', target);
+    // Standard navigation path (prefers how the indexed tests actually navigate)
+    const learnedGraph = await screenGraphService.getGraph();
+    const navigationPath = this.findNavigationPath('app_launch', target, learnedGraph);
 
     // Collect imports from mappings and navigation
     const imports = this.collectImports(mappingResult.mappings, navigationPath);
@@ -190,7 +156,7 @@ class PrerequisiteBuilderAgent {
     const setupSequence = this.buildSetupSequence(navigationPath, includeLogin);
 
     // Build navigation to target
-    const navigationToTarget = this.buildNavigationSteps(navigationPath);
+    const navigationToTarget = this.buildNavigationSteps(navigationPath, learnedGraph);
 
     // Identify test data requirements
     const testDataRequirements = this.identifyTestDataNeeds(mappingResult.mappings, setupSequence);
@@ -293,7 +259,7 @@ class PrerequisiteBuilderAgent {
 
     // Build imports
     const imports = new Set([
-      'BaseTest',
+      this.baseClass,
       'org.testng.annotations.Test',
       'org.testng.annotations.Factory',
       'SoftAssert',
@@ -415,13 +381,23 @@ class PrerequisiteBuilderAgent {
   }
 
   /**
-   * Find shortest navigation path using BFS
+   * Find navigation path - through the learned graph if it connects the
+   * screens, otherwise the shortest path in the default graph (BFS)
+   *
+   * @param {string} from - Start screen
+   * @param {string} to - Target screen
+   * @param {Object} learnedGraph - Graph from ScreenGraphService.getGraph() (optional)
    */
-  findNavigationPath(from, to) {
+  findNavigationPath(from, to, learnedGraph = null) {
     if (from === to) return [from];
 
-    const normalizedFrom = from.toLowerCase();
-    const normalizedTo = to.toLowerCase();
+    const normalizedFrom = toScreenKey(from);
+    const normalizedTo = toScreenKey(to);
+
+    const learnedPath = this.findLearnedPath(normalizedFrom, normalizedTo, learnedGraph);
+    if (learnedPath) {
+      return learnedPath;
+    }
 
     // BFS to find shortest path
     const queue = [[normalizedFrom]];
@@ -449,6 +425,49 @@ class PrerequisiteBuilderAgent {
     return [normalizedFrom, normalizedTo];
   }
 
+  /**
+   * Cheapest path through the learned graph (Dijkstra). Every hop costs 1
+   * plus a penalty that shrinks with how often tests take that transition,
+   * so short paths win and frequent transitions break ties.
+   *
+   * @returns {string[]|null} Path, or null if the learned graph does not connect the screens
+   */
+  findLearnedPath(from, to, learnedGraph) {
+    if (!learnedGraph?.edges.length) return null;
+
+    const cost = { [from]: 0 };
+    const previous = {};
+    const pending = new Set([from]);
+    const done = new Set();
+
+    while (pending.size > 0) {
+      const current = [...pending].reduce((best, screen) => (cost[screen] < cost[best] ? screen : best));
+      pending.delete(current);
+      done.add(current);
+
+      if (current === to) {
+        const path = [to];
+        while (path[0] !== from) {
+          path.unshift(previous[path[0]]);
+        }
+        return path;
+      }
+
+      for (const edge of Object.values(learnedGraph.adjacency[current] || {})) {
+        if (done.has(edge.to)) continue;
+
+        const candidate = cost[current] + 1 + 1 / edge.weight;
+        if (cost[edge.to] === undefined || candidate < cost[edge.to]) {
+          cost[edge.to] = candidate;
+          previous[edge.to] = current;
+          pending.add(edge.to);
+        }
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Collect all required imports
    */
@@ -456,7 +475,7 @@ class PrerequisiteBuilderAgent {
     const imports = new Set();
 
     // Base imports
-    imports.add('BaseTest');
+    imports.add(this.baseClass);
     imports.add('org.testng.annotations.Test');
 
     // From navigation path
@@ -487,7 +506,7 @@ class PrerequisiteBuilderAgent {
     sequence.push({
       order: 1,
       method: 'launchApp',
-      class: 'BaseTest',
+      class: this.baseClass,
       params: [],
       description: 'Launch the application'
     });
@@ -527,22 +546,38 @@ class PrerequisiteBuilderAgent {
   }
 
   /**
-   * Build navigation steps to reach target screen
+   * Build navigation steps to reach target screen. Transitions seen in the
+   * indexed tests use the method the tests call most often for them.
    */
-  buildNavigationSteps(navigationPath) {
+  buildNavigationSteps(navigationPath, learnedGraph = null) {
     const steps = [];
 
-    // Skip app_launch, login, home as they're in setup
-    const relevantPath = navigationPath.filter(screen =>
-      !['app_launch', 'splash', 'login', 'home'].includes(screen)
-    );
+    for (let i = 0; i < navigationPath.length; i++) {
+      const screen = navigationPath[i];
+
+      // Skip app_launch, login, home as they're in setup
+      if (['app_launch', 'splash', 'login', 'home'].includes(screen)) continue;
+
+      const edge = i > 0 ? screenGraphService.getEdge(learnedGraph, navigationPath[i - 1], screen) : null;
+      const transition = edge?.transitions.find(t => t.methodName);
+
+      if (transition) {
+        steps.push({
+          order: steps.length + 1,
+          screen,
+          class: transition.className || this.baseClass,
+          method: transition.methodName,
+          description: `Navigate to ${screen} screen`,
+          learned: true,
+          frequency: transition.count,
+          examples: transition.exampleFiles
+        });
+        continue;
+      }
 
-    for (let i = 0; i < relevantPath.length; i++) {
-      const screen = relevantPath[i];
       const className = this.screenClassMap[screen];
-
       steps.push({
-        order: i + 1,
+        order: steps.length + 1,
         screen,
         class: className || `${screen.charAt(0).toUpperCase() + screen.slice(1)}Screen`,
         method: `navigateTo${screen.charAt(0).toUpperCase() + screen.slice(1)}`,
@@ -632,7 +667,7 @@ class PrerequisiteBuilderAgent {
       const varName = className.charAt(0).toLowerCase() + className.slice(1);
       const params = step.params.join(', ');
 
-      if (step.class === 'BaseTest') {
+      if (step.class === this.baseClass) {
         lines.push(`    ${step.method}();`);
       } else {
         lines.push(`    ${varName}.${step.method}(${params});`);
@@ -641,6 +676,10 @@ class PrerequisiteBuilderAgent {
 
     // Add navigation steps
     for (const navStep of prerequisites.navigationToTarget) {
+      if (navStep.class === this.baseClass) {
+        lines.push(`    ${navStep.method}();`);
+        continue;
+      }
       const varName = navStep.class.charAt(0).toLowerCase() + navStep.class.slice(1);
       lines.push(`    ${varName}.${navStep.method}();`);
     }
@@ -10,18 +10,22 @@
  * - Identifies implicit prerequisites (login, navigation)
  * - Detects test type (functional, smoke, regression, e2e)
  * - Identifies primary screen for the test
+ * - Accepts Gherkin: Given -> preconditions, When -> actions, Then -> verifications,
+ *   Scenario Outlines expanded per Examples row or kept for a TestNG DataProvider
+ * - Exports decompositions back to .feature files
  *
  * @see /docs/architecture/multi-agent-test-generation-architecture.md
  */
 
 import { logger } from '../utils/logger.js';
-import { getOpenRouterService } from '../services/openrouterService.js';
+import { llmGateway, isFatalLLMError } from '../services/llmGateway.js';
+import { structuredOutput } from '../services/structuredOutput.js';
 import { actionKnowledgeBaseService } from '../services/actionKnowledgeBaseService.js';
+import { isGherkin, parseFeature, expandOutline, formatFeature } from '../utils/gherkin.js';
 
 class ScenarioDecomposerAgent {
   constructor() {
-    this.openRouterService = null;
-    this.model = 'google/gemini-2.0-flash-001';
+    this.llm = null;
 
     // Standard action verbs recognized by the system
     this.standardActions = [
@@ -94,9 +98,9 @@ EXAMPLE OUTPUT:
    * Initialize the agent with AI service
    */
   async initialize() {
-    this.openRouterService = getOpenRouterService();
-    if (!this.openRouterService?.isConfigured()) {
-      logger.warn('ScenarioDecomposerAgent: OpenRouter not configured, will use rule-based decomposition');
+    this.llm = llmGateway;
+    if (!this.llm.isAvailable('decompose')) {
+      logger.warn('ScenarioDecomposerAgent: no LLM provider configured, will use rule-based decomposition');
     }
     return this;
   }
@@ -115,6 +119,7 @@ EXAMPLE OUTPUT:
    * @param {boolean} options.includeLogin - Force include login step
    * @param {boolean} options.forceAI - Force AI decomposition even if rules are confident
    * @param {number} options.confidenceThreshold - Minimum confidence for rules (default: 0.7)
+   * @param {string} options.precondition - Setup text decomposed into prerequisite steps
    * @returns {Object} Decomposed steps with metadata
    */
   async decompose(scenario, options = {}) {
@@ -130,6 +135,24 @@ EXAMPLE OUTPUT:
     logger.info(`Decomposing scenario: "${scenario.substring(0, 50)}..."`);
 
     try {
+      // Gherkin input: one scenario becomes one decomposition, keeping an
+      // outline's Examples for a DataProvider so the pipeline still produces
+      // one test class. A feature with several scenarios is refused rather
+      // than silently cut to its first; decomposeGherkin handles those.
+      if (isGherkin(scenario)) {
+        const { scenarios } = parseFeature(scenario);
+        if (scenarios.length > 1) {
+          return {
+            success: false,
+            error: `Gherkin input has ${scenarios.length} scenarios (${scenarios.map(s => `"${s.name}"`).join(', ')}); ` +
+              'send one scenario at a time, or the whole feature to POST /api/scenario-decomposer/decompose-gherkin',
+            scenario
+          };
+        }
+        const featureResult = await this.decomposeGherkin(scenario, { ...options, outlineMode: 'dataProvider' });
+        return featureResult.scenarios[0];
+      }
+
       // STEP 0: If precondition provided, decompose it into prerequisite steps
       let preconditionSteps = [];
       if (precondition) {
@@ -179,7 +202,7 @@ EXAMPLE OUTPUT:
       }
 
       // STEP 2: Rules not confident enough - try AI if available (COSTS TOKENS)
-      if (this.openRouterService?.isConfigured()) {
+      if (this.llm?.isAvailable('decompose')) {
         logger.info(`Rule confidence ${confidence.toFixed(2)} < ${confidenceThreshold}, using AI`);
         const aiResult = await this.decomposeWithAI(scenario, options);
 
@@ -203,7 +226,7 @@ EXAMPLE OUTPUT:
         ...ruleResult,
         decomposition_method: 'rules_fallback',
         confidence,
-        ai_attempted: this.openRouterService?.isConfigured() || false
+        ai_attempted: this.llm?.isAvailable('decompose') || false
       }, options);
 
     } catch (error) {
@@ -216,6 +239,199 @@ EXAMPLE OUTPUT:
     }
   }
 
+  /**
+   * Decompose Gherkin scenarios (a .feature file or bare Given/When/Then text)
+   *
+   * Given steps (including Background) become the precondition, When steps the
+   * scenario actions and Then steps verifications.
+   *
+   * @param {string} text - Gherkin source
+   * @param {Object} options - Same as decompose(), plus:
+   * @param {string} options.outlineMode - 'expand' (one decomposition per Examples row,
+   *   default) or 'dataProvider' (one decomposition keeping <placeholders> and the examples)
+   * @returns {Object} { success, feature, tags, scenarios[] }
+   */
+  async decomposeGherkin(text, options = {}) {
+    const { outlineMode = 'expand' } = options;
+    const feature = parseFeature(text);
+
+    const scenarios = [];
+    for (const scenario of feature.scenarios) {
+      const variants = outlineMode === 'expand' ? expandOutline(scenario) : [scenario];
+      for (const variant of variants) {
+        scenarios.push(await this.decomposeGherkinScenario(variant, feature, options));
+      }
+    }
+
+    logger.info(`Decomposed Gherkin feature "${feature.name}" into ${scenarios.length} scenario(s)`);
+
+    return {
+      success: scenarios.every(s => s.success),
+      feature: feature.name,
+      description: feature.description,
+      tags: feature.tags,
+      scenarioCount: scenarios.length,
+      scenarios
+    };
+  }
+
+  /**
+   * Decompose one parsed Gherkin scenario
+   */
+  async decomposeGherkinScenario(scenario, feature, options) {
+    const steps = [...feature.background, ...scenario.steps];
+    const textOf = (type) => steps.filter(s => s.type === type).map(s => s.text);
+
+    const given = textOf('given');
+    const when = textOf('when');
+    const then = textOf('then');
+
+    // Then-only scenarios still go through decompose() for screen/login detection
+    const result = await this.decompose((when.length > 0 ? when : then).join(', '), {
+      ...options,
+      precondition: [options.precondition, ...given].filter(Boolean).join(', ') || null
+    });
+
+    if (!result.success) {
+      return { ...result, title: scenario.name };
+    }
+
+    // Then steps are verifications, whatever verbs they use
+    const verifyTargets = new Set(result.steps.filter(s => s.action === 'verify').map(s => s.target));
+    for (const text of then) {
+      const step = this.toVerificationStep(text);
+      if (!verifyTargets.has(step.target)) {
+        verifyTargets.add(step.target);
+        result.steps.push(step);
+      }
+    }
+
+    const examples = scenario.outline ? this.mergeExamples(scenario.examples) : null;
+
+    return this.postProcess({
+      ...result,
+      title: scenario.name,
+      ...(examples && { examples }),
+      gherkin: {
+        feature: feature.name,
+        featureTags: feature.tags,
+        scenario: scenario.name,
+        description: scenario.description,
+        tags: scenario.tags,
+        background: feature.background,
+        steps: scenario.steps,
+        examples: scenario.examples,
+        example: scenario.example || null
+      }
+    }, options);
+  }
+
+  /**
+   * Turn a Then step into a verify step
+   */
+  toVerificationStep(text) {
+    const subject = text.toLowerCase()
+      .replace(/^(?:i|the user|user)\s+(?:should\s+)?(?:see|be on|be able to see|am on|is on)\s+/, '');
+
+    return {
+      action: 'verify',
+      target: this.extractVerificationTarget(`verify ${subject}`),
+      details: text,
+      isPrerequisite: false,
+      source: 'gherkin'
+    };
+  }
+
+  /**
+   * Combine Examples blocks into one table (columns of the first block)
+   */
+  mergeExamples(blocks) {
+    const headers = blocks[0].headers;
+    const rows = blocks.flatMap(block =>
+      block.rows.map(row => headers.map(header => row[block.headers.indexOf(header)] ?? ''))
+    );
+    return { headers, rows };
+  }
+
+  /**
+   * Export decompositions as a .feature file
+   *
+   * Decompositions that came from Gherkin keep their original steps; others are
+   * written from their steps (prerequisites -> Given, verify -> Then, rest -> When).
+   *
+   * @param {Object|Object[]} decompositions - Decomposition result(s)
+   * @param {Object} options - { feature: feature name, tags: feature tags }
+   * @returns {string} .feature file content
+   */
+  exportFeature(decompositions, options = {}) {
+    const list = Array.isArray(decompositions) ? decompositions : [decompositions];
+    const fromGherkin = list.find(d => d.gherkin)?.gherkin;
+
+    const scenarios = list.map((decomposition, index) => {
+      const { gherkin } = decomposition;
+      if (gherkin) {
+        return {
+          name: gherkin.example ? decomposition.title : gherkin.scenario,
+          description: gherkin.description,
+          tags: gherkin.tags,
+          steps: gherkin.steps,
+          examples: gherkin.example ? [] : gherkin.examples
+        };
+      }
+
+      return {
+        name: decomposition.title || `Scenario ${index + 1}`,
+        tags: [],
+        steps: this.toGherkinSteps(decomposition.steps || []),
+        examples: decomposition.examples
+          ? [{ name: '', tags: [], ...decomposition.examples }]
+          : []
+      };
+    });
+
+    return formatFeature({
+      name: options.feature || fromGherkin?.feature || 'Generated scenarios',
+      description: '',
+      tags: options.tags || fromGherkin?.featureTags || [],
+      background: fromGherkin?.background || [],
+      scenarios
+    });
+  }
+
+  /**
+   * Describe decomposed steps as Gherkin steps
+   */
+  toGherkinSteps(steps) {
+    const humanize = (value) => (value || '').replace(/_/g, ' ').trim();
+
+    const given = [];
+    const when = [];
+    const then = [];
+
+    for (const step of steps) {
+      const target = humanize(step.target);
+      const details = step.details ? ` ${step.details}` : '';
+
+      if (step.action === 'verify') {
+        then.push({ type: 'then', text: `the ${target} ${step.details || 'is displayed'}` });
+        continue;
+      }
+
+      let text;
+      if (step.action === 'login') {
+        text = `I log in to the ${target}${details}`;
+      } else if (step.action === 'navigate') {
+        text = `I navigate to the ${target}${details}`;
+      } else {
+        text = `I ${humanize(step.action)} the ${target}${details}`;
+      }
+
+      (step.isPrerequisite ? given : when).push({ type: step.isPrerequisite ? 'given' : 'when', text });
+    }
+
+    return [...given, ...when, ...then];
+  }
+
   /**
    * Learn action patterns from AI result for future rule-based use
    * Each step becomes a permanent pattern that enriches the rule engine
@@ -296,28 +512,21 @@ EXAMPLE OUTPUT:
     if (brand) contextPrompt += `\nBrand: ${brand}`;
 
     try {
-      const response = await this.openRouterService.chat({
+      const { data } = await structuredOutput.complete({
+        schema: 'decomposition',
+        task: 'decompose',
         systemPrompt: this.systemPrompt + contextPrompt,
         userPrompt: scenario,
         temperature: 0.3,
         maxTokens: 2000
       });
 
-      // chat() returns { content: string } or null
-      if (!response || !response.content) {
-        return { success: false, error: 'Empty AI response' };
-      }
-
-      // Parse JSON from response (handle markdown code blocks)
-      let jsonContent = response.content;
-      if (jsonContent.includes('```')) {
-        jsonContent = jsonContent.replace(/```json?\n?/g, '').replace(/```/g, '');
-      }
-
-      const parsed = JSON.parse(jsonContent.trim());
-      return { success: true, result: parsed };
+      return { success: true, result: data };
 
     } catch (error) {
+      if (isFatalLLMError(error)) {
+        throw error;
+      }
       logger.error(`AI decomposition error: ${error.message}`);
       return { success: false, error: error.message };
     }
@@ -3,7 +3,8 @@
  *
  * Assembles all pieces from the pipeline into a complete, runnable test class:
  * - Combines scenario, prerequisites, and method mappings
- * - Generates proper Java/TestNG structure matching mqe-unified-oao-tests format
+ * - Generates proper Java/TestNG structure matching the selected framework profile
+ *   (default: mqe-unified-oao-tests format, see config/framework-profiles)
  * - Uses @Factory pattern with TestParams
  * - Adds platform/brand/locale annotations
  * - Uses screen accessor methods (homeScreen(), playerScreen(), etc.)
@@ -13,154 +14,77 @@
  * @see /docs/architecture/multi-agent-test-generation-architecture.md
  */
 
+import { frameworkProfileService } from '../services/frameworkProfileService.js';
 import { logger } from '../utils/logger.js';
 
+// DataProvider holding Scenario Outline Examples rows
+const EXAMPLES_DATA_PROVIDER = 'examples';
+
 class TestComposerAgent {
   constructor() {
-    // Package structure matching mqe-unified-oao-tests
-    this.basePackage = 'com.viacom.unified.tests';
-
-    // Feature to subpackage mapping
-    this.featurePackageMap = {
-      'playback': 'player.playback',
-      'player': 'player.controls',
-      'search': 'search',
-      'navigation': 'navigation',
-      'settings': 'settings',
-      'login': 'account.authentication',
-      'authentication': 'account.authentication',
-      'account': 'account.accountsettings',
-      'livetv': 'livetv',
-      'live': 'livetv',
-      'container': 'container',
-      'accessibility': 'accessibility',
-      'deeplink': 'deeplink',
-      'ads': 'ars.advertisement',
-      'tve': 'tve',
-      'home': 'home',
-      'browse': 'browse'
-    };
-
-    // Platform type mappings
-    this.platformTypes = {
-      'ctv': ['PlatformType.ANDROID_TV', 'PlatformType.FIRE_TV', 'PlatformType.ROKU', 'PlatformType.APPLE_TV'],
-      'android_tv': ['PlatformType.ANDROID_TV'],
-      'fire_tv': ['PlatformType.FIRE_TV'],
-      'roku': ['PlatformType.ROKU'],
-      'apple_tv': ['PlatformType.APPLE_TV'],
-      'mobile': ['PlatformType.ANDROID', 'PlatformType.IOS'],
-      'android': ['PlatformType.ANDROID'],
-      'ios': ['PlatformType.IOS'],
-      'web': ['PlatformType.TIZEN_TV', 'PlatformType.LG_WEBOS', 'PlatformType.VIZIO', 'PlatformType.HISENSE_TV'],
-      'all': ['PlatformType.ANDROID_TV', 'PlatformType.FIRE_TV', 'PlatformType.ROKU', 'PlatformType.APPLE_TV', 'PlatformType.TIZEN_TV', 'PlatformType.LG_WEBOS', 'PlatformType.VIZIO', 'PlatformType.HISENSE_TV']
-    };
-
-    // Brand mappings
-    this.brandTypes = {
-      'bet_plus': 'Brand.BET_PLUS',
-      'betplus': 'Brand.BET_PLUS',
-      'vh1': 'Brand.VH1',
-      'bet': 'Brand.BET',
-      'mtv': 'Brand.MTV',
-      'cmt': 'Brand.CMT',
-      'paramount': 'Brand.PARAMOUNT_PLUS',
-      'pplus': 'Brand.PARAMOUNT_PLUS'
-    };
-
-    // Screen accessor method mappings
-    this.screenAccessors = {
-      'HomeScreen': 'homeScreen()',
-      'PlayerScreen': 'playerScreen()',
-      'SearchScreen': 'searchScreen()',
-      'ContainerScreen': 'containerScreen()',
-      'SettingsScreen': 'settingsScreen()',
-      'LoginScreen': 'signInScreen()',
-      'SignInScreen': 'signInScreen()',
-      'ProfileScreen': 'profileScreen()',
-      'LiveTVScreen': 'liveTVScreen()',
-      'BrowseScreen': 'browseScreen()',
-      'WelcomeScreen': 'welcomeScreen()',
-      'AccountScreen': 'accountScreen()',
-      'TvProviderScreen': 'tvProviderScreen()',
-      'LegalScreen': 'legalScreen()',
-      'AccessibilityScreen': 'accessibilityScreen()'
-    };
-
-    // Test group constants
-    this.groupConstants = {
-      'functional': ['GroupConstants.FULL', 'GroupConstants.REGRESSION'],
-      'smoke': ['GroupConstants.SMOKE', 'GroupConstants.PIPELINE'],
-      'e2e': ['GroupConstants.FULL', 'GroupConstants.E2E'],
-      'playback': ['GroupConstants.PLAYBACK', 'GroupConstants.ITEM_PLAYBACK'],
-      'search': ['GroupConstants.SEARCH'],
-      'navigation': ['GroupConstants.NAVIGATION'],
-      'accessibility': ['GroupConstants.ACCESSIBILITY']
-    };
+    // Framework-specific settings (package layout, imports, annotations,
+    // screen accessors, data providers) come from the default framework profile
+    this.applyProfile(frameworkProfileService.getProfile());
+  }
 
-    // Feature constants
-    this.featureConstants = {
-      'playback': 'FeatureConstants.PLAYBACK',
-      'search': 'FeatureConstants.SEARCH',
-      'navigation': 'FeatureConstants.NAVIGATION',
-      'settings': 'FeatureConstants.SETTINGS',
-      'login': 'FeatureConstants.AUTHENTICATION',
-      'livetv': 'FeatureConstants.LIVE_TV',
-      'container': 'FeatureConstants.CONTAINER',
-      'player': 'FeatureConstants.PLAYER',
-      'home': 'FeatureConstants.HOME',
-      'browse': 'FeatureConstants.BROWSE'
-    };
+  /**
+   * Apply a framework profile's composer settings to this instance
+   */
+  applyProfile(profile) {
+    const composer = profile.composer;
+
+    this.profileId = profile.id;
+    this.basePackage = composer.basePackage;
+    this.baseClass = composer.baseClass || 'BaseTest';
+    this.copyrightHolder = composer.copyrightHolder || null;
+    this.imports = composer.imports || [];
+    this.staticImports = composer.staticImports || [];
+    this.factory = composer.factory || null;
+    this.annotations = composer.annotations || {};
+    this.defaultFeatureConstant = composer.defaultFeatureConstant || 'FeatureConstants.FUNCTIONAL';
+    this.defaultGroups = composer.defaultGroups || ['GroupConstants.FULL'];
+    this.defaultPlatform = composer.defaultPlatform || 'ctv';
+    this.defaultBrands = composer.defaultBrands || [];
+
+    this.featurePackageMap = composer.featurePackageMap || {};
+    this.platformTypes = composer.platformTypes || {};
+    this.brandTypes = composer.brandTypes || {};
+    this.screenAccessors = composer.screenAccessors || {};
+    this.groupConstants = composer.groupConstants || {};
+    this.featureConstants = composer.featureConstants || {};
 
     // Code style settings
     this.codeStyle = {
-      indent: '    ', // 4 spaces
+      indent: '    ',
       lineWidth: 120,
-      addJavadoc: false, // mqe-unified doesn't use javadoc on methods
-      addCopyright: true,
+      addJavadoc: false,
+      ...composer.codeStyle,
+      addCopyright: composer.codeStyle?.addCopyright !== false && !!this.copyrightHolder,
       copyrightYear: new Date().getFullYear()
     };
 
     // TestData provider methods mapping based on content type
     // Pattern: TestUtils.getDataWithSkip(TestDataProvider::{method})
-    this.dataProviderMethods = {
-      'episode': {
-        getData: 'getThreadSafeEpisodeWithoutContinuousPlayback',
-        getItem: 'getBrandFeedEpisodeItem',
-        cleanup: 'removeThreadSafeEpisode'
-      },
-      'movie': {
-        getData: 'getThreadSafeMovieWithoutContinuousPlayback',
-        getItem: 'getBrandFeedMovieItem',
-        cleanup: 'removeThreadSafeMovie'
-      },
-      'show': {
-        getData: 'getThreadSafeEpisodeWithoutContinuousPlayback',
-        getItem: 'getBrandFeedEpisodeItem',
-        cleanup: 'removeThreadSafeEpisode'
-      },
-      'live': {
-        getData: 'getThreadSafeLiveStream',
-        getItem: 'getLiveStreamItem',
-        cleanup: 'removeThreadSafeLiveStream'
-      },
-      'clip': {
-        getData: 'getThreadSafeClip',
-        getItem: 'getClipItem',
-        cleanup: 'removeThreadSafeClip'
-      },
-      'default': {
-        getData: 'getThreadSafeEpisodeWithoutContinuousPlayback',
-        getItem: 'getBrandFeedEpisodeItem',
-        cleanup: 'removeThreadSafeEpisode'
-      }
-    };
+    this.dataProviderMethods = composer.dataProviderMethods || {};
+  }
+
+  /**
+   * Get a view of this agent bound to a framework profile
+   *
+   * The view shares all methods with the agent but has its own settings,
+   * so concurrent compositions with different profiles don't interfere.
+   */
+  forProfile(profileId = null) {
+    const composer = Object.create(this);
+    composer.applyProfile(frameworkProfileService.getProfile(profileId));
+    return composer;
   }
 
   /**
    * Initialize the agent
    */
   async initialize() {
-    logger.info('TestComposerAgent initialized (mqe-unified-oao-tests format)');
+    logger.info(`TestComposerAgent initialized (framework profile: ${this.profileId})`);
   }
 
   /**
@@ -170,10 +94,17 @@ class TestComposerAgent {
    * @param {Object} decomposition - Output from ScenarioDecomposerAgent
    * @param {Object} mappingResult - Output from ActionMapperAgent
    * @param {Object} prerequisites - Output from PrerequisiteBuilderAgent
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options (profile selects the framework profile)
    * @returns {Object} Complete test class code and metadata
    */
   async composeTest(scenario, decomposition, mappingResult, prerequisites, options = {}) {
+    return this.forProfile(options.profile).composeWithProfile(scenario, decomposition, mappingResult, prerequisites, options);
+  }
+
+  /**
+   * Compose using the settings of the profile this instance is bound to
+   */
+  composeWithProfile(scenario, decomposition, mappingResult, prerequisites, options = {}) {
     const {
       className = null,
       packageName = null,
@@ -227,6 +158,7 @@ class TestComposerAgent {
       className: finalClassName,
       packageName: finalPackage,
       fullClassName: `${finalPackage}.${finalClassName}`,
+      profile: this.profileId,
       unmappedActions: mappingResult.unmapped || [],
       warnings: this.generateWarnings(mappingResult, prerequisites)
     };
@@ -316,18 +248,19 @@ class TestComposerAgent {
 
     const lines = [];
     const indent = this.codeStyle.indent;
+    const examples = this.getExampleParameters(decomposition);
 
     // Copyright header
     if (this.codeStyle.addCopyright) {
       lines.push('/*');
-      lines.push(` * Copyright (c) ${this.codeStyle.copyrightYear} ViacomCBS MQE Automation Team as an unpublished work. Neither`);
+      lines.push(` * Copyright (c) ${this.codeStyle.copyrightYear} ${this.copyrightHolder} as an unpublished work. Neither`);
       lines.push(' * this material nor any portion thereof may be copied or distributed');
-      lines.push(' * without the express written consent of ViacomCBS MQE Automation Team.');
+      lines.push(` * without the express written consent of ${this.copyrightHolder}.`);
       lines.push(' *');
       lines.push(' * This material also contains proprietary and confidential information');
-      lines.push(` * of ${this.codeStyle.copyrightYear} ViacomCBS MQE Automation Team and its suppliers, and may not be used by or`);
+      lines.push(` * of ${this.codeStyle.copyrightYear} ${this.copyrightHolder} and its suppliers, and may not be used by or`);
       lines.push(' * disclosed to any person, in whole or in part, without the prior written');
-      lines.push(` * consent of ${this.codeStyle.copyrightYear} ViacomCBS MQE Automation Team.`);
+      lines.push(` * consent of ${this.codeStyle.copyrightYear} ${this.copyrightHolder}.`);
       lines.push(' */');
       lines.push('');
     }
@@ -337,16 +270,20 @@ class TestComposerAgent {
     lines.push('');
 
     // Imports
-    lines.push(...this.generateImports(mappingResult, prerequisites, platform, brand, feature));
+    lines.push(...this.generateImports(mappingResult, prerequisites, platform, brand, feature,
+      examples ? ['org.testng.annotations.DataProvider'] : []));
     lines.push('');
 
     // Class declaration
-    lines.push(`public class ${className} extends BaseTest {`);
+    lines.push(`public class ${className} extends ${this.baseClass} {`);
     lines.push('');
 
     // Factory constructor
-    lines.push(...this.generateFactoryConstructor(className, indent));
-    lines.push('');
+    const factoryConstructor = this.generateFactoryConstructor(className, indent);
+    if (factoryConstructor.length > 0) {
+      lines.push(...factoryConstructor);
+      lines.push('');
+    }
 
     // Main test method with annotations
     lines.push(...this.generateTestMethod(scenario, decomposition, mappingResult, prerequisites, {
@@ -355,9 +292,16 @@ class TestComposerAgent {
       brand,
       testType,
       tmsLinks,
-      feature
+      feature,
+      examples
     }));
 
+    // Scenario Outline examples, one test invocation per row
+    if (examples) {
+      lines.push('');
+      lines.push(...this.generateExamplesDataProvider(examples, indent));
+    }
+
     // Helper methods (step methods)
     const helperMethods = this.generateHelperMethods(mappingResult, indent);
     if (helperMethods.length > 0) {
@@ -374,47 +318,14 @@ class TestComposerAgent {
   /**
    * Generate import statements
    */
-  generateImports(mappingResult, prerequisites, platform, brand, feature) {
-    const imports = [];
-
-    // Annotation imports
-    imports.push('import com.viacom.unified.annotations.AppBrand;');
-    imports.push('import com.viacom.unified.annotations.Locales;');
-    imports.push('import com.viacom.unified.annotations.Platforms;');
-
-    // Constants imports
-    imports.push('import com.viacom.unified.constants.Brand;');
-    imports.push('import com.viacom.unified.constants.FeatureConstants;');
-    imports.push('import com.viacom.unified.constants.GroupConstants;');
-    imports.push('import com.viacom.unified.constants.PlatformType;');
-
-    // Data and support imports
-    imports.push('import com.viacom.unified.model.Item;');
-    imports.push('import com.viacom.unified.model.TestData;');
-    imports.push('import com.viacom.unified.support.DataProviderManager;');
-    imports.push('import com.viacom.unified.support.TestParams;');
-    imports.push('import com.viacom.unified.support.TestUtils;');
-    imports.push('import com.viacom.unified.support.data.TestDataProvider;');
-
-    // Base test
-    imports.push('import com.viacom.unified.tests.common.BaseTest;');
-
-    // Logger
-    imports.push('import com.viacom.unified.utils.logger.Logger;');
-
-    // Allure imports
-    imports.push('import io.qameta.allure.Description;');
-    imports.push('import io.qameta.allure.Feature;');
-    imports.push('import io.qameta.allure.TmsLink;');
-
-    // TestNG imports
-    imports.push('import org.testng.annotations.Factory;');
-    imports.push('import org.testng.annotations.Test;');
-    imports.push('import org.testng.asserts.SoftAssert;');
-
-    // LocaleConstants static import
-    imports.push('');
-    imports.push('import static com.viacom.unified.constants.LocaleConstants.ALL_LOCALES;');
+  generateImports(mappingResult, prerequisites, platform, brand, feature, extraImports = []) {
+    const imports = [...this.imports, ...extraImports.filter(imp => !this.imports.includes(imp))]
+      .map(imp => `import ${imp};`);
+
+    if (this.staticImports.length > 0) {
+      imports.push('');
+      imports.push(...this.staticImports.map(imp => `import static ${imp};`));
+    }
 
     return imports.sort((a, b) => {
       // Group imports: annotations, constants, model, support, tests, utils, io, org, static
@@ -440,8 +351,14 @@ class TestComposerAgent {
   generateFactoryConstructor(className, indent) {
     const lines = [];
 
-    lines.push(`${indent}@Factory(dataProvider = "defaultDataProvider", dataProviderClass = DataProviderManager.class)`);
-    lines.push(`${indent}public ${className}(TestParams runParams) {`);
+    // Profiles without a @Factory constructor rely on the default constructor
+    if (!this.factory) {
+      return lines;
+    }
+
+    const { dataProvider, dataProviderClass, paramsClass } = this.factory;
+    lines.push(`${indent}@Factory(dataProvider = "${dataProvider}", dataProviderClass = ${dataProviderClass}.class)`);
+    lines.push(`${indent}public ${className}(${paramsClass} runParams) {`);
     lines.push(`${indent}${indent}super(runParams);`);
     lines.push(`${indent}}`);
 
@@ -452,20 +369,23 @@ class TestComposerAgent {
    * Generate main test method with all annotations
    */
   generateTestMethod(scenario, decomposition, mappingResult, prerequisites, options) {
-    const { indent, platform, brand, testType, tmsLinks, feature } = options;
+    const { indent, platform, brand, testType, tmsLinks, feature, examples = null } = options;
     const lines = [];
 
     // @Test annotation with groups
     const groups = this.getTestGroups(testType, feature);
-    lines.push(`${indent}@Test(groups = {${groups.join(', ')}})`);
+    const dataProvider = examples ? `, dataProvider = "${EXAMPLES_DATA_PROVIDER}"` : '';
+    lines.push(`${indent}@Test(groups = {${groups.join(', ')}}${dataProvider})`);
 
     // @TmsLink annotations
-    if (tmsLinks && tmsLinks.length > 0) {
-      tmsLinks.forEach(link => {
-        lines.push(`${indent}@TmsLink("${link}")`);
-      });
-    } else {
-      lines.push(`${indent}@TmsLink("TODO_ADD_TMS_LINK")`);
+    if (this.annotations.tmsLink) {
+      if (tmsLinks && tmsLinks.length > 0) {
+        tmsLinks.forEach(link => {
+          lines.push(`${indent}@TmsLink("${link}")`);
+        });
+      } else {
+        lines.push(`${indent}@TmsLink("TODO_ADD_TMS_LINK")`);
+      }
     }
 
     // @Description
@@ -473,23 +393,32 @@ class TestComposerAgent {
     lines.push(`${indent}@Description("${description}")`);
 
     // @Feature
-    const featureConstant = this.featureConstants[feature] || 'FeatureConstants.FUNCTIONAL';
-    lines.push(`${indent}@Feature(${featureConstant})`);
+    if (this.annotations.feature) {
+      const featureConstant = this.featureConstants[feature] || this.defaultFeatureConstant;
+      lines.push(`${indent}@Feature(${featureConstant})`);
+    }
 
     // @Platforms
     const platforms = this.getPlatformTypes(platform);
-    lines.push(`${indent}@Platforms({${platforms.join(', ')}})`);
+    if (this.annotations.platforms && platforms?.length > 0) {
+      lines.push(`${indent}@Platforms({${platforms.join(', ')}})`);
+    }
 
     // @Locales
-    lines.push(`${indent}@Locales({ALL_LOCALES})`);
+    if (this.annotations.locales) {
+      lines.push(`${indent}@Locales({${this.annotations.locales}})`);
+    }
 
     // @AppBrand
     const brands = this.getBrandTypes(brand);
-    lines.push(`${indent}@AppBrand({${brands.join(', ')}})`);
+    if (this.annotations.appBrand && brands.length > 0) {
+      lines.push(`${indent}@AppBrand({${brands.join(', ')}})`);
+    }
 
     // Method signature
     const methodName = this.generateMethodName(scenario.title);
-    lines.push(`${indent}public void ${methodName}() {`);
+    const parameters = examples ? examples.parameters.map(p => `String ${p.name}`).join(', ') : '';
+    lines.push(`${indent}public void ${methodName}(${parameters}) {`);
 
     // Method body
     lines.push(`${indent}${indent}SoftAssert softAssert = new SoftAssert();`);
@@ -507,7 +436,9 @@ class TestComposerAgent {
       dataProviderConfig = this.getDataProviderMethods(contentType);
 
       // TestData created BEFORE try block (following EpisodePlaybackTest pattern)
-      lines.push(`${indent}${indent}TestData data = TestUtils.getDataWithSkip(TestDataProvider::${dataProviderConfig.getData});`);
+      if (dataProviderConfig) {
+        lines.push(`${indent}${indent}TestData data = TestUtils.getDataWithSkip(TestDataProvider::${dataProviderConfig.getData});`);
+      }
     }
 
     lines.push(`${indent}${indent}try {`);
@@ -674,7 +605,7 @@ class TestComposerAgent {
       }
 
       // Add step as method call or comment
-      const stepCode = this.generateStepCode(step, needsTestData, decomposition);
+      const stepCode = this.bindExampleParameters(this.generateStepCode(step, needsTestData, decomposition), examples);
       if (stepCode) {
         // Track methods for deduplication
         trackCompositeSteps(step);
@@ -692,7 +623,7 @@ class TestComposerAgent {
     if (needsTestData && dataProviderConfig) {
       lines.push(`${indent}${indent}${indent}TestDataProvider.${dataProviderConfig.cleanup}(data);`);
     } else {
-      lines.push(`${indent}${indent}${indent}// Cleanup handled by BaseTest`);
+      lines.push(`${indent}${indent}${indent}// Cleanup handled by ${this.baseClass}`);
     }
     lines.push(`${indent}${indent}}`);
 
@@ -702,6 +633,67 @@ class TestComposerAgent {
     return lines;
   }
 
+  /**
+   * Java parameters for a Scenario Outline decomposition, or null
+   */
+  getExampleParameters(decomposition) {
+    const examples = decomposition?.examples;
+    if (!examples?.headers?.length || !examples.rows?.length) {
+      return null;
+    }
+
+    const used = new Set();
+    const parameters = examples.headers.map(header => {
+      let name = this.generateHelperMethodName(header.replace(/[_-]+/g, ' '));
+      if (/^\d/.test(name)) name = `p${name}`;
+      while (used.has(name)) name = `${name}_`;
+      used.add(name);
+      return { header, name };
+    });
+
+    return { parameters, rows: examples.rows };
+  }
+
+  /**
+   * Generate the @DataProvider returning the Examples rows
+   */
+  generateExamplesDataProvider(examples, indent) {
+    const lines = [];
+    lines.push(`${indent}@DataProvider(name = "${EXAMPLES_DATA_PROVIDER}")`);
+    lines.push(`${indent}public Object[][] ${EXAMPLES_DATA_PROVIDER}() {`);
+    lines.push(`${indent}${indent}return new Object[][] {`);
+    examples.rows.forEach((row, index) => {
+      const values = row.map(value => `"${this.escapeJavaString(value)}"`).join(', ');
+      lines.push(`${indent}${indent}${indent}{${values}}${index < examples.rows.length - 1 ? ',' : ''}`);
+    });
+    lines.push(`${indent}${indent}};`);
+    lines.push(`${indent}}`);
+    return lines;
+  }
+
+  /**
+   * Replace <placeholder> references inside string literals with the
+   * matching DataProvider parameter
+   */
+  bindExampleParameters(code, examples) {
+    if (!code || !examples) {
+      return code;
+    }
+
+    const names = new Map(examples.parameters.map(p => [p.header.toLowerCase(), p.name]));
+
+    return code
+      .replace(/"((?:[^"\\]|\\.)*)"/g, (literal, body) => {
+        const bound = body.replace(/<([^<>]+)>/g, (match, header) => {
+          const name = names.get(header.toLowerCase());
+          return name ? `" + ${name} + "` : match;
+        });
+        return `"${bound}"`;
+      })
+      .replace(/"" \+ /g, '')
+      .replace(/ \+ ""/g, '');
+  }
+
   /**
    * Generate code for MQE prerequisite step
    */
@@ -711,8 +703,8 @@ class TestComposerAgent {
 
     if (!methodName) return null;
 
-    // BaseTest methods are called directly (no screen accessor)
-    if (className === 'BaseTest') {
+    // Base class methods are called directly (no screen accessor)
+    if (className === this.baseClass || className === 'BaseTest') {
       return `${methodName}();`;
     }
 
@@ -780,7 +772,7 @@ class TestComposerAgent {
     const groups = new Set();
 
     // Add type-based groups
-    const typeGroups = this.groupConstants[testType] || ['GroupConstants.FULL'];
+    const typeGroups = this.groupConstants[testType] || this.defaultGroups;
     typeGroups.forEach(g => groups.add(g));
 
     // Add feature-based groups
@@ -795,11 +787,11 @@ class TestComposerAgent {
    */
   getPlatformTypes(platform) {
     if (!platform) {
-      return this.platformTypes['ctv'];
+      return this.platformTypes[this.defaultPlatform];
     }
 
     const platformLower = platform.toLowerCase();
-    return this.platformTypes[platformLower] || this.platformTypes['ctv'];
+    return this.platformTypes[platformLower] || this.platformTypes[this.defaultPlatform];
   }
 
   /**
@@ -807,7 +799,7 @@ class TestComposerAgent {
    */
   getBrandTypes(brand) {
     if (!brand) {
-      return ['Brand.BET_PLUS', 'Brand.VH1', 'Brand.BET'];
+      return this.defaultBrands;
     }
 
     const brandLower = brand.toLowerCase().replace(/[^a-z]/g, '');
@@ -817,7 +809,7 @@ class TestComposerAgent {
       return [mappedBrand];
     }
 
-    return ['Brand.BET_PLUS', 'Brand.VH1', 'Brand.BET'];
+    return this.defaultBrands;
   }
 
   /**
@@ -873,7 +865,7 @@ class TestComposerAgent {
    * Get data provider methods for content type
    */
   getDataProviderMethods(contentType) {
-    return this.dataProviderMethods[contentType] || this.dataProviderMethods['default'];
+    return this.dataProviderMethods[contentType] || this.dataProviderMethods['default'] || Object.values(this.dataProviderMethods)[0];
   }
 
   /**
@@ -1303,6 +1295,7 @@ class TestComposerAgent {
       version: '2.1.0',
       format: 'mqe-unified-oao-tests',
       features: ['TestData+Item pattern', 'content-type detection', 'proper cleanup'],
+      profile: this.profileId,
       basePackage: this.basePackage,
       supportedPlatforms: Object.keys(this.platformTypes),
       supportedBrands: Object.keys(this.brandTypes),
@@ -1,4 +1,7 @@
 import { aiService } from '../services/aiService.js';
+import { llmGateway } from '../services/llmGateway.js';
+import { llmCassette } from '../services/llmCassette.js';
+import { structuredOutput } from '../services/structuredOutput.js';
 import { logger } from '../utils/logger.js';
 
 export const aiController = {
@@ -19,6 +22,26 @@ export const aiController = {
     }
   },
 
+  // Get the provider chain and timeout of every LLM task, and the cassette mode
+  async getRoutes(req, res) {
+    try {
+      res.json({ success: true, routes: llmGateway.getRoutes(), cassette: llmCassette.getStatus() });
+    } catch (error) {
+      logger.error('Error getting LLM routes:', error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  },
+
+  // Get how often LLM outputs were valid, repaired or fell back, per output schema
+  async getOutputValidation(req, res) {
+    try {
+      res.json({ success: true, ...structuredOutput.getMetrics() });
+    } catch (error) {
+      logger.error('Error getting LLM output validation metrics:', error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  },
+
   // Switch AI provider
   async setProvider(req, res) {
     try {
@@ -79,7 +102,7 @@ export const aiController = {
       });
     } catch (error) {
       logger.error('Error generating test cases:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   },
 
@@ -99,7 +122,7 @@ export const aiController = {
       });
     } catch (error) {
       logger.error('Error comparing providers:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   },
 
@@ -121,7 +144,7 @@ export const aiController = {
       });
     } catch (error) {
       logger.error('Error generating Cypress test:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   },
 
@@ -143,7 +166,7 @@ export const aiController = {
       });
     } catch (error) {
       logger.error('Error generating Selenium test:', error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 };
\ No newline at end of file
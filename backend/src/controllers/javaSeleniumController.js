@@ -1,4 +1,5 @@
 import javaSeleniumService from '../services/javaSeleniumService.js';
+import workflowOrchestrator from '../services/workflowOrchestrator.js';
 import { logger } from '../utils/logger.js';
 
 export class JavaSeleniumController {
@@ -197,7 +198,7 @@ export class JavaSeleniumController {
    */
   async saveTest(req, res, next) {
     try {
-      const { repoPath, testDirectory, generatedTest, createBranch, ticketId } = req.body;
+      const { repoPath, testDirectory, generatedTest, createBranch, ticketId, workflowId } = req.body;
       
       if (!repoPath || !generatedTest) {
         return res.status(400).json({ 
@@ -218,6 +219,21 @@ export class JavaSeleniumController {
         generatedTest
       );
 
+      // Remember the file for the workflow's Jira write-back
+      if (workflowId) {
+        try {
+          await workflowOrchestrator.recordArtifact(workflowId, {
+            type: 'testFile',
+            path: saveResult.path,
+            branch: branchResult?.success ? branchResult.branchName : undefined,
+            repoPath,
+            title: generatedTest.fileName
+          });
+        } catch (error) {
+          logger.warn(`Could not record test file for workflow ${workflowId}: ${error.message}`);
+        }
+      }
+
       res.json({
         success: true,
         ...saveResult,
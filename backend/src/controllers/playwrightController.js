@@ -216,4 +216,46 @@ export const openInIDE = async (req, res) => {
       error: error.message 
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Run a saved test in the repository and return the run report
+ */
+export const runTest = async (req, res) => {
+  try {
+    const { repoPath, testPath, timeoutMs } = req.body;
+
+    if (!repoPath || !testPath) {
+      return res.status(400).json({
+        error: 'Repository path and test path are required'
+      });
+    }
+
+    const report = await playwrightService.runTest(repoPath, testPath, { timeoutMs });
+    res.json(report);
+  } catch (error) {
+    logger.error('Error running Playwright test:', error);
+    res.status(error.status || 500).json({
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Serve a run artifact (trace, screenshot, video)
+ */
+export const getRunArtifact = async (req, res) => {
+  const filePath = playwrightService.getRunArtifact(req.params.runId, req.params[0]);
+
+  if (!filePath) {
+    return res.status(404).json({
+      error: 'Artifact not found'
+    });
+  }
+
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'Artifact not found' });
+    }
+  });
+};
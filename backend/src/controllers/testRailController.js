@@ -1,4 +1,6 @@
 import { TestRailService } from '../services/testRailService.js';
+import { testRailResultsService } from '../services/testRailResultsService.js';
+import { testCaseDuplicateService } from '../services/testCaseDuplicateService.js';
 import { logger } from '../utils/logger.js';
 
 export class TestRailController {
@@ -59,4 +61,131 @@ export class TestRailController {
       next(error);
     }
   }
+
+  async updateTestCase(req, res, next) {
+    try {
+      const { caseId } = req.params;
+      const testCase = await this.testRailService.updateTestCase(caseId, req.body);
+      res.json(testCase);
+    } catch (error) {
+      logger.error('Error updating test case:', error);
+      next(error);
+    }
+  }
+
+  async createRun(req, res, next) {
+    try {
+      const { projectId, suiteId, name, description, caseIds, refs, milestoneId } = req.body;
+      if (!projectId || !suiteId || !name) {
+        return res.status(400).json({ error: 'projectId, suiteId and name are required' });
+      }
+      if (caseIds !== undefined && (!Array.isArray(caseIds) || caseIds.length === 0)) {
+        return res.status(400).json({ error: 'caseIds must be a non-empty array (omit it to include all cases)' });
+      }
+
+      const run = await this.testRailService.addRun(projectId, { suiteId, name, description, caseIds, refs, milestoneId });
+      res.status(201).json(run);
+    } catch (error) {
+      logger.error('Error creating test run:', error);
+      next(error);
+    }
+  }
+
+  async createPlan(req, res, next) {
+    try {
+      const { projectId, name, description, milestoneId, entries } = req.body;
+      if (!projectId || !name || !Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({ error: 'projectId, name and entries are required' });
+      }
+
+      const plan = await this.testRailService.addPlan(projectId, { name, description, milestoneId, entries });
+      res.status(201).json(plan);
+    } catch (error) {
+      logger.error('Error creating test plan:', error);
+      next(error);
+    }
+  }
+
+  async addResults(req, res, next) {
+    try {
+      const { runId } = req.params;
+      const { results } = req.body;
+      if (!Array.isArray(results) || results.length === 0 || results.some(r => !r.case_id || !r.status_id)) {
+        return res.status(400).json({ error: 'results must be a non-empty array of { case_id, status_id, ... }' });
+      }
+
+      const created = await this.testRailService.addResultsForCases(runId, results);
+      res.status(201).json(created);
+    } catch (error) {
+      logger.error('Error adding test results:', error);
+      next(error);
+    }
+  }
+
+  async closeRun(req, res, next) {
+    try {
+      const { runId } = req.params;
+      const run = await this.testRailService.closeRun(runId);
+      res.json(run);
+    } catch (error) {
+      logger.error('Error closing test run:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Publish a JUnit / TestNG / Allure report to a run
+   * Body: projectId, suiteId, report, format, attachments, runId, planId, runName,
+   * description, refs, milestoneId, closeRun, statusMap, version, dryRun
+   */
+  async importResults(req, res, next) {
+    try {
+      const summary = await testRailResultsService.publishResults(req.body);
+      res.status(summary.run?.created ? 201 : 200).json(summary);
+    } catch (error) {
+      logger.error('Error importing test results:', error);
+      next(error);
+    }
+  }
+
+  async indexDuplicates(req, res, next) {
+    try {
+      const { projectId, suiteId, reembed } = req.body;
+      const result = await testCaseDuplicateService.indexSuite(projectId, suiteId, { refresh: true, reembed: !!reembed });
+      res.json(result);
+    } catch (error) {
+      logger.error('Error indexing cases for duplicate detection:', error);
+      next(error);
+    }
+  }
+
+  async checkDuplicates(req, res, next) {
+    try {
+      const { projectId, suiteId, tests, threshold, similarThreshold, limit } = req.body;
+      if (!projectId || !suiteId || !Array.isArray(tests) || tests.length === 0) {
+        return res.status(400).json({ error: 'projectId, suiteId and a non-empty tests array are required' });
+      }
+
+      const results = await testCaseDuplicateService.findDuplicates(tests, { projectId, suiteId, threshold, similarThreshold, limit });
+      res.json({ results, duplicates: results.filter(r => r.isDuplicate).length });
+    } catch (error) {
+      logger.error('Error checking duplicates:', error);
+      next(error);
+    }
+  }
+
+  async getDuplicateClusters(req, res, next) {
+    try {
+      const { projectId, suiteId } = req.params;
+      const { sectionId, threshold } = req.query;
+      const report = await testCaseDuplicateService.findClusters(projectId, suiteId, {
+        sectionId: sectionId || null,
+        ...(threshold && { threshold: parseFloat(threshold) })
+      });
+      res.json(report);
+    } catch (error) {
+      logger.error('Error finding duplicate clusters:', error);
+      next(error);
+    }
+  }
 }
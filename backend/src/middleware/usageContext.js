@@ -0,0 +1,17 @@
+import { runWithUsageContext, ANONYMOUS_USER } from '../services/usageLedgerService.js';
+
+/**
+ * Attribute the LLM usage of a request to the user and workflow named in its
+ * X-User-Id / X-Workflow-Id headers (or a userId in the body); requests naming
+ * no user share the "anonymous" user and its budget. A request sent
+ * with "X-LLM-Cache: bypass" (or bypassCache: true in the body) gets fresh LLM
+ * responses instead of cached ones.
+ */
+export function usageContext(req, res, next) {
+  runWithUsageContext({
+    userId: req.get('X-User-Id') || req.body?.userId || ANONYMOUS_USER,
+    workflowId: req.get('X-Workflow-Id') || null,
+    pipelineRunId: null,
+    bypassCache: req.get('X-LLM-Cache') === 'bypass' || req.body?.bypassCache === true
+  }, next);
+}
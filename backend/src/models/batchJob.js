@@ -0,0 +1,53 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../utils/database.js';
+
+export const BatchJob = sequelize.define('BatchJob', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  projectId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  suiteId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  sectionId: {
+    type: DataTypes.INTEGER
+  },
+  options: {
+    type: DataTypes.JSON
+  },
+  concurrency: {
+    type: DataTypes.INTEGER,
+    defaultValue: 2
+  },
+  totalCases: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  completedCases: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  failedCases: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  error: {
+    type: DataTypes.TEXT
+  },
+  startedAt: {
+    type: DataTypes.DATE
+  },
+  finishedAt: {
+    type: DataTypes.DATE
+  }
+});
@@ -0,0 +1,61 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../utils/database.js';
+
+export const BatchJobCase = sequelize.define('BatchJobCase', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  jobId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  caseId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  scenario: {
+    type: DataTypes.TEXT
+  },
+  precondition: {
+    type: DataTypes.TEXT
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'queued'
+  },
+  runId: {
+    type: DataTypes.STRING
+  },
+  className: {
+    type: DataTypes.STRING
+  },
+  mapped: {
+    type: DataTypes.INTEGER
+  },
+  unmapped: {
+    type: DataTypes.INTEGER
+  },
+  mappingRate: {
+    type: DataTypes.FLOAT
+  },
+  unmappedSteps: {
+    type: DataTypes.JSON
+  },
+  error: {
+    type: DataTypes.TEXT
+  },
+  durationMs: {
+    type: DataTypes.INTEGER
+  }
+}, {
+  indexes: [
+    { fields: ['jobId'] }
+  ]
+});
@@ -0,0 +1,31 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../utils/database.js';
+
+// Content hash of a repository file as of the last indexing run
+export const IndexedFile = sequelize.define('IndexedFile', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  repoPath: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  filePath: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  hash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  indexedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  indexes: [
+    { fields: ['repoPath'] }
+  ]
+});
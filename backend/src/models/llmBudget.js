@@ -0,0 +1,14 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../utils/database.js';
+
+export const LlmBudget = sequelize.define('LlmBudget', {
+  // "daily" (all users), "user:*" (each user) or "user:<userId>"
+  key: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  limitUsd: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  }
+});
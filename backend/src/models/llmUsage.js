@@ -0,0 +1,60 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../utils/database.js';
+
+export const LlmUsage = sequelize.define('LlmUsage', {
+  task: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  model: {
+    type: DataTypes.STRING
+  },
+  // ok | failed | blocked (over budget)
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'ok'
+  },
+  promptTokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  completionTokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  totalTokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // null when the model has no entry in the price table
+  costUsd: {
+    type: DataTypes.FLOAT
+  },
+  latencyMs: {
+    type: DataTypes.INTEGER
+  },
+  error: {
+    type: DataTypes.TEXT
+  },
+  userId: {
+    type: DataTypes.STRING
+  },
+  workflowId: {
+    type: DataTypes.STRING
+  },
+  pipelineRunId: {
+    type: DataTypes.STRING
+  }
+}, {
+  indexes: [
+    { fields: ['createdAt'] },
+    { fields: ['userId', 'createdAt'] },
+    { fields: ['workflowId'] },
+    { fields: ['pipelineRunId'] }
+  ]
+});
@@ -0,0 +1,43 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../utils/database.js';
+
+export const LocatorRepair = sequelize.define('LocatorRepair', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  key: {
+    type: DataTypes.STRING
+  },
+  propertiesFile: {
+    type: DataTypes.STRING
+  },
+  url: {
+    type: DataTypes.TEXT
+  },
+  oldLocator: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  newLocator: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  brokenAttribute: {
+    type: DataTypes.STRING
+  },
+  repairedAttribute: {
+    type: DataTypes.STRING
+  },
+  score: {
+    type: DataTypes.FLOAT
+  },
+  element: {
+    type: DataTypes.JSON
+  }
+}, {
+  indexes: [
+    { fields: ['key'] }
+  ]
+});
@@ -0,0 +1,63 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../utils/database.js';
+
+export const PipelineRun = sequelize.define('PipelineRun', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  parentRunId: {
+    type: DataTypes.STRING
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'running'
+  },
+  currentStage: {
+    type: DataTypes.STRING
+  },
+  rerunFromStage: {
+    type: DataTypes.STRING
+  },
+  scenario: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  input: {
+    type: DataTypes.JSON
+  },
+  decomposition: {
+    type: DataTypes.JSON
+  },
+  screenPath: {
+    type: DataTypes.JSON
+  },
+  mappingResult: {
+    type: DataTypes.JSON
+  },
+  prerequisites: {
+    type: DataTypes.JSON
+  },
+  composedTest: {
+    type: DataTypes.JSON
+  },
+  validation: {
+    type: DataTypes.JSON
+  },
+  generatedComponents: {
+    type: DataTypes.JSON
+  },
+  stageSummaries: {
+    type: DataTypes.JSON
+  },
+  error: {
+    type: DataTypes.TEXT
+  },
+  failedStage: {
+    type: DataTypes.STRING
+  },
+  totalMs: {
+    type: DataTypes.INTEGER
+  }
+});
@@ -0,0 +1,36 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../utils/database.js';
+
+export const ScreenTransition = sequelize.define('ScreenTransition', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  fromScreen: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  toScreen: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  className: {
+    type: DataTypes.STRING
+  },
+  methodName: {
+    type: DataTypes.STRING
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  exampleFiles: {
+    type: DataTypes.JSON
+  }
+}, {
+  indexes: [
+    { fields: ['fromScreen', 'toScreen'] }
+  ]
+});
@@ -0,0 +1,43 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../utils/database.js';
+
+export const Workflow = sequelize.define('Workflow', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'started'
+  },
+  currentStep: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  ticketKey: {
+    type: DataTypes.STRING
+  },
+  ticketSummary: {
+    type: DataTypes.STRING(500)
+  },
+  steps: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  artifacts: {
+    type: DataTypes.JSON
+  },
+  jiraWriteBack: {
+    type: DataTypes.JSON
+  }
+}, {
+  indexes: [
+    { fields: ['userId', 'updatedAt'] }
+  ]
+});
@@ -6,6 +6,12 @@ const router = express.Router();
 // Get AI service status
 router.get('/status', aiController.getStatus);
 
+// Get per-task LLM routes (provider fallback chains) and the LLM cassette status
+router.get('/routes', aiController.getRoutes);
+
+// Get LLM output validation metrics (valid, repaired, fallbacks per schema)
+router.get('/output-validation', aiController.getOutputValidation);
+
 // Set AI provider (gemini or claude)
 router.post('/provider', aiController.setProvider);
 
@@ -0,0 +1,270 @@
+/**
+ * API Test Generation Routes
+ *
+ * Endpoints for generating runnable API test projects from OpenAPI 3 / Swagger 2 specs,
+ * HAR captures and Postman collections, and contract regression packs from spec diffs
+ */
+
+import { Router } from 'express';
+import yaml from 'js-yaml';
+import apiTestGenerationService from '../services/apiTestGenerationService.js';
+import { createZip } from '../utils/zipArchive.js';
+import { logger } from '../utils/logger.js';
+
+const router = Router();
+
+/**
+ * Generate a test project from a spec
+ * POST /api/api-tests/generate
+ *
+ * Body:
+ * - spec: object|string (required unless specPath) - OpenAPI 3 / Swagger 2 document (JSON or YAML),
+ *   HAR capture or Postman v2.x collection
+ * - specPath: string (optional) - Spec file path, relative to repositoryPath when given
+ * - repositoryPath: string (optional) - Repository the spec lives in
+ * - origin: string (optional) - HAR only: origin to import (defaults to the one with most API calls)
+ * - variables: object (optional) - Postman only: values for {{variables}} the collection leaves unset
+ * - framework: string (optional) - restAssured (default), playwright or karate
+ * - testTypes: string[] (optional) - functional, contract, security, performance (default functional + contract)
+ * - baseUrl: string (optional) - Defaults to the spec's first server
+ * - authentication: object (optional) - { type: bearer|basic|apiKey, header }, defaults to the spec's security scheme
+ * - projectName: string (optional) - Defaults to the spec title
+ * - format: string (optional) - 'tree' (JSON file list, default) or 'zip'
+ */
+router.post('/generate', async (req, res) => {
+  try {
+    const {
+      spec,
+      specPath,
+      repositoryPath,
+      origin,
+      variables,
+      framework,
+      testTypes,
+      baseUrl,
+      authentication,
+      projectName,
+      format = 'tree'
+    } = req.body;
+
+    if (!['tree', 'zip'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "format must be 'tree' or 'zip'"
+      });
+    }
+
+    if (testTypes !== undefined && (!Array.isArray(testTypes) || testTypes.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'testTypes must be a non-empty array'
+      });
+    }
+
+    const document = await apiTestGenerationService.loadSpec({ spec, specPath, repositoryPath, origin, variables });
+    const project = await apiTestGenerationService.generateProject(document, {
+      framework,
+      testTypes,
+      baseUrl,
+      authentication,
+      projectName
+    });
+
+    if (format === 'zip') {
+      const archive = createZip(project.files.map(file => ({
+        path: `${project.projectName}/${file.path}`,
+        content: file.content
+      })));
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${project.projectName}.zip"`,
+        'Content-Length': archive.length
+      });
+      return res.send(archive);
+    }
+
+    res.json({
+      success: true,
+      ...project
+    });
+  } catch (error) {
+    logger.error('API test generation error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Diff two versions of a spec and generate a contract regression pack for the changes
+ * POST /api/api-tests/diff
+ *
+ * Body:
+ * - spec, specPath, repositoryPath, origin, variables - The new version, as for /generate
+ * - previousSpec: object|string (optional) - The previous version's document
+ * - previousSpecPath: string (optional) - Previous version's file; defaults to specPath when previousRef is given
+ * - previousRef: string (optional) - Git ref (branch, tag, commit) in repositoryPath to read the previous version at
+ * - framework: string (optional) - restAssured (default) or playwright
+ * - baseUrl, authentication, projectName - As for /generate
+ * - format: string (optional) - 'tree' (JSON file list with diff and Markdown report, default) or 'zip'
+ */
+router.post('/diff', async (req, res) => {
+  try {
+    const {
+      spec,
+      specPath,
+      repositoryPath,
+      origin,
+      variables,
+      previousSpec,
+      previousSpecPath,
+      previousRef,
+      framework,
+      baseUrl,
+      authentication,
+      projectName,
+      format = 'tree'
+    } = req.body;
+
+    if (!['tree', 'zip'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "format must be 'tree' or 'zip'"
+      });
+    }
+
+    if (!previousSpec && !previousSpecPath && !previousRef) {
+      return res.status(400).json({
+        success: false,
+        error: 'previousSpec, previousSpecPath or previousRef is required'
+      });
+    }
+
+    const previous = await apiTestGenerationService.loadSpec({
+      spec: previousSpec,
+      specPath: previousSpecPath || (previousRef ? specPath : null),
+      repositoryPath,
+      ref: previousRef,
+      origin,
+      variables
+    });
+    const document = await apiTestGenerationService.loadSpec({ spec, specPath, repositoryPath, origin, variables });
+    const pack = await apiTestGenerationService.generateRegressionPack(previous, document, {
+      framework,
+      baseUrl,
+      authentication,
+      projectName
+    });
+
+    if (format === 'zip') {
+      const archive = createZip(pack.files.map(file => ({
+        path: `${pack.projectName}/${file.path}`,
+        content: file.content
+      })));
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${pack.projectName}.zip"`,
+        'Content-Length': archive.length
+      });
+      return res.send(archive);
+    }
+
+    res.json({
+      success: true,
+      ...pack
+    });
+  } catch (error) {
+    logger.error('API spec diff error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * List the operations a spec describes (preview before generating)
+ * POST /api/api-tests/endpoints
+ *
+ * Body:
+ * - spec, specPath, repositoryPath, origin, variables - As for /generate
+ */
+router.post('/endpoints', async (req, res) => {
+  try {
+    const { spec, specPath, repositoryPath, origin, variables } = req.body;
+
+    const document = await apiTestGenerationService.loadSpec({ spec, specPath, repositoryPath, origin, variables });
+    const normalized = apiTestGenerationService.normalizeSpec(document);
+    const endpoints = apiTestGenerationService.parseOpenAPIEndpoints(normalized);
+
+    res.json({
+      success: true,
+      title: normalized.info?.title || null,
+      version: document.openapi || document.swagger,
+      source: document['x-import']?.source || (document.swagger ? 'swagger' : 'openapi'),
+      warnings: document['x-import']?.warnings || [],
+      baseUrl: apiTestGenerationService.getDefaultBaseUrl(normalized),
+      authentication: apiTestGenerationService.detectAuthentication(normalized),
+      count: endpoints.length,
+      endpoints: endpoints.map(e => ({
+        method: e.method,
+        path: e.path,
+        operationId: e.operationId,
+        summary: e.summary || null,
+        tags: e.tags
+      }))
+    });
+  } catch (error) {
+    logger.error('API spec parsing error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Convert a HAR capture or Postman collection to an OpenAPI 3 document
+ * POST /api/api-tests/import
+ *
+ * Body:
+ * - spec, specPath, repositoryPath, origin, variables - As for /generate
+ * - output: string (optional) - 'json' (default) or 'yaml'
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const { spec, specPath, repositoryPath, origin, variables, output = 'json' } = req.body;
+
+    const document = await apiTestGenerationService.loadSpec({ spec, specPath, repositoryPath, origin, variables });
+    if (!document['x-import']) {
+      return res.status(400).json({
+        success: false,
+        error: 'Input is already an OpenAPI / Swagger document'
+      });
+    }
+
+    const { 'x-import': details, ...openapi } = document;
+
+    res.json({
+      success: true,
+      source: details.source,
+      requests: details.requests,
+      operations: Object.values(openapi.paths).reduce((count, pathItem) => count + Object.keys(pathItem).length, 0),
+      warnings: details.warnings,
+      spec: output === 'yaml' ? yaml.dump(openapi, { noRefs: true }) : openapi
+    });
+  } catch (error) {
+    logger.error('API traffic import error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get supported frameworks and test types
+ * GET /api/api-tests/options
+ */
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    frameworks: apiTestGenerationService.projectFrameworks,
+    testTypes: apiTestGenerationService.testTypes,
+    formats: ['tree', 'zip'],
+    inputFormats: ['openapi', 'swagger', 'har', 'postman']
+  });
+});
+
+export default router;
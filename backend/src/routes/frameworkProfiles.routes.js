@@ -0,0 +1,159 @@
+/**
+ * Framework Profile Routes
+ *
+ * CRUD for the framework profiles used by the multi-agent pipeline
+ * (TestComposerAgent / PrerequisiteBuilderAgent). Select a profile per
+ * generation request with `profile: <id>`.
+ */
+
+import { Router } from 'express';
+import { frameworkProfileService } from '../services/frameworkProfileService.js';
+import { logger } from '../utils/logger.js';
+
+const router = Router();
+
+/**
+ * List framework profiles
+ * GET /api/framework-profiles
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      defaultProfile: frameworkProfileService.defaultProfileId,
+      profiles: frameworkProfileService.listProfiles()
+    });
+  } catch (error) {
+    logger.error('List framework profiles error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Reload profiles from disk (after editing profile files by hand)
+ * POST /api/framework-profiles/reload
+ */
+router.post('/reload', (req, res) => {
+  try {
+    frameworkProfileService.loadProfiles();
+    res.json({
+      success: true,
+      profiles: frameworkProfileService.listProfiles()
+    });
+  } catch (error) {
+    logger.error('Reload framework profiles error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get a framework profile
+ * GET /api/framework-profiles/:id
+ *
+ * Query:
+ * - resolved: boolean (optional) - Return the profile with `extends` applied
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!frameworkProfileService.hasProfile(id)) {
+      return res.status(404).json({ success: false, error: 'Framework profile not found' });
+    }
+
+    const profile = req.query.resolved === 'true'
+      ? frameworkProfileService.getProfile(id)
+      : frameworkProfileService.getProfileDefinition(id);
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    logger.error('Get framework profile error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Register a new framework profile
+ * POST /api/framework-profiles
+ *
+ * Body:
+ * - profile: object (required) - Profile definition (id, name, extends, composer, prerequisites)
+ * - format: string (optional) - File format to store it in: json (default) or yaml
+ */
+router.post('/', (req, res) => {
+  try {
+    const { profile, format = 'json' } = req.body;
+
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        error: 'profile is required'
+      });
+    }
+
+    const created = frameworkProfileService.createProfile(profile, format);
+    res.status(201).json({
+      success: true,
+      profile: created
+    });
+  } catch (error) {
+    logger.error('Create framework profile error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Replace a framework profile
+ * PUT /api/framework-profiles/:id
+ *
+ * Body:
+ * - profile: object (required) - New profile definition (id is taken from the URL)
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const { profile } = req.body;
+
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        error: 'profile is required'
+      });
+    }
+
+    const updated = frameworkProfileService.updateProfile(req.params.id, profile);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Framework profile not found' });
+    }
+
+    res.json({
+      success: true,
+      profile: updated
+    });
+  } catch (error) {
+    logger.error('Update framework profile error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Delete a framework profile
+ * DELETE /api/framework-profiles/:id
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const deleted = frameworkProfileService.deleteProfile(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Framework profile not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete framework profile error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -15,6 +15,12 @@ import hybridRAGRouter from './hybridRAG.routes.js';
 import actionKnowledgeBaseRouter from './actionKnowledgeBase.routes.js';
 import scenarioDecomposerRouter from './scenarioDecomposer.routes.js';
 import multiAgentRouter from './multiAgent.routes.js';
+import frameworkProfilesRouter from './frameworkProfiles.routes.js';
+import screenGraphRouter from './screenGraph.routes.js';
+import locatorRepairRouter from './locatorRepair.routes.js';
+import apiTestsRouter from './apiTests.routes.js';
+import traceabilityRouter from './traceability.routes.js';
+import usageRouter from './usage.routes.js';
 
 export const router = express.Router();
 
@@ -40,3 +46,9 @@ router.use('/hybrid-rag', hybridRAGRouter);
 router.use('/knowledge-base', actionKnowledgeBaseRouter);
 router.use('/scenario-decomposer', scenarioDecomposerRouter);
 router.use('/multi-agent', multiAgentRouter);
+router.use('/framework-profiles', frameworkProfilesRouter);
+router.use('/screen-graph', screenGraphRouter);
+router.use('/locator-repair', locatorRepairRouter);
+router.use('/api-tests', apiTestsRouter);
+router.use('/traceability', traceabilityRouter);
+router.use('/usage', usageRouter);
@@ -0,0 +1,115 @@
+/**
+ * Locator Repair Routes
+ *
+ * Self-healing for broken web locators: propose repaired .properties
+ * entries from a fresh DOM analysis, and record accepted repairs.
+ */
+
+import { Router } from 'express';
+import { locatorRepairService } from '../services/locatorRepairService.js';
+import { logger } from '../utils/logger.js';
+
+const router = Router();
+
+/**
+ * Propose repairs for a failing locator
+ * POST /api/locator-repair/propose
+ *
+ * Body:
+ * - url: string (required) - Page the locator should match on
+ * - locator: string (optional) - Failing locator value (read from propertiesFile/key if omitted)
+ * - key: string (optional) - Property key
+ * - propertiesFile: string (optional) - Path of the .properties file (in the indexed repository)
+ * - previousElement: object (optional) - Element the locator used to match ({ tagName, text, attributes, xpath })
+ * - waitForSelector: string (optional) - Wait for this selector before analyzing
+ */
+router.post('/propose', async (req, res) => {
+  try {
+    const { url, locator, key, propertiesFile, previousElement, waitForSelector } = req.body;
+
+    const result = await locatorRepairService.proposeRepair({
+      url,
+      locator,
+      key,
+      propertiesFile,
+      previousElement,
+      waitForSelector
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Propose locator repair error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Accept a repair: record it for attribute stability, optionally update the file
+ * POST /api/locator-repair/accept
+ *
+ * Body:
+ * - oldLocator: string (required) - Broken locator
+ * - newLocator: string (required) - Accepted replacement
+ * - key, propertiesFile, url: string (optional) - Where the locator lives (propertiesFile must be
+ *   a .properties file of the indexed repository)
+ * - score: number (optional) - Candidate score
+ * - element: object (optional) - Candidate element
+ * - apply: boolean (optional) - Write newLocator to propertiesFile (default false)
+ */
+router.post('/accept', async (req, res) => {
+  try {
+    const result = await locatorRepairService.acceptRepair(req.body);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Accept locator repair error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Accepted repairs, newest first
+ * GET /api/locator-repair/history?key=login.submit&limit=50
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { key, limit = 50 } = req.query;
+    const repairs = await locatorRepairService.getHistory({ key, limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      count: repairs.length,
+      repairs
+    });
+  } catch (error) {
+    logger.error('Get locator repair history error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Attribute stability learned from accepted repairs
+ * GET /api/locator-repair/stability
+ */
+router.get('/stability', async (req, res) => {
+  try {
+    const stability = await locatorRepairService.getAttributeStability();
+
+    res.json({
+      success: true,
+      stability,
+      preferredOrder: locatorRepairService.rankAttributes(stability)
+    });
+  } catch (error) {
+    logger.error('Get attribute stability error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -6,6 +6,8 @@
  * 2. Action Mapper → Map steps to actual methods
  * 3. Prerequisite Builder → Build navigation and setup
  * 4. Test Composer → Generate complete test class
+ * 5. Code Validator → Compile-check the test against the repository
+ * 6. Component Generator → Stubs for unmapped actions and unresolved calls
  *
  * Also provides individual agent endpoints for debugging/testing.
  */
@@ -16,7 +18,10 @@ import { actionMapperAgent } from '../agents/actionMapperAgent.js';
 import { prerequisiteBuilderAgent } from '../agents/prerequisiteBuilderAgent.js';
 import { testComposerAgent } from '../agents/testComposerAgent.js';
 import { componentGeneratorAgent } from '../agents/componentGeneratorAgent.js';
-import { screenPathTracker } from '../services/screenPathTracker.js';
+import { codeValidatorAgent } from '../agents/codeValidatorAgent.js';
+import { multiAgentPipelineService } from '../services/multiAgentPipelineService.js';
+import { batchGenerationService } from '../services/batchGenerationService.js';
+import { repositoryPatchService } from '../services/repositoryPatchService.js';
 import { logger } from '../utils/logger.js';
 
 const router = Router();
@@ -28,6 +33,7 @@ const router = Router();
  * POST /api/multi-agent/generate
  *
  * This is the main entry point that runs all agents in sequence.
+ * Every run is persisted with its per-stage outputs (see /runs below).
  *
  * Body:
  * - scenario: string (required) - Natural language test scenario
@@ -37,10 +43,11 @@ const router = Router();
  * - testType: string (optional) - Test type (functional, smoke, e2e)
  * - className: string (optional) - Override generated class name
  * - packageName: string (optional) - Override package name
+ * - profile: string (optional) - Framework profile id (see /api/framework-profiles)
+ * - repositoryPath: string (optional) - Test repository to compile-check against
+ *   (default: the repository last indexed for RAG)
  */
 router.post('/generate', async (req, res) => {
-  const startTime = Date.now();
-
   try {
     const {
       scenario,
@@ -52,6 +59,8 @@ router.post('/generate', async (req, res) => {
       packageName,
       precondition,
       fastSeekSeconds = null,  // Fast seek time in seconds for precondition duration (e.g., 10 for quick testing)
+      profile,
+      repositoryPath,
       debug = false
     } = req.body;
 
@@ -62,220 +71,414 @@ router.post('/generate', async (req, res) => {
       });
     }
 
-    logger.info(`Multi-agent generation started for: "${scenario.substring(0, 50)}..."`);
+    const { run, result } = await multiAgentPipelineService.generate({
+      scenario,
+      platform,
+      brand,
+      includeLogin,
+      testType,
+      className,
+      packageName,
+      precondition,
+      fastSeekSeconds,
+      profile,
+      repositoryPath
+    });
+
+    sendRunResult(res, run, result, debug);
+  } catch (error) {
+    logger.error('Multi-agent generation error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      stage: 'unknown'
+    });
+  }
+});
+
+/**
+ * Generate a complete test, streaming progress as Server-Sent Events
+ * POST /api/multi-agent/generate/stream
+ *
+ * Same body as /generate. Emits `run`, `stage` (started/completed with the
+ * stage output), `screenPath` and `step` (each mapped step with confidence)
+ * events, then a final `complete` event with the /generate response or an
+ * `error` event. Closing the connection cancels the run.
+ */
+router.post('/generate/stream', async (req, res) => {
+  const {
+    scenario,
+    platform,
+    brand,
+    includeLogin = true,
+    testType = 'functional',
+    className,
+    packageName,
+    precondition,
+    fastSeekSeconds = null,
+    profile,
+    repositoryPath,
+    debug = false
+  } = req.body;
+
+  if (!scenario) {
+    return res.status(400).json({
+      success: false,
+      error: 'scenario is required'
+    });
+  }
 
-    // Initialize agents if needed
-    await initializeAgents();
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-    const pipelineResults = {
-      input: { scenario, platform, brand, precondition, fastSeekSeconds },
-      stages: {}
-    };
+  const sendEvent = (type, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
 
-    // ========== STAGE 1: Decompose Scenario ==========
-    logger.debug('Stage 1: Scenario Decomposition');
-    const decomposition = await scenarioDecomposerAgent.decompose(scenario, {
+  // Client went away (e.g. aborted from the UI) - stop the pipeline
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const { run, result } = await multiAgentPipelineService.generate({
+      scenario,
       platform,
       brand,
       includeLogin,
-      precondition
+      testType,
+      className,
+      packageName,
+      precondition,
+      fastSeekSeconds,
+      profile,
+      repositoryPath
+    }, {
+      onEvent: sendEvent,
+      signal: controller.signal
     });
 
-    if (!decomposition.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Scenario decomposition failed',
-        details: decomposition.error,
-        stage: 'decomposition'
-      });
+    if (result.success) {
+      sendEvent('complete', multiAgentPipelineService.buildResponse(run, { debug }));
+    } else {
+      sendEvent('error', { success: false, runId: run.id, ...result });
     }
+  } catch (error) {
+    logger.error('Multi-agent streaming generation error:', error);
+    sendEvent('error', { success: false, error: error.message, stage: 'unknown' });
+  }
 
-    pipelineResults.stages.decomposition = {
-      success: true,
-      stepsCount: decomposition.steps?.length || 0,
-      method: decomposition.decomposition_method,
-      learnedPatternsUsed: decomposition.learned_patterns_used || 0
-    };
+  res.end();
+});
 
-    // ========== STAGE 1.5: Build Screen Path ==========
-    logger.debug('Stage 1.5: Building Screen Path');
-    screenPathTracker.reset();
-    const screenPath = screenPathTracker.buildPath(decomposition.steps || []);
+// ============ Pipeline Runs ============
 
-    pipelineResults.stages.screenPath = {
-      success: true,
-      path: screenPath.map(p => p.screen),
-      pathLength: screenPath.length
-    };
+/**
+ * List stored pipeline runs (newest first)
+ * GET /api/multi-agent/runs
+ *
+ * Query:
+ * - status: string (optional) - Filter by status (running, completed, failed, cancelled, interrupted)
+ * - limit: number (optional) - Max runs to return (default 50, max 200)
+ * - offset: number (optional) - Pagination offset
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    const { status, limit, offset } = req.query;
+    const { total, runs } = await multiAgentPipelineService.listRuns({ status, limit, offset });
 
-    // ========== STAGE 2: Map Actions to Methods ==========
-    logger.debug('Stage 2: Action Mapping');
-    const mappingResult = await actionMapperAgent.mapSteps(decomposition, {
-      platform,
-      brand,
-      screenPathTracker,  // Pass tracker for context-aware mapping
-      fastSeekSeconds     // Pass fast seek option for duration actions (null = use actual duration)
+    res.json({
+      success: true,
+      total,
+      runs
     });
+  } catch (error) {
+    logger.error('List pipeline runs error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!mappingResult.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Action mapping failed',
-        details: mappingResult.error,
-        stage: 'mapping',
-        decomposition: debug ? decomposition : undefined
-      });
+/**
+ * Get a stored pipeline run with every stage's output
+ * GET /api/multi-agent/runs/:runId
+ */
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    const run = await multiAgentPipelineService.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
     }
 
-    pipelineResults.stages.mapping = {
+    res.json({
       success: true,
-      mapped: mappingResult.statistics?.mapped || 0,
-      unmapped: mappingResult.statistics?.unmapped || 0,
-      mappingRate: mappingResult.statistics?.mappingRate,
-      averageConfidence: mappingResult.statistics?.averageConfidence
-    };
-
-    // ========== STAGE 3: Build Prerequisites ==========
-    logger.debug('Stage 3: Prerequisite Building');
-    const prerequisites = await prerequisiteBuilderAgent.buildPrerequisites(
-      mappingResult,
-      {
-        platform,
-        brand,
-        includeLogin,
-        targetScreen: decomposition.primary_screen || decomposition.primaryScreen,
-        fastSeekSeconds  // Pass for dynamic seek time in MQE patterns
-      }
-    );
+      run: run.toJSON()
+    });
+  } catch (error) {
+    logger.error('Get pipeline run error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!prerequisites.success) {
-      return res.status(500).json({
+/**
+ * Re-run a stored pipeline from a chosen stage
+ * POST /api/multi-agent/runs/:runId/rerun
+ *
+ * Upstream stage outputs are reused from the stored run, so their LLM calls
+ * are not repeated. The result is stored as a new run linked via parentRunId.
+ *
+ * Body:
+ * - stage: string (required) - decomposition | mapping | prerequisites | composition | validation | componentGeneration
+ * - output: object (optional) - Edited output for `stage`. When given, only the
+ *   stages after it are executed; otherwise `stage` itself is executed again.
+ * - debug: boolean (optional) - Include stage outputs in the response
+ */
+router.post('/runs/:runId/rerun', async (req, res) => {
+  try {
+    const { stage, output, debug = false } = req.body;
+
+    if (!stage) {
+      return res.status(400).json({
         success: false,
-        error: 'Prerequisite building failed',
-        details: prerequisites.error,
-        stage: 'prerequisites',
-        decomposition: debug ? decomposition : undefined,
-        mapping: debug ? mappingResult : undefined
+        error: 'stage is required'
       });
     }
 
-    pipelineResults.stages.prerequisites = {
+    const rerun = await multiAgentPipelineService.rerun(req.params.runId, { stage, output });
+    if (!rerun) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+
+    sendRunResult(res, rerun.run, rerun.result, debug);
+  } catch (error) {
+    logger.error('Pipeline rerun error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Write a run's generated code back into the repository
+ * POST /api/multi-agent/runs/:runId/patch
+ *
+ * Inserts generated methods into their Screen classes, appends locator keys
+ * to the matching .properties files and adds the test class in its package.
+ * Refuses (409) if a target file changed since the repository was indexed.
+ *
+ * Body:
+ * - repositoryPath: string (optional) - Target repository (default: the run's / last indexed repository)
+ * - dryRun: boolean (optional) - Only return the unified diff (default true)
+ * - branchName: string (optional) - Branch to commit to (default: qa-copilot/<test-class>-<run>)
+ * - commitMessage: string (optional) - Commit message
+ */
+router.post('/runs/:runId/patch', async (req, res) => {
+  try {
+    const { repositoryPath, dryRun = true, branchName, commitMessage } = req.body;
+
+    const run = await multiAgentPipelineService.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+
+    const patch = dryRun
+      ? await repositoryPatchService.previewPatch(run, { repositoryPath })
+      : await repositoryPatchService.applyPatch(run, { repositoryPath, branchName, commitMessage });
+
+    res.json({
       success: true,
-      targetScreen: prerequisites.targetScreen,
-      screensInPath: prerequisites.screenChain?.length || 0,
-      importsCount: prerequisites.prerequisites?.imports?.length || 0
-    };
-
-    // ========== STAGE 4: Compose Test ==========
-    logger.debug('Stage 4: Test Composition');
-    const composedTest = await testComposerAgent.composeTest(
-      { title: scenario, description: '' },
-      decomposition,
-      mappingResult,
-      prerequisites,
-      {
-        className,
-        packageName,
-        platform,
-        brand,
-        testType
-      }
-    );
+      dryRun,
+      ...patch
+    });
+  } catch (error) {
+    logger.error('Pipeline patch error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      changedFiles: error.changedFiles
+    });
+  }
+});
+
+// ============ Batch Generation ============
 
-    if (!composedTest.success) {
-      return res.status(500).json({
+/**
+ * Generate a Java test suite from a whole TestRail section
+ * POST /api/multi-agent/batch
+ *
+ * Queues a job that runs every case of the section through the pipeline.
+ * Returns immediately; poll GET /batch/:jobId for per-case status.
+ *
+ * Body:
+ * - projectId: number (required) - TestRail project
+ * - suiteId: number (required) - TestRail suite
+ * - sectionId: number (optional) - TestRail section (whole suite if omitted)
+ * - concurrency: number (optional) - Cases processed in parallel (1-5, default 2)
+ * - limit: number (optional) - Max cases to fetch (default: every case of the section)
+ * - platform, brand, packageName, testType, includeLogin, fastSeekSeconds, profile, repositoryPath (optional) - Pipeline options
+ * - generateComponents: boolean (optional) - Also generate stubs for unmapped steps and unresolved calls (default false)
+ */
+router.post('/batch', async (req, res) => {
+  try {
+    const {
+      projectId,
+      suiteId,
+      sectionId,
+      concurrency,
+      limit,
+      platform,
+      brand,
+      packageName,
+      testType,
+      includeLogin,
+      fastSeekSeconds,
+      profile,
+      repositoryPath,
+      generateComponents
+    } = req.body;
+
+    if (!projectId || !suiteId) {
+      return res.status(400).json({
         success: false,
-        error: 'Test composition failed',
-        details: composedTest.error,
-        stage: 'composition',
-        decomposition: debug ? decomposition : undefined,
-        mapping: debug ? mappingResult : undefined,
-        prerequisites: debug ? prerequisites : undefined
+        error: 'projectId and suiteId are required'
       });
     }
 
-    pipelineResults.stages.composition = {
+    // Only forward options that were actually provided so pipeline defaults apply
+    const options = Object.fromEntries(
+      Object.entries({ platform, brand, packageName, testType, includeLogin, fastSeekSeconds, profile, repositoryPath, generateComponents })
+        .filter(([, value]) => value !== undefined)
+    );
+
+    const job = await batchGenerationService.createJob({
+      projectId,
+      suiteId,
+      sectionId,
+      concurrency,
+      limit,
+      options
+    });
+
+    res.status(202).json({
       success: true,
-      className: composedTest.className,
-      linesOfCode: composedTest.code.split('\n').length,
-      warnings: composedTest.warnings?.length || 0
-    };
-
-    // ========== STAGE 5: Generate Components for Unmapped Actions ==========
-    let generatedComponents = null;
-    if (mappingResult.unmapped && mappingResult.unmapped.length > 0) {
-      logger.debug('Stage 5: Component Generation');
-      try {
-        await componentGeneratorAgent.initialize();
-        generatedComponents = await componentGeneratorAgent.generateComponents(
-          mappingResult.unmapped,
-          {
-            platform,
-            brand,
-            targetScreen: prerequisites.targetScreen
-          }
-        );
-
-        pipelineResults.stages.componentGeneration = {
-          success: true,
-          methodsGenerated: generatedComponents.newMethods?.length || 0,
-          locatorsGenerated: generatedComponents.newLocators?.length || 0,
-          propertiesGenerated: generatedComponents.newProperties?.length || 0
-        };
-      } catch (error) {
-        logger.warn(`Component generation failed: ${error.message}`);
-        pipelineResults.stages.componentGeneration = {
-          success: false,
-          error: error.message
-        };
-      }
+      job: job.toJSON()
+    });
+  } catch (error) {
+    logger.error('Batch job creation error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * List batch jobs (newest first)
+ * GET /api/multi-agent/batch
+ *
+ * Query:
+ * - status: string (optional) - queued, running, completed, failed, cancelled
+ * - limit, offset: number (optional) - Pagination
+ */
+router.get('/batch', async (req, res) => {
+  try {
+    const { status, limit, offset } = req.query;
+    const { total, jobs } = await batchGenerationService.listJobs({ status, limit, offset });
+
+    res.json({
+      success: true,
+      total,
+      jobs
+    });
+  } catch (error) {
+    logger.error('List batch jobs error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get a batch job with per-case status
+ * GET /api/multi-agent/batch/:jobId
+ */
+router.get('/batch/:jobId', async (req, res) => {
+  try {
+    const job = await batchGenerationService.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Batch job not found' });
     }
 
-    // Calculate total time
-    const totalTime = Date.now() - startTime;
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    logger.error('Get batch job error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    logger.info(`Multi-agent generation completed in ${totalTime}ms`);
+/**
+ * Summary report for a batch job (mapping rates, most common unmapped steps)
+ * GET /api/multi-agent/batch/:jobId/report
+ */
+router.get('/batch/:jobId/report', async (req, res) => {
+  try {
+    const report = await batchGenerationService.getReport(req.params.jobId);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Batch job not found' });
+    }
 
-    // Return results
     res.json({
       success: true,
-      code: composedTest.code,
-      className: composedTest.className,
-      fullClassName: composedTest.fullClassName,
-      metadata: {
-        ...composedTest.metadata,
-        precondition: precondition || null
-      },
-      warnings: composedTest.warnings,
-      // Missing actions that need to be added to Knowledge Base
-      missingActions: mappingResult.missingActions || [],
-      unmappedActions: composedTest.unmappedActions,
-      generatedComponents: generatedComponents ? {
-        newMethods: generatedComponents.newMethods,
-        newProperties: generatedComponents.newProperties,
-        newLocators: generatedComponents.newLocators,
-        statistics: generatedComponents.statistics
-      } : null,
-      pipeline: pipelineResults,
-      timing: {
-        totalMs: totalTime
-      },
-      // Debug info (if requested)
-      debug: debug ? {
-        decomposition,
-        mapping: mappingResult,
-        prerequisites,
-        generatedComponents
-      } : undefined
+      report
     });
+  } catch (error) {
+    logger.error('Batch report error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Generated Java test classes of a batch job (one per completed case)
+ * GET /api/multi-agent/batch/:jobId/files
+ */
+router.get('/batch/:jobId/files', async (req, res) => {
+  try {
+    const files = await batchGenerationService.getGeneratedFiles(req.params.jobId);
 
+    res.json({
+      success: true,
+      count: files.length,
+      files
+    });
   } catch (error) {
-    logger.error('Multi-agent generation error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      stage: 'unknown'
+    logger.error('Batch files error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Cancel a queued or running batch job
+ * POST /api/multi-agent/batch/:jobId/cancel
+ */
+router.post('/batch/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await batchGenerationService.cancelJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Batch job not found' });
+    }
+
+    res.json({
+      success: true,
+      job: job.toJSON()
     });
+  } catch (error) {
+    logger.error('Batch cancel error:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -309,10 +512,15 @@ router.get('/info', (req, res) => {
         role: 'Assemble complete test classes',
         features: ['testng-annotations', 'javadoc', 'code-formatting']
       },
+      {
+        name: 'CodeValidatorAgent',
+        role: 'Compile-check generated tests against the repository symbol table',
+        features: ['tree-sitter', 'arity-check', 'nearest-match-suggestions']
+      },
       {
         name: 'ComponentGeneratorAgent',
-        role: 'Generate new methods and locators for unmapped actions',
-        features: ['smart-locators', 'pattern-learning', 'multi-platform']
+        role: 'Generate new methods and locators for unmapped actions and unresolved calls',
+        features: ['smart-locators', 'pattern-learning', 'multi-platform', 'stub-generation']
       }
     ],
     supportedPlatforms: ['ctv', 'mobile', 'web', 'html5', 'hdmi'],
@@ -353,7 +561,7 @@ router.post('/map', async (req, res) => {
  */
 router.post('/prerequisites', async (req, res) => {
   try {
-    const { mappingResult, platform, brand, includeLogin, targetScreen } = req.body;
+    const { mappingResult, platform, brand, includeLogin, targetScreen, profile } = req.body;
 
     if (!mappingResult) {
       return res.status(400).json({
@@ -367,13 +575,14 @@ router.post('/prerequisites', async (req, res) => {
       platform,
       brand,
       includeLogin,
-      targetScreen
+      targetScreen,
+      profile
     });
 
     res.json(result);
   } catch (error) {
     logger.error('Prerequisite building error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -392,7 +601,8 @@ router.post('/compose', async (req, res) => {
       packageName,
       platform,
       brand,
-      testType
+      testType,
+      profile
     } = req.body;
 
     if (!scenario || !decomposition || !mappingResult || !prerequisites) {
@@ -408,23 +618,59 @@ router.post('/compose', async (req, res) => {
       decomposition,
       mappingResult,
       prerequisites,
-      { className, packageName, platform, brand, testType }
+      { className, packageName, platform, brand, testType, profile }
     );
 
     res.json(result);
   } catch (error) {
     logger.error('Test composition error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Code Validator - Compile-check a composed test against a repository
+ * POST /api/multi-agent/validate
+ *
+ * Body:
+ * - code: string (required) - Generated Java test class
+ * - repositoryPath: string (required) - Test repository to build the symbol table from
+ * - profile: string (optional) - Framework profile (screen accessor → class mapping)
+ * - refresh: boolean (optional) - Rebuild the cached symbol table
+ */
+router.post('/validate', async (req, res) => {
+  try {
+    const { code, repositoryPath, profile, refresh = false } = req.body;
+
+    if (!code || !repositoryPath) {
+      return res.status(400).json({
+        success: false,
+        error: 'code and repositoryPath are required'
+      });
+    }
+
+    await codeValidatorAgent.initialize();
+    const result = await codeValidatorAgent.validate({ code, profile }, { repositoryPath, refresh });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Code validation error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
 /**
  * Component Generator - Generate code for unmapped actions
  * POST /api/multi-agent/generate-components
+ *
+ * Body:
+ * - unmappedActions: array (required) - Unmapped actions (may be empty when stubs are given)
+ * - stubs: array (optional) - Unresolved calls from /validate to create stub methods for
+ * - platform, brand, targetScreen (optional)
  */
 router.post('/generate-components', async (req, res) => {
   try {
-    const { unmappedActions, platform, brand, targetScreen } = req.body;
+    const { unmappedActions, stubs = [], platform, brand, targetScreen } = req.body;
 
     if (!unmappedActions || !Array.isArray(unmappedActions)) {
       return res.status(400).json({
@@ -436,7 +682,7 @@ router.post('/generate-components', async (req, res) => {
     await componentGeneratorAgent.initialize();
     const result = await componentGeneratorAgent.generateComponents(
       unmappedActions,
-      { platform, brand, targetScreen }
+      { platform, brand, targetScreen, stubs }
     );
 
     // Also return formatted code
@@ -458,11 +704,11 @@ router.post('/generate-components', async (req, res) => {
  */
 router.post('/initialize', async (req, res) => {
   try {
-    await initializeAgents();
+    await multiAgentPipelineService.initializeAgents();
     res.json({
       success: true,
       message: 'All agents initialized',
-      agents: ['ScenarioDecomposer', 'ActionMapper', 'PrerequisiteBuilder', 'TestComposer', 'ComponentGenerator']
+      agents: ['ScenarioDecomposer', 'ActionMapper', 'PrerequisiteBuilder', 'TestComposer', 'CodeValidator', 'ComponentGenerator']
     });
   } catch (error) {
     logger.error('Agent initialization error:', error);
@@ -483,6 +729,7 @@ router.get('/stats', async (req, res) => {
         actionMapper: actionMapperAgent.getStats(),
         prerequisiteBuilder: prerequisiteBuilderAgent.getStats(),
         testComposer: testComposerAgent.getStats(),
+        codeValidator: codeValidatorAgent.getStats(),
         componentGenerator: componentGeneratorAgent.getStats()
       }
     });
@@ -492,15 +739,22 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Helper function to initialize all agents
-async function initializeAgents() {
-  await Promise.all([
-    scenarioDecomposerAgent.initialize ? scenarioDecomposerAgent.initialize() : Promise.resolve(),
-    actionMapperAgent.initialize(),
-    prerequisiteBuilderAgent.initialize(),
-    testComposerAgent.initialize(),
-    componentGeneratorAgent.initialize()
-  ]);
+// Helper function to send a finished (or failed) pipeline run
+function sendRunResult(res, run, result, debug) {
+  if (!result.success) {
+    return res.status(500).json({
+      success: false,
+      runId: run.id,
+      error: result.error,
+      details: result.details,
+      stage: result.stage,
+      decomposition: debug ? run.decomposition : undefined,
+      mapping: debug ? run.mappingResult : undefined,
+      prerequisites: debug ? run.prerequisites : undefined
+    });
+  }
+
+  res.json(multiAgentPipelineService.buildResponse(run, { debug }));
 }
 
 export default router;
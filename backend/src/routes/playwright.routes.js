@@ -5,7 +5,9 @@ import {
   learnPatterns,
   generateTest,
   saveTest,
-  openInIDE
+  openInIDE,
+  runTest,
+  getRunArtifact
 } from '../controllers/playwrightController.js';
 
 const router = express.Router();
@@ -28,4 +30,10 @@ router.post('/save', saveTest);
 // Open file in IDE
 router.post('/open-ide', openInIDE);
 
+// Run a saved test (headless Chromium) and report results
+router.post('/run', runTest);
+
+// Trace/screenshots of a run
+router.get('/runs/:runId/artifacts/*', getRunArtifact);
+
 export default router;
\ No newline at end of file
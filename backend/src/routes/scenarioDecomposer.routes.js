@@ -55,7 +55,7 @@ router.post('/decompose', async (req, res) => {
     }
 
     // Initialize if not already done
-    if (!scenarioDecomposerAgent.openRouterService) {
+    if (!scenarioDecomposerAgent.llm) {
       await scenarioDecomposerAgent.initialize();
     }
 
@@ -95,7 +95,7 @@ router.post('/decompose-batch', async (req, res) => {
     }
 
     // Initialize if not already done
-    if (!scenarioDecomposerAgent.openRouterService) {
+    if (!scenarioDecomposerAgent.llm) {
       await scenarioDecomposerAgent.initialize();
     }
 
@@ -122,6 +122,87 @@ router.post('/decompose-batch', async (req, res) => {
   }
 });
 
+/**
+ * Decompose Gherkin scenarios (.feature content or bare Given/When/Then)
+ * POST /api/scenario-decomposer/decompose-gherkin
+ *
+ * Body:
+ * - feature: string (required) - Gherkin source
+ * - outlineMode: string (optional) - 'expand' (one decomposition per Examples row, default)
+ *   or 'dataProvider' (one decomposition composed as a TestNG DataProvider test)
+ * - platform, brand, includeLogin, forceAI, confidenceThreshold - As for /decompose
+ *
+ * Given steps become preconditions, When steps actions and Then steps verifications.
+ */
+router.post('/decompose-gherkin', async (req, res) => {
+  try {
+    const { feature, outlineMode = 'expand', platform, brand, includeLogin, forceAI, confidenceThreshold } = req.body;
+
+    if (!feature) {
+      return res.status(400).json({
+        success: false,
+        error: 'feature is required'
+      });
+    }
+
+    if (!['expand', 'dataProvider'].includes(outlineMode)) {
+      return res.status(400).json({
+        success: false,
+        error: "outlineMode must be 'expand' or 'dataProvider'"
+      });
+    }
+
+    // Initialize if not already done
+    if (!scenarioDecomposerAgent.llm) {
+      await scenarioDecomposerAgent.initialize();
+    }
+
+    const result = await scenarioDecomposerAgent.decomposeGherkin(feature, {
+      outlineMode,
+      platform,
+      brand,
+      includeLogin,
+      forceAI,
+      confidenceThreshold
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Gherkin decomposition error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Export decompositions as a .feature file
+ * POST /api/scenario-decomposer/export-feature
+ *
+ * Body:
+ * - decompositions: object|array (required) - Decomposition result(s)
+ * - feature: string (optional) - Feature name
+ * - tags: string[] (optional) - Feature tags
+ */
+router.post('/export-feature', (req, res) => {
+  try {
+    const { decompositions, feature, tags } = req.body;
+
+    if (!decompositions || (Array.isArray(decompositions) && decompositions.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'decompositions is required'
+      });
+    }
+
+    res.json({
+      success: true,
+      feature: scenarioDecomposerAgent.exportFeature(decompositions, { feature, tags })
+    });
+  } catch (error) {
+    logger.error('Feature export error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Validate decomposed steps for logical consistency
  * POST /api/scenario-decomposer/validate
@@ -164,7 +245,8 @@ router.get('/info', (req, res) => {
     capabilities: {
       standardActions: scenarioDecomposerAgent.standardActions,
       testTypes: Object.keys(scenarioDecomposerAgent.testTypeKeywords),
-      platforms: ['ctv', 'mobile', 'web']
+      platforms: ['ctv', 'mobile', 'web'],
+      inputFormats: ['text', 'gherkin']
     }
   });
 });
@@ -0,0 +1,116 @@
+/**
+ * Screen Graph Routes
+ *
+ * Screen navigation graph learned from the indexed test repository
+ * (used by PrerequisiteBuilderAgent for navigation paths).
+ */
+
+import { Router } from 'express';
+import { screenGraphService, toScreenKey } from '../services/screenGraphService.js';
+import { prerequisiteBuilderAgent } from '../agents/prerequisiteBuilderAgent.js';
+import { logger } from '../utils/logger.js';
+
+const router = Router();
+
+/**
+ * Get the learned screen graph
+ * GET /api/screen-graph
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { nodes, edges } = await screenGraphService.getGraph();
+
+    res.json({
+      success: true,
+      stats: {
+        screens: nodes.length,
+        edges: edges.length,
+        transitions: edges.reduce((sum, edge) => sum + edge.weight, 0)
+      },
+      nodes,
+      edges
+    });
+  } catch (error) {
+    logger.error('Get screen graph error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Find the navigation path between two screens
+ * GET /api/screen-graph/path?from=app_launch&to=player
+ *
+ * Query:
+ * - from: string (optional) - Start screen (default: app_launch)
+ * - to: string (required) - Target screen
+ */
+router.get('/path', async (req, res) => {
+  try {
+    const { from = 'app_launch', to } = req.query;
+
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        error: 'to is required'
+      });
+    }
+
+    const learnedGraph = await screenGraphService.getGraph();
+    const path = prerequisiteBuilderAgent.findNavigationPath(from, to, learnedGraph);
+
+    res.json({
+      success: true,
+      path,
+      learned: !!prerequisiteBuilderAgent.findLearnedPath(toScreenKey(from), toScreenKey(to), learnedGraph),
+      navigationSteps: prerequisiteBuilderAgent.buildNavigationSteps(path, learnedGraph)
+    });
+  } catch (error) {
+    logger.error('Find screen path error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Learn the graph from a repository's test files (replaces the learned graph)
+ * POST /api/screen-graph/learn
+ *
+ * Body:
+ * - repositoryPath: string (required) - Path to the test repository
+ */
+router.post('/learn', async (req, res) => {
+  try {
+    const { repositoryPath } = req.body;
+
+    if (!repositoryPath) {
+      return res.status(400).json({
+        success: false,
+        error: 'repositoryPath is required'
+      });
+    }
+
+    const stats = await screenGraphService.learnFromRepository(repositoryPath);
+    res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    logger.error('Learn screen graph error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Clear the learned graph (navigation falls back to the default graph)
+ * DELETE /api/screen-graph
+ */
+router.delete('/', async (req, res) => {
+  try {
+    await screenGraphService.reset();
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Clear screen graph error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -9,3 +9,12 @@ testRailRouter.get('/suites/:projectId', controller.getSuites.bind(controller));
 testRailRouter.get('/sections/:projectId/:suiteId', controller.getSections.bind(controller));
 testRailRouter.get('/test-cases/:projectId/:suiteId', controller.getTestCases.bind(controller));
 testRailRouter.post('/test-case', controller.createTestCase.bind(controller));
+testRailRouter.put('/test-case/:caseId', controller.updateTestCase.bind(controller));
+testRailRouter.post('/runs', controller.createRun.bind(controller));
+testRailRouter.post('/runs/:runId/results', controller.addResults.bind(controller));
+testRailRouter.post('/runs/:runId/close', controller.closeRun.bind(controller));
+testRailRouter.post('/plans', controller.createPlan.bind(controller));
+testRailRouter.post('/results/import', controller.importResults.bind(controller));
+testRailRouter.post('/duplicates/index', controller.indexDuplicates.bind(controller));
+testRailRouter.post('/duplicates/check', controller.checkDuplicates.bind(controller));
+testRailRouter.get('/duplicates/:projectId/:suiteId', controller.getDuplicateClusters.bind(controller));
@@ -0,0 +1,76 @@
+/**
+ * Traceability Routes
+ *
+ * Requirements traceability matrix for a sprint or fix version:
+ * Jira acceptance criteria → TestRail cases → automated Java tests, with gaps
+ */
+
+import { Router } from 'express';
+import { traceabilityService } from '../services/traceabilityService.js';
+import { formatTraceabilityCsv, formatTraceabilityHtml } from '../utils/traceabilityReport.js';
+import { extractJiraConfigFromHeaders } from '../utils/jiraUtils.js';
+import { logger } from '../utils/logger.js';
+
+const router = Router();
+
+function reportParams(req) {
+  const { sprintId, fixVersion, projectKey, projectId, suiteId, repoPath } = req.query;
+  return {
+    sprintId: sprintId || null,
+    fixVersion: fixVersion || null,
+    projectKey: projectKey || null,
+    projectId: projectId ? parseInt(projectId, 10) : null,
+    suiteId: suiteId ? parseInt(suiteId, 10) : null,
+    repoPath: repoPath || null,
+    jiraConfig: extractJiraConfigFromHeaders(req)
+  };
+}
+
+/**
+ * Build the traceability matrix
+ * GET /api/traceability/report
+ *
+ * Query:
+ * - sprintId: number - Jira sprint (or fixVersion + projectKey)
+ * - fixVersion: string - Jira fix version name
+ * - projectKey: string - Jira project (required with fixVersion)
+ * - projectId, suiteId: number (optional) - TestRail suite whose cases reference the tickets
+ * - repoPath: string (optional) - Java test repository to check for automation
+ */
+router.get('/report', async (req, res) => {
+  try {
+    const report = await traceabilityService.buildReport(reportParams(req));
+    res.json({ success: true, ...report });
+  } catch (error) {
+    logger.error('Traceability report error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Download the traceability matrix
+ * GET /api/traceability/export?format=csv|html (other query as for /report)
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'html'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be csv or html' });
+    }
+
+    const report = await traceabilityService.buildReport(reportParams(req));
+    const scope = report.scope.sprintId ? `sprint-${report.scope.sprintId}` : `${report.scope.projectKey}-${report.scope.fixVersion}`;
+    const filename = `traceability-${scope.replace(/[^\w.-]+/g, '_')}.${format}`;
+
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'text/html; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(format === 'csv' ? formatTraceabilityCsv(report) : formatTraceabilityHtml(report));
+  } catch (error) {
+    logger.error('Traceability export error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,146 @@
+/**
+ * Usage Routes
+ *
+ * LLM token and cost accounting: totals and breakdowns per day, user,
+ * workflow, pipeline run, task, provider and model, the individual ledger
+ * entries, the price table, the daily spending budgets and the LLM prompt
+ * response cache.
+ */
+
+import { Router } from 'express';
+import { usageLedgerService, USAGE_GROUPS } from '../services/usageLedgerService.js';
+import { llmGateway, LLM_TASKS } from '../services/llmGateway.js';
+import { logger } from '../utils/logger.js';
+
+const router = Router();
+
+function usageFilters(req) {
+  const { from, to, userId, workflowId, pipelineRunId, task, provider, status } = req.query;
+  return { from, to, userId, workflowId, pipelineRunId, task, provider, status };
+}
+
+/**
+ * Totals for a period/scope
+ * GET /api/usage/summary
+ *
+ * Query (all optional):
+ * - from, to: ISO dates bounding the calls
+ * - userId, workflowId, pipelineRunId, task, provider: restrict to one value
+ */
+router.get('/summary', async (req, res) => {
+  try {
+    const summary = await usageLedgerService.getSummary(usageFilters(req));
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    logger.error('Usage summary error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Totals grouped by one dimension, e.g. cost per pipeline run (generated test)
+ * GET /api/usage/breakdown?groupBy=day|user|workflow|pipelineRun|task|provider|model
+ *
+ * Query: filters as for /summary, plus limit (default 50)
+ */
+router.get('/breakdown', async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'day';
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const groups = await usageLedgerService.getBreakdown(groupBy, usageFilters(req), limit);
+    res.json({ success: true, groupBy, groups, groupings: Object.keys(USAGE_GROUPS) });
+  } catch (error) {
+    logger.error('Usage breakdown error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Individual ledger entries, newest first
+ * GET /api/usage/calls?limit=100&offset=0 (filters as for /summary, plus status)
+ */
+router.get('/calls', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const result = await usageLedgerService.getCalls(usageFilters(req), { limit, offset });
+    res.json({ success: true, ...result, limit, offset });
+  } catch (error) {
+    logger.error('Usage calls error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Price table used for cost estimates (USD per million tokens)
+ * GET /api/usage/prices
+ */
+router.get('/prices', (req, res) => {
+  res.json({ success: true, prices: usageLedgerService.getPrices() });
+});
+
+/**
+ * Daily budgets and today's spend against them
+ * GET /api/usage/budgets?userId=alice
+ */
+router.get('/budgets', async (req, res) => {
+  try {
+    const budgets = await usageLedgerService.getBudgets();
+    const status = await usageLedgerService.getBudgetStatus(req.query.userId || null);
+    res.json({ success: true, budgets, status });
+  } catch (error) {
+    logger.error('Usage budgets error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Set daily budgets in USD; null removes a saved budget
+ * PUT /api/usage/budgets
+ *
+ * Body: { daily?: number|null, userDefault?: number|null, users?: { [userId]: number|null } }
+ */
+router.put('/budgets', async (req, res) => {
+  try {
+    const { daily, userDefault, users } = req.body || {};
+    const budgets = await usageLedgerService.setBudgets({ daily, userDefault, users });
+    res.json({ success: true, budgets });
+  } catch (error) {
+    logger.error('Usage budgets update error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Prompt response cache: TTL, entries, hits, misses and tokens saved per task
+ * GET /api/usage/cache
+ */
+router.get('/cache', async (req, res) => {
+  try {
+    const cache = await llmGateway.getCacheStats();
+    res.json({ success: true, ...cache });
+  } catch (error) {
+    logger.error('Prompt cache stats error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Drop cached LLM responses
+ * DELETE /api/usage/cache?task=select-method (all tasks without task)
+ */
+router.delete('/cache', async (req, res) => {
+  try {
+    const { task } = req.query;
+    if (task && !LLM_TASKS.includes(task)) {
+      return res.status(400).json({ success: false, error: `Unknown LLM task "${task}"; use ${LLM_TASKS.join(', ')}` });
+    }
+    const removed = await llmGateway.invalidateCache(task ? [task] : null, 'cleared via API');
+    res.json({ success: true, removed });
+  } catch (error) {
+    logger.error('Prompt cache clear error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
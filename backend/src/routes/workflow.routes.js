@@ -1,9 +1,18 @@
 import express from 'express';
 import workflowOrchestrator from '../services/workflowOrchestrator.js';
+import { jiraWriteBackService } from '../services/jiraWriteBackService.js';
+import { extractJiraConfigFromHeaders } from '../utils/jiraUtils.js';
+import { setUsageContext } from '../services/usageLedgerService.js';
 import { logger } from '../utils/logger.js';
 
 export const workflowRouter = express.Router();
 
+// LLM calls made for a workflow are charged to it
+workflowRouter.param('workflowId', (req, res, next, workflowId) => {
+  setUsageContext({ workflowId });
+  next();
+});
+
 /**
  * Start a new workflow
  */
@@ -26,16 +35,6 @@ workflowRouter.post('/:workflowId/step', async (req, res) => {
     const { workflowId } = req.params;
     const { step, data } = req.body;
     
-    // Check if workflow exists, if not recreate it
-    try {
-      workflowOrchestrator.getWorkflow(workflowId);
-    } catch (error) {
-      // Workflow doesn't exist, recreate it
-      logger.info(`Recreating workflow ${workflowId} after server restart`);
-      const userId = workflowId.split('_')[2] || 'demo-user';
-      await workflowOrchestrator.recreateWorkflow(workflowId, userId);
-    }
-    
     let result;
     
     switch (step) {
@@ -63,6 +62,10 @@ workflowRouter.post('/:workflowId/step', async (req, res) => {
         result = await workflowOrchestrator.generateCypress(workflowId, data);
         break;
       
+      case 'complete':
+        result = await workflowOrchestrator.completeWorkflow(workflowId);
+        break;
+      
       default:
         throw new Error(`Unknown step: ${step}`);
     }
@@ -70,7 +73,7 @@ workflowRouter.post('/:workflowId/step', async (req, res) => {
     res.json(result);
   } catch (error) {
     logger.error(`Error executing step ${req.body.step}:`, error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -80,21 +83,86 @@ workflowRouter.post('/:workflowId/step', async (req, res) => {
 workflowRouter.get('/:workflowId', async (req, res) => {
   try {
     const { workflowId } = req.params;
-    const workflow = workflowOrchestrator.getWorkflow(workflowId);
+    const workflow = await workflowOrchestrator.getWorkflow(workflowId);
     res.json(workflow);
   } catch (error) {
     logger.error('Error getting workflow:', error);
-    res.status(404).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Resume a saved workflow (e.g. after a restart), returning its full state
+ */
+workflowRouter.post('/:workflowId/resume', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const result = await workflowOrchestrator.resumeWorkflow(workflowId);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error resuming workflow:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Record a generated artifact (test file, branch) for the Jira write-back
+ * Body: { type, path, branch, repoPath, url, title }
+ */
+workflowRouter.post('/:workflowId/artifacts', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const { type = 'testFile', path, branch, repoPath, url, title } = req.body;
+    if (!path && !branch && !url) {
+      return res.status(400).json({ error: 'path, branch or url is required' });
+    }
+    const artifacts = await workflowOrchestrator.recordArtifact(workflowId, { type, path, branch, repoPath, url, title });
+    res.json({ artifacts });
+  } catch (error) {
+    logger.error('Error recording workflow artifact:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Preview what would be written back to the workflow's Jira ticket
+ * Body: { comment, remoteLinks, label, transition } (label/transition false to skip)
+ */
+workflowRouter.post('/:workflowId/jira/preview', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const preview = await jiraWriteBackService.preview(workflowId, req.body, extractJiraConfigFromHeaders(req));
+    res.json(preview);
+  } catch (error) {
+    logger.error('Error previewing Jira write-back:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Write the comment, links, label and transition to the workflow's Jira ticket
+ * Body: as for preview, plus force to write again
+ */
+workflowRouter.post('/:workflowId/jira/apply', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const result = await jiraWriteBackService.apply(workflowId, req.body, extractJiraConfigFromHeaders(req));
+    res.json(result);
+  } catch (error) {
+    logger.error('Error writing back to Jira:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
- * Get all workflows for a user
+ * Get a user's workflow history, most recent first
+ * Query: status (e.g. in_progress, completed), limit, offset
  */
 workflowRouter.get('/user/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
-    const workflows = workflowOrchestrator.getUserWorkflows(userId);
+    const { status, limit, offset } = req.query;
+    const workflows = await workflowOrchestrator.getUserWorkflows(userId, { status, limit, offset });
     res.json(workflows);
   } catch (error) {
     logger.error('Error getting user workflows:', error);
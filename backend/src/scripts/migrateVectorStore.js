@@ -0,0 +1,67 @@
+/**
+ * Copy vector store collections between ChromaDB and the embedded SQLite store
+ *
+ * Usage:
+ *   npm run vector-store:migrate -- --from sqlite --to chroma
+ *   npm run vector-store:migrate -- --from chroma --to sqlite --collections atomic_actions,user_terminology --replace
+ *
+ * Options:
+ *   --from, --to     chroma | sqlite (required, must differ)
+ *   --collections    Comma-separated names (default: every collection in the source)
+ *   --chroma-host    ChromaDB URL (default CHROMA_URL, else http://localhost:8000)
+ *   --replace        Delete each target collection before copying instead of upserting
+ *   --batch-size     Records per read/write (default 500)
+ *   --dry-run        List what would be copied
+ */
+
+import { parseArgs } from 'util';
+import { ChromaVectorStore, getSqliteVectorStore, copyCollections, VECTOR_STORE_BACKENDS } from '../services/vectorStore.js';
+
+const { values } = parseArgs({
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    collections: { type: 'string' },
+    'chroma-host': { type: 'string' },
+    replace: { type: 'boolean', default: false },
+    'batch-size': { type: 'string', default: '500' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+function openStore(backend) {
+  return backend === 'chroma' ? new ChromaVectorStore(values['chroma-host']) : getSqliteVectorStore();
+}
+
+async function main() {
+  const { from, to } = values;
+  if (!VECTOR_STORE_BACKENDS.includes(from) || !VECTOR_STORE_BACKENDS.includes(to) || from === to) {
+    throw new Error(`--from and --to must be two different backends of ${VECTOR_STORE_BACKENDS.join(', ')}`);
+  }
+
+  const source = openStore(from);
+  const target = openStore(to);
+  await source.heartbeat();
+  await target.heartbeat();
+
+  const results = await copyCollections(source, target, {
+    collections: values.collections ? values.collections.split(',').map(name => name.trim()).filter(Boolean) : null,
+    replace: values.replace,
+    batchSize: parseInt(values['batch-size'], 10) || 500,
+    dryRun: values['dry-run']
+  });
+
+  for (const result of results) {
+    console.log(values['dry-run']
+      ? `${result.name}: ${result.records} records would be copied`
+      : `${result.name}: ${result.copied} records copied`);
+  }
+  console.log(`${results.length} collection${results.length === 1 ? '' : 's'} ${values['dry-run'] ? 'found' : 'migrated'} from ${from} to ${to}`);
+
+  getSqliteVectorStore().close();
+}
+
+main().catch(error => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+/**
+ * Re-embed vector store collections after changing their embedding provider
+ *
+ * Usage:
+ *   npm run embeddings:reembed
+ *   npm run embeddings:reembed -- --collections atomic_actions,methods --provider local
+ *
+ * Options:
+ *   --collections    Comma-separated names (default: every collection embedded
+ *                    with a provider other than its configured one)
+ *   --provider       local | openrouter | voyage (default: EMBEDDING_PROVIDER(S))
+ *   --backend        chroma | sqlite | auto (default VECTOR_STORE, else auto)
+ *   --chroma-host    ChromaDB URL (default CHROMA_URL, else http://localhost:8000)
+ *   --batch-size     Records per read/embed/write (default 100)
+ *   --dry-run        List what would be re-embedded
+ *
+ * Restart the backend afterwards so it reopens the replaced collections.
+ */
+
+import { parseArgs } from 'util';
+import { createVectorStore, getSqliteVectorStore } from '../services/vectorStore.js';
+import { getEmbeddingFunction, reembedCollection } from '../services/embeddingService.js';
+
+const { values } = parseArgs({
+  options: {
+    collections: { type: 'string' },
+    provider: { type: 'string' },
+    backend: { type: 'string' },
+    'chroma-host': { type: 'string' },
+    'batch-size': { type: 'string', default: '100' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+});
+
+async function main() {
+  const vectorStore = await createVectorStore({ backend: values.backend, chromaHost: values['chroma-host'] });
+  const collections = await vectorStore.listCollections();
+
+  const requested = values.collections
+    ? values.collections.split(',').map(name => name.trim()).filter(Boolean)
+    : null;
+  const selected = collections.filter(c => (requested
+    ? requested.includes(c.name)
+    : !c.name.endsWith('__reembed') && c.metadata?.embeddingProvider !== getEmbeddingFunction(c.name, values.provider).id));
+
+  const unknown = (requested || []).filter(name => !collections.some(c => c.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`No such collection in the ${vectorStore.backend} store: ${unknown.join(', ')}`);
+  }
+
+  if (selected.length === 0) {
+    console.log(`Every collection in the ${vectorStore.backend} store is embedded with its configured provider`);
+    return;
+  }
+
+  for (const collection of selected) {
+    const to = getEmbeddingFunction(collection.name, values.provider).id;
+    if (values['dry-run']) {
+      console.log(`${collection.name}: ${collection.metadata?.embeddingProvider || 'unrecorded provider'} → ${to}`);
+      continue;
+    }
+
+    const result = await reembedCollection(vectorStore, collection.name, {
+      provider: values.provider,
+      batchSize: parseInt(values['batch-size'], 10) || 100
+    });
+    console.log(`${result.name}: ${result.reembedded} records re-embedded (${result.from || 'unrecorded provider'} → ${result.to})`);
+  }
+
+  if (vectorStore.backend === 'sqlite') {
+    getSqliteVectorStore().close();
+  }
+}
+
+main().catch(error => {
+  console.error(`Re-embedding failed: ${error.message}`);
+  process.exit(1);
+});
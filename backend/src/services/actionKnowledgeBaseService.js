@@ -11,74 +11,21 @@
  * @see /docs/architecture/multi-agent-test-generation-architecture.md
  */
 
-import { ChromaClient } from 'chromadb';
+import { createVectorStore } from './vectorStore.js';
+import { openCollection } from './embeddingService.js';
+import { screenGraphService } from './screenGraphService.js';
+import { llmGateway, KNOWLEDGE_BASE_TASKS } from './llmGateway.js';
 import { logger } from '../utils/logger.js';
 import fs from 'fs/promises';
 import path from 'path';
-import OpenAI from 'openai';
 
-/**
- * Custom embedding function using OpenRouter
- * This avoids issues with the default ChromaDB embedding function on M1 Macs
- */
-class OpenRouterEmbeddingFunction {
-  constructor() {
-    const apiKey = (process.env.OPENROUTER_API_KEYS || process.env.OPENROUTER_API_KEY || '').split(/[,;\n]/)[0]?.trim();
-
-    if (apiKey && apiKey.startsWith('sk-or-')) {
-      this.client = new OpenAI({
-        apiKey,
-        baseURL: 'https://openrouter.ai/api/v1'
-      });
-      this.model = 'openai/text-embedding-3-small';
-      this.enabled = true;
-    } else {
-      this.enabled = false;
-      logger.warn('OpenRouter embedding function disabled - no API key found');
-    }
-  }
-
-  async generate(texts) {
-    if (!this.enabled) {
-      // Fallback: generate simple hash-based embeddings for testing
-      return texts.map(text => this.simpleHash(text));
-    }
-
-    try {
-      const response = await this.client.embeddings.create({
-        model: this.model,
-        input: texts
-      });
-
-      return response.data.map(item => item.embedding);
-    } catch (error) {
-      logger.error(`Embedding generation failed: ${error.message}`);
-      // Fallback to simple hash
-      return texts.map(text => this.simpleHash(text));
-    }
-  }
-
-  // Simple fallback embedding (not semantic, just for testing)
-  simpleHash(text) {
-    const embedding = new Array(384).fill(0);
-    const normalized = text.toLowerCase();
-
-    for (let i = 0; i < normalized.length; i++) {
-      const charCode = normalized.charCodeAt(i);
-      const idx = (i * 31 + charCode) % 384;
-      embedding[idx] += (charCode / 255);
-    }
-
-    // Normalize
-    const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0)) || 1;
-    return embedding.map(val => val / magnitude);
-  }
-}
+// Mappings the method selector stores from its own LLM answers; they do not
+// change what it would be asked
+const SELF_LEARNED_SOURCES = ['intelligent_selection', 'generated_new'];
 
 class ActionKnowledgeBaseService {
   constructor() {
-    this.chromaClient = null;
-    this.embeddingFunction = null;
+    this.vectorStore = null;
     this.collections = {
       atomicActions: null,
       compositeActions: null,
@@ -107,49 +54,20 @@ class ActionKnowledgeBaseService {
   }
 
   /**
-   * Initialize connection to ChromaDB and create collections
+   * Connect to the vector store (ChromaDB, or the embedded SQLite store when
+   * ChromaDB is not running) and create collections
    */
-  async initialize(chromaHost = 'http://localhost:8000') {
+  async initialize(chromaHost) {
     if (this.isInitialized) {
       return true;
     }
 
     try {
-      this.chromaClient = new ChromaClient({ path: chromaHost });
-
-      // Initialize custom embedding function
-      this.embeddingFunction = new OpenRouterEmbeddingFunction();
-
-      // Layer 1: Atomic Actions
-      this.collections.atomicActions = await this.chromaClient.getOrCreateCollection({
-        name: 'atomic_actions',
-        metadata: { description: 'Method-level action mappings' },
-        embeddingFunction: this.embeddingFunction
-      });
-
-      // Layer 2: Composite Actions
-      this.collections.compositeActions = await this.chromaClient.getOrCreateCollection({
-        name: 'composite_actions',
-        metadata: { description: 'Action chains and sequences' },
-        embeddingFunction: this.embeddingFunction
-      });
-
-      // Layer 3: User Terminology
-      this.collections.userTerminology = await this.chromaClient.getOrCreateCollection({
-        name: 'user_terminology',
-        metadata: { description: 'Learned domain-specific terminology' },
-        embeddingFunction: this.embeddingFunction
-      });
-
-      // Layer 4: Learned Decompositions (AI-generated, cached for reuse)
-      this.collections.learnedDecompositions = await this.chromaClient.getOrCreateCollection({
-        name: 'learned_decompositions',
-        metadata: { description: 'AI-learned scenario decomposition patterns' },
-        embeddingFunction: this.embeddingFunction
-      });
+      this.vectorStore = await createVectorStore({ chromaHost });
+      await this.openCollections();
 
       this.isInitialized = true;
-      logger.info('ActionKnowledgeBaseService initialized with 4 collections');
+      logger.info(`ActionKnowledgeBaseService initialized with 4 collections (${this.vectorStore.backend})`);
 
       return true;
     } catch (error) {
@@ -159,6 +77,32 @@ class ActionKnowledgeBaseService {
     }
   }
 
+  async openCollections() {
+    // Layer 1: Atomic Actions
+    this.collections.atomicActions = await openCollection(this.vectorStore, {
+      name: 'atomic_actions',
+      metadata: { description: 'Method-level action mappings' }
+    });
+
+    // Layer 2: Composite Actions
+    this.collections.compositeActions = await openCollection(this.vectorStore, {
+      name: 'composite_actions',
+      metadata: { description: 'Action chains and sequences' }
+    });
+
+    // Layer 3: User Terminology
+    this.collections.userTerminology = await openCollection(this.vectorStore, {
+      name: 'user_terminology',
+      metadata: { description: 'Learned domain-specific terminology' }
+    });
+
+    // Layer 4: Learned Decompositions (AI-generated, cached for reuse)
+    this.collections.learnedDecompositions = await openCollection(this.vectorStore, {
+      name: 'learned_decompositions',
+      metadata: { description: 'AI-learned scenario decomposition patterns' }
+    });
+  }
+
   // ============ LAYER 1: Atomic Actions ============
 
   /**
@@ -219,6 +163,9 @@ class ActionKnowledgeBaseService {
       });
 
       logger.debug(`Added atomic action: ${actionName} -> ${className}.${methodName}()`);
+      if (!SELF_LEARNED_SOURCES.includes(action.source)) {
+        await this.invalidateCachedPrompts('atomic action added');
+      }
       return { success: true, id };
     } catch (error) {
       // Check if it's a duplicate ID error
@@ -396,6 +343,9 @@ class ActionKnowledgeBaseService {
         metadatas: [updatedMeta]
       });
 
+      if (!SELF_LEARNED_SOURCES.includes(updates.source)) {
+        await this.invalidateCachedPrompts('atomic action updated');
+      }
       return { success: true, id };
     } catch (error) {
       logger.error(`Failed to update atomic action: ${error.message}`);
@@ -464,6 +414,7 @@ class ActionKnowledgeBaseService {
         }]
       });
 
+      await this.invalidateCachedPrompts('keywords enriched');
       return { success: true, keywords: updatedKeywords };
     } catch (error) {
       logger.error(`Failed to enrich keywords: ${error.message}`);
@@ -509,6 +460,7 @@ class ActionKnowledgeBaseService {
       });
 
       logger.debug(`Added composite action: ${actionName} with ${steps.length} steps`);
+      await this.invalidateCachedPrompts('composite action added');
       return { success: true, id };
     } catch (error) {
       if (error.message?.includes('already exists')) {
@@ -1003,8 +955,18 @@ class ActionKnowledgeBaseService {
       errors: []
     };
 
+    // Learn the screen navigation graph from the test files while scanning
+    const graphSession = screenGraphService.startLearning();
+
     try {
-      await this.scanForMethods(repositoryPath, stats);
+      await this.scanForMethods(repositoryPath, stats, '', graphSession);
+
+      try {
+        const graphStats = await graphSession.commit();
+        stats.screenTransitions = graphStats.edges;
+      } catch (error) {
+        stats.errors.push({ path: repositoryPath, error: `Screen graph: ${error.message}` });
+      }
 
       logger.info(`Method indexing complete: ${stats.actionsCreated} actions from ${stats.methodsFound} methods`);
       return { success: true, stats };
@@ -1017,7 +979,7 @@ class ActionKnowledgeBaseService {
   /**
    * Recursively scan directory for Java files
    */
-  async scanForMethods(dirPath, stats, relativePath = '') {
+  async scanForMethods(dirPath, stats, relativePath = '', graphSession = null) {
     try {
       const entries = await fs.readdir(dirPath, { withFileTypes: true });
 
@@ -1032,11 +994,13 @@ class ActionKnowledgeBaseService {
         const relPath = path.join(relativePath, entry.name);
 
         if (entry.isDirectory()) {
-          await this.scanForMethods(fullPath, stats, relPath);
+          await this.scanForMethods(fullPath, stats, relPath, graphSession);
         } else if (entry.isFile() && entry.name.endsWith('.java')) {
           // Only process Screen/Page files for actions
           if (entry.name.includes('Screen') || entry.name.includes('Page')) {
             await this.extractMethodsFromFile(fullPath, relPath, stats);
+          } else if (graphSession && screenGraphService.isTestFile(entry.name)) {
+            graphSession.observeTestFile(await fs.readFile(fullPath, 'utf8'), relPath);
           }
         }
       }
@@ -1243,6 +1207,8 @@ class ActionKnowledgeBaseService {
 
       return {
         initialized: true,
+        vectorStore: this.vectorStore.backend,
+        needsReembed: Object.values(this.collections).filter(c => c?.needsReembed).map(c => c.name),
         atomicActions: atomicCount,
         compositeActions: compositeCount,
         userTerminology: terminologyCount,
@@ -1258,18 +1224,19 @@ class ActionKnowledgeBaseService {
    * Clear all collections (for re-indexing)
    */
   async clearAll() {
-    if (!this.chromaClient) return;
+    if (!this.vectorStore) return;
 
     try {
-      await this.chromaClient.deleteCollection({ name: 'atomic_actions' });
-      await this.chromaClient.deleteCollection({ name: 'composite_actions' });
-      await this.chromaClient.deleteCollection({ name: 'user_terminology' });
-      await this.chromaClient.deleteCollection({ name: 'learned_decompositions' });
+      await this.vectorStore.deleteCollection({ name: 'atomic_actions' });
+      await this.vectorStore.deleteCollection({ name: 'composite_actions' });
+      await this.vectorStore.deleteCollection({ name: 'user_terminology' });
+      await this.vectorStore.deleteCollection({ name: 'learned_decompositions' });
 
-      this.isInitialized = false;
-      await this.initialize();
+      // Recreate on the same backend
+      await this.openCollections();
 
       logger.info('All Action Knowledge Base collections cleared');
+      await this.invalidateCachedPrompts('knowledge base cleared');
       return { success: true };
     } catch (error) {
       logger.error(`Failed to clear collections: ${error.message}`);
@@ -1303,6 +1270,18 @@ class ActionKnowledgeBaseService {
     }
   }
 
+  /**
+   * Drop cached LLM responses whose prompts listed knowledge base actions;
+   * a cache failure never fails the knowledge base change
+   */
+  async invalidateCachedPrompts(reason) {
+    try {
+      await llmGateway.invalidateCache(KNOWLEDGE_BASE_TASKS, `knowledge base changed: ${reason}`);
+    } catch (error) {
+      logger.warn(`Failed to invalidate cached LLM responses: ${error.message}`);
+    }
+  }
+
   /**
    * Delete a specific item from a collection by ID
    */
@@ -1317,6 +1296,7 @@ class ActionKnowledgeBaseService {
     try {
       await collection.delete({ ids: [id] });
       logger.info(`Deleted item ${id} from ${collectionName}`);
+      await this.invalidateCachedPrompts(`${collectionName} item deleted`);
       return { success: true, id };
     } catch (error) {
       logger.error(`Failed to delete ${id} from ${collectionName}: ${error.message}`);
@@ -1,5 +1,6 @@
 import { geminiService } from './geminiService.js';
 import { logger } from '../utils/logger.js';
+import { llmGateway } from './llmGateway.js';
 
 class AIService {
   constructor() {
@@ -19,11 +20,11 @@ class AIService {
   async getProviders() {
     if (!this._providers) {
       // Lazy load claude and openrouter services
-      const { getClaudeService } = await import('./claudeService.js');
+      const { claudeService } = await import('./claudeService.js');
       const { getOpenRouterService } = await import('./openrouterService.js');
       this._providers = {
         gemini: geminiService,
-        claude: getClaudeService(),
+        claude: claudeService,
         openrouter: getOpenRouterService()
       };
     }
@@ -133,31 +134,18 @@ class AIService {
     if (options.contextAware && options.prompt) {
       logger.info('Using context-aware generation with custom prompt');
       
-      // Use the provider's generate method with the custom prompt
-      if (provider.generate) {
-        try {
-          const response = await provider.generate(options.prompt);
-          return response;
-        } catch (error) {
-          logger.error('Error in context-aware generation:', error);
-          throw error;
-        }
-      } else if (provider.generateTestCases) {
-        // Fallback to generateTestCases with custom prompt
-        try {
-          const response = await provider.generateTestCases({ description: options.prompt }, {});
-          // Extract the generated code from the response
-          if (typeof response === 'string') {
-            return response;
-          }
-          if (Array.isArray(response) && response.length > 0) {
-            return this.convertTestCasesToSelenium(response[0], options);
-          }
-          return '// No test generated';
-        } catch (error) {
-          logger.error('Error in fallback generation:', error);
-          throw error;
-        }
+      // The current provider goes first; the generate-code route covers outages
+      try {
+        const response = await llmGateway.complete({
+          task: 'generate-code',
+          userPrompt: options.prompt,
+          maxTokens: 8192,
+          provider: this.currentProvider
+        });
+        return response.content;
+      } catch (error) {
+        logger.error('Error in context-aware generation:', error);
+        throw error;
       }
     }
     
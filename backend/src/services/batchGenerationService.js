@@ -0,0 +1,426 @@
+/**
+ * Batch Generation Service
+ *
+ * Runs every test case of a TestRail section through the multi-agent
+ * pipeline (decompose → map → prerequisites → compose), producing one Java
+ * TestNG class per case plus a summary report of mapping rates and
+ * unmapped steps.
+ *
+ * Jobs are persisted (BatchJob / BatchJobCase) and processed one at a time
+ * from an in-process queue, with a per-job concurrency limit for the cases.
+ * Jobs interrupted by a restart are picked up again on startup, so large
+ * sections can be left running overnight.
+ */
+
+import crypto from 'crypto';
+import { TestRailService } from './testRailService.js';
+import { multiAgentPipelineService } from './multiAgentPipelineService.js';
+import { frameworkProfileService } from './frameworkProfileService.js';
+import { BatchJob } from '../models/batchJob.js';
+import { BatchJobCase } from '../models/batchJobCase.js';
+import { PipelineRun } from '../models/pipelineRun.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 5;
+
+class BatchGenerationService {
+  constructor() {
+    this.testRailService = new TestRailService();
+    this.queue = [];                 // Job ids waiting to run
+    this.activeJobId = null;
+    this.controllers = new Map();    // jobId → AbortController of the running job
+  }
+
+  /**
+   * Create a batch job for a TestRail section and queue it
+   *
+   * @param {Object} params
+   * @param {number} params.projectId - TestRail project
+   * @param {number} params.suiteId - TestRail suite
+   * @param {number} params.sectionId - TestRail section (optional, whole suite if omitted)
+   * @param {number} params.concurrency - Cases processed in parallel (1-5)
+   * @param {number} params.limit - Max cases to fetch from TestRail (all when omitted)
+   * @param {Object} params.options - Pipeline options (platform, brand, packageName, testType, ...)
+   * @returns {BatchJob} The queued job
+   */
+  async createJob({ projectId, suiteId, sectionId = null, concurrency = DEFAULT_CONCURRENCY, limit = null, options = {} }) {
+    frameworkProfileService.getProfile(options.profile);
+
+    const testCases = await this.testRailService.getTestCases(projectId, suiteId, sectionId, limit);
+
+    if (!testCases.length) {
+      throw Object.assign(new Error('No test cases found in the selected section'), { status: 404 });
+    }
+
+    const job = await BatchJob.create({
+      id: `batch_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      projectId,
+      suiteId,
+      sectionId,
+      options,
+      concurrency: Math.min(Math.max(parseInt(concurrency) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY),
+      totalCases: testCases.length
+    });
+
+    await BatchJobCase.bulkCreate(testCases.map(tc => ({
+      jobId: job.id,
+      caseId: tc.id,
+      title: tc.title,
+      scenario: this.buildScenario(tc),
+      precondition: tc.preconditions || null
+    })));
+
+    logger.info(`Batch job ${job.id} created with ${testCases.length} cases (concurrency ${job.concurrency})`);
+
+    this.enqueue(job.id);
+    return job;
+  }
+
+  /**
+   * Build a pipeline scenario from a TestRail case's title and steps
+   */
+  buildScenario(testCase) {
+    const lines = [testCase.title];
+
+    if (testCase.steps?.length > 0) {
+      testCase.steps.forEach((step, i) => {
+        lines.push(`${i + 1}. ${step.content}`);
+        if (step.expected) {
+          lines.push(`   Expected: ${step.expected}`);
+        }
+      });
+    } else if (testCase.stepsText) {
+      testCase.stepsText
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .forEach(line => lines.push(line));
+    }
+
+    if (testCase.expected) {
+      lines.push(`Expected: ${testCase.expected}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  enqueue(jobId) {
+    this.queue.push(jobId);
+    this.processQueue();
+  }
+
+  /**
+   * Run queued jobs one after another
+   */
+  async processQueue() {
+    if (this.activeJobId || this.queue.length === 0) {
+      return;
+    }
+
+    this.activeJobId = this.queue.shift();
+
+    try {
+      await this.runJob(this.activeJobId);
+    } catch (error) {
+      logger.error(`Batch job ${this.activeJobId} error:`, error);
+      await BatchJob.update(
+        { status: 'failed', error: error.message, finishedAt: new Date() },
+        { where: { id: this.activeJobId } }
+      );
+    } finally {
+      this.activeJobId = null;
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Process a job's queued cases with its concurrency limit
+   */
+  async runJob(jobId) {
+    const job = await BatchJob.findByPk(jobId);
+    if (!job || job.status === 'cancelled') {
+      return;
+    }
+
+    const controller = new AbortController();
+    this.controllers.set(jobId, controller);
+
+    await job.update({ status: 'running', startedAt: job.startedAt || new Date() });
+    logger.info(`Batch job ${jobId} started`);
+
+    const pending = await BatchJobCase.findAll({
+      where: { jobId, status: 'queued' },
+      order: [['id', 'ASC']]
+    });
+
+    const worker = async () => {
+      while (pending.length > 0 && !controller.signal.aborted) {
+        await this.runCase(job, pending.shift(), controller.signal);
+      }
+    };
+
+    try {
+      await Promise.all(
+        Array.from({ length: Math.min(job.concurrency, pending.length) }, worker)
+      );
+    } finally {
+      this.controllers.delete(jobId);
+    }
+
+    await job.reload();
+    if (job.status !== 'cancelled') {
+      await job.update({ status: 'completed', finishedAt: new Date() });
+    }
+
+    logger.info(`Batch job ${jobId} ${job.status}: ${job.completedCases} completed, ${job.failedCases} failed`);
+  }
+
+  /**
+   * Run a single case through the pipeline and record its outcome
+   */
+  async runCase(job, jobCase, signal) {
+    const startTime = Date.now();
+    await jobCase.update({ status: 'running' });
+
+    try {
+      const { run, result } = await multiAgentPipelineService.generate({
+        scenario: jobCase.scenario,
+        precondition: jobCase.precondition || undefined,
+        includeLogin: true,
+        testType: 'functional',
+        generateComponents: false,
+        ...job.options
+      }, { signal });
+
+      if (result.cancelled) {
+        await jobCase.update({ status: 'cancelled', runId: run.id });
+        return;
+      }
+
+      if (!result.success) {
+        await jobCase.update({
+          status: 'failed',
+          runId: run.id,
+          error: `${result.stage}: ${result.details || result.error}`,
+          durationMs: Date.now() - startTime
+        });
+        await job.increment('failedCases');
+        return;
+      }
+
+      const statistics = run.mappingResult?.statistics || {};
+      await jobCase.update({
+        status: 'completed',
+        runId: run.id,
+        className: run.composedTest?.className,
+        mapped: statistics.mapped || 0,
+        unmapped: statistics.unmapped || 0,
+        mappingRate: statistics.total ? (statistics.mapped / statistics.total) * 100 : 0,
+        unmappedSteps: (run.mappingResult?.unmapped || []).map(u => ({
+          action: `${u.action} ${u.target || ''}`.trim(),
+          reason: u.reason,
+          suggestion: u.suggestedAction
+        })),
+        durationMs: Date.now() - startTime
+      });
+      await job.increment('completedCases');
+    } catch (error) {
+      logger.error(`Batch job ${job.id} case ${jobCase.caseId} error:`, error);
+      await jobCase.update({
+        status: 'failed',
+        error: error.message,
+        durationMs: Date.now() - startTime
+      });
+      await job.increment('failedCases');
+    }
+  }
+
+  /**
+   * Cancel a queued or running job. Cases already completed are kept.
+   */
+  async cancelJob(jobId) {
+    const job = await BatchJob.findByPk(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+      return job;
+    }
+
+    this.queue = this.queue.filter(id => id !== jobId);
+    await job.update({ status: 'cancelled', finishedAt: new Date() });
+    await BatchJobCase.update({ status: 'cancelled' }, { where: { jobId, status: 'queued' } });
+    this.controllers.get(jobId)?.abort();
+
+    logger.info(`Batch job ${jobId} cancelled`);
+    return job;
+  }
+
+  /**
+   * Re-queue jobs that were queued or running when the server stopped
+   */
+  async resumeInterruptedJobs() {
+    const jobs = await BatchJob.findAll({
+      where: { status: ['queued', 'running'] },
+      order: [['createdAt', 'ASC']]
+    });
+
+    for (const job of jobs) {
+      await BatchJobCase.update({ status: 'queued' }, { where: { jobId: job.id, status: 'running' } });
+      await job.update({ status: 'queued' });
+      this.enqueue(job.id);
+    }
+
+    if (jobs.length > 0) {
+      logger.info(`Resumed ${jobs.length} interrupted batch job(s)`);
+    }
+  }
+
+  async listJobs({ status = null, limit = 50, offset = 0 } = {}) {
+    const { rows, count } = await BatchJob.findAndCountAll({
+      where: status ? { status } : {},
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    });
+
+    return { total: count, jobs: rows.map(j => j.toJSON()) };
+  }
+
+  /**
+   * Get a job with per-case status
+   */
+  async getJob(jobId) {
+    const job = await BatchJob.findByPk(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const cases = await BatchJobCase.findAll({
+      where: { jobId },
+      attributes: { exclude: ['scenario', 'precondition', 'unmappedSteps'] },
+      order: [['id', 'ASC']]
+    });
+
+    return {
+      ...job.toJSON(),
+      queuePosition: this.queue.indexOf(jobId) + 1 || null,
+      cases: cases.map(c => c.toJSON())
+    };
+  }
+
+  /**
+   * Summary report: mapping rates per case and the most common unmapped steps
+   */
+  async getReport(jobId) {
+    const job = await BatchJob.findByPk(jobId);
+    if (!job) {
+      return null;
+    }
+
+    const cases = await BatchJobCase.findAll({ where: { jobId }, order: [['id', 'ASC']] });
+    const completed = cases.filter(c => c.status === 'completed');
+
+    const statusCounts = {};
+    for (const c of cases) {
+      statusCounts[c.status] = (statusCounts[c.status] || 0) + 1;
+    }
+
+    const mappedSteps = completed.reduce((sum, c) => sum + c.mapped, 0);
+    const unmappedSteps = completed.reduce((sum, c) => sum + c.unmapped, 0);
+    const totalSteps = mappedSteps + unmappedSteps;
+
+    // Group unmapped steps across cases - these are the KB gaps worth fixing first
+    const unmappedByAction = new Map();
+    for (const c of completed) {
+      for (const step of c.unmappedSteps || []) {
+        const key = step.action.toLowerCase();
+        const entry = unmappedByAction.get(key) || { action: step.action, count: 0, caseIds: [], suggestion: step.suggestion };
+        entry.count++;
+        if (!entry.caseIds.includes(c.caseId)) {
+          entry.caseIds.push(c.caseId);
+        }
+        unmappedByAction.set(key, entry);
+      }
+    }
+
+    return {
+      jobId: job.id,
+      status: job.status,
+      source: {
+        projectId: job.projectId,
+        suiteId: job.suiteId,
+        sectionId: job.sectionId
+      },
+      totals: {
+        cases: cases.length,
+        ...statusCounts
+      },
+      mapping: {
+        totalSteps,
+        mappedSteps,
+        unmappedSteps,
+        overallMappingRate: totalSteps > 0 ? +((mappedSteps / totalSteps) * 100).toFixed(1) : 0,
+        averageCaseMappingRate: completed.length > 0
+          ? +(completed.reduce((sum, c) => sum + c.mappingRate, 0) / completed.length).toFixed(1)
+          : 0,
+        fullyMappedCases: completed.filter(c => c.unmapped === 0).length
+      },
+      topUnmappedActions: [...unmappedByAction.values()].sort((a, b) => b.count - a.count),
+      cases: cases.map(c => ({
+        caseId: c.caseId,
+        title: c.title,
+        status: c.status,
+        className: c.className,
+        mappingRate: c.mappingRate != null ? +c.mappingRate.toFixed(1) : null,
+        unmapped: c.unmapped,
+        error: c.error,
+        runId: c.runId,
+        durationMs: c.durationMs
+      })),
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Generated Java classes of a job, one file per completed case
+   */
+  async getGeneratedFiles(jobId) {
+    const cases = await BatchJobCase.findAll({
+      where: { jobId, status: 'completed' },
+      order: [['id', 'ASC']]
+    });
+
+    const runs = await PipelineRun.findAll({
+      where: { id: cases.map(c => c.runId) },
+      attributes: ['id', 'composedTest']
+    });
+    const runsById = new Map(runs.map(r => [r.id, r]));
+
+    return cases
+      .map(c => {
+        const composedTest = runsById.get(c.runId)?.composedTest;
+        if (!composedTest?.code) {
+          return null;
+        }
+
+        const fullClassName = composedTest.fullClassName || composedTest.className;
+        return {
+          caseId: c.caseId,
+          title: c.title,
+          className: composedTest.className,
+          fullClassName,
+          path: `src/test/java/${fullClassName.replace(/\./g, '/')}.java`,
+          code: composedTest.code
+        };
+      })
+      .filter(Boolean);
+  }
+}
+
+// Export singleton instance
+export const batchGenerationService = new BatchGenerationService();
+export default batchGenerationService;
@@ -7,10 +7,15 @@ import { logger } from '../utils/logger.js';
 /**
  * Multi-level caching service that sits BEFORE embedding generation
  * Prevents unnecessary parsing and API calls
+ *
+ * Also holds the LLM prompt response cache (prompt_cache), keyed by a hash of
+ * provider, model, generation parameters and normalized prompt; the LLM
+ * gateway decides what is cached and for how long.
  */
 class CacheService {
   constructor() {
     this.db = null;
+    this.initPromise = null;
     this.cacheDir = path.join(process.cwd(), '.qa-copilot-cache');
     this.dbPath = path.join(this.cacheDir, 'cache.db');
     this.astCacheDir = path.join(this.cacheDir, 'ast');
@@ -22,7 +27,8 @@ class CacheService {
       ast: 30 * 24 * 60 * 60 * 1000,      // 30 days for parsed AST
       metadata: 7 * 24 * 60 * 60 * 1000,  // 7 days for extracted metadata
       embedding: 30 * 24 * 60 * 60 * 1000, // 30 days for embeddings
-      pattern: 3 * 24 * 60 * 60 * 1000    // 3 days for patterns
+      pattern: 3 * 24 * 60 * 60 * 1000,   // 3 days for patterns
+      prompt: 30 * 24 * 60 * 60 * 1000    // 30 days at most for LLM responses (tasks use shorter TTLs)
     };
   }
 
@@ -85,9 +91,30 @@ class CacheService {
           cache_timestamp INTEGER NOT NULL
         );
         
+        CREATE TABLE IF NOT EXISTS prompt_cache (
+          prompt_hash TEXT PRIMARY KEY,
+          task TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          model TEXT NOT NULL,
+          response TEXT NOT NULL,
+          total_tokens INTEGER DEFAULT 0,
+          hit_count INTEGER DEFAULT 0,
+          cache_timestamp INTEGER NOT NULL
+        );
+        
+        CREATE TABLE IF NOT EXISTS prompt_cache_stats (
+          task TEXT PRIMARY KEY,
+          hits INTEGER DEFAULT 0,
+          misses INTEGER DEFAULT 0,
+          bypassed INTEGER DEFAULT 0,
+          invalidated INTEGER DEFAULT 0,
+          tokens_saved INTEGER DEFAULT 0
+        );
+        
         CREATE INDEX IF NOT EXISTS idx_file_hash ON file_cache(file_hash);
         CREATE INDEX IF NOT EXISTS idx_cache_timestamp ON file_cache(cache_timestamp);
         CREATE INDEX IF NOT EXISTS idx_pattern_timestamp ON pattern_cache(cache_timestamp);
+        CREATE INDEX IF NOT EXISTS idx_prompt_task ON prompt_cache(task, cache_timestamp);
       `);
       
       logger.info('Cache service initialized');
@@ -102,6 +129,21 @@ class CacheService {
     }
   }
 
+  /**
+   * Initialize once, for callers that may run before or without initialize()
+   */
+  async ensureInitialized() {
+    if (!this.db) {
+      this.initPromise = this.initPromise || this.initialize();
+      try {
+        await this.initPromise;
+      } catch (error) {
+        this.initPromise = null;
+        throw error;
+      }
+    }
+  }
+
   /**
    * Calculate file hash for change detection
    */
@@ -390,6 +432,143 @@ class CacheService {
     }
   }
 
+  /**
+   * Hash of an LLM request; prompts are compared with whitespace runs collapsed.
+   * Every other field is a generation parameter (temperature, maxTokens, ...)
+   * and part of the key, since it changes the response.
+   */
+  getPromptHash({ provider, model, systemPrompt = '', userPrompt, ...parameters }) {
+    const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    const sortedParameters = Object.keys(parameters).sort().map(name => [name, parameters[name] ?? null]);
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([provider, model, sortedParameters, normalize(systemPrompt), normalize(userPrompt)]))
+      .digest('hex');
+  }
+
+  /**
+   * Get a cached LLM response younger than ttl ms
+   */
+  getCachedPrompt(promptHash, ttl) {
+    try {
+      const cached = this.db.prepare(
+        'SELECT * FROM prompt_cache WHERE prompt_hash = ?'
+      ).get(promptHash);
+
+      if (!cached || Date.now() - cached.cache_timestamp > ttl) {
+        return null;
+      }
+
+      this.db.prepare(
+        'UPDATE prompt_cache SET hit_count = hit_count + 1 WHERE prompt_hash = ?'
+      ).run(promptHash);
+
+      return { ...JSON.parse(cached.response), cachedAt: cached.cache_timestamp };
+    } catch (error) {
+      logger.error('Error getting cached prompt response:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache an LLM response ({ content, model, usage })
+   */
+  cachePrompt(promptHash, { task, provider, model, response }) {
+    try {
+      this.db.prepare(`
+        INSERT OR REPLACE INTO prompt_cache
+        (prompt_hash, task, provider, model, response, total_tokens, hit_count, cache_timestamp)
+        VALUES (?, ?, ?, ?, ?, ?, 0, ?)
+      `).run(
+        promptHash,
+        task,
+        provider,
+        model,
+        JSON.stringify({ content: response.content, model: response.model, usage: response.usage }),
+        response.usage?.totalTokens || 0,
+        Date.now()
+      );
+      return true;
+    } catch (error) {
+      logger.error('Error caching prompt response:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Count a prompt cache lookup: outcome is hit, miss or bypassed
+   */
+  recordPromptLookup(task, outcome, tokensSaved = 0) {
+    const column = { hit: 'hits', miss: 'misses', bypassed: 'bypassed' }[outcome];
+    try {
+      this.db.prepare(`
+        INSERT INTO prompt_cache_stats (task, ${column}, tokens_saved)
+        VALUES (?, 1, ?)
+        ON CONFLICT(task) DO UPDATE SET
+          ${column} = ${column} + 1,
+          tokens_saved = tokens_saved + excluded.tokens_saved
+      `).run(task, tokensSaved);
+    } catch (error) {
+      logger.error('Error recording prompt cache lookup:', error);
+    }
+  }
+
+  /**
+   * Drop cached LLM responses of some tasks (all tasks when none given)
+   */
+  invalidatePrompts(tasks = null) {
+    try {
+      const stmt = tasks
+        ? this.db.prepare(`DELETE FROM prompt_cache WHERE task IN (${tasks.map(() => '?').join(', ')}) RETURNING task`)
+        : this.db.prepare('DELETE FROM prompt_cache RETURNING task');
+      const removed = stmt.all(...(tasks || []));
+
+      const counts = {};
+      for (const { task } of removed) {
+        counts[task] = (counts[task] || 0) + 1;
+      }
+      const count = this.db.prepare(`
+        INSERT INTO prompt_cache_stats (task, invalidated) VALUES (?, ?)
+        ON CONFLICT(task) DO UPDATE SET invalidated = invalidated + excluded.invalidated
+      `);
+      for (const [task, removedCount] of Object.entries(counts)) {
+        count.run(task, removedCount);
+      }
+
+      return removed.length;
+    } catch (error) {
+      logger.error('Error invalidating prompt cache:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Prompt cache entries and lookup counters per task
+   */
+  getPromptCacheStats() {
+    try {
+      const tasks = {};
+      const taskStats = (task) => tasks[task] = tasks[task] || {
+        task, entries: 0, lastCached: null, hits: 0, misses: 0, bypassed: 0, invalidated: 0, tokensSaved: 0
+      };
+
+      for (const row of this.db.prepare(`
+        SELECT task, hits, misses, bypassed, invalidated, tokens_saved as tokensSaved FROM prompt_cache_stats
+      `).all()) {
+        Object.assign(taskStats(row.task), row);
+      }
+      for (const row of this.db.prepare(`
+        SELECT task, COUNT(*) as entries, MAX(cache_timestamp) as lastCached FROM prompt_cache GROUP BY task
+      `).all()) {
+        Object.assign(taskStats(row.task), row);
+      }
+
+      return Object.values(tasks);
+    } catch (error) {
+      logger.error('Error getting prompt cache stats:', error);
+      return null;
+    }
+  }
+
   /**
    * Get cache statistics
    */
@@ -401,6 +580,7 @@ class CacheService {
         cachedMetadata: this.db.prepare('SELECT COUNT(*) as count FROM metadata_cache').get().count,
         cachedEmbeddings: this.db.prepare('SELECT COUNT(*) as count FROM embedding_cache').get().count,
         cachedPatterns: this.db.prepare('SELECT COUNT(*) as count FROM pattern_cache').get().count,
+        cachedPrompts: this.db.prepare('SELECT COUNT(*) as count FROM prompt_cache').get().count,
         cacheSize: 0 // Calculate cache directory size if needed
       };
       
@@ -441,6 +621,12 @@ class CacheService {
         WHERE cache_timestamp < ?
       `).run(now - this.TTL.pattern);
       
+      // Remove LLM responses past the longest prompt TTL
+      this.db.prepare(`
+        DELETE FROM prompt_cache 
+        WHERE cache_timestamp < ?
+      `).run(now - this.TTL.prompt);
+      
       // Clean up orphaned AST files
       const astFiles = await fs.readdir(this.astCacheDir);
       const validHashes = new Set(
@@ -494,6 +680,7 @@ class CacheService {
       this.db.exec('DELETE FROM metadata_cache');
       this.db.exec('DELETE FROM embedding_cache');
       this.db.exec('DELETE FROM pattern_cache');
+      this.db.exec('DELETE FROM prompt_cache');
       
       // Clear cache directories
       const astFiles = await fs.readdir(this.astCacheDir);
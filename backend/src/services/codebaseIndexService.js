@@ -4,10 +4,12 @@ import Java from 'tree-sitter-java';
 import simpleGit from 'simple-git';
 import fs from 'fs/promises';
 import path from 'path';
+import { getEmbeddingFunction } from './embeddingService.js';
 import { logger } from '../utils/logger.js';
 
 /**
- * Codebase Indexing Service with Voyage AI embeddings
+ * Codebase Indexing Service with configurable embeddings (local model by
+ * default, Voyage AI with EMBEDDING_PROVIDERS=repo_*=voyage)
  * Provides intelligent code search and similarity matching
  */
 class CodebaseIndexService {
@@ -16,8 +18,6 @@ class CodebaseIndexService {
     this.collection = null;
     this.parser = null;
     this.git = null;
-    this.voyageApiKey = process.env.VOYAGE_API_KEY;
-    this.voyageApiUrl = 'https://api.voyageai.com/v1/embeddings';
     this.indexes = new Map(); // Cache per repository
   }
 
@@ -40,29 +40,11 @@ class CodebaseIndexService {
   }
 
   /**
-   * Generate embeddings using Voyage AI
+   * Generate embeddings with the provider configured for the collection
    */
-  async generateEmbeddings(texts, inputType = 'document') {
+  async generateEmbeddings(texts, inputType = 'document', collectionName = 'repo_') {
     try {
-      const response = await fetch(this.voyageApiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.voyageApiKey}`
-        },
-        body: JSON.stringify({
-          input: texts,
-          model: 'voyage-code-2',
-          input_type: inputType
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Voyage AI API error: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      return data.data.map(item => item.embedding);
+      return await getEmbeddingFunction(collectionName).generate(texts, inputType);
     } catch (error) {
       logger.error('Error generating embeddings:', error);
       throw error;
@@ -88,6 +70,13 @@ class CodebaseIndexService {
           name: collectionName
         });
         
+        const embeddingProvider = getEmbeddingFunction(collectionName).id;
+        if (collection.metadata?.embeddingProvider !== embeddingProvider) {
+          // Vectors of another provider cannot be searched with this one
+          logger.info(`Index was embedded with ${collection.metadata?.embeddingProvider || 'an unrecorded provider'}; re-indexing with ${embeddingProvider}`);
+          forceReindex = true;
+        }
+
         if (!forceReindex) {
           // Check for incremental updates
           const updated = await this.incrementalUpdate(repoPath, collection);
@@ -111,7 +100,8 @@ class CodebaseIndexService {
         name: collectionName,
         metadata: { 
           repoPath,
-          indexedAt: new Date().toISOString()
+          indexedAt: new Date().toISOString(),
+          embeddingProvider: getEmbeddingFunction(collectionName).id
         }
       });
       
@@ -145,6 +135,7 @@ class CodebaseIndexService {
     const currentCommit = await this.git.revparse(['HEAD']);
     await collection.modify({
       metadata: {
+        ...collection.metadata,
         lastCommit: currentCommit,
         lastIndexed: new Date().toISOString()
       }
@@ -164,7 +155,7 @@ class CodebaseIndexService {
       const relativePath = path.relative(repoPath, file);
       
       // Parse with Tree-sitter
-      const tree = this.parser.parse(content);
+      const tree = this.parseJava(content);
       const analysis = this.analyzeJavaFile(tree, content, relativePath);
       
       // Prepare document for embedding
@@ -186,7 +177,7 @@ class CodebaseIndexService {
     }
     
     // Generate embeddings
-    const embeddings = await this.generateEmbeddings(documents);
+    const embeddings = await this.generateEmbeddings(documents, 'document', collection.name);
     
     // Add to collection
     await collection.add({
@@ -197,6 +188,26 @@ class CodebaseIndexService {
     });
   }
 
+  /**
+   * Parse Java source with Tree-sitter (the buffer is sized to the source,
+   * the default one rejects files over 32KB)
+   */
+  parseJava(content) {
+    if (!this.parser) {
+      this.parser = new Parser();
+      this.parser.setLanguage(Java);
+    }
+
+    return this.parser.parse(content, null, { bufferSize: content.length * 2 + 1 });
+  }
+
+  /**
+   * Source text of an AST node
+   */
+  nodeText(node, content) {
+    return content.substring(node.startIndex, node.endIndex);
+  }
+
   /**
    * Analyze Java file using Tree-sitter AST
    */
@@ -205,6 +216,7 @@ class CodebaseIndexService {
       filePath,
       className: '',
       packageName: '',
+      superclass: null,
       methods: [],
       imports: [],
       isPageObject: false,
@@ -218,27 +230,33 @@ class CodebaseIndexService {
     // Extract package name
     const packageNode = rootNode.children.find(n => n.type === 'package_declaration');
     if (packageNode) {
-      analysis.packageName = content.substring(packageNode.startPosition.column, packageNode.endPosition.column)
+      analysis.packageName = this.nodeText(packageNode, content)
         .replace(/package\s+|;/g, '').trim();
     }
     
     // Extract imports
     const importNodes = rootNode.children.filter(n => n.type === 'import_declaration');
     analysis.imports = importNodes.map(node => 
-      content.substring(node.startPosition.column, node.endPosition.column)
+      this.nodeText(node, content)
         .replace(/import\s+|;/g, '').trim()
     );
     
-    // Find class declaration
-    const classNode = rootNode.children.find(n => n.type === 'class_declaration');
+    // Find class (or interface) declaration
+    const classNode = rootNode.children.find(n => n.type === 'class_declaration' || n.type === 'interface_declaration');
     if (classNode) {
       // Extract class name
       const identifierNode = classNode.children.find(n => n.type === 'identifier');
       if (identifierNode) {
-        analysis.className = content.substring(
-          identifierNode.startPosition.column,
-          identifierNode.endPosition.column
-        );
+        analysis.className = this.nodeText(identifierNode, content);
+      }
+
+      // Extract superclass (without type arguments)
+      const superclassNode = classNode.childForFieldName('superclass');
+      if (superclassNode) {
+        analysis.superclass = this.nodeText(superclassNode, content)
+          .replace(/^extends\s+/, '')
+          .replace(/<[\s\S]*>/, '')
+          .trim();
       }
       
       // Check if it's a Page Object or Test
@@ -284,7 +302,7 @@ class CodebaseIndexService {
    */
   findMethodNodes(classNode) {
     const methods = [];
-    const classBody = classNode.children.find(n => n.type === 'class_body');
+    const classBody = classNode.children.find(n => n.type === 'class_body' || n.type === 'interface_body');
     
     if (classBody) {
       for (const child of classBody.children) {
@@ -312,27 +330,43 @@ class CodebaseIndexService {
     // Extract method name
     const identifierNode = methodNode.children.find(n => n.type === 'identifier');
     if (identifierNode) {
-      method.name = content.substring(
-        identifierNode.startPosition.column,
-        identifierNode.endPosition.column
-      );
+      method.name = this.nodeText(identifierNode, content);
     }
     
     // Extract full signature
-    method.signature = content.substring(
-      methodNode.startPosition.column,
-      methodNode.endPosition.column
-    ).split('{')[0].trim();
+    method.signature = this.nodeText(methodNode, content).split('{')[0].trim();
     
     // Extract modifiers
     const modifierNodes = methodNode.children.filter(n => n.type === 'modifiers');
     for (const modNode of modifierNodes) {
-      const modifier = content.substring(
-        modNode.startPosition.column,
-        modNode.endPosition.column
-      );
+      const modifier = this.nodeText(modNode, content);
       method.modifiers.push(modifier);
     }
+
+    // Extract return type
+    const typeNode = methodNode.childForFieldName('type');
+    if (typeNode) {
+      method.returnType = this.nodeText(typeNode, content);
+    }
+
+    // Extract parameters (varargs are spread_parameter nodes)
+    const parametersNode = methodNode.childForFieldName('parameters');
+    for (const param of parametersNode?.namedChildren || []) {
+      if (param.type === 'formal_parameter') {
+        method.parameters.push({
+          type: this.nodeText(param.childForFieldName('type'), content),
+          name: this.nodeText(param.childForFieldName('name'), content),
+          varargs: false
+        });
+      } else if (param.type === 'spread_parameter') {
+        const declarator = param.namedChildren.find(n => n.type === 'variable_declarator');
+        method.parameters.push({
+          type: this.nodeText(param.namedChildren.find(n => n.type !== 'modifiers' && n.type !== 'variable_declarator'), content),
+          name: declarator ? this.nodeText(declarator.childForFieldName('name'), content) : '',
+          varargs: true
+        });
+      }
+    }
     
     return method;
   }
@@ -347,10 +381,7 @@ class CodebaseIndexService {
     if (classBody) {
       for (const child of classBody.children) {
         if (child.type === 'field_declaration') {
-          const fieldText = content.substring(
-            child.startPosition.column,
-            child.endPosition.column
-          );
+          const fieldText = this.nodeText(child, content);
           
           // Check if it's a WebElement
           if (fieldText.includes('WebElement') || fieldText.includes('@FindBy')) {
@@ -452,6 +483,7 @@ class CodebaseIndexService {
       // Update commit reference
       await collection.modify({
         metadata: {
+          ...collection.metadata,
           lastCommit: currentCommit,
           lastIndexed: new Date().toISOString()
         }
@@ -475,7 +507,7 @@ class CodebaseIndexService {
       }
       
       // Generate query embedding
-      const [queryEmbedding] = await this.generateEmbeddings([query], 'query');
+      const [queryEmbedding] = await this.generateEmbeddings([query], 'query', collection.name);
       
       // Search in ChromaDB
       const results = await collection.query({
@@ -507,7 +539,7 @@ class CodebaseIndexService {
       }
       
       // Generate embedding for test scenario
-      const [queryEmbedding] = await this.generateEmbeddings([testScenario], 'query');
+      const [queryEmbedding] = await this.generateEmbeddings([testScenario], 'query', collection.name);
       
       // Search only in test files
       const results = await collection.query({
@@ -548,7 +580,7 @@ class CodebaseIndexService {
       let results;
       if (searchTerm) {
         // Search with term
-        const [queryEmbedding] = await this.generateEmbeddings([searchTerm], 'query');
+        const [queryEmbedding] = await this.generateEmbeddings([searchTerm], 'query', collection.name);
         results = await collection.query({
           queryEmbeddings: [queryEmbedding],
           nResults: 20,
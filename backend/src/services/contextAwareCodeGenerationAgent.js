@@ -19,12 +19,12 @@ import path from 'path';
 import { logger } from '../utils/logger.js';
 import javaMethodExtractor from './javaMethodExtractor.js';
 import propertiesParser from './propertiesParserService.js';
-import { getOpenRouterService } from './openrouterService.js';
+import { llmGateway, isFatalLLMError } from './llmGateway.js';
 import { hybridRAGService } from './hybridRAGService.js';
 
 class ContextAwareCodeGenerationAgent {
   constructor() {
-    this.openRouterService = null;
+    this.llm = null;
     this.analysisCache = new Map();
     this.useRAG = false;
   }
@@ -33,9 +33,9 @@ class ContextAwareCodeGenerationAgent {
    * Initialize the agent with AI service and optionally RAG
    */
   async initialize(options = {}) {
-    this.openRouterService = getOpenRouterService();
-    if (!this.openRouterService.isConfigured()) {
-      logger.warn('OpenRouter not configured - agent will use template-based generation');
+    this.llm = llmGateway;
+    if (!this.llm.isAvailable('generate-code')) {
+      logger.warn('No LLM provider configured for generate-code - agent will use template-based generation');
     }
 
     // Initialize RAG if requested
@@ -820,10 +820,13 @@ class ContextAwareCodeGenerationAgent {
    */
   async generateTestClass(testScenario, requirements, analysis) {
     // Try AI-based generation first
-    if (this.openRouterService && this.openRouterService.isConfigured()) {
+    if (this.llm && this.llm.isAvailable('generate-code')) {
       try {
         return await this.generateTestClassWithAI(testScenario, requirements, analysis);
       } catch (error) {
+        if (isFatalLLMError(error)) {
+          throw error;
+        }
         logger.warn('AI generation failed, falling back to template', error.message);
       }
     }
@@ -838,7 +841,8 @@ class ContextAwareCodeGenerationAgent {
   async generateTestClassWithAI(testScenario, requirements, analysis) {
     const prompt = this.buildTestGenerationPrompt(testScenario, requirements, analysis);
 
-    const response = await this.openRouterService.chat({
+    const response = await this.llm.complete({
+      task: 'generate-code',
       systemPrompt: `You are an expert Java test automation engineer. Generate test code that:
 1. Uses ONLY the methods listed in the Available Methods section
 2. Follows the exact patterns from the Example Test Patterns section
@@ -859,7 +863,7 @@ IMPORTANT: Generate compilable Java code that will work with the existing codeba
       className: this.generateTestClassName(testScenario),
       code,
       generatedBy: 'ai',
-      model: this.openRouterService.getCurrentModel()
+      model: response.model
     };
   }
 
@@ -1,25 +1,24 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { logger } from '../utils/logger.js';
+import { llmGateway } from './llmGateway.js';
+import { structuredOutput } from './structuredOutput.js';
 import fs from 'fs/promises';
 import path from 'path';
 
 export class CypressGenerator {
   constructor() {
-    const apiKey = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      logger.warn('Gemini API key not configured - will use mock generation');
+    this.apiKey = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+    // Use Gemini 2.5 Flash/Pro for better code generation
+    this.modelName = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+    if (!this.apiKey) {
+      logger.warn('Gemini API key not configured - Cypress tests come from the generate-code route');
       return;
     }
-    this.genAI = new GoogleGenerativeAI(apiKey);
-    
-    // Use Gemini 2.5 Flash/Pro for better code generation
-    const modelName = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-    this.model = this.genAI.getGenerativeModel({ model: modelName });
-    logger.info(`Cypress Generator using Gemini model: ${modelName}`);
+    logger.info(`Cypress Generator using Gemini model: ${this.modelName}`);
   }
 
   async generateTest(testCase, options = {}) {
-    if (!this.model) {
+    if (!llmGateway.isAvailable('generate-code')) {
       logger.warn('Using mock Cypress test generation');
       return this.generateMockCypressTest(testCase, options);
     }
@@ -27,11 +26,19 @@ export class CypressGenerator {
     const prompt = this.buildCypressPrompt(testCase, options);
     
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      return this.parseCypressTest(text);
+      // The configured Gemini model goes first; the generate-code route covers outages
+      const { data } = await structuredOutput.complete({
+        schema: 'cypress-test',
+        task: 'generate-code',
+        userPrompt: prompt,
+        maxTokens: 8192,
+        provider: this.apiKey ? `gemini:${this.modelName}` : null
+      });
+      return data;
     } catch (error) {
+      if (error.code === 'LLM_INVALID_OUTPUT') {
+        return this.parseCypressTest(error.content);
+      }
       logger.error('Cypress generation error:', error);
       throw error;
     }
@@ -70,26 +77,17 @@ Return the code in a JSON object with:
 - dependencies: any required imports`;
   }
 
+  /**
+   * Fallback for a response that stayed invalid after repair: use its code
+   * block (or the whole text) as the test
+   */
   parseCypressTest(text) {
-    try {
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      return {
-        code: text,
-        selectors: [],
-        dependencies: []
-      };
-    } catch (error) {
-      logger.error('Failed to parse Cypress test:', error);
-      return {
-        code: text,
-        selectors: [],
-        dependencies: []
-      };
-    }
+    const codeMatch = text.match(/```(?:javascript|js|typescript|ts)?\n([\s\S]*?)```/);
+    return {
+      code: codeMatch ? codeMatch[1].trim() : text,
+      selectors: [],
+      dependencies: []
+    };
   }
 
   generateMockCypressTest(testCase, options = {}) {
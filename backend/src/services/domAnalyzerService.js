@@ -433,6 +433,27 @@ export class DomAnalyzerService {
     }
   }
 
+  /**
+   * Count elements on the current page matching a CSS selector or XPath
+   */
+  async countMatches(selector, strategy = 'css') {
+    if (!this.page) {
+      throw new Error('No page loaded. Call analyzePage first.');
+    }
+
+    try {
+      return await this.page.evaluate((sel, isXPath) => {
+        if (isXPath) {
+          return document.evaluate(sel, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength;
+        }
+        return document.querySelectorAll(sel).length;
+      }, selector, strategy === 'xpath');
+    } catch (error) {
+      logger.debug(`Invalid ${strategy} selector ${selector}: ${error.message}`);
+      return 0;
+    }
+  }
+
   /**
    * Close browser instance
    */
@@ -0,0 +1,308 @@
+/**
+ * Embedding Service
+ *
+ * Embedding providers for the vector store collections, chosen per collection:
+ * - local: a sentence-transformer run in process with @xenova/transformers
+ *   (LOCAL_EMBEDDING_MODEL, default Xenova/all-MiniLM-L6-v2), no API key, works
+ *   offline once the model is in EMBEDDING_CACHE_DIR
+ * - openrouter: openai/text-embedding-3-small through OpenRouter
+ * - voyage: voyage-code-2 (VOYAGE_API_KEY)
+ *
+ * EMBEDDING_PROVIDER sets the default (local); EMBEDDING_PROVIDERS overrides it
+ * for collections by name or prefix, e.g. "testrail_cases_*=openrouter,repo_*=voyage".
+ *
+ * Each collection records the provider that embedded it (metadata
+ * embeddingProvider). Vectors of different providers cannot be compared, so
+ * after switching providers the collection must be re-embedded
+ * (reembedCollection / npm run embeddings:reembed).
+ */
+
+import path from 'path';
+import OpenAI from 'openai';
+import { logger } from '../utils/logger.js';
+
+export const EMBEDDING_PROVIDERS = ['local', 'openrouter', 'voyage'];
+
+const DEFAULT_LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const DEFAULT_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE || '32', 10);
+
+/**
+ * Split texts into batches for providers with request or memory limits
+ */
+async function inBatches(texts, batchSize, embedBatch) {
+  const embeddings = [];
+  for (let i = 0; i < texts.length; i += batchSize) {
+    embeddings.push(...await embedBatch(texts.slice(i, i + batchSize)));
+  }
+  return embeddings;
+}
+
+/**
+ * Sentence-transformer run locally with @xenova/transformers
+ */
+export class LocalEmbeddingFunction {
+  constructor(model = process.env.LOCAL_EMBEDDING_MODEL || DEFAULT_LOCAL_MODEL) {
+    this.provider = 'local';
+    this.model = model;
+    this.id = `local:${model}`;
+    this.enabled = true;
+    this.batchSize = DEFAULT_BATCH_SIZE;
+    this.extractor = null;
+  }
+
+  /**
+   * Load the model once; the first load downloads it into the cache directory
+   * unless EMBEDDING_ALLOW_DOWNLOAD=false
+   */
+  async getExtractor() {
+    if (!this.extractor) {
+      this.extractor = (async () => {
+        const { pipeline, env } = await import('@xenova/transformers');
+        env.cacheDir = process.env.EMBEDDING_CACHE_DIR || path.join(process.cwd(), '.qa-copilot-cache', 'models');
+        env.localModelPath = env.cacheDir;
+        env.allowRemoteModels = process.env.EMBEDDING_ALLOW_DOWNLOAD !== 'false';
+
+        const started = Date.now();
+        const extractor = await pipeline('feature-extraction', this.model, { quantized: true });
+        logger.info(`Loaded local embedding model ${this.model} in ${Date.now() - started}ms`);
+        return extractor;
+      })().catch(error => {
+        this.extractor = null;
+        throw new Error(`Local embedding model ${this.model} could not be loaded: ${error.message}`);
+      });
+    }
+    return await this.extractor;
+  }
+
+  async generate(texts) {
+    const extractor = await this.getExtractor();
+    return await inBatches(texts, this.batchSize, async (batch) => {
+      const output = await extractor(batch, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    });
+  }
+}
+
+/**
+ * Embeddings through OpenRouter's OpenAI-compatible API
+ */
+export class OpenRouterEmbeddingFunction {
+  constructor(model = 'openai/text-embedding-3-small') {
+    const apiKey = (process.env.OPENROUTER_API_KEYS || process.env.OPENROUTER_API_KEY || '').split(/[,;\n]/)[0]?.trim();
+
+    this.provider = 'openrouter';
+    this.model = model;
+    this.id = `openrouter:${model}`;
+    this.batchSize = 256;
+    this.enabled = !!apiKey?.startsWith('sk-or-');
+    if (this.enabled) {
+      this.client = new OpenAI({
+        apiKey,
+        baseURL: 'https://openrouter.ai/api/v1'
+      });
+    }
+  }
+
+  async generate(texts) {
+    if (!this.enabled) {
+      throw new Error('OpenRouter embeddings need OPENROUTER_API_KEY');
+    }
+
+    return await inBatches(texts, this.batchSize, async (batch) => {
+      const response = await this.client.embeddings.create({
+        model: this.model,
+        input: batch
+      });
+      return response.data.map(item => item.embedding);
+    });
+  }
+}
+
+/**
+ * Voyage AI code embeddings
+ */
+export class VoyageEmbeddingFunction {
+  constructor(model = 'voyage-code-2') {
+    this.provider = 'voyage';
+    this.model = model;
+    this.id = `voyage:${model}`;
+    this.apiKey = process.env.VOYAGE_API_KEY;
+    this.apiUrl = 'https://api.voyageai.com/v1/embeddings';
+    this.batchSize = 128;
+    this.enabled = !!this.apiKey;
+  }
+
+  /**
+   * @param {string[]} texts - Texts to embed
+   * @param {string} inputType - document (indexing) or query (search)
+   */
+  async generate(texts, inputType = 'document') {
+    if (!this.enabled) {
+      throw new Error('Voyage embeddings need VOYAGE_API_KEY');
+    }
+
+    return await inBatches(texts, this.batchSize, async (batch) => {
+      const response = await fetch(this.apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({
+          input: batch,
+          model: this.model,
+          input_type: inputType
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Voyage AI API error: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return data.data.map(item => item.embedding);
+    });
+  }
+}
+
+const PROVIDER_CLASSES = {
+  local: LocalEmbeddingFunction,
+  openrouter: OpenRouterEmbeddingFunction,
+  voyage: VoyageEmbeddingFunction
+};
+
+// Provider instances are shared so the local model is loaded once
+const instances = new Map();
+const warnedFallbacks = new Set();
+
+function createProvider(provider) {
+  if (!PROVIDER_CLASSES[provider]) {
+    throw Object.assign(new Error(`Unknown embedding provider "${provider}"; use ${EMBEDDING_PROVIDERS.join(', ')}`), { status: 400 });
+  }
+  if (!instances.has(provider)) {
+    instances.set(provider, new PROVIDER_CLASSES[provider]());
+  }
+  return instances.get(provider);
+}
+
+/**
+ * Provider configured for a collection: an EMBEDDING_PROVIDERS entry matching
+ * its name (exact, or prefix ending in *), else EMBEDDING_PROVIDER, else local
+ */
+export function getProviderName(collectionName) {
+  const overrides = (process.env.EMBEDDING_PROVIDERS || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([pattern, provider]) => pattern && provider);
+
+  const match = overrides.find(([pattern]) => pattern === collectionName) ||
+    overrides.find(([pattern]) => pattern.endsWith('*') && collectionName.startsWith(pattern.slice(0, -1)));
+
+  return match ? match[1] : (process.env.EMBEDDING_PROVIDER || 'local');
+}
+
+/**
+ * Embedding function for a collection; a remote provider without its API key
+ * falls back to the local model
+ *
+ * @param {string} collectionName - Collection the embeddings are for
+ * @param {string} provider - Provider to use instead of the configured one
+ */
+export function getEmbeddingFunction(collectionName, provider = getProviderName(collectionName)) {
+  const embeddingFunction = createProvider(provider);
+  if (!embeddingFunction.enabled) {
+    if (!warnedFallbacks.has(collectionName)) {
+      warnedFallbacks.add(collectionName);
+      logger.warn(`Embedding provider ${provider} for ${collectionName} is not configured; using the local model`);
+    }
+    return createProvider('local');
+  }
+  return embeddingFunction;
+}
+
+/**
+ * Open (or create) a collection with its configured embedding function and
+ * warn when its vectors come from another provider
+ *
+ * @returns {Promise<Object>} The collection, with needsReembed set on a provider mismatch
+ */
+export async function openCollection(vectorStore, { name, metadata = {} }) {
+  const embeddingFunction = getEmbeddingFunction(name);
+  const collection = await vectorStore.getOrCreateCollection({
+    name,
+    metadata: { ...metadata, embeddingProvider: embeddingFunction.id },
+    embeddingFunction
+  });
+
+  const recorded = collection.metadata?.embeddingProvider;
+  if (recorded !== embeddingFunction.id) {
+    if (await collection.count() > 0) {
+      collection.needsReembed = true;
+      logger.warn(`Collection ${name} was embedded with ${recorded || 'an unrecorded provider'} but is configured for ${embeddingFunction.id}; ` +
+        `run "npm run embeddings:reembed -- --collections ${name}" to re-embed it`);
+    } else {
+      // hnsw:* settings are fixed at creation and cannot be passed to modify
+      const settable = Object.fromEntries(Object.entries(collection.metadata || {}).filter(([key]) => !key.startsWith('hnsw:')));
+      await collection.modify({ metadata: { ...settable, embeddingProvider: embeddingFunction.id } });
+    }
+  }
+
+  return collection;
+}
+
+/**
+ * Re-embed every document of a collection with its configured provider
+ *
+ * The records are embedded into a new collection that then replaces the old
+ * one, since the vector size usually changes with the provider.
+ *
+ * @param {Object} vectorStore - Store holding the collection
+ * @param {string} name - Collection to re-embed
+ * @param {Object} options
+ * @param {string} options.provider - Provider to switch to (default: the configured one)
+ * @param {number} options.batchSize - Records per read/embed/write (default 100)
+ * @returns {Promise<Object>} { name, from, to, reembedded }
+ */
+export async function reembedCollection(vectorStore, name, { provider, batchSize = 100 } = {}) {
+  const embeddingFunction = getEmbeddingFunction(name, provider);
+  const source = await vectorStore.getCollection({ name });
+  const from = source.metadata?.embeddingProvider || null;
+
+  const total = await source.count();
+  const tempName = `${name}__reembed`;
+  const existing = await vectorStore.listCollections();
+  if (existing.some(c => c.name === tempName)) {
+    await vectorStore.deleteCollection({ name: tempName });
+  }
+  const target = await vectorStore.createCollection({
+    name: tempName,
+    metadata: { ...source.metadata, embeddingProvider: embeddingFunction.id },
+    embeddingFunction
+  });
+
+  let reembedded = 0;
+  for (let offset = 0; offset < total; offset += batchSize) {
+    const batch = await source.get({ limit: batchSize, offset, include: ['documents', 'metadatas'] });
+    if (batch.ids.length === 0) break;
+
+    if (batch.documents.some(document => typeof document !== 'string')) {
+      // The original stays untouched
+      await vectorStore.deleteCollection({ name: tempName });
+      throw Object.assign(new Error(`Some records of ${name} have no document text to re-embed; re-index the collection instead`), { status: 409 });
+    }
+
+    await target.add({
+      ids: batch.ids,
+      embeddings: await embeddingFunction.generate(batch.documents),
+      documents: batch.documents,
+      metadatas: batch.metadatas
+    });
+    reembedded += batch.ids.length;
+    logger.info(`Re-embedded ${reembedded}/${total} records of ${name} with ${embeddingFunction.id}`);
+  }
+
+  await vectorStore.deleteCollection({ name });
+  await target.modify({ name });
+
+  return { name, from, to: embeddingFunction.id, reembedded };
+}
@@ -0,0 +1,339 @@
+/**
+ * Framework Profile Service
+ *
+ * A framework profile describes the target Java test framework the
+ * multi-agent pipeline generates code for: package layout, base class,
+ * imports, annotations, screen accessors, group/feature constants and test
+ * data providers (TestComposerAgent), plus content navigation patterns and
+ * screen classes (PrerequisiteBuilderAgent).
+ *
+ * Profiles are JSON or YAML files loaded from the profiles directory at
+ * startup and can be managed through /api/framework-profiles. A profile may
+ * `extends` another one and only override the settings that differ.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Settings that must be objects/arrays when present in a profile section
+const COMPOSER_OBJECT_FIELDS = [
+  'featurePackageMap', 'platformTypes', 'brandTypes', 'screenAccessors', 'groupConstants',
+  'featureConstants', 'codeStyle', 'dataProviderMethods', 'factory', 'annotations'
+];
+const COMPOSER_ARRAY_FIELDS = ['imports', 'staticImports', 'defaultGroups', 'defaultBrands'];
+const PREREQUISITE_OBJECT_FIELDS = ['contentPatterns', 'screenClassMap'];
+
+class FrameworkProfileService {
+  constructor() {
+    this.profilesDir = process.env.FRAMEWORK_PROFILES_DIR || path.join(__dirname, '../config/framework-profiles');
+    this.defaultProfileId = process.env.DEFAULT_FRAMEWORK_PROFILE || 'mqe-unified';
+    this.profiles = new Map(); // id → { profile, file }
+
+    // Loaded synchronously so the agents can read the default profile when constructed
+    this.loadProfiles();
+  }
+
+  /**
+   * (Re)load all profile files from the profiles directory
+   */
+  loadProfiles() {
+    this.profiles.clear();
+
+    if (!fs.existsSync(this.profilesDir)) {
+      logger.warn(`Framework profiles directory not found: ${this.profilesDir}`);
+      return;
+    }
+
+    const files = fs.readdirSync(this.profilesDir)
+      .filter(file => PROFILE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+    for (const file of files) {
+      const filePath = path.join(this.profilesDir, file);
+      try {
+        const profile = this.parseProfile(fs.readFileSync(filePath, 'utf-8'), filePath);
+        const errors = this.validateProfile(profile);
+        if (errors.length > 0) {
+          logger.warn(`Skipping framework profile ${file}: ${errors.join('; ')}`);
+          continue;
+        }
+        if (this.profiles.has(profile.id)) {
+          logger.warn(`Skipping framework profile ${file}: duplicate id "${profile.id}"`);
+          continue;
+        }
+        this.profiles.set(profile.id, { profile, file: filePath });
+      } catch (error) {
+        logger.warn(`Failed to load framework profile ${file}: ${error.message}`);
+      }
+    }
+
+    // Check inheritance only once every profile is known
+    for (const [id, { profile }] of this.profiles) {
+      try {
+        this.resolveProfile(profile);
+      } catch (error) {
+        logger.warn(`Skipping framework profile "${id}": ${error.message}`);
+        this.profiles.delete(id);
+      }
+    }
+
+    if (!this.profiles.has(this.defaultProfileId)) {
+      logger.warn(`Default framework profile "${this.defaultProfileId}" not found`);
+    }
+
+    logger.info(`Loaded ${this.profiles.size} framework profile(s) from ${this.profilesDir}`);
+  }
+
+  parseProfile(content, filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return ext === '.json' ? JSON.parse(content) : yaml.load(content);
+  }
+
+  /**
+   * Validate a raw (unresolved) profile definition
+   *
+   * @returns {string[]} Validation errors (empty if valid)
+   */
+  validateProfile(profile) {
+    const errors = [];
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      return ['profile must be an object'];
+    }
+
+    if (!profile.id || !PROFILE_ID_PATTERN.test(profile.id)) {
+      errors.push('id is required (lowercase letters, digits, "-" or "_")');
+    }
+    if (!profile.name) {
+      errors.push('name is required');
+    }
+    if (profile.extends !== undefined && typeof profile.extends !== 'string') {
+      errors.push('extends must be a profile id');
+    }
+
+    const composer = profile.composer || {};
+    const prerequisites = profile.prerequisites || {};
+
+    if (!profile.extends && !composer.basePackage) {
+      errors.push('composer.basePackage is required');
+    }
+
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+    for (const field of COMPOSER_OBJECT_FIELDS) {
+      if (composer[field] !== undefined && !isObject(composer[field])) {
+        errors.push(`composer.${field} must be an object`);
+      }
+    }
+    for (const field of COMPOSER_ARRAY_FIELDS) {
+      if (composer[field] !== undefined && !Array.isArray(composer[field])) {
+        errors.push(`composer.${field} must be an array`);
+      }
+    }
+    for (const field of PREREQUISITE_OBJECT_FIELDS) {
+      if (prerequisites[field] !== undefined && !isObject(prerequisites[field])) {
+        errors.push(`prerequisites.${field} must be an object`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve `extends` chains into a complete profile
+   * (composer/prerequisites settings are merged per setting, child wins)
+   */
+  resolveProfile(profile, seen = []) {
+    if (!profile.extends) {
+      return profile;
+    }
+
+    if (seen.includes(profile.id)) {
+      throw new Error(`circular extends: ${[...seen, profile.id].join(' → ')}`);
+    }
+
+    const parent = this.profiles.get(profile.extends);
+    if (!parent) {
+      throw new Error(`extends unknown profile "${profile.extends}"`);
+    }
+
+    const base = this.resolveProfile(parent.profile, [...seen, profile.id]);
+    return {
+      ...base,
+      ...profile,
+      composer: { ...base.composer, ...profile.composer },
+      prerequisites: { ...base.prerequisites, ...profile.prerequisites }
+    };
+  }
+
+  /**
+   * Get a resolved profile (default profile when no id is given)
+   *
+   * @param {string} profileId - Profile id (optional)
+   * @returns {Object} A copy of the resolved profile
+   */
+  getProfile(profileId = null) {
+    const id = profileId || this.defaultProfileId;
+    const entry = this.profiles.get(id);
+
+    if (!entry) {
+      throw Object.assign(
+        new Error(`Unknown framework profile: ${id}. Available: ${[...this.profiles.keys()].join(', ')}`),
+        { status: profileId ? 400 : 500 }
+      );
+    }
+
+    return structuredClone(this.resolveProfile(entry.profile));
+  }
+
+  hasProfile(profileId) {
+    return this.profiles.has(profileId);
+  }
+
+  /**
+   * List profiles with a short summary
+   */
+  listProfiles() {
+    return [...this.profiles.values()].map(({ profile, file }) => {
+      const resolved = this.resolveProfile(profile);
+      return {
+        id: profile.id,
+        name: profile.name,
+        description: profile.description || '',
+        extends: profile.extends || null,
+        isDefault: profile.id === this.defaultProfileId,
+        basePackage: resolved.composer?.basePackage,
+        file: path.basename(file)
+      };
+    });
+  }
+
+  /**
+   * Get the raw (unresolved) definition as stored on disk
+   */
+  getProfileDefinition(profileId) {
+    const entry = this.profiles.get(profileId);
+    return entry ? structuredClone(entry.profile) : null;
+  }
+
+  /**
+   * Register a new profile and write it to the profiles directory
+   *
+   * @param {Object} profile - Profile definition
+   * @param {string} format - File format: json or yaml
+   */
+  createProfile(profile, format = 'json') {
+    const errors = this.validateProfile(profile);
+    if (errors.length > 0) {
+      throw Object.assign(new Error(`Invalid profile: ${errors.join('; ')}`), { status: 400 });
+    }
+
+    if (this.profiles.has(profile.id)) {
+      throw Object.assign(new Error(`Framework profile "${profile.id}" already exists`), { status: 409 });
+    }
+
+    const extension = format === 'yaml' ? '.yaml' : '.json';
+    const filePath = path.join(this.profilesDir, `${profile.id}${extension}`);
+
+    this.checkInheritance(profile);
+    this.writeProfile(profile, filePath);
+    this.profiles.set(profile.id, { profile, file: filePath });
+
+    logger.info(`Framework profile "${profile.id}" created`);
+    return this.getProfileDefinition(profile.id);
+  }
+
+  /**
+   * Replace an existing profile definition (written back in its original format)
+   */
+  updateProfile(profileId, profile) {
+    const entry = this.profiles.get(profileId);
+    if (!entry) {
+      return null;
+    }
+
+    const updated = { ...profile, id: profileId };
+    const errors = this.validateProfile(updated);
+    if (errors.length > 0) {
+      throw Object.assign(new Error(`Invalid profile: ${errors.join('; ')}`), { status: 400 });
+    }
+
+    this.checkInheritance(updated);
+    this.writeProfile(updated, entry.file);
+    this.profiles.set(profileId, { profile: updated, file: entry.file });
+
+    logger.info(`Framework profile "${profileId}" updated`);
+    return this.getProfileDefinition(profileId);
+  }
+
+  /**
+   * Delete a profile and its file. The default profile and profiles
+   * that others extend cannot be deleted.
+   */
+  deleteProfile(profileId) {
+    const entry = this.profiles.get(profileId);
+    if (!entry) {
+      return false;
+    }
+
+    if (profileId === this.defaultProfileId) {
+      throw Object.assign(new Error('The default framework profile cannot be deleted'), { status: 409 });
+    }
+
+    const dependents = [...this.profiles.values()]
+      .filter(({ profile }) => profile.extends === profileId)
+      .map(({ profile }) => profile.id);
+    if (dependents.length > 0) {
+      throw Object.assign(
+        new Error(`Framework profile "${profileId}" is extended by: ${dependents.join(', ')}`),
+        { status: 409 }
+      );
+    }
+
+    fs.unlinkSync(entry.file);
+    this.profiles.delete(profileId);
+
+    logger.info(`Framework profile "${profileId}" deleted`);
+    return true;
+  }
+
+  /**
+   * Make sure `extends` resolves, with `profile` taking the place of any
+   * stored definition of the same id (so updates cannot introduce cycles)
+   */
+  checkInheritance(profile) {
+    const previous = this.profiles.get(profile.id);
+    this.profiles.set(profile.id, { profile, file: previous?.file });
+
+    try {
+      this.resolveProfile(profile);
+    } catch (error) {
+      throw Object.assign(new Error(`Invalid profile: ${error.message}`), { status: 400 });
+    } finally {
+      if (previous) {
+        this.profiles.set(profile.id, previous);
+      } else {
+        this.profiles.delete(profile.id);
+      }
+    }
+  }
+
+  writeProfile(profile, filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const ext = path.extname(filePath).toLowerCase();
+    const content = ext === '.json' ? JSON.stringify(profile, null, 2) + '\n' : yaml.dump(profile);
+    fs.writeFileSync(filePath, content);
+  }
+}
+
+// Export singleton instance
+export const frameworkProfileService = new FrameworkProfileService();
+export default frameworkProfileService;
@@ -1,9 +1,21 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { logger } from '../utils/logger.js';
+import { llmGateway, isFatalLLMError } from './llmGateway.js';
+import { usageLedgerService } from './usageLedgerService.js';
+import { structuredOutput } from './structuredOutput.js';
 import { getConfluenceService } from './confluenceService.js';
 import patternLearningService from './patternLearningService.js';
 import preconditionTransformer from './preconditionTransformer.js';
 
+function geminiUsage(result) {
+  const usage = result.response?.usageMetadata || {};
+  return {
+    promptTokens: usage.promptTokenCount || 0,
+    completionTokens: usage.candidatesTokenCount || 0,
+    totalTokens: usage.totalTokenCount || 0
+  };
+}
+
 export class GeminiService {
   constructor() {
     // Support both direct API key and Google Application Credentials
@@ -86,8 +98,8 @@ export class GeminiService {
       }
     }
     
-    if (!this.model) {
-      logger.warn('Gemini API not configured, returning comprehensive mock test cases');
+    if (!llmGateway.isAvailable('generate-cases')) {
+      logger.warn('No LLM provider configured, returning comprehensive mock test cases');
       logger.warn('API Key status:', this.apiKey ? 'Present' : 'Missing - Please set GEMINI_API_KEY in .env file');
       logger.warn('Model status:', this.currentModel);
       logger.warn('To get a Gemini API key, visit: https://makersuite.google.com/app/apikey');
@@ -96,20 +108,27 @@ export class GeminiService {
     }
 
     const prompt = this.buildTestCasePrompt(ticket, options);
-    logger.info('Generating tests with Gemini API for ticket:', ticket.key);
+    logger.info('Generating tests for ticket:', ticket.key);
     
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      logger.info('Gemini API response received, parsing test cases');
-      logger.info(`Gemini raw response length: ${text.length} chars`);
-      logger.info(`Gemini raw response preview: ${text.substring(0, 500)}`);
-      const parsed = this.parseTestCases(text);
+      // The selected Gemini model goes first; the generate-cases route covers outages
+      const { data, response } = await structuredOutput.complete({
+        schema: 'test-cases',
+        task: 'generate-cases',
+        userPrompt: prompt,
+        temperature: 0.7,
+        maxTokens: 8192,
+        provider: this.model ? `gemini:${this.currentModel}` : null
+      });
+      logger.info(`${response.provider} response received (${response.content.length} chars), normalizing test cases`);
+      const parsed = this.parseTestCases(data);
       // Extract testCases array from the parsed result
       return parsed.testCases || [];
     } catch (error) {
-      logger.error('Gemini API error:', error);
+      if (isFatalLLMError(error)) {
+        throw error;
+      }
+      logger.error('Test case generation error:', error);
       logger.warn('Falling back to fallback test cases due to API error');
       const mockResult = this.generateMockTestCases(ticket, options);
       // The mock result includes the full test count and non-functional tests
@@ -124,7 +143,11 @@ export class GeminiService {
   async generate(prompt) {
     try {
       logger.info('Generating content with direct prompt');
-      const result = await this.model.generateContent(prompt);
+      const result = await usageLedgerService.track(
+        { task: 'generate', provider: 'gemini', model: this.currentModel },
+        () => this.model.generateContent(prompt),
+        geminiUsage
+      );
       const response = await result.response;
       const text = response.text();
       return text;
@@ -905,100 +928,40 @@ Format your response as a JSON array of test case objects. Example format:
 ]`;
   }
 
-  parseTestCases(text) {
-    try {
-      let result;
-
-      // First try to find JSON array in the text
-      const jsonMatch = text.match(/```json\s*([\s\S]*?)```/);
-      if (jsonMatch) {
-        const jsonContent = jsonMatch[1].trim();
-        logger.info(`Attempting to parse JSON content, length: ${jsonContent.length}`);
-        logger.info(`JSON content preview: ${jsonContent.substring(0, 50)}`);
-        const parsed = JSON.parse(jsonContent);
-
-        // Convert the format to match what frontend expects
-        if (Array.isArray(parsed)) {
-          result = {
-            testCases: parsed.map(tc => ({
-              title: tc.Title || tc.title || tc.name || 'Test Case',
-              objective: tc.Description || tc.description || tc.objective || '',
-              preconditions: Array.isArray(tc.Preconditions)
-                ? tc.Preconditions
-                : (tc.Preconditions || tc.preconditions || '').split(';').filter(p => p.trim()),
-              steps: this.convertStepsFormat(tc.Steps || tc.steps),
-              expectedResult: tc['Expected Result'] || tc.expectedResult || tc.expected_result || '',
-              priority: tc.Priority || tc.priority || 'Medium',
-              testType: tc.testType || tc.test_type || 'functional',
-              testData: tc['Test Data'] || tc.testData || tc.test_data,
-              // Non-functional test specific fields
-              metrics: tc.metrics,
-              securityChecks: tc.securityChecks || tc.security_checks,
-              accessibilityChecks: tc.accessibilityChecks || tc.accessibility_checks,
-              wcagLevel: tc.wcagLevel || tc.wcag_level
-            }))
-          };
-        } else if (parsed.testCases) {
-          // Handle response with testCases property
-          result = parsed;
-        } else {
-          result = { testCases: [parsed] };
-        }
-      } else {
-        // Try direct JSON parse
-        const parsed = JSON.parse(text);
-        if (parsed.testCases) {
-          result = parsed;
-        } else if (Array.isArray(parsed)) {
-          result = { testCases: parsed };
-        } else {
-          result = { testCases: [parsed] };
-        }
-      }
-
-      // Transform preconditions into test steps
-      if (result.testCases && Array.isArray(result.testCases)) {
-        result.testCases = preconditionTransformer.processTestCases(result.testCases);
-        logger.info('Transformed preconditions into test steps for all test cases');
-      }
-
-      return result;
-    } catch (error) {
-      logger.error('Failed to parse Gemini response, using fallback:', error.message);
-      logger.error('Parse error details:', error.stack);
-      logger.error('Text that failed to parse (first 500 chars):', text.substring(0, 500));
-
-      // Try to extract JSON directly if it's there without markdown
-      try {
-        const cleanText = text.replace(/```json\s*/g, '').replace(/```/g, '').trim();
-        const parsed = JSON.parse(cleanText);
-        if (Array.isArray(parsed)) {
-          return { testCases: parsed };
-        } else if (parsed.testCases) {
-          return parsed;
-        }
-      } catch (e) {
-        logger.error('Secondary parse attempt also failed:', e.message);
-      }
-      // Fallback to simple format
-      const fallbackResult = {
-        testCases: [{
-          title: 'Generated Test Case',
-          objective: 'AI-generated test case',
-          preconditions: ['System is accessible'],
-          steps: [
-            { action: 'Perform test action', expectedResult: 'Expected outcome' }
-          ],
-          expectedResult: 'Test passes successfully',
-          priority: 'Medium'
-        }]
-      };
+  /**
+   * Normalize schema-validated test cases (an array, or { testCases }) to the
+   * format the frontend expects
+   */
+  parseTestCases(parsed) {
+    const testCases = Array.isArray(parsed) ? parsed : parsed.testCases;
+    const result = {
+      ...(Array.isArray(parsed) ? {} : parsed),
+      testCases: testCases.map(tc => ({
+        title: tc.Title || tc.title || tc.name || 'Test Case',
+        objective: tc.Description || tc.description || tc.objective || '',
+        preconditions: Array.isArray(tc.Preconditions)
+          ? tc.Preconditions
+          : Array.isArray(tc.preconditions)
+            ? tc.preconditions
+            : (tc.Preconditions || tc.preconditions || '').split(';').filter(p => p.trim()),
+        steps: this.convertStepsFormat(tc.Steps || tc.steps),
+        expectedResult: tc['Expected Result'] || tc.expectedResult || tc.expected_result || '',
+        priority: tc.Priority || tc.priority || 'Medium',
+        testType: tc.testType || tc.test_type || 'functional',
+        testData: tc['Test Data'] || tc.testData || tc.test_data,
+        // Non-functional test specific fields
+        metrics: tc.metrics,
+        securityChecks: tc.securityChecks || tc.security_checks,
+        accessibilityChecks: tc.accessibilityChecks || tc.accessibility_checks,
+        wcagLevel: tc.wcagLevel || tc.wcag_level
+      }))
+    };
 
-      // Transform preconditions even for fallback
-      fallbackResult.testCases = preconditionTransformer.processTestCases(fallbackResult.testCases);
+    // Transform preconditions into test steps
+    result.testCases = preconditionTransformer.processTestCases(result.testCases);
+    logger.info('Transformed preconditions into test steps for all test cases');
 
-      return fallbackResult;
-    }
+    return result;
   }
 
   convertStepsFormat(steps) {
@@ -2462,7 +2425,11 @@ Return a JSON object with:
 - recommendation: string`;
 
     try {
-      const result = await this.model.generateContent(prompt);
+      const result = await usageLedgerService.track(
+        { task: 'analyze-duplicate', provider: 'gemini', model: this.currentModel },
+        () => this.model.generateContent(prompt),
+        geminiUsage
+      );
       const response = await result.response;
       const text = response.text();
       return JSON.parse(text);
@@ -2481,11 +2448,11 @@ Return a JSON object with:
    * Generate automation code using Gemini AI
    */
   async generateAutomationCode(prompt, options = {}) {
-    if (!this.model) {
-      logger.warn('Gemini API not configured for automation generation');
+    if (!llmGateway.isAvailable('generate-code')) {
+      logger.warn('No LLM provider configured for automation generation');
       // Return a basic structure
       return {
-        code: '// Gemini API not configured',
+        code: '// No LLM provider configured',
         className: 'GeneratedTest',
         packageName: 'com.example.tests',
         fileName: 'GeneratedTest.java'
@@ -2536,9 +2503,13 @@ Include all necessary imports.
 Do not wrap the code in markdown code blocks.
 Start directly with the package declaration.`;
 
-      const result = await this.model.generateContent(enhancedPrompt);
-      const response = await result.response;
-      const generatedCode = response.text();
+      const response = await llmGateway.complete({
+        task: 'generate-code',
+        userPrompt: enhancedPrompt,
+        maxTokens: 8192,
+        provider: this.model ? `gemini:${this.currentModel}` : null
+      });
+      const generatedCode = response.content;
       
       // Clean up the generated code
       let cleanedCode = generatedCode;
@@ -2563,11 +2534,13 @@ Start directly with the package declaration.`;
         className,
         packageName,
         fileName: `${className}.java`,
-        usedGemini: true,
+        usedGemini: response.provider === 'gemini',
+        provider: response.provider,
+        model: response.model,
         elementPatternsUsed: options.elementPatterns ? true : false
       };
     } catch (error) {
-      logger.error('Error generating automation code with Gemini:', error);
+      logger.error('Error generating automation code:', error);
       throw error;
     }
   }
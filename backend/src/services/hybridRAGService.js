@@ -12,14 +12,17 @@
  * 4. Combined context sent to AI for generation
  */
 
-import { ChromaClient } from 'chromadb';
+import { createVectorStore } from './vectorStore.js';
+import { openCollection } from './embeddingService.js';
+import { screenGraphService } from './screenGraphService.js';
+import { javaSymbolTableService } from './javaSymbolTableService.js';
 import { logger } from '../utils/logger.js';
 import fs from 'fs/promises';
 import path from 'path';
 
 class HybridRAGService {
   constructor() {
-    this.chromaClient = null;
+    this.vectorStore = null;
     this.collections = {
       pageObjects: null,
       properties: null,
@@ -28,38 +31,20 @@ class HybridRAGService {
     };
     this.isInitialized = false;
     this.repositoryPath = null;
+    this.graphLearningSession = null;
   }
 
   /**
-   * Initialize connection to ChromaDB
+   * Connect to the vector store (ChromaDB, or the embedded SQLite store when
+   * ChromaDB is not running)
    */
-  async initialize(chromaHost = 'http://localhost:8000') {
+  async initialize(chromaHost) {
     try {
-      this.chromaClient = new ChromaClient({ path: chromaHost });
-
-      // Get or create collections
-      this.collections.pageObjects = await this.chromaClient.getOrCreateCollection({
-        name: 'page_objects',
-        metadata: { description: 'Java Page Object classes' }
-      });
-
-      this.collections.properties = await this.chromaClient.getOrCreateCollection({
-        name: 'properties',
-        metadata: { description: 'Element locator properties files' }
-      });
-
-      this.collections.tests = await this.chromaClient.getOrCreateCollection({
-        name: 'test_files',
-        metadata: { description: 'Existing test files for pattern learning' }
-      });
-
-      this.collections.methods = await this.chromaClient.getOrCreateCollection({
-        name: 'methods',
-        metadata: { description: 'Individual methods from Page Objects' }
-      });
+      this.vectorStore = await createVectorStore({ chromaHost });
+      await this.openCollections();
 
       this.isInitialized = true;
-      logger.info('HybridRAGService initialized with ChromaDB');
+      logger.info(`HybridRAGService initialized with ${this.vectorStore.backend}`);
 
       return true;
     } catch (error) {
@@ -69,6 +54,28 @@ class HybridRAGService {
     }
   }
 
+  async openCollections() {
+    this.collections.pageObjects = await openCollection(this.vectorStore, {
+      name: 'page_objects',
+      metadata: { description: 'Java Page Object classes' }
+    });
+
+    this.collections.properties = await openCollection(this.vectorStore, {
+      name: 'properties',
+      metadata: { description: 'Element locator properties files' }
+    });
+
+    this.collections.tests = await openCollection(this.vectorStore, {
+      name: 'test_files',
+      metadata: { description: 'Existing test files for pattern learning' }
+    });
+
+    this.collections.methods = await openCollection(this.vectorStore, {
+      name: 'methods',
+      metadata: { description: 'Individual methods from Page Objects' }
+    });
+  }
+
   /**
    * Index a repository for RAG retrieval
    * Should be called once when user sets up a new repository
@@ -88,15 +95,35 @@ class HybridRAGService {
       methods: 0
     };
 
+    // Screen navigation graph is learned from the same test files
+    this.graphLearningSession = screenGraphService.startLearning();
+
     try {
       // Scan and index all relevant files
       await this.scanAndIndex(repoPath, stats);
 
+      try {
+        const graphStats = await this.graphLearningSession.commit();
+        stats.screenTransitions = graphStats.edges;
+      } catch (error) {
+        logger.warn(`Could not save learned screen graph: ${error.message}`);
+      }
+
+      // Baseline for write-back: patches are refused for files changed after this
+      try {
+        const table = await javaSymbolTableService.recordIndexedFiles(repoPath);
+        stats.indexedFiles = table.files.size;
+      } catch (error) {
+        logger.warn(`Could not store indexed file hashes: ${error.message}`);
+      }
+
       logger.info(`Indexing complete: ${JSON.stringify(stats)}`);
       return { success: true, stats };
     } catch (error) {
       logger.error('Repository indexing failed:', error);
       return { success: false, error: error.message };
+    } finally {
+      this.graphLearningSession = null;
     }
   }
 
@@ -225,6 +252,8 @@ class HybridRAGService {
     const className = this.extractClassName(content);
     if (!className) return;
 
+    this.graphLearningSession?.observeTestFile(content, relativePath);
+
     // Extract test scenario information
     const testMethods = this.extractTestMethods(content);
     const annotations = this.extractAnnotations(content);
@@ -588,6 +617,8 @@ class HybridRAGService {
 
     return {
       initialized: true,
+      vectorStore: this.vectorStore.backend,
+      needsReembed: Object.values(this.collections).filter(c => c?.needsReembed).map(c => c.name),
       pageObjects: await this.collections.pageObjects.count(),
       properties: await this.collections.properties.count(),
       tests: await this.collections.tests.count(),
@@ -601,13 +632,13 @@ class HybridRAGService {
   async clearIndex() {
     if (!this.isInitialized) return;
 
-    await this.chromaClient.deleteCollection({ name: 'page_objects' });
-    await this.chromaClient.deleteCollection({ name: 'properties' });
-    await this.chromaClient.deleteCollection({ name: 'test_files' });
-    await this.chromaClient.deleteCollection({ name: 'methods' });
+    await this.vectorStore.deleteCollection({ name: 'page_objects' });
+    await this.vectorStore.deleteCollection({ name: 'properties' });
+    await this.vectorStore.deleteCollection({ name: 'test_files' });
+    await this.vectorStore.deleteCollection({ name: 'methods' });
 
-    // Recreate collections
-    await this.initialize();
+    // Recreate collections on the same backend
+    await this.openCollections();
 
     logger.info('Index cleared');
   }
@@ -12,29 +12,29 @@
  * 4. If no match exists, generates new method with element locator
  */
 
-import { getOpenRouterService } from './openrouterService.js';
+import { llmGateway, isFatalLLMError } from './llmGateway.js';
+import { structuredOutput } from './structuredOutput.js';
 import { hybridRAGService } from './hybridRAGService.js';
 import { actionKnowledgeBaseService } from './actionKnowledgeBaseService.js';
 import { logger } from '../utils/logger.js';
 
 class IntelligentMethodSelector {
   constructor() {
-    this.openRouterService = null;
+    this.llm = null;
     this.isInitialized = false;
-    // Use a smarter model for intelligent selection - requires better reasoning
-    this.selectionModel = 'anthropic/claude-sonnet-4';
   }
 
   async initialize() {
-    this.openRouterService = getOpenRouterService();
+    this.llm = llmGateway;
 
-    if (!this.openRouterService?.isConfigured()) {
-      logger.warn('IntelligentMethodSelector: OpenRouter not configured');
+    if (!this.llm.isAvailable('select-method')) {
+      logger.warn('IntelligentMethodSelector: no LLM provider configured for select-method');
       return false;
     }
 
     this.isInitialized = true;
-    logger.info(`IntelligentMethodSelector initialized, using model: ${this.selectionModel} for intelligent selection`);
+    const [primary] = this.llm.getRoute('select-method');
+    logger.info(`IntelligentMethodSelector initialized, using model: ${primary.provider}:${primary.model} for intelligent selection`);
     return true;
   }
 
@@ -66,22 +66,25 @@ class IntelligentMethodSelector {
     const prompt = this.buildSelectionPrompt(step, candidates, context);
 
     try {
-      const response = await this.openRouterService.chat({
-        systemPrompt: this.getSystemPrompt(platform),
-        userPrompt: prompt,
-        temperature: 0.1,
-        maxTokens: 800,
-        model: this.selectionModel
-      });
-
-      if (!response?.content) {
-        logger.warn('[IntelligentSelector] Empty LLM response');
-        return { found: false, reason: 'Empty LLM response' };
+      let selection;
+      try {
+        const { data } = await structuredOutput.complete({
+          schema: 'method-selection',
+          task: 'select-method',
+          systemPrompt: this.getSystemPrompt(platform),
+          userPrompt: prompt,
+          temperature: 0.1,
+          maxTokens: 800
+        });
+        selection = this.parseSelectionResponse(data, candidates);
+      } catch (error) {
+        if (error.code !== 'LLM_INVALID_OUTPUT') {
+          throw error;
+        }
+        // Still invalid after repair - look for a candidate named in the text
+        selection = this.simpleParse(error.content || '', candidates);
       }
 
-      // Parse the LLM's selection
-      const selection = this.parseSelectionResponse(response.content, candidates);
-
       if (selection.found) {
         logger.info(`[IntelligentSelector] Selected: ${selection.methodName} (confidence: ${selection.confidence})`);
 
@@ -106,6 +109,9 @@ class IntelligentMethodSelector {
       return { found: false, reason: selection.reason };
 
     } catch (error) {
+      if (isFatalLLMError(error)) {
+        throw error;
+      }
       logger.error(`[IntelligentSelector] Selection failed: ${error.message}`);
       return { found: false, reason: error.message };
     }
@@ -267,119 +273,101 @@ Select the best method(s) to implement this test step. If none are suitable, res
   }
 
   /**
-   * Parse the LLM's selection response
+   * Map a schema-validated selection onto the candidates
    */
-  parseSelectionResponse(content, candidates) {
-    try {
-      // Extract JSON from response (handle markdown code blocks)
-      let jsonStr = content;
-      const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1];
-      }
-
-      const parsed = JSON.parse(jsonStr.trim());
-
-      if (parsed.decision === 'CREATE_NEW') {
-        return {
-          found: false,
-          needsNewMethod: true,
-          reasoning: parsed.reasoning
-        };
-      }
-
-      if (parsed.decision === 'SELECT' && parsed.selectedMethods?.length > 0) {
-        const selected = parsed.selectedMethods[0];
-
-        // Verify the method exists in candidates
-        let matchedCandidate = candidates.find(
-          c => c.methodName.toLowerCase() === selected.methodName.toLowerCase()
-        );
-
-        if (matchedCandidate) {
-          // Log candidate structure for debugging composite action issues
-          logger.info(`[IntelligentSelector] Matched candidate: ${matchedCandidate.methodName}, isComposite: ${matchedCandidate.isComposite}, hasSteps: ${!!matchedCandidate.compositeSteps}, stepsCount: ${matchedCandidate.compositeSteps?.length || 0}`);
-
-          // IMPORTANT: If the methodName looks like a composite action name (snake_case with underscores),
-          // check if there's a REAL composite action with that name and use it instead
-          // This handles cases where an atomic action was incorrectly learned with a composite action's name
-          if (!matchedCandidate.isComposite && matchedCandidate.methodName.includes('_')) {
-            // Look for composite action candidate with the same name
-            const compositeCandidate = candidates.find(
-              c => c.isComposite && c.methodName.toLowerCase() === matchedCandidate.methodName.toLowerCase()
-            );
-            if (compositeCandidate) {
-              logger.info(`[IntelligentSelector] Found composite version of ${matchedCandidate.methodName} - using composite instead`);
-              matchedCandidate = compositeCandidate;
-            }
-          }
+  parseSelectionResponse(parsed, candidates) {
+    if (parsed.decision === 'CREATE_NEW') {
+      return {
+        found: false,
+        needsNewMethod: true,
+        reasoning: parsed.reasoning
+      };
+    }
 
-          // If the matched candidate is a composite action, return it with all its steps
-          if (matchedCandidate.isComposite && matchedCandidate.compositeSteps) {
-            logger.info(`[IntelligentSelector] Selected COMPOSITE action: ${matchedCandidate.methodName} with ${matchedCandidate.compositeSteps.length} steps`);
-            return {
-              found: true,
-              methodName: matchedCandidate.methodName,
-              className: matchedCandidate.className,
-              isComposite: true,
-              compositeSteps: matchedCandidate.compositeSteps,
-              confidence: parsed.confidence || 0.9,
-              reasoning: parsed.reasoning,
-              source: 'intelligent_selection_composite'
-            };
+    if (parsed.decision === 'SELECT' && parsed.selectedMethods?.length > 0) {
+      const selected = parsed.selectedMethods[0];
+
+      // Verify the method exists in candidates
+      let matchedCandidate = candidates.find(
+        c => c.methodName.toLowerCase() === selected.methodName.toLowerCase()
+      );
+
+      if (matchedCandidate) {
+        // Log candidate structure for debugging composite action issues
+        logger.info(`[IntelligentSelector] Matched candidate: ${matchedCandidate.methodName}, isComposite: ${matchedCandidate.isComposite}, hasSteps: ${!!matchedCandidate.compositeSteps}, stepsCount: ${matchedCandidate.compositeSteps?.length || 0}`);
+
+        // IMPORTANT: If the methodName looks like a composite action name (snake_case with underscores),
+        // check if there's a REAL composite action with that name and use it instead
+        // This handles cases where an atomic action was incorrectly learned with a composite action's name
+        if (!matchedCandidate.isComposite && matchedCandidate.methodName.includes('_')) {
+          // Look for composite action candidate with the same name
+          const compositeCandidate = candidates.find(
+            c => c.isComposite && c.methodName.toLowerCase() === matchedCandidate.methodName.toLowerCase()
+          );
+          if (compositeCandidate) {
+            logger.info(`[IntelligentSelector] Found composite version of ${matchedCandidate.methodName} - using composite instead`);
+            matchedCandidate = compositeCandidate;
           }
+        }
 
-          const result = {
+        // If the matched candidate is a composite action, return it with all its steps
+        if (matchedCandidate.isComposite && matchedCandidate.compositeSteps) {
+          logger.info(`[IntelligentSelector] Selected COMPOSITE action: ${matchedCandidate.methodName} with ${matchedCandidate.compositeSteps.length} steps`);
+          return {
             found: true,
             methodName: matchedCandidate.methodName,
             className: matchedCandidate.className,
-            file: matchedCandidate.file,
-            parameters: matchedCandidate.parameters,
-            confidence: parsed.confidence || 0.85,
+            isComposite: true,
+            compositeSteps: matchedCandidate.compositeSteps,
+            confidence: parsed.confidence || 0.9,
             reasoning: parsed.reasoning,
-            isComposite: parsed.selectedMethods.length > 1,
-            source: 'intelligent_selection'
+            source: 'intelligent_selection_composite'
           };
-
-          // If LLM selected multiple methods, include them as composite steps
-          if (parsed.selectedMethods.length > 1) {
-            result.compositeSteps = parsed.selectedMethods.map(m => {
-              const candidate = candidates.find(c => c.methodName.toLowerCase() === m.methodName.toLowerCase());
-              return {
-                methodName: m.methodName,
-                className: candidate?.className || m.className || 'BaseScreen',
-                reason: m.reason
-              };
-            });
-            result.isComposite = true;
-            logger.info(`[IntelligentSelector] Composite action: ${result.compositeSteps.map(s => s.methodName).join(' -> ')}`);
-          }
-
-          return result;
         }
 
-        // Method not found in candidates - LLM hallucinated
-        logger.warn(`[IntelligentSelector] LLM selected "${selected.methodName}" but not in candidates`);
-        return {
-          found: false,
-          needsNewMethod: true,
-          reasoning: `Suggested method "${selected.methodName}" not found in codebase`
+        const result = {
+          found: true,
+          methodName: matchedCandidate.methodName,
+          className: matchedCandidate.className,
+          file: matchedCandidate.file,
+          parameters: matchedCandidate.parameters,
+          confidence: parsed.confidence || 0.85,
+          reasoning: parsed.reasoning,
+          isComposite: parsed.selectedMethods.length > 1,
+          source: 'intelligent_selection'
         };
-      }
 
-      return { found: false, reason: 'Invalid LLM response format' };
+        // If LLM selected multiple methods, include them as composite steps
+        if (parsed.selectedMethods.length > 1) {
+          result.compositeSteps = parsed.selectedMethods.map(m => {
+            const candidate = candidates.find(c => c.methodName.toLowerCase() === m.methodName.toLowerCase());
+            return {
+              methodName: m.methodName,
+              className: candidate?.className || m.className || 'BaseScreen',
+              reason: m.reason
+            };
+          });
+          result.isComposite = true;
+          logger.info(`[IntelligentSelector] Composite action: ${result.compositeSteps.map(s => s.methodName).join(' -> ')}`);
+        }
 
-    } catch (error) {
-      logger.warn(`[IntelligentSelector] Failed to parse response: ${error.message}`);
-      logger.debug(`Response was: ${content}`);
+        return result;
+      }
 
-      // Try simple extraction as fallback
-      return this.simpleParse(content, candidates);
+      // Method not found in candidates - LLM hallucinated
+      logger.warn(`[IntelligentSelector] LLM selected "${selected.methodName}" but not in candidates`);
+      return {
+        found: false,
+        needsNewMethod: true,
+        reasoning: `Suggested method "${selected.methodName}" not found in codebase`
+      };
     }
+
+    return { found: false, reason: 'Invalid LLM response format' };
   }
 
   /**
-   * Simple fallback parser for non-JSON responses
+   * Fallback for a response that stayed invalid after repair
    */
   simpleParse(content, candidates) {
     const contentLower = content.toLowerCase();
@@ -449,43 +437,39 @@ Respond with JSON:
 }`;
 
     try {
-      const response = await this.openRouterService.chat({
+      const { data } = await structuredOutput.complete({
+        schema: 'new-method',
+        task: 'create-method',
         systemPrompt: `You are a test automation expert. Generate clean, maintainable method definitions.
 Follow naming conventions: camelCase for methods, UPPER_SNAKE for constants.
 For CTV apps, use scroll patterns for focus before select.`,
         userPrompt: prompt,
         temperature: 0.2,
-        maxTokens: 600,
-        model: this.selectionModel
+        maxTokens: 600
       });
 
-      if (!response?.content) {
-        return this.fallbackNewMethod(step, screenClass, methodName, locatorSuggestion);
-      }
-
-      const newMethod = this.parseNewMethodResponse(response.content, screenClass);
+      const newMethod = this.parseNewMethodResponse(data, screenClass);
 
-      if (newMethod) {
-        // Store this new method for future use
-        await this.storeNewMethod(newMethod, step, context);
+      // Store this new method for future use
+      await this.storeNewMethod(newMethod, step, context);
 
-        return {
-          found: true,
-          isNewMethod: true,
-          methodName: newMethod.methodName,
-          className: newMethod.className,
-          methodSignature: newMethod.methodSignature,
-          implementation: newMethod.implementation,
-          elementLocator: newMethod.elementLocator,
-          confidence: 0.9,
-          source: 'generated_new',
-          reasoning: newMethod.reasoning
-        };
-      }
-
-      return this.fallbackNewMethod(step, screenClass, methodName, locatorSuggestion);
+      return {
+        found: true,
+        isNewMethod: true,
+        methodName: newMethod.methodName,
+        className: newMethod.className,
+        methodSignature: newMethod.methodSignature,
+        implementation: newMethod.implementation,
+        elementLocator: newMethod.elementLocator,
+        confidence: 0.9,
+        source: 'generated_new',
+        reasoning: newMethod.reasoning
+      };
 
     } catch (error) {
+      if (isFatalLLMError(error)) {
+        throw error;
+      }
       logger.error(`[IntelligentSelector] Method generation failed: ${error.message}`);
       return this.fallbackNewMethod(step, screenClass, methodName, locatorSuggestion);
     }
@@ -512,28 +496,15 @@ For CTV apps, use scroll patterns for focus before select.`,
   /**
    * Parse new method response from LLM
    */
-  parseNewMethodResponse(content, defaultClass) {
-    try {
-      let jsonStr = content;
-      const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1];
-      }
-
-      const parsed = JSON.parse(jsonStr.trim());
-
-      return {
-        methodName: parsed.methodName,
-        className: parsed.className || defaultClass,
-        methodSignature: parsed.methodSignature,
-        implementation: parsed.implementation,
-        elementLocator: parsed.elementLocator,
-        reasoning: parsed.reasoning
-      };
-    } catch (error) {
-      logger.debug(`Failed to parse new method response: ${error.message}`);
-      return null;
-    }
+  parseNewMethodResponse(parsed, defaultClass) {
+    return {
+      methodName: parsed.methodName,
+      className: parsed.className || defaultClass,
+      methodSignature: parsed.methodSignature,
+      implementation: parsed.implementation,
+      elementLocator: parsed.elementLocator,
+      reasoning: parsed.reasoning
+    };
   }
 
   /**
@@ -0,0 +1,326 @@
+/**
+ * Java Symbol Table Service
+ *
+ * Builds a symbol table (classes → methods → signatures) of a Java test
+ * repository from the Tree-sitter analysis in CodebaseIndexService, so
+ * generated code can be checked against what actually exists:
+ * - Resolves methods through the superclass chain
+ * - Matches overloads by arity (varargs aware)
+ * - Suggests the nearest existing class/method name for typos
+ *
+ * Tables are cached per repository; pass `refresh` to rebuild after the
+ * repository changed. When a repository is indexed, the content hash of every
+ * file is stored so callers can tell whether a file changed since then.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import codebaseIndexService from './codebaseIndexService.js';
+import { IndexedFile } from '../models/indexedFile.js';
+import { sequelize } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+
+class JavaSymbolTableService {
+  constructor() {
+    this.tables = new Map(); // repoPath → symbol table
+  }
+
+  /**
+   * Get (or build) the symbol table of a repository
+   *
+   * @param {string} repoPath - Repository root
+   * @param {Object} options - { refresh: rebuild even if cached }
+   * @returns {Object} { repoPath, builtAt, classes: Map, packages: Set,
+   *   files: Map (path → content hash), propertiesFiles: string[] }
+   */
+  async getSymbolTable(repoPath, { refresh = false } = {}) {
+    if (!refresh && this.tables.has(repoPath)) {
+      return this.tables.get(repoPath);
+    }
+
+    const table = await this.buildSymbolTable(repoPath);
+    this.tables.set(repoPath, table);
+    return table;
+  }
+
+  async buildSymbolTable(repoPath) {
+    const startTime = Date.now();
+    const files = await codebaseIndexService.findJavaFiles(repoPath);
+    const table = {
+      repoPath,
+      builtAt: new Date().toISOString(),
+      classes: new Map(),
+      packages: new Set(),
+      files: new Map(),
+      propertiesFiles: await this.findPropertiesFiles(repoPath)
+    };
+
+    for (const file of table.propertiesFiles) {
+      try {
+        table.files.set(file, this.hashContent(await fs.readFile(file, 'utf-8')));
+      } catch (error) {
+        logger.debug(`Could not read ${file}: ${error.message}`);
+      }
+    }
+
+    for (const file of files) {
+      try {
+        const content = await fs.readFile(file, 'utf-8');
+        table.files.set(file, this.hashContent(content));
+        const analysis = codebaseIndexService.analyzeJavaFile(codebaseIndexService.parseJava(content), content, file);
+        if (analysis.className) {
+          this.addClass(table, analysis);
+        }
+      } catch (error) {
+        logger.debug(`Could not analyze ${file}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Symbol table for ${repoPath}: ${table.classes.size} classes from ${files.length} files in ${Date.now() - startTime}ms`);
+    return table;
+  }
+
+  /**
+   * Find .properties files (locator/property files of the framework)
+   */
+  async findPropertiesFiles(dirPath, files = []) {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!['node_modules', '.git', 'target', 'build', '.idea'].includes(entry.name)) {
+          await this.findPropertiesFiles(fullPath, files);
+        }
+      } else if (entry.name.endsWith('.properties')) {
+        files.push(fullPath);
+      }
+    }
+
+    return files;
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  /**
+   * Rebuild the table of a repository that was just indexed and store its
+   * file hashes, replacing those of the previous indexing run
+   *
+   * @returns {Object} The rebuilt symbol table
+   */
+  async recordIndexedFiles(repoPath) {
+    const table = await this.getSymbolTable(repoPath, { refresh: true });
+    const key = path.resolve(repoPath);
+    const indexedAt = new Date(table.builtAt);
+    const records = [...table.files].map(([filePath, hash]) => ({ repoPath: key, filePath, hash, indexedAt }));
+
+    await sequelize.transaction(async (transaction) => {
+      await IndexedFile.destroy({ where: { repoPath: key }, transaction });
+      await IndexedFile.bulkCreate(records, { transaction });
+    });
+
+    logger.info(`Stored hashes of ${records.length} indexed files for ${repoPath}`);
+    return table;
+  }
+
+  /**
+   * File hashes stored when the repository was last indexed
+   *
+   * @returns {Object|null} { indexedAt, files: Map (path → content hash) },
+   *   null if the repository was never indexed
+   */
+  async getIndexedFiles(repoPath) {
+    const rows = await IndexedFile.findAll({ where: { repoPath: path.resolve(repoPath) }, raw: true });
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      indexedAt: rows[0].indexedAt,
+      files: new Map(rows.map(row => [row.filePath, row.hash]))
+    };
+  }
+
+  /**
+   * Repository indexed most recently (null if none was)
+   */
+  async getLastIndexedRepository() {
+    const row = await IndexedFile.findOne({ attributes: ['repoPath'], order: [['indexedAt', 'DESC']], raw: true });
+    return row?.repoPath || null;
+  }
+
+  /**
+   * Files that were modified or deleted since the repository was indexed
+   *
+   * @param {Map} indexedFiles - Path → content hash (getIndexedFiles)
+   * @param {string[]} filePaths - Absolute paths to check
+   * @returns {string[]} Changed paths
+   */
+  async findChangedFiles(indexedFiles, filePaths) {
+    const changed = [];
+
+    for (const filePath of filePaths) {
+      try {
+        const content = await fs.readFile(filePath, 'utf-8');
+        if (this.hashContent(content) !== indexedFiles.get(filePath)) {
+          changed.push(filePath);
+        }
+      } catch {
+        changed.push(filePath);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Add an analyzed class. Classes sharing a simple name in different
+   * packages are merged, so a call valid for either is accepted.
+   */
+  addClass(table, analysis) {
+    if (analysis.packageName) {
+      table.packages.add(analysis.packageName);
+    }
+
+    const entry = table.classes.get(analysis.className) || {
+      name: analysis.className,
+      packageName: analysis.packageName,
+      filePath: analysis.filePath,
+      superclass: analysis.superclass,
+      methods: new Map()
+    };
+
+    for (const method of analysis.methods) {
+      if (!method.name) continue;
+
+      const overloads = entry.methods.get(method.name) || [];
+      overloads.push({
+        name: method.name,
+        returnType: method.returnType,
+        parameters: method.parameters,
+        signature: method.signature
+      });
+      entry.methods.set(method.name, overloads);
+    }
+
+    table.classes.set(analysis.className, entry);
+  }
+
+  /**
+   * Find a method on a class or its superclasses
+   *
+   * @returns {Object} { overloads, complete } - complete is false when the
+   *   superclass chain leaves the repository (e.g. a library base class),
+   *   in which case a missing method cannot be reported with certainty
+   */
+  findMethod(table, className, methodName) {
+    const seen = new Set();
+    let current = className;
+
+    while (current && !seen.has(current)) {
+      seen.add(current);
+      const entry = table.classes.get(current);
+      if (!entry) {
+        return { overloads: [], complete: false };
+      }
+
+      const overloads = entry.methods.get(methodName);
+      if (overloads) {
+        return { overloads, complete: true };
+      }
+      current = entry.superclass;
+    }
+
+    return { overloads: [], complete: true };
+  }
+
+  /**
+   * All method names available on a class (including superclasses)
+   */
+  getMethodNames(table, className) {
+    const names = new Set();
+    const seen = new Set();
+    let current = className;
+
+    while (current && !seen.has(current) && table.classes.has(current)) {
+      seen.add(current);
+      const entry = table.classes.get(current);
+      entry.methods.forEach((_, name) => names.add(name));
+      current = entry.superclass;
+    }
+
+    return [...names];
+  }
+
+  /**
+   * Check whether a call with `argCount` arguments matches an overload
+   */
+  matchesArity(overload, argCount) {
+    const params = overload.parameters || [];
+    if (params.some(p => p.varargs)) {
+      return argCount >= params.length - 1;
+    }
+    return params.length === argCount;
+  }
+
+  /**
+   * Nearest candidate by edit distance (null if nothing is reasonably close)
+   */
+  suggest(name, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+      const distance = this.editDistance(name.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    const maxDistance = Math.max(2, Math.floor(name.length * 0.3));
+    return bestDistance <= maxDistance ? best : null;
+  }
+
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Compact description of a table for API responses
+   */
+  summarize(table) {
+    let methods = 0;
+    table.classes.forEach(entry => { methods += entry.methods.size; });
+
+    return {
+      repoPath: table.repoPath,
+      builtAt: table.builtAt,
+      classes: table.classes.size,
+      methods,
+      files: table.files.size
+    };
+  }
+}
+
+// Export singleton instance
+export const javaSymbolTableService = new JavaSymbolTableService();
+export default javaSymbolTableService;
@@ -493,6 +493,27 @@ export class JiraService {
     }
   }
 
+  async getVersionIssues(projectKey, fixVersion, maxResults = 200) {
+    try {
+      const jql = `project = "${projectKey}" AND fixVersion = "${String(fixVersion).replace(/"/g, '\\"')}" ORDER BY key ASC`;
+      const issues = await this.searchIssues(jql, maxResults);
+      
+      return issues.map(issue => ({
+        key: issue.key,
+        summary: issue.fields.summary,
+        description: issue.fields.description,
+        type: issue.fields.issuetype?.name,
+        status: issue.fields.status?.name,
+        priority: issue.fields.priority?.name,
+        assignee: issue.fields.assignee?.displayName,
+        acceptanceCriteria: issue.fields.customfield_10001 || issue.fields.customfield_10004
+      }));
+    } catch (error) {
+      logger.error(`Failed to get issues for ${projectKey} fixVersion ${fixVersion}`);
+      throw error;
+    }
+  }
+
   async getIssue(issueKey) {
     // Real JIRA only
 
@@ -714,6 +735,74 @@ export class JiraService {
     }
   }
 
+  /**
+   * Drop cached reads of an issue after writing to it
+   */
+  invalidateIssue(issueKey) {
+    this.cache.keys()
+      .filter(key => key.startsWith(`GET:/rest/api/2/issue/${issueKey}`))
+      .forEach(key => this.cache.del(key));
+  }
+
+  /**
+   * Add a comment (Jira wiki markup) to an issue
+   */
+  async addComment(issueKey, body) {
+    logger.info(`Adding comment to ${issueKey}`);
+    const comment = await this.makeRequest(`/rest/api/2/issue/${issueKey}/comment`, 'POST', { body });
+    this.invalidateIssue(issueKey);
+    return comment;
+  }
+
+  /**
+   * Add or update a remote link. Links with the same globalId are updated
+   * in place, so repeating a write-back does not duplicate them.
+   */
+  async addRemoteLink(issueKey, { url, title, summary = null, globalId = null, iconUrl = null }) {
+    logger.info(`Adding remote link ${url} to ${issueKey}`);
+    return await this.makeRequest(`/rest/api/2/issue/${issueKey}/remotelink`, 'POST', {
+      ...(globalId && { globalId }),
+      application: { type: 'qa-copilot', name: 'QA Copilot' },
+      object: {
+        url,
+        title,
+        ...(summary && { summary }),
+        ...(iconUrl && { icon: { url16x16: iconUrl, title: 'QA Copilot' } })
+      }
+    });
+  }
+
+  /**
+   * Add labels to an issue (existing labels are kept)
+   */
+  async addLabels(issueKey, labels) {
+    logger.info(`Adding labels ${labels.join(', ')} to ${issueKey}`);
+    await this.makeRequest(`/rest/api/2/issue/${issueKey}`, 'PUT', {
+      update: { labels: labels.map(label => ({ add: label })) }
+    });
+    this.invalidateIssue(issueKey);
+    return { success: true, issueKey, labels };
+  }
+
+  /**
+   * Transitions available from the issue's current status
+   */
+  async getTransitions(issueKey) {
+    // Always fresh: the available transitions change with the status
+    this.cache.del(`GET:/rest/api/2/issue/${issueKey}/transitions`);
+    const data = await this.makeRequest(`/rest/api/2/issue/${issueKey}/transitions`);
+    return (data.transitions || []).map(t => ({ id: t.id, name: t.name, to: t.to?.name || null }));
+  }
+
+  async transitionIssue(issueKey, transitionId) {
+    logger.info(`Transitioning ${issueKey} with transition ${transitionId}`);
+    await this.makeRequest(`/rest/api/2/issue/${issueKey}/transitions`, 'POST', {
+      transition: { id: String(transitionId) }
+    });
+    this.invalidateIssue(issueKey);
+    return { success: true, issueKey, transitionId };
+  }
+
   async getBoards(projectKeyOrId = null, maxResults = 50) {
     try {
       let url = `/rest/agile/1.0/board?maxResults=${maxResults}`;
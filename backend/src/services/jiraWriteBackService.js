@@ -0,0 +1,314 @@
+/**
+ * Jira Write-Back Service
+ *
+ * Reports a workflow's output on its source ticket: a comment summarizing the
+ * generated cases with their TestRail links, remote links to the generated
+ * test files and branches, a coverage label and an optional transition.
+ *
+ * Nothing is written until apply() is called for a workflow; preview() shows
+ * exactly what would be written. Remote links carry a stable globalId and the
+ * label is only added when missing, but comments are not idempotent, so a
+ * second apply() for the same workflow needs force.
+ */
+
+import path from 'path';
+import simpleGit from 'simple-git';
+import { JiraService } from './jiraService.js';
+import workflowOrchestrator from './workflowOrchestrator.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_LABEL = 'qa-copilot-covered';
+
+class JiraWriteBackService {
+  /**
+   * Environment-configured Jira (as used by the workflow), else the
+   * configuration sent with the request
+   */
+  async getJiraService(config = null) {
+    if (workflowOrchestrator.jiraService?.baseURL) {
+      return workflowOrchestrator.jiraService;
+    }
+    if (config) {
+      return await JiraService.createWithConfig(config);
+    }
+    throw Object.assign(new Error('JIRA not configured. Please set JIRA_HOST, JIRA_EMAIL, and JIRA_API_TOKEN'), { status: 400 });
+  }
+
+  /**
+   * Fill in defaults: comment and links on, label from JIRA_WRITEBACK_LABEL
+   * (qa-copilot-covered), transition from JIRA_WRITEBACK_TRANSITION (none).
+   * Pass label/transition as false to skip them.
+   */
+  resolveOptions(options = {}) {
+    return {
+      comment: options.comment !== false,
+      remoteLinks: options.remoteLinks !== false,
+      label: options.label === undefined ? (process.env.JIRA_WRITEBACK_LABEL || DEFAULT_LABEL) : (options.label || null),
+      transition: options.transition === undefined ? (process.env.JIRA_WRITEBACK_TRANSITION || null) : (options.transition || null)
+    };
+  }
+
+  /**
+   * Show what apply() would write, without writing
+   *
+   * @param {string} workflowId - Workflow whose output is reported
+   * @param {Object} options - { comment, remoteLinks, label, transition }
+   * @param {Object} jiraConfig - Jira configuration from the request, if any
+   * @returns {Object} { ticketKey, options, actions, availableTransitions, warnings }
+   */
+  async preview(workflowId, options = {}, jiraConfig = null) {
+    const workflow = await workflowOrchestrator.loadWorkflow(workflowId);
+    const jira = await this.getJiraService(jiraConfig);
+    const resolved = this.resolveOptions(options);
+    const plan = await this.buildPlan(workflow, resolved, jira);
+
+    return {
+      ...plan,
+      options: resolved,
+      alreadyApplied: !!workflow.jiraWriteBack?.appliedAt
+    };
+  }
+
+  /**
+   * Write the planned comment, links, label and transition to the ticket
+   *
+   * @param {string} workflowId - Workflow whose output is reported
+   * @param {Object} options - As for preview, plus force to write again after an earlier apply
+   * @param {Object} jiraConfig - Jira configuration from the request, if any
+   * @returns {Object} { ticketKey, results[{ type, status, detail, error }], warnings }
+   */
+  async apply(workflowId, { force = false, ...options } = {}, jiraConfig = null) {
+    const workflow = await workflowOrchestrator.loadWorkflow(workflowId);
+
+    if (workflow.jiraWriteBack?.appliedAt && !force) {
+      throw Object.assign(new Error(`Already written back to ${workflow.jiraWriteBack.ticketKey} at ${new Date(workflow.jiraWriteBack.appliedAt).toISOString()}; pass force to write again`), { status: 409 });
+    }
+
+    const jira = await this.getJiraService(jiraConfig);
+    const resolved = this.resolveOptions(options);
+    const { ticketKey, actions, warnings } = await this.buildPlan(workflow, resolved, jira);
+
+    if (actions.length === 0) {
+      throw Object.assign(new Error('Nothing to write back with these options'), { status: 400 });
+    }
+
+    // One failed action does not stop the others
+    const results = [];
+    for (const action of actions) {
+      try {
+        await this.execute(jira, ticketKey, action);
+        results.push({ type: action.type, status: 'done', detail: this.describe(action) });
+      } catch (error) {
+        logger.error(`Jira write-back ${action.type} on ${ticketKey} failed: ${error.message}`);
+        results.push({ type: action.type, status: 'failed', detail: this.describe(action), error: error.response?.data?.errorMessages?.join(', ') || error.message });
+      }
+    }
+
+    workflow.jiraWriteBack = {
+      ticketKey,
+      options: resolved,
+      appliedAt: new Date(),
+      results
+    };
+    workflow.updatedAt = new Date();
+    await workflowOrchestrator.saveWorkflow(workflow);
+
+    logger.info(`Jira write-back for ${workflowId}: ${results.filter(r => r.status === 'done').length}/${results.length} actions on ${ticketKey}`);
+
+    return { ticketKey, results, warnings };
+  }
+
+  /**
+   * Actions for a workflow with the given (resolved) options
+   */
+  async buildPlan(workflow, options, jira) {
+    const ticketKey = workflow.steps[1].data?.original || workflow.steps[1].data?.filtered?.key;
+    if (!ticketKey) {
+      throw Object.assign(new Error('Workflow has no Jira ticket'), { status: 400 });
+    }
+
+    const savedTests = workflow.steps[5].data?.savedTests || [];
+    const tests = savedTests.length > 0
+      ? savedTests
+      : (workflow.steps[4].data?.reviewedTests || workflow.steps[3].data?.tests || []);
+    const artifacts = await Promise.all((workflow.artifacts || []).map(artifact => this.resolveArtifact(artifact)));
+
+    if (tests.length === 0 && artifacts.length === 0) {
+      throw Object.assign(new Error('Workflow has no generated tests or artifacts to report'), { status: 400 });
+    }
+
+    const actions = [];
+    const warnings = [];
+
+    if (options.comment) {
+      actions.push({ type: 'comment', body: this.formatComment(workflow, tests, artifacts) });
+    }
+
+    if (options.remoteLinks) {
+      for (const artifact of artifacts) {
+        if (!artifact.links.length) {
+          warnings.push(`${artifact.path || artifact.branch} has no web URL (no git remote found); it is only mentioned in the comment`);
+        }
+        actions.push(...artifact.links.map(link => ({ type: 'remoteLink', ...link })));
+      }
+    }
+
+    const availableTransitions = options.transition ? await jira.getTransitions(ticketKey) : [];
+
+    if (options.label) {
+      const issue = await jira.getIssue(ticketKey);
+      if ((issue.fields?.labels || []).includes(options.label)) {
+        warnings.push(`${ticketKey} already has the label ${options.label}`);
+      } else {
+        actions.push({ type: 'label', label: options.label });
+      }
+    }
+
+    if (options.transition) {
+      const wanted = String(options.transition).toLowerCase();
+      const transition = availableTransitions.find(t =>
+        t.id === String(options.transition) || t.name.toLowerCase() === wanted || t.to?.toLowerCase() === wanted
+      );
+      if (transition) {
+        actions.push({ type: 'transition', transitionId: transition.id, name: transition.name, to: transition.to });
+      } else {
+        warnings.push(`Transition "${options.transition}" is not available for ${ticketKey} (available: ${availableTransitions.map(t => t.name).join(', ') || 'none'})`);
+      }
+    }
+
+    return { ticketKey, actions, availableTransitions, warnings };
+  }
+
+  async execute(jira, ticketKey, action) {
+    switch (action.type) {
+      case 'comment':
+        return await jira.addComment(ticketKey, action.body);
+      case 'remoteLink':
+        return await jira.addRemoteLink(ticketKey, action);
+      case 'label':
+        return await jira.addLabels(ticketKey, [action.label]);
+      case 'transition':
+        return await jira.transitionIssue(ticketKey, action.transitionId);
+      default:
+        throw new Error(`Unknown action ${action.type}`);
+    }
+  }
+
+  describe(action) {
+    switch (action.type) {
+      case 'comment':
+        return 'Coverage comment';
+      case 'remoteLink':
+        return action.title;
+      case 'label':
+        return action.label;
+      case 'transition':
+        return `${action.name}${action.to ? ` → ${action.to}` : ''}`;
+      default:
+        return action.type;
+    }
+  }
+
+  /**
+   * Coverage comment in Jira wiki markup
+   */
+  formatComment(workflow, tests, artifacts) {
+    const escape = (text) => String(text ?? '').replace(/\|/g, '/').replace(/[[\]{}]/g, c => `\\${c}`).replace(/\s*\n\s*/g, ' ');
+    const saved = tests.filter(t => t.testRailId);
+    const lines = ['h3. QA Copilot test coverage'];
+
+    lines.push(`${tests.length} test case${tests.length === 1 ? '' : 's'} generated for this ticket` +
+      `${saved.length > 0 ? `, ${saved.length} saved to TestRail` : ''}.`);
+
+    if (tests.length > 0) {
+      lines.push('');
+      lines.push('||#||Test case||Priority||TestRail||');
+      tests.forEach((test, i) => {
+        const testRail = test.testRailId
+          ? `[C${test.testRailId}|${test.testRailUrl}]`
+          : test.error ? 'save failed' : 'not saved';
+        lines.push(`|${i + 1}|${escape(test.title)}|${escape(test.priority || '-')}|${testRail}|`);
+      });
+    }
+
+    if (artifacts.length > 0) {
+      lines.push('');
+      lines.push('*Automation*');
+      for (const artifact of artifacts) {
+        const name = artifact.path ? path.basename(artifact.path) : artifact.branch;
+        const file = artifact.fileUrl ? `[${escape(name)}|${artifact.fileUrl}]` : `{{${escape(artifact.relativePath || artifact.path || name)}}}`;
+        lines.push(`* ${artifact.path ? file : ''}${artifact.branch ? `${artifact.path ? ' on branch ' : 'Branch '}{{${escape(artifact.branch)}}}` : ''}`);
+      }
+    }
+
+    lines.push('');
+    lines.push(`_Posted by QA Copilot (workflow ${workflow.id})_`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Add web URLs and remote links to an artifact from its repository's origin remote
+   */
+  async resolveArtifact(artifact) {
+    const resolved = { ...artifact, relativePath: null, fileUrl: artifact.url || null, links: [] };
+
+    if (artifact.repoPath) {
+      try {
+        const git = simpleGit(artifact.repoPath);
+        const root = (await git.revparse(['--show-toplevel'])).trim();
+        if (artifact.path) {
+          resolved.relativePath = path.relative(root, path.resolve(artifact.repoPath, artifact.path)).split(path.sep).join('/');
+        }
+
+        const remotes = await git.getRemotes(true);
+        const origin = remotes.find(r => r.name === 'origin') || remotes[0];
+        const web = origin ? this.toWebUrl(origin.refs.fetch) : null;
+        const branch = artifact.branch || (await git.revparse(['--abbrev-ref', 'HEAD'])).trim();
+
+        if (web) {
+          const bitbucket = web.includes('bitbucket');
+          if (artifact.path && !resolved.fileUrl) {
+            resolved.fileUrl = `${web}/${bitbucket ? 'src' : 'blob'}/${encodeURI(branch)}/${encodeURI(resolved.relativePath)}`;
+          }
+          if (artifact.branch) {
+            resolved.branchUrl = `${web}/${bitbucket ? 'branch' : 'tree'}/${encodeURI(artifact.branch)}`;
+          }
+        }
+      } catch (error) {
+        logger.warn(`Could not resolve git remote for ${artifact.repoPath}: ${error.message}`);
+      }
+    }
+
+    if (resolved.fileUrl) {
+      resolved.links.push({
+        url: resolved.fileUrl,
+        title: `Automated test: ${path.basename(artifact.path || resolved.fileUrl)}`,
+        summary: artifact.title || null,
+        globalId: `qa-copilot:file:${resolved.relativePath || artifact.path || resolved.fileUrl}`
+      });
+    }
+    if (resolved.branchUrl) {
+      resolved.links.push({
+        url: resolved.branchUrl,
+        title: `Branch: ${artifact.branch}`,
+        globalId: `qa-copilot:branch:${artifact.branch}`
+      });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * https URL of a git remote (git@host:org/repo.git, ssh://..., https://user@host/...)
+   */
+  toWebUrl(remote) {
+    const url = remote.trim().replace(/\.git$/, '');
+    const scp = url.match(/^[\w.-]+@([^:/]+):(.+)$/);
+    if (scp) return `https://${scp[1]}/${scp[2]}`;
+
+    const match = url.match(/^(?:ssh|https?|git):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+)$/);
+    return match ? `https://${match[1]}/${match[2]}` : null;
+  }
+}
+
+export const jiraWriteBackService = new JiraWriteBackService();
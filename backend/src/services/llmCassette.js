@@ -0,0 +1,196 @@
+/**
+ * LLM Cassette
+ *
+ * Record/replay layer under the LLM gateway's provider calls, for
+ * deterministic offline runs of the agents and the multi-agent pipeline.
+ *
+ * - record: every provider call is made live and its response (or error)
+ *   stored in the cassette under a fingerprint of the request
+ * - replay: calls are answered from the cassette only; no provider is
+ *   contacted, API keys are not needed, and a request missing from the
+ *   cassette fails with LLM_CASSETTE_MISS instead of falling back
+ * - off (default): calls go to the providers
+ *
+ * The fingerprint is a SHA-256 of provider, model, system and user prompt,
+ * temperature and max tokens, so a replay needs the same routes
+ * (LLM_ROUTE_*, default models) and prompts as the recording. Recorded errors
+ * are replayed as errors, so provider fallbacks happen the same way.
+ *
+ * Configured per process with LLM_CASSETTE_MODE (off | record | replay),
+ * LLM_CASSETTE (cassette name, default "default") and LLM_CASSETTE_DIR
+ * (default .qa-copilot-cache/cassettes), or in process with configure().
+ * A cassette is one JSON file, <dir>/<name>.json; delete it to re-record.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+const CASSETTE_VERSION = 1;
+
+/**
+ * JSON with sorted keys, so equal requests always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+class LLMCassette {
+  constructor() {
+    this.configure();
+  }
+
+  /**
+   * Select mode and cassette; defaults come from the environment
+   *
+   * @param {Object} options
+   * @param {string} options.mode - off | record | replay
+   * @param {string} options.name - Cassette name (file name without .json)
+   * @param {string} options.dir - Directory holding the cassettes
+   */
+  configure({
+    mode = process.env.LLM_CASSETTE_MODE || 'off',
+    name = process.env.LLM_CASSETTE || 'default',
+    dir = process.env.LLM_CASSETTE_DIR || path.join(process.cwd(), '.qa-copilot-cache', 'cassettes')
+  } = {}) {
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`Unknown LLM cassette mode "${mode}"; use ${CASSETTE_MODES.join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.name = name;
+    this.dir = dir;
+    this.entries = null;
+    this.stats = { recorded: 0, replayed: 0, misses: 0 };
+
+    if (mode !== 'off') {
+      logger.info(`LLM cassette "${name}" in ${mode} mode (${this.getPath()})`);
+    }
+    return this;
+  }
+
+  getPath() {
+    return path.join(this.dir, `${this.name}.json`);
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      cassette: this.name,
+      path: this.getPath(),
+      entries: this.mode === 'off' ? null : Object.keys(this.load()).length,
+      ...this.stats
+    };
+  }
+
+  fingerprint({ provider, model, systemPrompt = '', userPrompt, temperature, maxTokens }) {
+    return crypto.createHash('sha256')
+      .update(stableStringify({ provider, model, systemPrompt, userPrompt, temperature, maxTokens }))
+      .digest('hex');
+  }
+
+  load() {
+    if (!this.entries) {
+      try {
+        const cassette = JSON.parse(fs.readFileSync(this.getPath(), 'utf8'));
+        this.entries = cassette.entries || {};
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`LLM cassette ${this.getPath()} could not be read: ${error.message}`);
+        }
+        this.entries = {};
+      }
+    }
+    return this.entries;
+  }
+
+  save() {
+    const entries = this.load();
+    const sorted = Object.fromEntries(Object.keys(entries).sort().map(key => [key, entries[key]]));
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.getPath(), JSON.stringify({ version: CASSETTE_VERSION, entries: sorted }, null, 2));
+  }
+
+  /**
+   * Answer a provider call from the cassette, or make it (and record it)
+   *
+   * @param {Object} request - { provider, model, systemPrompt, userPrompt, temperature, maxTokens }
+   * @param {Function} call - Makes the live call; resolves to { content, model, usage }
+   * @returns {Promise<Object>} The provider response; replayed responses have replayed: true
+   */
+  async intercept(request, call) {
+    if (this.mode === 'off') {
+      return await call();
+    }
+
+    const key = this.fingerprint(request);
+
+    if (this.mode === 'replay') {
+      const entry = this.load()[key];
+      if (!entry) {
+        this.stats.misses++;
+        const message = `LLM cassette miss: no recording of ${request.provider}:${request.model} for this prompt ` +
+          `in ${this.getPath()} (fingerprint ${key.substring(0, 12)}); re-record with LLM_CASSETTE_MODE=record`;
+        logger.error(message);
+        throw Object.assign(new Error(message), { code: 'LLM_CASSETTE_MISS', fingerprint: key });
+      }
+
+      this.stats.replayed++;
+      if (entry.error) {
+        throw Object.assign(new Error(entry.error.message), { status: entry.error.status, replayed: true });
+      }
+      return { ...entry.response, replayed: true };
+    }
+
+    // record
+    const recorded = {
+      request: {
+        provider: request.provider,
+        model: request.model,
+        task: request.task,
+        userPromptPreview: request.userPrompt?.substring(0, 200)
+      }
+    };
+    try {
+      const response = await call();
+      recorded.response = { content: response.content, model: response.model, usage: response.usage };
+      return response;
+    } catch (error) {
+      recorded.error = { message: error.message || String(error), status: error.status };
+      throw error;
+    } finally {
+      this.load()[key] = recorded;
+      this.stats.recorded++;
+      this.save();
+    }
+  }
+
+  /**
+   * Refuse provider calls the cassette cannot serve while replaying
+   *
+   * @param {string} callSite - Description for the error, e.g. "claude generate-cases"
+   */
+  assertLive(callSite) {
+    if (this.isReplaying()) {
+      const message = `LLM cassette replay cannot serve ${callSite}: it calls the provider directly instead of through the LLM gateway`;
+      logger.error(message);
+      throw Object.assign(new Error(message), { code: 'LLM_CASSETTE_MISS' });
+    }
+  }
+}
+
+export const llmCassette = new LLMCassette();
+export default llmCassette;
@@ -0,0 +1,447 @@
+/**
+ * LLM Gateway
+ *
+ * Single entry point for LLM calls. Callers name a task instead of a provider:
+ * - decompose: scenario → test steps (ScenarioDecomposerAgent)
+ * - select-method: pick a Page Object method for a step (IntelligentMethodSelector)
+ * - create-method: define a missing Page Object method (IntelligentMethodSelector, ComponentGeneratorAgent)
+ * - generate-cases: manual test cases from a ticket (GeminiService, ClaudeService, AIService)
+ * - generate-code: automation code (ContextAwareCodeGenerationAgent, GeminiService, ClaudeService, CypressGenerator, ApiTestGenerationService, AIService)
+ *
+ * Each task routes to a chain of provider:model entries, tried in order until
+ * one answers; errors and timeouts fall through to the next entry and
+ * unconfigured providers are skipped. Chains are configured per task with
+ * LLM_ROUTE_<TASK>, e.g.
+ *   LLM_ROUTE_DECOMPOSE=openrouter:google/gemini-2.5-flash,gemini:gemini-2.5-flash
+ *   LLM_ROUTE_SELECT_METHOD=openrouter:anthropic/claude-sonnet-4,claude
+ * An entry without a model uses the provider's default (OPENROUTER_DEFAULT_MODEL,
+ * GEMINI_MODEL, CLAUDE_MODEL). LLM_TIMEOUT_MS (default 120s) bounds each
+ * attempt; LLM_TIMEOUT_<TASK> overrides it for a task.
+ *
+ * Every response has the same shape whichever provider answered:
+ *   { content, task, provider, model, usage: { promptTokens, completionTokens, totalTokens }, latencyMs, attempts, cached }
+ *
+ * Responses are cached in the cache database (cacheService) by provider, model,
+ * temperature, maxTokens and normalized prompt, for a TTL per task
+ * (LLM_CACHE_TTL_<TASK> in ms, 0 disables; LLM_CACHE=off disables the cache).
+ * A call with cache: false, or made while handling a request sent with
+ * "X-LLM-Cache: bypass", skips the lookup and refreshes the entry. Knowledge
+ * base edits drop the cached responses of the tasks whose prompts are built
+ * from it.
+ *
+ * Each attempt is written to the usage ledger, and a task is refused with 429
+ * once a spending budget is used up (see usageLedgerService).
+ *
+ * Provider calls pass through the LLM cassette (LLM_CASSETTE_MODE): in record
+ * mode responses are stored, in replay mode they are served from the cassette
+ * without contacting (or needing keys for) any provider; see llmCassette.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getOpenRouterService } from './openrouterService.js';
+import { usageLedgerService, getUsageContext } from './usageLedgerService.js';
+import { llmCassette } from './llmCassette.js';
+import cacheService from './cacheService.js';
+import { logger } from '../utils/logger.js';
+
+export const LLM_TASKS = ['decompose', 'select-method', 'create-method', 'generate-cases', 'generate-code'];
+
+const DEFAULT_ROUTES = {
+  decompose: ['openrouter', 'gemini', 'claude'],
+  // Choosing between similar methods needs stronger reasoning
+  'select-method': ['openrouter:anthropic/claude-sonnet-4', 'claude', 'gemini'],
+  'create-method': ['openrouter:anthropic/claude-sonnet-4', 'claude', 'gemini'],
+  'generate-cases': ['gemini', 'openrouter', 'claude'],
+  'generate-code': ['openrouter', 'gemini', 'claude']
+};
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Decompositions and method choices only change with their prompt; generated
+// cases and code are refreshed daily so prompt improvements show up
+const DEFAULT_CACHE_TTLS = {
+  decompose: 7 * DAY_MS,
+  'select-method': 7 * DAY_MS,
+  'create-method': 7 * DAY_MS,
+  'generate-cases': DAY_MS,
+  'generate-code': DAY_MS
+};
+
+// Tasks whose prompts list knowledge base actions
+export const KNOWLEDGE_BASE_TASKS = ['select-method', 'create-method'];
+
+/**
+ * Errors callers must not swallow into a non-LLM fallback: a spent budget or
+ * a request missing from the cassette being replayed
+ */
+export function isFatalLLMError(error) {
+  return error?.code === 'LLM_BUDGET_EXCEEDED' || error?.code === 'LLM_CASSETTE_MISS';
+}
+
+function envKey(task) {
+  return task.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * "provider:model" → { provider, model }; the model may itself contain ':' or '/'
+ */
+function parseEntry(entry) {
+  const [provider, ...model] = entry.trim().split(':');
+  return { provider: provider.trim(), model: model.join(':').trim() || null };
+}
+
+class OpenRouterProvider {
+  constructor() {
+    this.name = 'openrouter';
+  }
+
+  isConfigured() {
+    return getOpenRouterService().isConfigured();
+  }
+
+  defaultModel() {
+    return getOpenRouterService().getCurrentModel();
+  }
+
+  async complete({ model, systemPrompt, userPrompt, temperature, maxTokens, signal }) {
+    const response = await getOpenRouterService().chat({ systemPrompt, userPrompt, temperature, maxTokens, model, signal });
+    return { content: response.content, model: response.model, usage: response.usage };
+  }
+}
+
+class ClaudeProvider {
+  constructor() {
+    this.name = 'claude';
+    this.apiKey = process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY;
+    this.client = this.apiKey ? new Anthropic({ apiKey: this.apiKey }) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  defaultModel() {
+    return process.env.CLAUDE_MODEL || 'claude-3-opus-20240229';
+  }
+
+  async complete({ model, systemPrompt, userPrompt, temperature, maxTokens, signal }) {
+    const message = await this.client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      ...(systemPrompt && { system: systemPrompt }),
+      messages: [{ role: 'user', content: userPrompt }]
+    }, { signal });
+
+    const usage = message.usage || {};
+    return {
+      content: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      model: message.model || model,
+      usage: {
+        promptTokens: usage.input_tokens || 0,
+        completionTokens: usage.output_tokens || 0,
+        totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      }
+    };
+  }
+}
+
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    const apiKey = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+    this.genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+  }
+
+  isConfigured() {
+    return !!this.genAI;
+  }
+
+  defaultModel() {
+    return process.env.GEMINI_MODEL || 'gemini-2.5-pro';
+  }
+
+  async complete({ model, systemPrompt, userPrompt, temperature, maxTokens, signal }) {
+    const generativeModel = this.genAI.getGenerativeModel({
+      model,
+      ...(systemPrompt && { systemInstruction: systemPrompt }),
+      generationConfig: { temperature, maxOutputTokens: maxTokens }
+    });
+
+    const result = await generativeModel.generateContent(userPrompt, { signal });
+    const response = await result.response;
+    const usage = response.usageMetadata || {};
+    return {
+      content: response.text(),
+      model,
+      usage: {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0
+      }
+    };
+  }
+}
+
+class LLMGateway {
+  constructor() {
+    this.providers = {
+      openrouter: new OpenRouterProvider(),
+      claude: new ClaudeProvider(),
+      gemini: new GeminiProvider()
+    };
+    this.promptCacheUnavailable = false;
+  }
+
+  /**
+   * Provider chain for a task, from LLM_ROUTE_<TASK> or the defaults
+   *
+   * @param {string} task - One of LLM_TASKS
+   * @param {string} preferred - provider or provider:model to try first
+   * @returns {Object[]} [{ provider, model }]
+   */
+  getRoute(task, preferred = null) {
+    if (!LLM_TASKS.includes(task)) {
+      throw Object.assign(new Error(`Unknown LLM task "${task}"; use ${LLM_TASKS.join(', ')}`), { status: 400 });
+    }
+
+    const configured = process.env[`LLM_ROUTE_${envKey(task)}`];
+    const entries = [
+      ...(preferred ? [preferred] : []),
+      ...(configured ? configured.split(',').filter(e => e.trim()) : DEFAULT_ROUTES[task])
+    ].map(parseEntry);
+
+    const route = [];
+    for (const entry of entries) {
+      if (!this.providers[entry.provider]) {
+        logger.warn(`Ignoring unknown LLM provider "${entry.provider}" in the route for ${task}`);
+        continue;
+      }
+      const model = entry.model || this.providers[entry.provider].defaultModel();
+      if (!route.some(r => r.provider === entry.provider && r.model === model)) {
+        route.push({ provider: entry.provider, model });
+      }
+    }
+    return route;
+  }
+
+  /**
+   * Routes of every task with whether their providers are configured
+   */
+  getRoutes() {
+    return Object.fromEntries(LLM_TASKS.map(task => [task, {
+      timeoutMs: this.getTimeout(task),
+      route: this.getRoute(task).map(entry => ({ ...entry, configured: this.isConfigured(entry.provider) }))
+    }]));
+  }
+
+  getTimeout(task) {
+    return parseInt(process.env[`LLM_TIMEOUT_${envKey(task)}`] || process.env.LLM_TIMEOUT_MS || DEFAULT_TIMEOUT_MS, 10);
+  }
+
+  getCacheTtl(task) {
+    const configured = process.env[`LLM_CACHE_TTL_${envKey(task)}`];
+    return configured !== undefined && configured !== '' ? parseInt(configured, 10) : DEFAULT_CACHE_TTLS[task];
+  }
+
+  /**
+   * The prompt cache, or null when it is turned off or cannot be opened.
+   * Cassettes need every call to reach them, so caching is off while one is used.
+   */
+  async getPromptCache(task = null) {
+    if (process.env.LLM_CACHE === 'off' || llmCassette.mode !== 'off' || this.promptCacheUnavailable) {
+      return null;
+    }
+    if (task && !(this.getCacheTtl(task) > 0)) {
+      return null;
+    }
+
+    try {
+      await cacheService.ensureInitialized();
+      return cacheService;
+    } catch (error) {
+      this.promptCacheUnavailable = true;
+      logger.warn(`LLM prompt cache disabled: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Drop cached responses of some tasks (all when none given)
+   *
+   * @param {string[]} tasks - LLM_TASKS entries
+   * @param {string} reason - Logged with the count
+   * @returns {Promise<number>} Entries removed
+   */
+  async invalidateCache(tasks = null, reason = '') {
+    const promptCache = await this.getPromptCache();
+    const removed = promptCache ? promptCache.invalidatePrompts(tasks) : 0;
+    if (removed > 0) {
+      logger.info(`Invalidated ${removed} cached LLM responses of ${tasks ? tasks.join(', ') : 'all tasks'}${reason ? ` (${reason})` : ''}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Prompt cache TTL, entries and hit counters of every task
+   */
+  async getCacheStats() {
+    const promptCache = await this.getPromptCache();
+    const stats = promptCache?.getPromptCacheStats() || [];
+    return {
+      enabled: !!promptCache,
+      tasks: LLM_TASKS.map(task => ({
+        task,
+        ttlMs: this.getCacheTtl(task),
+        entries: 0,
+        hits: 0,
+        misses: 0,
+        bypassed: 0,
+        invalidated: 0,
+        tokensSaved: 0,
+        ...stats.find(entry => entry.task === task)
+      }))
+    };
+  }
+
+  /**
+   * Whether a provider can answer: it has credentials, or a cassette is replayed
+   */
+  isConfigured(provider) {
+    return llmCassette.isReplaying() || this.providers[provider].isConfigured();
+  }
+
+  /**
+   * Whether any provider of the task's route is configured
+   */
+  isAvailable(task) {
+    return this.getRoute(task).some(entry => this.isConfigured(entry.provider));
+  }
+
+  /**
+   * Run a task on the first provider of its route that answers
+   *
+   * @param {Object} request
+   * @param {string} request.task - One of LLM_TASKS
+   * @param {string} request.systemPrompt - System instructions
+   * @param {string} request.userPrompt - Prompt
+   * @param {number} request.temperature - Sampling temperature (default 0.3)
+   * @param {number} request.maxTokens - Completion limit (default 2000)
+   * @param {string} request.provider - provider or provider:model to try before the route
+   * @param {number} request.timeoutMs - Per-attempt timeout (default from LLM_TIMEOUT_*)
+   * @param {boolean} request.cache - false skips the cached response and stores a fresh one
+   * @param {Function} request.validate - (content) => boolean; only content it accepts is cached
+   *   or served from the cache, so a rejected answer is not replayed for the whole TTL
+   * @returns {Promise<Object>} { content, task, provider, model, usage, latencyMs, attempts, replayed, cached }
+   */
+  async complete({ task, systemPrompt = '', userPrompt, temperature = 0.3, maxTokens = 2000, provider = null, timeoutMs = null, cache = true, validate = null }) {
+    const route = this.getRoute(task, provider);
+    const timeout = timeoutMs || this.getTimeout(task);
+    const attempts = [];
+
+    const promptCache = await this.getPromptCache(task);
+    const promptHash = (name, model) => promptCache.getPromptHash({ provider: name, model, temperature, maxTokens, systemPrompt, userPrompt });
+    if (promptCache) {
+      if (!cache || getUsageContext().bypassCache) {
+        promptCache.recordPromptLookup(task, 'bypassed');
+      } else {
+        for (const { provider: name, model } of route) {
+          const cached = promptCache.getCachedPrompt(promptHash(name, model), this.getCacheTtl(task));
+          if (cached && (!validate || validate(cached.content))) {
+            promptCache.recordPromptLookup(task, 'hit', cached.usage?.totalTokens || 0);
+            logger.info(`LLM ${task} served from cache (${name}:${cached.model}, cached ${new Date(cached.cachedAt).toISOString()})`);
+            return {
+              content: cached.content,
+              task,
+              provider: name,
+              model: cached.model,
+              usage: cached.usage,
+              latencyMs: 0,
+              attempts,
+              replayed: false,
+              cached: true
+            };
+          }
+        }
+        promptCache.recordPromptLookup(task, 'miss');
+      }
+    }
+
+    // Replayed answers cost nothing
+    if (!llmCassette.isReplaying()) {
+      await usageLedgerService.assertWithinBudget({ task, provider: route[0]?.provider, model: route[0]?.model });
+    }
+
+    for (const { provider: name, model } of route) {
+      const adapter = this.providers[name];
+      if (!this.isConfigured(name)) {
+        attempts.push({ provider: name, model, status: 'skipped', error: 'not configured' });
+        continue;
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      const started = Date.now();
+
+      try {
+        const response = await Promise.race([
+          llmCassette.intercept(
+            { task, provider: name, model, systemPrompt, userPrompt, temperature, maxTokens },
+            () => adapter.complete({ model, systemPrompt, userPrompt, temperature, maxTokens, signal: controller.signal })
+          ),
+          new Promise((_, reject) => controller.signal.addEventListener('abort', () => reject(new Error(`Timed out after ${timeout}ms`))))
+        ]);
+        const latencyMs = Date.now() - started;
+
+        if (!response.content) {
+          throw new Error('Empty response');
+        }
+
+        attempts.push({ provider: name, model, status: 'ok', latencyMs });
+        if (!response.replayed) {
+          await usageLedgerService.record({ task, provider: name, model: response.model, usage: response.usage, latencyMs });
+        }
+        if (promptCache && (!validate || validate(response.content))) {
+          promptCache.cachePrompt(promptHash(name, model), { task, provider: name, model, response });
+        }
+        logger.info(`LLM ${task} answered by ${name}:${response.model} in ${latencyMs}ms (${response.usage.totalTokens} tokens${response.replayed ? ', replayed' : ''})`);
+
+        return {
+          content: response.content,
+          task,
+          provider: name,
+          model: response.model,
+          usage: response.usage,
+          latencyMs,
+          attempts,
+          replayed: !!response.replayed,
+          cached: false
+        };
+      } catch (error) {
+        // A cassette miss means the recording is stale, not that the provider failed
+        if (error.code === 'LLM_CASSETTE_MISS') {
+          throw error;
+        }
+
+        const message = error.message || String(error);
+        const latencyMs = Date.now() - started;
+        attempts.push({ provider: name, model, status: 'failed', error: message, latencyMs });
+        if (!error.replayed) {
+          await usageLedgerService.record({ task, provider: name, model, status: 'failed', latencyMs, error: message });
+        }
+        logger.warn(`LLM ${task} failed on ${name}:${model} (${message}); trying the next provider`);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    const tried = attempts.map(a => `${a.provider}:${a.model} ${a.status === 'skipped' ? 'not configured' : a.error}`).join('; ');
+    throw Object.assign(new Error(`No provider could complete ${task} (${tried || 'empty route'})`), { status: 502, attempts });
+  }
+}
+
+export const llmGateway = new LLMGateway();
+export default llmGateway;
@@ -0,0 +1,638 @@
+/**
+ * Locator Repair Service
+ *
+ * Self-healing for web locators. When a locator from a .properties file no
+ * longer matches, the page is re-analyzed (DomAnalyzerService) and every
+ * interactive element is scored against what the locator used to point at:
+ * - data-testid / data-qa / id / name / aria-label values
+ * - visible text
+ * - structure (tag, type, classes, XPath position)
+ *
+ * The best candidates come back as proposed .properties entries, written in
+ * the same style as the broken one. Accepted repairs are stored; which
+ * attributes broke and which replaced them feeds the attribute stability
+ * PropertiesParserService uses to order generated locators.
+ *
+ * Properties files are only read and written inside the locator directories
+ * of the indexed repository.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DomAnalyzerService } from './domAnalyzerService.js';
+import { hybridRAGService } from './hybridRAGService.js';
+import { javaSymbolTableService } from './javaSymbolTableService.js';
+import propertiesParserService from './propertiesParserService.js';
+import { LocatorRepair } from '../models/locatorRepair.js';
+import { logger } from '../utils/logger.js';
+
+// Default preference for the attribute a repaired locator is built on
+const ATTRIBUTE_ORDER = ['data-testid', 'data-qa', 'id', 'aria-label', 'name', 'text', 'class', 'xpath'];
+
+// Attributes that identify an element - compared across each other, since
+// a renamed data-testid often survives as an id and vice versa
+const IDENTIFIER_ATTRIBUTES = ['data-testid', 'data-qa', 'id', 'name'];
+
+// Weight of each signal when comparing a candidate with the old element
+const SIGNAL_WEIGHTS = {
+  'data-testid': 0.3,
+  'data-qa': 0.2,
+  id: 0.2,
+  name: 0.15,
+  'aria-label': 0.2,
+  text: 0.25,
+  tagName: 0.1,
+  type: 0.05,
+  class: 0.1,
+  xpath: 0.1
+};
+
+const MAX_CANDIDATES = 5;
+const MIN_SCORE = 0.2;
+
+class LocatorRepairService {
+  constructor() {
+    this.attributeStability = null; // attribute → { broken, repaired, stability }
+  }
+
+  /**
+   * Propose repairs for a failing locator
+   *
+   * @param {Object} request
+   * @param {string} request.url - Page the locator should match on
+   * @param {string} request.locator - Failing locator (raw .properties value);
+   *   read from propertiesFile/key when omitted
+   * @param {string} request.key - Property key
+   * @param {string} request.propertiesFile - .properties file the key lives in
+   * @param {Object} request.previousElement - Element the locator matched before
+   *   ({ tagName, text, attributes, xpath } as returned by DOM analysis)
+   * @param {string} request.waitForSelector - Wait for this selector before analyzing
+   * @returns {Object} { matches, broken, brokenAttribute, fingerprint, candidates }
+   */
+  async proposeRepair({ url, locator, key = null, propertiesFile = null, previousElement = null, waitForSelector } = {}) {
+    if (!url) {
+      throw Object.assign(new Error('url is required'), { status: 400 });
+    }
+
+    if (!locator && propertiesFile && key) {
+      const properties = await propertiesParserService.parsePropertiesFile(await this.resolvePropertiesFile(propertiesFile));
+      locator = properties[key]?.raw;
+      if (!locator) {
+        throw Object.assign(new Error(`Key ${key} not found in ${propertiesFile}`), { status: 404 });
+      }
+    }
+    if (!locator) {
+      throw Object.assign(new Error('locator (or propertiesFile and key) is required'), { status: 400 });
+    }
+
+    const parsed = propertiesParserService.parseLocator(locator);
+    const fingerprint = this.buildFingerprint(parsed, previousElement);
+    const stability = await this.getAttributeStability();
+    // A browser of its own: concurrent repairs must not share (or close) a page
+    const analyzer = new DomAnalyzerService();
+
+    try {
+      const analysis = await analyzer.analyzePage(url, { waitForSelector });
+
+      const selector = this.toSelector(parsed);
+      const matches = selector ? await analyzer.countMatches(selector.value, selector.strategy) : null;
+
+      const scored = this.uniqueElements(analysis.elements)
+        .map(element => ({ element, ...this.scoreCandidate(element, fingerprint) }))
+        .filter(candidate => candidate.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+
+      const candidates = [];
+      for (const { element, score, reasons } of scored) {
+        const proposal = await this.buildProposal(analyzer, element, parsed, stability);
+        if (!proposal) continue;
+
+        candidates.push({
+          score: Math.round(score * 100) / 100,
+          reasons,
+          element: {
+            tagName: element.tagName,
+            text: element.text,
+            attributes: element.attributes,
+            xpath: element.xpath
+          },
+          attribute: proposal.attribute,
+          unique: proposal.unique,
+          locator: proposal.raw,
+          parsed: propertiesParserService.parseLocator(proposal.raw),
+          entry: key ? `${key}=${proposal.raw}` : proposal.raw
+        });
+      }
+
+      logger.info(`Locator repair for ${key || locator}: ${matches ?? 'unchecked'} matches, ${candidates.length} candidates`);
+
+      return {
+        url,
+        key,
+        propertiesFile,
+        locator,
+        parsed,
+        matches,
+        broken: matches === null ? null : matches === 0,
+        ambiguous: matches > 1,
+        brokenAttribute: this.getLocatorAttribute(parsed),
+        fingerprint,
+        candidates
+      };
+    } finally {
+      await analyzer.close();
+    }
+  }
+
+  /**
+   * Record an accepted repair (and optionally write it to the .properties file)
+   *
+   * @param {Object} repair - { key, propertiesFile, url, oldLocator, newLocator, score, element, apply }
+   * @returns {Object} { repair, updated, attributeStability }
+   */
+  async acceptRepair({ key = null, propertiesFile = null, url = null, oldLocator, newLocator, score = null, element = null, apply = false } = {}) {
+    if (!oldLocator || !newLocator) {
+      throw Object.assign(new Error('oldLocator and newLocator are required'), { status: 400 });
+    }
+    if (apply && (!propertiesFile || !key)) {
+      throw Object.assign(new Error('propertiesFile and key are required to apply a repair'), { status: 400 });
+    }
+
+    let updated = false;
+    if (apply) {
+      await this.updatePropertiesFile(await this.resolvePropertiesFile(propertiesFile), key, newLocator);
+      updated = true;
+    }
+
+    const repair = await LocatorRepair.create({
+      key,
+      propertiesFile,
+      url,
+      oldLocator,
+      newLocator,
+      brokenAttribute: this.getLocatorAttribute(propertiesParserService.parseLocator(oldLocator)),
+      repairedAttribute: this.getLocatorAttribute(propertiesParserService.parseLocator(newLocator)),
+      score,
+      element
+    });
+
+    logger.info(`Accepted locator repair ${key || oldLocator}: ${repair.brokenAttribute} → ${repair.repairedAttribute}${updated ? ` (written to ${propertiesFile})` : ''}`);
+
+    return {
+      repair: repair.toJSON(),
+      updated,
+      attributeStability: await this.loadAttributeStability()
+    };
+  }
+
+  /**
+   * Absolute path of a properties file of the indexed repository. The path
+   * comes from the request: anything outside the directories holding the
+   * repository's .properties files is refused.
+   */
+  async resolvePropertiesFile(filePath) {
+    const repoPath = hybridRAGService.repositoryPath || await javaSymbolTableService.getLastIndexedRepository();
+    if (!repoPath) {
+      throw Object.assign(new Error('No repository has been indexed - index the repository before using its properties files'), { status: 409 });
+    }
+
+    const table = await javaSymbolTableService.getSymbolTable(repoPath);
+    const directories = new Set(table.propertiesFiles.map(file => path.dirname(path.resolve(file))));
+    const resolved = path.resolve(repoPath, filePath);
+
+    if (path.extname(resolved) !== '.properties' || !directories.has(path.dirname(resolved))) {
+      throw Object.assign(new Error(`${filePath} is not a properties file of ${repoPath}`), { status: 400 });
+    }
+    return resolved;
+  }
+
+  /**
+   * Replace the value of a key in a .properties file
+   */
+  async updatePropertiesFile(filePath, key, value) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const lines = content.split('\n');
+
+    const index = lines.findIndex(line => {
+      const match = line.match(/^\s*([^#!=][^=]*?)\s*=/);
+      return match && match[1] === key;
+    });
+    if (index === -1) {
+      throw Object.assign(new Error(`Key ${key} not found in ${filePath}`), { status: 404 });
+    }
+
+    lines[index] = lines[index].replace(/^(\s*[^=]+?\s*=\s*)[^\r]*/, (_, prefix) => `${prefix}${value}`);
+    await fs.writeFile(filePath, lines.join('\n'));
+  }
+
+  /**
+   * Accepted repairs, newest first
+   */
+  async getHistory({ key = null, limit = 50 } = {}) {
+    const repairs = await LocatorRepair.findAll({
+      where: key ? { key } : {},
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+    return repairs.map(repair => repair.toJSON());
+  }
+
+  async getAttributeStability() {
+    return this.attributeStability || this.loadAttributeStability();
+  }
+
+  /**
+   * Rebuild attribute stability from accepted repairs and hand it to the
+   * locator generator. Stability is the smoothed share of repairs in which
+   * the attribute was the fix rather than the breakage (0.5 = no data).
+   */
+  async loadAttributeStability() {
+    const repairs = await LocatorRepair.findAll({ attributes: ['brokenAttribute', 'repairedAttribute'] });
+    const stats = {};
+    const entry = (attribute) => {
+      stats[attribute] = stats[attribute] || { broken: 0, repaired: 0, stability: 0.5 };
+      return stats[attribute];
+    };
+
+    for (const repair of repairs) {
+      if (repair.brokenAttribute) entry(repair.brokenAttribute).broken++;
+      if (repair.repairedAttribute) entry(repair.repairedAttribute).repaired++;
+    }
+
+    for (const stat of Object.values(stats)) {
+      stat.stability = Math.round(((stat.repaired + 1) / (stat.repaired + stat.broken + 2)) * 100) / 100;
+    }
+
+    this.attributeStability = stats;
+    propertiesParserService.setAttributeStability(stats);
+    return stats;
+  }
+
+  /**
+   * What the failing locator tells us about the element it used to match,
+   * merged with the recorded element when one is given
+   */
+  buildFingerprint(parsed, previousElement) {
+    const fingerprint = { tagName: null, text: null, attributes: {}, xpath: null };
+    const value = parsed.value || parsed.raw;
+
+    switch (parsed.strategy) {
+      case 'id':
+        fingerprint.attributes.id = value;
+        break;
+      case 'name':
+        fingerprint.attributes.name = value;
+        break;
+      case 'className':
+        fingerprint.attributes.class = value;
+        break;
+      case 'tagName':
+        fingerprint.tagName = value.toLowerCase();
+        break;
+      case 'data-testid':
+        fingerprint.attributes['data-testid'] = value;
+        break;
+      default: {
+        const { attributes } = fingerprint;
+        for (const match of value.matchAll(/contains\(\s*@([\w-]+)\s*,\s*['"]([^'"]*)['"]\s*\)/g)) {
+          attributes[match[1]] = attributes[match[1]] || match[2];
+        }
+        for (const match of value.matchAll(/@([\w-]+)\s*=\s*['"]([^'"]*)['"]/g)) {
+          attributes[match[1]] = attributes[match[1]] || match[2];
+        }
+        for (const match of value.matchAll(/\[\s*([\w-]+)\s*[~*^$|]?=\s*['"]?([^'"\]]*)['"]?\s*\]/g)) {
+          attributes[match[1]] = attributes[match[1]] || match[2];
+        }
+
+        const text = value.match(/(?:text\(\)|normalize-space\(\.?\)|\.)\s*[,=]\s*['"]([^'"]+)['"]/) ||
+          value.match(/:(?:has-text|contains)\(\s*['"]([^'"]+)['"]\s*\)/);
+        if (text) fingerprint.text = text[1];
+
+        if (this.isXPath(parsed)) {
+          if (Object.keys(attributes).length === 0 && !fingerprint.text) {
+            // Positional path: the element is the last step
+            fingerprint.xpath = value.startsWith('/') ? value : `//${value}`;
+            fingerprint.tagName = value.match(/([a-z][\w-]*)(?:\[\d+\])?$/i)?.[1]?.toLowerCase() || null;
+          } else {
+            fingerprint.tagName = value.match(/^(?:\/\/?)?([a-z][\w-]*)/i)?.[1]?.toLowerCase() || null;
+          }
+        } else {
+          fingerprint.tagName = value.match(/^([a-z][\w-]*)/i)?.[1]?.toLowerCase() || null;
+          attributes.id = attributes.id || value.match(/#([\w-]+)/)?.[1];
+          attributes.class = attributes.class || value.match(/\.([a-z_][\w-]*)/i)?.[1];
+        }
+      }
+    }
+
+    if (previousElement) {
+      fingerprint.tagName = previousElement.tagName || fingerprint.tagName;
+      fingerprint.text = previousElement.text || fingerprint.text;
+      fingerprint.attributes = { ...fingerprint.attributes, ...previousElement.attributes };
+      fingerprint.xpath = previousElement.xpath || fingerprint.xpath;
+    }
+
+    fingerprint.attributes = Object.fromEntries(Object.entries(fingerprint.attributes).filter(([, v]) => v));
+    return fingerprint;
+  }
+
+  /**
+   * Score how much an element looks like the fingerprint (0-1), normalized
+   * over the signals the fingerprint has
+   */
+  scoreCandidate(element, fingerprint) {
+    const reasons = [];
+    let total = 0;
+    let weight = 0;
+
+    const compare = (signal, expected, actual, similarity) => {
+      if (!expected) return;
+      weight += SIGNAL_WEIGHTS[signal];
+      if (!actual) return;
+
+      const value = similarity(expected, actual);
+      total += SIGNAL_WEIGHTS[signal] * value;
+      if (value >= 0.99) {
+        reasons.push(`same ${signal}`);
+      } else if (value >= 0.5) {
+        reasons.push(`similar ${signal} "${actual}"`);
+      }
+    };
+
+    const attributes = element.attributes || {};
+    for (const attribute of IDENTIFIER_ATTRIBUTES) {
+      const expected = fingerprint.attributes[attribute];
+      if (!expected) continue;
+
+      // Same attribute counts fully, another identifier attribute 80%
+      const best = IDENTIFIER_ATTRIBUTES
+        .filter(other => attributes[other])
+        .map(other => ({
+          other,
+          value: this.textSimilarity(expected, attributes[other]) * (other === attribute ? 1 : 0.8)
+        }))
+        .sort((a, b) => b.value - a.value)[0];
+
+      weight += SIGNAL_WEIGHTS[attribute];
+      if (best) {
+        total += SIGNAL_WEIGHTS[attribute] * best.value;
+        if (best.value >= 0.5) {
+          reasons.push(best.other === attribute
+            ? `${best.value >= 0.99 ? 'same' : 'similar'} ${attribute} "${attributes[attribute]}"`
+            : `${attribute} now ${best.other} "${attributes[best.other]}"`);
+        }
+      }
+    }
+
+    compare('aria-label', fingerprint.attributes['aria-label'], attributes['aria-label'], this.textSimilarity.bind(this));
+    compare('text', fingerprint.text, element.text || attributes['aria-label'] || attributes.value, this.textSimilarity.bind(this));
+    compare('tagName', fingerprint.tagName, element.tagName, (a, b) => (a === b ? 1 : 0));
+    compare('type', fingerprint.attributes.type, attributes.type, (a, b) => (a === b ? 1 : 0));
+    compare('class', fingerprint.attributes.class, attributes.class, this.tokenSimilarity.bind(this));
+    compare('xpath', fingerprint.xpath, element.xpath, this.xpathSimilarity.bind(this));
+
+    return { score: weight > 0 ? total / weight : 0, reasons };
+  }
+
+  /**
+   * Build the proposed locator for a candidate: the most stable attribute
+   * that matches exactly one element, in the style of the broken locator
+   */
+  async buildProposal(analyzer, element, parsed, stability) {
+    const attributes = element.attributes || {};
+
+    for (const attribute of this.rankAttributes(stability)) {
+      let value = attributes[attribute];
+      if (attribute === 'text') value = element.text;
+      if (attribute === 'xpath') value = element.xpath;
+      if (attribute === 'class') value = attributes.class?.split(/\s+/).find(Boolean);
+      if (!value) continue;
+
+      const locator = this.formatLocator(attribute, value, element.tagName, parsed);
+      const count = await analyzer.countMatches(locator.selector, locator.strategy);
+      if (count === 1) {
+        return { raw: locator.raw, attribute, unique: true };
+      }
+    }
+
+    // Nothing unique - positional XPath as the last resort
+    if (!element.xpath) return null;
+    return { raw: this.formatLocator('xpath', element.xpath, element.tagName, parsed).raw, attribute: 'xpath', unique: false };
+  }
+
+  /**
+   * Attributes in order of preference, adjusted by learned stability
+   */
+  rankAttributes(stability = {}) {
+    const rank = (attribute) => ATTRIBUTE_ORDER.indexOf(attribute) - ((stability[attribute]?.stability ?? 0.5) - 0.5) * 4;
+    return [...ATTRIBUTE_ORDER].sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Write a locator for an attribute in the style of the original locator
+   * (XPath vs CSS, `xpath:`-style prefixes)
+   *
+   * @returns {Object} { raw, selector, strategy } - selector/strategy for countMatches
+   */
+  formatLocator(attribute, value, tagName, original) {
+    const quote = (text) => (text.includes("'") ? `"${text}"` : `'${text}'`);
+    const tag = tagName || '*';
+    const useXPath = this.isXPath(original) || ['text', 'xpath'].includes(attribute);
+
+    let selector;
+    if (useXPath) {
+      switch (attribute) {
+        case 'data-testid':
+          selector = propertiesParserService.generateLocatorFromTestId(value, 'xpath');
+          break;
+        case 'id':
+          selector = propertiesParserService.generateLocatorFromId(value, 'xpath');
+          break;
+        case 'aria-label':
+          selector = propertiesParserService.generateLocatorFromAriaLabel(value, 'xpath');
+          break;
+        case 'text':
+          selector = `//${tag}[contains(normalize-space(.), ${quote(value)})]`;
+          break;
+        case 'class':
+          selector = `//${tag}[contains(@class, ${quote(value)})]`;
+          break;
+        case 'xpath':
+          selector = value;
+          break;
+        default:
+          selector = `//*[@${attribute}=${quote(value)}]`;
+      }
+    } else {
+      switch (attribute) {
+        case 'data-testid':
+          selector = propertiesParserService.generateLocatorFromTestId(value, 'css');
+          break;
+        case 'id':
+          selector = /^[a-z_][\w-]*$/i.test(value) ? `#${value}` : `[id=${quote(value)}]`;
+          break;
+        case 'aria-label':
+          selector = propertiesParserService.generateLocatorFromAriaLabel(value, 'css');
+          break;
+        case 'class':
+          selector = `${tagName || ''}.${value}`;
+          break;
+        default:
+          selector = `[${attribute}=${quote(value)}]`;
+      }
+    }
+
+    const strategy = useXPath ? 'xpath' : 'css';
+    const prefix = original.raw.match(/^(xpath|css|id|name|class|tag):/i)?.[1];
+
+    // Plain id values stay plain when the original was one
+    if (attribute === 'id' && original.strategy === 'id' && !original.raw.startsWith('#')) {
+      return { raw: prefix ? `${prefix}:${value}` : value, selector, strategy };
+    }
+
+    const raw = prefix
+      ? `${prefix === prefix.toUpperCase() ? strategy.toUpperCase() : strategy}:${selector}`
+      : selector;
+    return { raw, selector, strategy };
+  }
+
+  /**
+   * CSS selector / XPath to test whether a parsed locator still matches
+   */
+  toSelector(parsed) {
+    const value = parsed.value;
+    if (!value) return null;
+
+    if (this.isXPath(parsed)) {
+      return { value: /^\(?\//.test(value) ? value : `//${value}`, strategy: 'xpath' };
+    }
+
+    switch (parsed.strategy) {
+      case 'css':
+        return { value, strategy: 'css' };
+      case 'id':
+        return { value: `[id="${value}"]`, strategy: 'css' };
+      case 'name':
+        return { value: `[name="${value}"]`, strategy: 'css' };
+      case 'className':
+        return { value: `.${value}`, strategy: 'css' };
+      case 'tagName':
+        return { value, strategy: 'css' };
+      case 'data-testid':
+        return { value: `[data-testid="${value}"]`, strategy: 'css' };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * The attribute a locator depends on (what broke / what the fix relies on)
+   */
+  getLocatorAttribute(parsed) {
+    const value = parsed.value || parsed.raw || '';
+
+    switch (parsed.strategy) {
+      case 'id':
+      case 'name':
+      case 'data-testid':
+        return parsed.strategy;
+      case 'className':
+        return 'class';
+      case 'tagName':
+        return 'xpath';
+    }
+
+    if (/data-testid/.test(value)) return 'data-testid';
+    if (/data-qa/.test(value)) return 'data-qa';
+    if (/aria-label/.test(value)) return 'aria-label';
+    if (/@id\b|\[id\s*=|#[\w-]/.test(value)) return 'id';
+    if (/@name\b|\[name\s*=/.test(value)) return 'name';
+    if (/text\(\)|normalize-space|contains\(\s*\.|:has-text|:contains/.test(value)) return 'text';
+    if (this.isXPath(parsed) ? /@class\b/.test(value) : /\[class|\.[a-z_][\w-]*/i.test(value)) return 'class';
+    return 'xpath';
+  }
+
+  /**
+   * XPath locators, including absolute paths the parser reads as CSS
+   */
+  isXPath(parsed) {
+    return parsed.strategy === 'xpath' || (parsed.strategy === 'css' && /^\(?\//.test(parsed.value || ''));
+  }
+
+  /**
+   * analyzePage lists an element once per matching selector - keep one
+   */
+  uniqueElements(elements = []) {
+    const seen = new Set();
+    return elements.filter(element => {
+      const id = element.xpath || JSON.stringify(element.attributes);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+
+  /**
+   * Similarity of two identifiers/labels (0-1): Dice coefficient of character
+   * bigrams after normalizing case and separators
+   */
+  textSimilarity(a, b) {
+    const normalize = (text) => String(text)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+    const left = normalize(a);
+    const right = normalize(b);
+
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const bigrams = (text) => {
+      const counts = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const gram = text.slice(i, i + 2);
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const leftGrams = bigrams(left);
+    const rightGrams = bigrams(right);
+    let overlap = 0;
+    leftGrams.forEach((count, gram) => {
+      overlap += Math.min(count, rightGrams.get(gram) || 0);
+    });
+
+    const size = Math.max(1, left.length - 1) + Math.max(1, right.length - 1);
+    return (2 * overlap) / size;
+  }
+
+  /**
+   * Jaccard similarity of whitespace-separated tokens (class lists)
+   */
+  tokenSimilarity(a, b) {
+    const left = new Set(a.split(/\s+/).filter(Boolean));
+    const right = new Set(b.split(/\s+/).filter(Boolean));
+    const shared = [...left].filter(token => right.has(token)).length;
+    const union = new Set([...left, ...right]).size;
+    return union > 0 ? shared / union : 0;
+  }
+
+  /**
+   * Share of leading path steps two XPaths have in common
+   */
+  xpathSimilarity(a, b) {
+    const left = a.split('/').filter(Boolean);
+    const right = b.split('/').filter(Boolean);
+    let common = 0;
+    while (common < left.length && common < right.length && left[common] === right[common]) {
+      common++;
+    }
+    return common / Math.max(left.length, right.length, 1);
+  }
+}
+
+// Export singleton instance
+export const locatorRepairService = new LocatorRepairService();
+export default locatorRepairService;
@@ -0,0 +1,678 @@
+/**
+ * Multi-Agent Pipeline Service
+ *
+ * Runs the multi-agent test generation pipeline and persists every run
+ * (with each stage's output) so a run can be inspected later and resumed
+ * from any stage without paying for the upstream LLM calls again:
+ *
+ * 1. decomposition       → ScenarioDecomposerAgent  (artifact: decomposition)
+ * 2. mapping             → ActionMapperAgent        (artifact: mappingResult)
+ * 3. prerequisites       → PrerequisiteBuilderAgent (artifact: prerequisites)
+ * 4. composition         → TestComposerAgent        (artifact: composedTest)
+ * 5. validation          → CodeValidatorAgent       (artifact: validation)
+ * 6. componentGeneration → ComponentGeneratorAgent  (artifact: generatedComponents)
+ *
+ * Progress can be observed through an `onEvent(type, data)` callback
+ * (used by the streaming endpoint) and a run can be stopped with an AbortSignal.
+ * Runs cut off by a server stop are marked `interrupted` on startup and can be
+ * re-run from the stage they stopped at.
+ *
+ * @see /docs/architecture/multi-agent-system-guide.md
+ */
+
+import crypto from 'crypto';
+import { col } from 'sequelize';
+import { scenarioDecomposerAgent } from '../agents/scenarioDecomposerAgent.js';
+import { actionMapperAgent } from '../agents/actionMapperAgent.js';
+import { prerequisiteBuilderAgent } from '../agents/prerequisiteBuilderAgent.js';
+import { testComposerAgent } from '../agents/testComposerAgent.js';
+import { componentGeneratorAgent } from '../agents/componentGeneratorAgent.js';
+import { codeValidatorAgent } from '../agents/codeValidatorAgent.js';
+import { screenPathTracker } from './screenPathTracker.js';
+import { hybridRAGService } from './hybridRAGService.js';
+import { frameworkProfileService } from './frameworkProfileService.js';
+import { runWithUsageContext } from './usageLedgerService.js';
+import { PipelineRun } from '../models/pipelineRun.js';
+import { logger } from '../utils/logger.js';
+
+// Ordered pipeline stages and the run column that stores each stage's output
+export const PIPELINE_STAGES = ['decomposition', 'mapping', 'prerequisites', 'composition', 'validation', 'componentGeneration'];
+
+export const STAGE_ARTIFACTS = {
+  decomposition: 'decomposition',
+  mapping: 'mappingResult',
+  prerequisites: 'prerequisites',
+  composition: 'composedTest',
+  validation: 'validation',
+  componentGeneration: 'generatedComponents'
+};
+
+class MultiAgentPipelineService {
+  constructor() {
+    // Screen path tracking and action mapping keep per-run state on shared
+    // singletons (screenPathTracker, actionMapperAgent), so concurrent runs
+    // (e.g. batch jobs) take turns through that stage
+    this.mappingQueue = Promise.resolve();
+  }
+
+  /**
+   * Initialize all agents
+   */
+  async initializeAgents() {
+    await Promise.all([
+      scenarioDecomposerAgent.initialize ? scenarioDecomposerAgent.initialize() : Promise.resolve(),
+      actionMapperAgent.initialize(),
+      prerequisiteBuilderAgent.initialize(),
+      testComposerAgent.initialize(),
+      codeValidatorAgent.initialize(),
+      componentGeneratorAgent.initialize()
+    ]);
+  }
+
+  /**
+   * Start a new pipeline run from a natural language scenario
+   *
+   * @param {Object} input - Generation request (scenario, platform, brand, ...)
+   * @param {Object} options - { onEvent, signal } (see executeRun)
+   * @returns {Object} { run, result } - Persisted run and pipeline result
+   */
+  async generate(input, options = {}) {
+    // Fail fast on an unknown framework profile instead of after the LLM stages
+    frameworkProfileService.getProfile(input.profile);
+
+    const run = await PipelineRun.create({
+      id: this.generateRunId(),
+      scenario: input.scenario,
+      input,
+      stageSummaries: {}
+    });
+
+    logger.info(`Pipeline run ${run.id} started for: "${input.scenario.substring(0, 50)}..."`);
+
+    const result = await runWithUsageContext({ pipelineRunId: run.id }, () => this.executeRun(run, PIPELINE_STAGES[0], options));
+    return { run, result };
+  }
+
+  /**
+   * Re-run a stored pipeline from a chosen stage
+   *
+   * When `output` is given it replaces the stored output of `stage` and only
+   * the stages after it are executed. Without `output` the stage itself is
+   * executed again along with everything downstream. The source run is left
+   * untouched; the re-run is stored as a new run linked via parentRunId.
+   *
+   * @param {string} runId - Run to resume from
+   * @param {Object} options
+   * @param {string} options.stage - One of PIPELINE_STAGES
+   * @param {Object} options.output - Edited output for `stage` (optional)
+   * @param {Function} options.onEvent - Progress callback (see executeRun)
+   * @param {AbortSignal} options.signal - Cancels the re-run
+   * @returns {Object} { run, result } or null if the source run does not exist
+   */
+  async rerun(runId, { stage, output = null, onEvent = null, signal = null } = {}) {
+    const source = await PipelineRun.findByPk(runId);
+    if (!source) {
+      return null;
+    }
+
+    const stageIndex = PIPELINE_STAGES.indexOf(stage);
+    if (stageIndex === -1) {
+      throw Object.assign(
+        new Error(`Unknown stage: ${stage}. Must be one of: ${PIPELINE_STAGES.join(', ')}`),
+        { status: 400 }
+      );
+    }
+
+    // Every stage before the edited one must have a stored output to resume from
+    const requiredStages = PIPELINE_STAGES.slice(0, stageIndex);
+    const missing = requiredStages.filter(s => !source[STAGE_ARTIFACTS[s]]);
+    if (missing.length > 0) {
+      throw Object.assign(
+        new Error(`Run ${runId} has no stored output for: ${missing.join(', ')}`),
+        { status: 409 }
+      );
+    }
+
+    // Carry over upstream artifacts
+    const artifacts = {};
+    for (const s of requiredStages) {
+      artifacts[STAGE_ARTIFACTS[s]] = source[STAGE_ARTIFACTS[s]];
+    }
+
+    const stageSummaries = {};
+    for (const s of requiredStages) {
+      if (source.stageSummaries?.[s]) {
+        stageSummaries[s] = source.stageSummaries[s];
+      }
+    }
+    if (requiredStages.includes('decomposition') && source.stageSummaries?.screenPath) {
+      stageSummaries.screenPath = source.stageSummaries.screenPath;
+    }
+
+    let startStage = stage;
+    if (output) {
+      const artifact = stage === 'mapping' ? this.refreshMappingStatistics(output) : output;
+      artifacts[STAGE_ARTIFACTS[stage]] = artifact;
+      stageSummaries[stage] = { ...this.summarizeStage(stage, artifact), edited: true };
+      startStage = PIPELINE_STAGES[stageIndex + 1] || null;
+    }
+
+    const run = await PipelineRun.create({
+      id: this.generateRunId(),
+      parentRunId: source.id,
+      rerunFromStage: stage,
+      scenario: source.scenario,
+      input: source.input,
+      screenPath: stageIndex > 1 || (stageIndex === 1 && output) ? source.screenPath : null,
+      ...artifacts,
+      stageSummaries
+    });
+
+    logger.info(`Pipeline run ${run.id} re-running ${source.id} from stage "${stage}"${output ? ' with edited output' : ''}`);
+
+    const result = await runWithUsageContext({ pipelineRunId: run.id }, () => this.executeRun(run, startStage, { onEvent, signal }));
+    return { run, result };
+  }
+
+  /**
+   * Execute pipeline stages starting at `startStage`, persisting each output
+   *
+   * Events passed to `onEvent(type, data)`:
+   * - run:        run started ({ runId, parentRunId, stages, startStage })
+   * - stage:      stage started/completed ({ stage, status, summary, output })
+   * - screenPath: screen path built from the decomposition
+   * - step:       a single step was mapped ({ index, total, status, confidence, ... })
+   *
+   * @param {PipelineRun} run - Persisted run to execute
+   * @param {string} startStage - First stage to execute (null = nothing left to run)
+   * @param {Object} options
+   * @param {Function} options.onEvent - Progress callback
+   * @param {AbortSignal} options.signal - Stops the run between stages/steps
+   */
+  async executeRun(run, startStage, { onEvent = null, signal = null } = {}) {
+    const startTime = Date.now();
+    const input = run.input || {};
+    const {
+      scenario,
+      platform,
+      brand,
+      includeLogin = true,
+      testType = 'functional',
+      className,
+      packageName,
+      precondition,
+      fastSeekSeconds = null,
+      generateComponents = true,
+      profile = null,
+      repositoryPath = null
+    } = input;
+
+    await this.initializeAgents();
+
+    const startIndex = startStage ? PIPELINE_STAGES.indexOf(startStage) : PIPELINE_STAGES.length;
+    const shouldRun = (stage) => PIPELINE_STAGES.indexOf(stage) >= startIndex;
+    const emit = (type, data) => onEvent?.(type, data);
+    let activeStage = null;
+
+    const beginStage = async (stage) => {
+      signal?.throwIfAborted();
+      activeStage = stage;
+      await run.update({ currentStage: stage });
+      emit('stage', { stage, status: 'started' });
+    };
+
+    emit('run', {
+      runId: run.id,
+      parentRunId: run.parentRunId,
+      stages: PIPELINE_STAGES,
+      startStage
+    });
+
+    try {
+      // ========== STAGE 1: Decompose Scenario ==========
+      if (shouldRun('decomposition')) {
+        await beginStage('decomposition');
+
+        logger.debug('Stage 1: Scenario Decomposition');
+        const decomposition = await scenarioDecomposerAgent.decompose(scenario, {
+          platform,
+          brand,
+          includeLogin,
+          precondition
+        });
+
+        if (!decomposition.success) {
+          return this.failRun(run, 'decomposition', 'Scenario decomposition failed', decomposition.error, startTime);
+        }
+
+        await this.saveStage(run, 'decomposition', decomposition, emit);
+      }
+
+      // ========== STAGE 2: Map Actions to Methods ==========
+      if (shouldRun('mapping')) {
+        await beginStage('mapping');
+
+        const mappingResult = await this.runExclusive(async () => {
+          // Screen path is cheap and derived from the decomposition, so it is
+          // rebuilt whenever mapping runs (the tracker gives mapping its context)
+          logger.debug('Stage 1.5: Building Screen Path');
+          screenPathTracker.reset();
+          const screenPath = screenPathTracker.buildPath(run.decomposition.steps || []);
+          const screens = screenPath.map(p => p.screen);
+
+          await run.update({
+            screenPath: screens,
+            stageSummaries: {
+              ...run.stageSummaries,
+              screenPath: { success: true, path: screens, pathLength: screens.length }
+            }
+          });
+          emit('screenPath', run.stageSummaries.screenPath);
+
+          logger.debug('Stage 2: Action Mapping');
+          return actionMapperAgent.mapSteps(run.decomposition, {
+            platform,
+            brand,
+            screenPathTracker,  // Pass tracker for context-aware mapping
+            fastSeekSeconds,    // Pass fast seek option for duration actions (null = use actual duration)
+            signal,
+            onStepMapped: (mapping, index, total) => emit('step', this.summarizeStep(mapping, index, total))
+          });
+        });
+
+        if (!mappingResult.success) {
+          return this.failRun(run, 'mapping', 'Action mapping failed', mappingResult.error, startTime);
+        }
+
+        await this.saveStage(run, 'mapping', mappingResult, emit);
+      }
+
+      // ========== STAGE 3: Build Prerequisites ==========
+      if (shouldRun('prerequisites')) {
+        await beginStage('prerequisites');
+
+        logger.debug('Stage 3: Prerequisite Building');
+        const prerequisites = await prerequisiteBuilderAgent.buildPrerequisites(
+          run.mappingResult,
+          {
+            platform,
+            brand,
+            includeLogin,
+            targetScreen: run.decomposition.primary_screen || run.decomposition.primaryScreen,
+            fastSeekSeconds,  // Pass for dynamic seek time in MQE patterns
+            profile
+          }
+        );
+
+        if (!prerequisites.success) {
+          return this.failRun(run, 'prerequisites', 'Prerequisite building failed', prerequisites.error, startTime);
+        }
+
+        await this.saveStage(run, 'prerequisites', prerequisites, emit);
+      }
+
+      // ========== STAGE 4: Compose Test ==========
+      if (shouldRun('composition')) {
+        await beginStage('composition');
+
+        logger.debug('Stage 4: Test Composition');
+        const composedTest = await testComposerAgent.composeTest(
+          { title: run.decomposition.gherkin?.scenario || scenario, description: '' },
+          run.decomposition,
+          run.mappingResult,
+          run.prerequisites,
+          {
+            className,
+            packageName,
+            platform,
+            brand,
+            testType,
+            profile
+          }
+        );
+
+        if (!composedTest.success) {
+          return this.failRun(run, 'composition', 'Test composition failed', composedTest.error, startTime);
+        }
+
+        await this.saveStage(run, 'composition', composedTest, emit);
+      }
+
+      // ========== STAGE 5: Compile-check Against the Repository ==========
+      if (shouldRun('validation')) {
+        await beginStage('validation');
+
+        logger.debug('Stage 5: Validation');
+        let validation;
+        try {
+          validation = await codeValidatorAgent.validate(run.composedTest, {
+            repositoryPath: repositoryPath || hybridRAGService.repositoryPath
+          });
+        } catch (error) {
+          if (signal?.aborted) {
+            throw error;
+          }
+
+          // Non-critical - the test was composed, it just could not be checked
+          logger.warn(`Validation failed: ${error.message}`);
+          validation = { success: false, error: error.message };
+        }
+
+        await this.saveStage(run, 'validation', validation, emit);
+      }
+
+      // ========== STAGE 6: Generate Components for Unmapped Actions and Unresolved Calls ==========
+      const stubs = run.validation?.stubs || [];
+      if (shouldRun('componentGeneration') && generateComponents &&
+          (run.mappingResult.unmapped?.length > 0 || stubs.length > 0)) {
+        await beginStage('componentGeneration');
+
+        logger.debug('Stage 6: Component Generation');
+        try {
+          const generatedComponents = await componentGeneratorAgent.generateComponents(
+            run.mappingResult.unmapped,
+            {
+              platform,
+              brand,
+              targetScreen: run.prerequisites.targetScreen,
+              stubs
+            }
+          );
+
+          await this.saveStage(run, 'componentGeneration', generatedComponents, emit);
+        } catch (error) {
+          if (signal?.aborted) {
+            throw error;
+          }
+
+          // Non-critical - the composed test is still usable without stubs
+          logger.warn(`Component generation failed: ${error.message}`);
+          await run.update({
+            generatedComponents: null,
+            stageSummaries: {
+              ...run.stageSummaries,
+              componentGeneration: { success: false, error: error.message }
+            }
+          });
+        }
+      }
+
+      const totalMs = Date.now() - startTime;
+      await run.update({ status: 'completed', currentStage: null, totalMs });
+
+      logger.info(`Pipeline run ${run.id} completed in ${totalMs}ms`);
+
+      return { success: true };
+    } catch (error) {
+      if (signal?.aborted) {
+        await run.update({ status: 'cancelled', totalMs: Date.now() - startTime });
+        logger.info(`Pipeline run ${run.id} cancelled during stage "${activeStage}"`);
+        return { success: false, cancelled: true, error: 'Pipeline run cancelled', stage: activeStage };
+      }
+
+      logger.error(`Pipeline run ${run.id} error:`, error);
+      return this.failRun(run, activeStage || 'unknown', error.message, null, startTime);
+    }
+  }
+
+  /**
+   * Mark runs still `running` from before a server stop as interrupted, with
+   * the stage they stopped at as failedStage. Call on startup, before anything
+   * can start new runs.
+   *
+   * @returns {Promise<number>} Number of runs marked
+   */
+  async markInterruptedRuns() {
+    const [count] = await PipelineRun.update(
+      { status: 'interrupted', failedStage: col('currentStage'), error: 'Interrupted by a server restart' },
+      { where: { status: 'running' } }
+    );
+
+    if (count > 0) {
+      logger.warn(`Marked ${count} pipeline run(s) interrupted by a server restart; re-run them from their failed stage`);
+    }
+    return count;
+  }
+
+  /**
+   * Run `fn` once all previously queued exclusive work has settled
+   */
+  runExclusive(fn) {
+    const result = this.mappingQueue.then(fn);
+    this.mappingQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Persist a stage's output and summary on the run
+   */
+  async saveStage(run, stage, output, emit = null) {
+    await run.update({
+      [STAGE_ARTIFACTS[stage]]: output,
+      stageSummaries: {
+        ...run.stageSummaries,
+        [stage]: this.summarizeStage(stage, output)
+      }
+    });
+
+    emit?.('stage', {
+      stage,
+      status: 'completed',
+      summary: run.stageSummaries[stage],
+      output
+    });
+  }
+
+  /**
+   * Mark a run as failed at the given stage
+   */
+  async failRun(run, stage, error, details, startTime) {
+    await run.update({
+      status: 'failed',
+      failedStage: stage,
+      error: details ? `${error}: ${details}` : error,
+      totalMs: Date.now() - startTime
+    });
+
+    logger.warn(`Pipeline run ${run.id} failed at stage "${stage}": ${error}`);
+
+    return {
+      success: false,
+      error,
+      details,
+      stage
+    };
+  }
+
+  /**
+   * Build the compact per-stage summary returned in `pipeline.stages`
+   */
+  summarizeStage(stage, output) {
+    switch (stage) {
+      case 'decomposition':
+        return {
+          success: true,
+          stepsCount: output.steps?.length || 0,
+          method: output.decomposition_method,
+          learnedPatternsUsed: output.learned_patterns_used || 0
+        };
+      case 'mapping':
+        return {
+          success: true,
+          mapped: output.statistics?.mapped || 0,
+          unmapped: output.statistics?.unmapped || 0,
+          mappingRate: output.statistics?.mappingRate,
+          averageConfidence: output.statistics?.averageConfidence
+        };
+      case 'prerequisites':
+        return {
+          success: true,
+          targetScreen: output.targetScreen,
+          screensInPath: output.screenChain?.length || 0,
+          importsCount: output.prerequisites?.imports?.length || 0
+        };
+      case 'composition':
+        return {
+          success: true,
+          className: output.className,
+          linesOfCode: output.code?.split('\n').length || 0,
+          warnings: output.warnings?.length || 0
+        };
+      case 'validation':
+        if (output.success === false || output.skipped) {
+          return { success: output.success !== false, skipped: true, reason: output.reason || output.error };
+        }
+        return {
+          success: true,
+          valid: output.valid,
+          checkedCalls: output.checkedCalls,
+          issues: output.issues?.length || 0,
+          unverified: output.unverified?.length || 0
+        };
+      case 'componentGeneration':
+        return {
+          success: true,
+          methodsGenerated: output.newMethods?.length || 0,
+          stubsGenerated: output.statistics?.stubsGenerated || 0,
+          locatorsGenerated: output.newLocators?.length || 0,
+          propertiesGenerated: output.newProperties?.length || 0
+        };
+      default:
+        return { success: true };
+    }
+  }
+
+  /**
+   * Build the per-step progress event for a mapped (or missing) step
+   */
+  summarizeStep(mapping, index, total) {
+    const found = mapping.status === 'found';
+    return {
+      index,
+      total,
+      status: found ? 'found' : 'missing',
+      action: mapping.action,
+      target: mapping.target,
+      className: found ? mapping.className : mapping.suggestedAction?.suggestedClass,
+      methodName: found ? mapping.methodName : mapping.suggestedAction?.suggestedMethod,
+      source: mapping.source,
+      confidence: found ? mapping.confidence : 0,
+      reason: found ? undefined : mapping.reason
+    };
+  }
+
+  /**
+   * Recalculate mapping statistics after a mapping result was edited by hand
+   * (e.g. an unmapped step moved into `mappings` with a chosen method)
+   */
+  refreshMappingStatistics(mappingResult) {
+    const mappings = mappingResult.mappings || [];
+    const unmapped = mappingResult.unmapped || [];
+    const total = mappings.length + unmapped.length;
+    const totalConfidence = mappings.reduce((sum, m) => sum + (Number(m.confidence) || 0), 0);
+    const avgConfidence = mappings.length > 0 ? totalConfidence / mappings.length : 0;
+
+    return {
+      ...mappingResult,
+      success: true,
+      mappings,
+      unmapped,
+      statistics: {
+        ...mappingResult.statistics,
+        total,
+        mapped: mappings.length,
+        unmapped: unmapped.length,
+        averageConfidence: avgConfidence.toFixed(2),
+        mappingRate: total > 0 ? ((mappings.length / total) * 100).toFixed(1) + '%' : '0.0%'
+      }
+    };
+  }
+
+  /**
+   * Build the API response for a finished run
+   */
+  buildResponse(run, { debug = false } = {}) {
+    const composedTest = run.composedTest || {};
+    const mappingResult = run.mappingResult || {};
+    const generatedComponents = run.generatedComponents;
+
+    return {
+      success: run.status === 'completed',
+      runId: run.id,
+      parentRunId: run.parentRunId || undefined,
+      code: composedTest.code,
+      className: composedTest.className,
+      fullClassName: composedTest.fullClassName,
+      metadata: {
+        ...composedTest.metadata,
+        precondition: run.input?.precondition || null
+      },
+      warnings: composedTest.warnings,
+      // Compile check against the target repository (issues, suggestions, stubs)
+      validation: run.validation || null,
+      // Missing actions that need to be added to Knowledge Base
+      missingActions: mappingResult.missingActions || [],
+      unmappedActions: composedTest.unmappedActions,
+      generatedComponents: generatedComponents ? {
+        newMethods: generatedComponents.newMethods,
+        newProperties: generatedComponents.newProperties,
+        newLocators: generatedComponents.newLocators,
+        statistics: generatedComponents.statistics
+      } : null,
+      pipeline: {
+        input: {
+          scenario: run.scenario,
+          platform: run.input?.platform,
+          brand: run.input?.brand,
+          precondition: run.input?.precondition,
+          fastSeekSeconds: run.input?.fastSeekSeconds
+        },
+        stages: run.stageSummaries || {}
+      },
+      timing: {
+        totalMs: run.totalMs
+      },
+      // Debug info (if requested)
+      debug: debug ? {
+        decomposition: run.decomposition,
+        mapping: run.mappingResult,
+        prerequisites: run.prerequisites,
+        generatedComponents
+      } : undefined
+    };
+  }
+
+  /**
+   * List stored runs (newest first) without the heavy stage outputs
+   */
+  async listRuns({ status = null, limit = 50, offset = 0 } = {}) {
+    const where = status ? { status } : {};
+    const { rows, count } = await PipelineRun.findAndCountAll({
+      where,
+      attributes: [
+        'id', 'parentRunId', 'status', 'currentStage', 'rerunFromStage', 'failedStage',
+        'scenario', 'input', 'stageSummaries', 'error', 'totalMs', 'createdAt', 'updatedAt'
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0
+    });
+
+    return { total: count, runs: rows.map(r => r.toJSON()) };
+  }
+
+  /**
+   * Get a single run with all stage outputs
+   */
+  async getRun(runId) {
+    return PipelineRun.findByPk(runId);
+  }
+
+  generateRunId() {
+    return `run_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+}
+
+// Export singleton instance
+export const multiAgentPipelineService = new MultiAgentPipelineService();
+export default multiAgentPipelineService;
@@ -13,6 +13,8 @@
 
 import OpenAI from 'openai';
 import { logger } from '../utils/logger.js';
+import { usageLedgerService } from './usageLedgerService.js';
+import { structuredOutput } from './structuredOutput.js';
 
 class OpenRouterService {
   constructor() {
@@ -148,14 +150,28 @@ class OpenRouterService {
 
     const prompt = this.buildTestCasePrompt(ticket, options);
 
+    const request = async (userPrompt) => {
+      const response = await usageLedgerService.track(
+        { task: 'generate-cases', provider: 'openrouter', model: this.currentModel },
+        () => this.chat({
+          systemPrompt: 'You are a QA expert that generates comprehensive test cases. Always respond with valid JSON.',
+          userPrompt,
+          maxTokens: 4000
+        }),
+        response => response.usage
+      );
+      return response.content;
+    };
+
     try {
-      const response = await this.chat({
-        systemPrompt: 'You are a QA expert that generates comprehensive test cases. Always respond with valid JSON.',
-        userPrompt: prompt,
-        maxTokens: 4000
+      const parsed = await structuredOutput.parse({
+        schema: 'test-cases',
+        content: await request(prompt),
+        prompt,
+        retry: request
       });
 
-      return this.parseTestCases(response.content);
+      return this.parseTestCases(parsed);
     } catch (error) {
       logger.error('OpenRouter generateTestCases error:', error.message);
       return null;
@@ -216,66 +232,59 @@ Respond with a JSON array of test cases in this exact format:
   }
 
   /**
-   * Parse test cases from AI response
+   * Normalize schema-validated test cases (an array, or { testCases })
    */
-  parseTestCases(content) {
-    try {
-      // Extract JSON from markdown code block if present
-      const jsonMatch = content.match(/```json\s*([\s\S]*?)```/);
-      const jsonContent = jsonMatch ? jsonMatch[1].trim() : content.trim();
-
-      const parsed = JSON.parse(jsonContent);
-
-      if (Array.isArray(parsed)) {
-        return parsed.map(tc => ({
-          title: tc.title || tc.Title || 'Test Case',
-          testType: tc.testType || tc.test_type || 'functional',
-          objective: tc.objective || tc.description || '',
-          preconditions: tc.preconditions || '',
-          priority: tc.priority || 'Medium',
-          steps: Array.isArray(tc.steps) ? tc.steps : [],
-          expectedResult: tc.expectedResult || tc.expected_result || ''
-        }));
-      }
-
-      return parsed.testCases || [];
-    } catch (error) {
-      logger.error('Failed to parse OpenRouter response:', error.message);
-      return null;
+  parseTestCases(parsed) {
+    if (Array.isArray(parsed)) {
+      return parsed.map(tc => ({
+        title: tc.title || tc.Title || 'Test Case',
+        testType: tc.testType || tc.test_type || 'functional',
+        objective: tc.objective || tc.description || '',
+        preconditions: tc.preconditions || '',
+        priority: tc.priority || 'Medium',
+        steps: Array.isArray(tc.steps) ? tc.steps : [],
+        expectedResult: tc.expectedResult || tc.expected_result || ''
+      }));
     }
+
+    return parsed.testCases;
   }
 
   /**
    * Chat completion with automatic key rotation
+   *
+   * @param {string} model - Model for this call (default: the current model)
+   * @param {AbortSignal} signal - Aborts the request
    */
-  async chat({ systemPrompt, userPrompt, temperature = 0.3, maxTokens = 2000 }) {
+  async chat({ systemPrompt, userPrompt, temperature = 0.3, maxTokens = 2000, model = null, signal }) {
     if (!this.client) {
       throw new Error('OpenRouter client not initialized');
     }
 
+    const modelName = model || this.currentModel;
     const maxRetries = Math.min(3, this.apiKeys.length);
     let lastError;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
-        logger.info(`OpenRouter API call attempt ${attempt + 1}/${maxRetries} with model ${this.currentModel}`);
+        logger.info(`OpenRouter API call attempt ${attempt + 1}/${maxRetries} with model ${modelName}`);
 
         const response = await this.client.chat.completions.create({
-          model: this.currentModel,
+          model: modelName,
           messages: [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: userPrompt }
           ],
           temperature,
           max_tokens: maxTokens
-        });
+        }, { signal });
 
         const usage = response.usage || {};
         logger.info(`OpenRouter response: ${usage.total_tokens || 0} tokens used`);
 
         return {
           content: response.choices[0]?.message?.content || '',
-          model: this.currentModel,
+          model: modelName,
           usage: {
             promptTokens: usage.prompt_tokens || 0,
             completionTokens: usage.completion_tokens || 0,
@@ -299,7 +308,7 @@ Respond with a JSON array of test cases in this exact format:
 
         // For 404 (model not found), try without retrying
         if (errorStatus === 404) {
-          logger.error(`Model ${this.currentModel} not found on OpenRouter`);
+          logger.error(`Model ${modelName} not found on OpenRouter`);
           break;
         }
 
@@ -315,10 +324,14 @@ Respond with a JSON array of test cases in this exact format:
    * Direct content generation
    */
   async generate(prompt) {
-    const response = await this.chat({
-      systemPrompt: 'You are a helpful AI assistant.',
-      userPrompt: prompt
-    });
+    const response = await usageLedgerService.track(
+      { task: 'generate', provider: 'openrouter', model: this.currentModel },
+      () => this.chat({
+        systemPrompt: 'You are a helpful AI assistant.',
+        userPrompt: prompt
+      }),
+      response => response.usage
+    );
     return response.content;
   }
 }
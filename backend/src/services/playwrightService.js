@@ -1,15 +1,89 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { exec } from 'child_process';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import { exec, spawn } from 'child_process';
 import { promisify } from 'util';
 import { logger } from '../utils/logger.js';
 
 const execAsync = promisify(exec);
 
+const CONFIG_FILES = ['playwright.config.ts', 'playwright.config.js', 'playwright.config.mts', 'playwright.config.mjs', 'playwright.config.cjs'];
+const MAX_STORED_RUNS = 20;
+const MAX_OUTPUT_CHARS = 20000;
+
+// Reporter loaded by the repository's Playwright: records every test with its
+// top-level steps (actions, assertions, hooks) and attachments
+const RUN_REPORTER = `const fs = require('fs');
+
+const STEP_CATEGORIES = ['pw:api', 'expect', 'test.step', 'hook'];
+
+function toStep(step) {
+  return {
+    title: step.title,
+    category: step.category,
+    durationMs: step.duration,
+    error: step.error ? step.error.message : null,
+    steps: step.category === 'test.step'
+      ? step.steps.filter(s => STEP_CATEGORIES.includes(s.category)).map(toStep)
+      : []
+  };
+}
+
+class QaCopilotReporter {
+  constructor(options) {
+    this.outputFile = options.outputFile;
+    this.tests = [];
+    this.errors = [];
+  }
+
+  onBegin() {
+    this.startTime = Date.now();
+  }
+
+  onTestEnd(test, result) {
+    this.tests.push({
+      title: test.titlePath().slice(3).join(' > '),
+      file: test.location.file,
+      line: test.location.line,
+      project: test.parent.project() ? test.parent.project().name : null,
+      status: result.status,
+      expectedStatus: test.expectedStatus,
+      durationMs: result.duration,
+      error: result.error ? { message: result.error.message, stack: result.error.stack } : null,
+      steps: result.steps.filter(s => STEP_CATEGORIES.includes(s.category)).map(toStep),
+      attachments: result.attachments
+        .filter(a => a.path)
+        .map(a => ({ name: a.name, contentType: a.contentType, path: a.path }))
+    });
+  }
+
+  onError(error) {
+    this.errors.push({ message: error.message, stack: error.stack });
+  }
+
+  onEnd(result) {
+    fs.writeFileSync(this.outputFile, JSON.stringify({
+      status: result.status,
+      durationMs: Date.now() - this.startTime,
+      tests: this.tests,
+      errors: this.errors
+    }));
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+module.exports = QaCopilotReporter;
+`;
+
 export class PlaywrightService {
   constructor() {
     this.cacheDir = path.join(process.env.HOME, '.qa-copilot', 'playwright-cache');
     this.patterns = new Map();
+    this.runs = new Map(); // runId → { repoPath, outputDir }
   }
 
   /**
@@ -735,6 +809,297 @@ export class PlaywrightService {
     }
   }
 
+  /**
+   * Run a saved spec with the repository's own Playwright install
+   * (headless Chromium, tracing and screenshots on) and report the result
+   *
+   * @param {string} repoPath - Repository root
+   * @param {string} testPath - Spec file (absolute or relative to repoPath)
+   * @param {Object} options - { timeoutMs }
+   * @returns {Object} Run report: status, per-test steps/durations, artifacts
+   */
+  async runTest(repoPath, testPath, options = {}) {
+    const { timeoutMs = 5 * 60 * 1000 } = options;
+
+    const specPath = path.resolve(repoPath, testPath);
+    if (path.relative(repoPath, specPath).startsWith('..')) {
+      throw Object.assign(new Error('Test file must be inside the repository'), { status: 400 });
+    }
+    await fs.access(specPath).catch(() => {
+      throw Object.assign(new Error(`Test file not found: ${specPath}`), { status: 404 });
+    });
+
+    const cliPath = this.findPlaywrightCli(repoPath);
+    const runId = `pw_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    const outputDir = path.join(this.cacheDir, 'runs', runId);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const reporterPath = path.join(outputDir, 'reporter.cjs');
+    const reportPath = path.join(outputDir, 'report.json');
+    await fs.writeFile(reporterPath, RUN_REPORTER);
+
+    const configPath = await this.writeRunConfig(repoPath, specPath, {
+      outputDir: path.join(outputDir, 'artifacts'),
+      reporterPath,
+      reportPath
+    });
+
+    this.runs.set(runId, { repoPath, outputDir });
+    await this.pruneRuns();
+
+    logger.info(`Running Playwright spec ${path.relative(repoPath, specPath)} (${runId})`);
+    const startTime = Date.now();
+
+    let execution;
+    try {
+      execution = await this.spawnPlaywright(cliPath, ['test', '--config', configPath], {
+        cwd: repoPath,
+        timeoutMs
+      });
+    } finally {
+      await fs.rm(configPath, { force: true });
+    }
+
+    let report = null;
+    try {
+      report = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+    } catch (error) {
+      logger.warn(`No Playwright report for ${runId}: ${error.message}`);
+    }
+
+    const result = this.buildRunReport(runId, report, execution, {
+      repoPath,
+      specPath,
+      outputDir,
+      durationMs: Date.now() - startTime
+    });
+
+    logger.info(`Playwright run ${runId} ${result.status}: ${result.summary.passed} passed, ${result.summary.failed} failed`);
+    return result;
+  }
+
+  /**
+   * Locate the repository's @playwright/test CLI
+   */
+  findPlaywrightCli(repoPath) {
+    try {
+      return createRequire(path.join(repoPath, 'package.json')).resolve('@playwright/test/cli');
+    } catch (error) {
+      throw Object.assign(
+        new Error(`@playwright/test is not installed in ${repoPath} (run npm install in the repository)`),
+        { status: 400 }
+      );
+    }
+  }
+
+  /**
+   * Write a temporary config next to the repository's own config that
+   * extends it: only the given spec, headless Chromium, traces and
+   * screenshots on, no retries, our reporter. The config is CommonJS when the
+   * base config is (.cjs, or .js in a package that is not "type": "module"),
+   * ESM otherwise, with the extension of that format.
+   *
+   * @returns {string} Path of the temporary config (delete after the run)
+   */
+  async writeRunConfig(repoPath, specPath, { outputDir, reporterPath, reportPath }) {
+    let baseConfig = null;
+    for (const name of CONFIG_FILES) {
+      try {
+        await fs.access(path.join(repoPath, name));
+        baseConfig = name;
+        break;
+      } catch (e) {
+        // Config not found, continue
+      }
+    }
+
+    const baseExtension = baseConfig ? path.extname(baseConfig) : null;
+    let commonJs = baseExtension === '.cjs';
+    if (baseExtension === '.js') {
+      const packageJson = await fs.readFile(path.join(repoPath, 'package.json'), 'utf8').then(JSON.parse).catch(() => ({}));
+      commonJs = packageJson.type !== 'module';
+    }
+
+    const extension = commonJs ? '.cjs' : ['.ts', '.mts'].includes(baseExtension) ? baseExtension : '.mjs';
+    const configPath = path.join(repoPath, `playwright.qa-copilot-${crypto.randomBytes(3).toString('hex')}.config${extension}`);
+    const run = {
+      testDir: path.dirname(specPath),
+      testMatch: path.basename(specPath),
+      outputDir,
+      reporterPath,
+      reportPath
+    };
+
+    let load = 'const baseConfig = {};';
+    if (baseConfig && commonJs) {
+      // require() of a .js config written with import/export goes through Playwright's transform
+      load = `const loaded = require('./${baseConfig}');\nconst baseConfig = loaded.default || loaded;`;
+    } else if (baseConfig) {
+      load = `import baseConfig from './${baseConfig}';`;
+    }
+
+    const source = `// Temporary config written by QA Copilot for a single run - safe to delete
+${load}
+
+const run = ${JSON.stringify(run, null, 2)};
+const overrides = { headless: true, trace: 'on', screenshot: 'on' };
+const isChromium = (project) => (project.use?.browserName || project.use?.defaultBrowserType || 'chromium') === 'chromium';
+
+// Project-level testDir/testMatch would override the spec selection
+const projects = (baseConfig.projects || [])
+  .filter(isChromium)
+  .map(({ testDir, testMatch, testIgnore, ...project }) => ({ ...project, use: { ...project.use, ...overrides } }));
+
+${commonJs ? 'module.exports =' : 'export default'} {
+  ...baseConfig,
+  testDir: run.testDir,
+  testMatch: run.testMatch,
+  testIgnore: [],
+  outputDir: run.outputDir,
+  reporter: [[run.reporterPath, { outputFile: run.reportPath }]],
+  retries: 0,
+  workers: 1,
+  use: { ...baseConfig.use, ...overrides, browserName: 'chromium' },
+  projects: projects.length > 0 ? projects.slice(0, 1) : [{ name: 'chromium', use: { ...overrides, browserName: 'chromium' } }]
+};
+`;
+
+    await fs.writeFile(configPath, source);
+    return configPath;
+  }
+
+  /**
+   * Spawn the Playwright CLI, capturing output (killed after timeoutMs)
+   *
+   * @returns {Object} { exitCode, signal, timedOut, stdout, stderr }
+   */
+  spawnPlaywright(cliPath, args, { cwd, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [cliPath, ...args], {
+        cwd,
+        env: { ...process.env, CI: '1', FORCE_COLOR: '0', PW_TEST_HTML_REPORT_OPEN: 'never' },
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      const keepTail = (buffer, chunk) => (buffer + chunk).slice(-MAX_OUTPUT_CHARS);
+
+      child.stdout.on('data', chunk => { stdout = keepTail(stdout, chunk); });
+      child.stderr.on('data', chunk => { stderr = keepTail(stderr, chunk); });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+      }, timeoutMs);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        resolve({ exitCode, signal, timedOut, stdout, stderr });
+      });
+    });
+  }
+
+  /**
+   * Turn the reporter output into the report returned to the UI
+   */
+  buildRunReport(runId, report, execution, { repoPath, specPath, outputDir, durationMs }) {
+    const stripAnsi = (text) => (text || '').replace(/\u001b\[[0-9;]*m/g, '');
+    const artifactUrl = (filePath) => `/api/playwright/runs/${runId}/artifacts/${path.relative(outputDir, filePath).split(path.sep).join('/')}`;
+    const toError = (error) => error && { message: stripAnsi(error.message), stack: error.stack ? stripAnsi(error.stack) : null };
+    const toStep = (step) => ({ ...step, error: step.error ? stripAnsi(step.error) : null, steps: step.steps.map(toStep) });
+
+    const tests = (report?.tests || []).map(test => {
+      const trace = test.attachments.find(a => a.name === 'trace');
+      return {
+        title: test.title,
+        file: path.relative(repoPath, test.file),
+        line: test.line,
+        project: test.project,
+        status: test.status,
+        passed: test.status === test.expectedStatus,
+        durationMs: test.durationMs,
+        error: toError(test.error),
+        steps: test.steps.map(toStep),
+        artifacts: {
+          trace: trace ? artifactUrl(trace.path) : null,
+          screenshots: test.attachments
+            .filter(a => a.contentType === 'image/png')
+            .map(a => ({ name: a.name, url: artifactUrl(a.path) })),
+          videos: test.attachments
+            .filter(a => a.contentType?.startsWith('video/'))
+            .map(a => ({ name: a.name, url: artifactUrl(a.path) }))
+        }
+      };
+    });
+
+    const summary = {
+      total: tests.length,
+      passed: tests.filter(t => t.passed && t.status !== 'skipped').length,
+      failed: tests.filter(t => !t.passed).length,
+      skipped: tests.filter(t => t.status === 'skipped').length
+    };
+
+    let status = report?.status || 'error';
+    if (execution.timedOut) {
+      status = 'timedout';
+    } else if (status === 'passed' && tests.length === 0) {
+      status = 'error';
+    }
+
+    const errors = (report?.errors || []).map(toError);
+    const output = stripAnsi(`${execution.stdout}\n${execution.stderr}`).trim();
+    if (!report) {
+      errors.push({ message: `Playwright exited with code ${execution.exitCode} without a report` });
+    }
+    if (/Executable doesn't exist|browserType\.launch/.test(output)) {
+      errors.push({ message: 'Chromium is not installed for this repository - run `npx playwright install chromium` in it' });
+    }
+
+    return {
+      success: status === 'passed',
+      runId,
+      status,
+      spec: path.relative(repoPath, specPath),
+      durationMs: report?.durationMs || durationMs,
+      exitCode: execution.exitCode,
+      summary,
+      tests,
+      errors,
+      output
+    };
+  }
+
+  /**
+   * Resolve a run artifact (trace, screenshot, video) to a file path
+   *
+   * @returns {string|null} Absolute path, or null if unknown/outside the run directory
+   */
+  getRunArtifact(runId, artifactPath) {
+    const run = this.runs.get(runId);
+    if (!run) return null;
+
+    const filePath = path.resolve(run.outputDir, artifactPath);
+    return path.relative(run.outputDir, filePath).startsWith('..') ? null : filePath;
+  }
+
+  /**
+   * Keep only the most recent runs' artifacts on disk
+   */
+  async pruneRuns() {
+    const runIds = [...this.runs.keys()];
+    for (const runId of runIds.slice(0, Math.max(0, runIds.length - MAX_STORED_RUNS))) {
+      await fs.rm(this.runs.get(runId).outputDir, { recursive: true, force: true });
+      this.runs.delete(runId);
+    }
+  }
+
   /**
    * Open file in VS Code
    */
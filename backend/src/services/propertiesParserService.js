@@ -8,6 +8,25 @@ class PropertiesParserService {
     this.navigationPatterns = new Map();
     this.pageObjects = new Map();
     this.locatorPatterns = null; // Will store learned patterns
+    this.attributeStability = {}; // attribute → { broken, repaired, stability } from accepted locator repairs
+  }
+
+  /**
+   * Set attribute stability learned from accepted locator repairs
+   * (see LocatorRepairService). Stable attributes are preferred when
+   * generating new locators.
+   */
+  setAttributeStability(stability) {
+    this.attributeStability = stability || {};
+  }
+
+  /**
+   * Priority adjustment for an attribute: up to 2 levels earlier for
+   * attributes that repairs moved to, later for ones that kept breaking
+   */
+  getStabilityBonus(attribute) {
+    const stability = this.attributeStability[attribute]?.stability ?? 0.5;
+    return (stability - 0.5) * 4;
   }
 
   /**
@@ -372,6 +391,8 @@ class PropertiesParserService {
     // Determine most common strategy
     patterns.primaryStrategy = Object.entries(patterns.strategies)
       .sort(([,a], [,b]) => b - a)[0]?.[0] || 'xpath';
+
+    patterns.attributeStability = this.attributeStability;
     
     this.locatorPatterns = patterns;
     return patterns;
@@ -396,12 +417,14 @@ class PropertiesParserService {
         locatorStrategies.push({
           strategy: 'css',
           value: `[data-testid='${domElement.attributes['data-testid']}']`,
-          priority: 1
+          priority: 1,
+          attribute: 'data-testid'
         });
         locatorStrategies.push({
           strategy: 'xpath',
           value: `//*[@data-testid='${domElement.attributes['data-testid']}']`,
-          priority: 2
+          priority: 2,
+          attribute: 'data-testid'
         });
       }
       
@@ -410,12 +433,14 @@ class PropertiesParserService {
         locatorStrategies.push({
           strategy: 'id',
           value: domElement.attributes.id,
-          priority: 1
+          priority: 1,
+          attribute: 'id'
         });
         locatorStrategies.push({
           strategy: 'css',
           value: `#${domElement.attributes.id}`,
-          priority: 2
+          priority: 2,
+          attribute: 'id'
         });
       }
       
@@ -424,12 +449,14 @@ class PropertiesParserService {
         locatorStrategies.push({
           strategy: 'css',
           value: `[aria-label='${domElement.attributes['aria-label']}']`,
-          priority: 3
+          priority: 3,
+          attribute: 'aria-label'
         });
         locatorStrategies.push({
           strategy: 'xpath',
           value: `//*[@aria-label='${domElement.attributes['aria-label']}']`,
-          priority: 3
+          priority: 3,
+          attribute: 'aria-label'
         });
       }
       
@@ -439,7 +466,8 @@ class PropertiesParserService {
         locatorStrategies.push({
           strategy: 'css',
           value: `.${primaryClass}`,
-          priority: 4
+          priority: 4,
+          attribute: 'class'
         });
       }
     }
@@ -449,29 +477,35 @@ class PropertiesParserService {
       locatorStrategies.push({
         strategy: 'xpath',
         value: `//button[contains(text(), '${elementName}')]`,
-        priority: 5
+        priority: 5,
+        attribute: 'text'
       });
       locatorStrategies.push({
         strategy: 'xpath',
         value: `//button[contains(., '${elementName}')]`,
-        priority: 6
+        priority: 6,
+        attribute: 'text'
       });
       locatorStrategies.push({
         strategy: 'xpath',
         value: `//*[contains(@class, 'button') and contains(text(), '${elementName}')]`,
-        priority: 7
+        priority: 7,
+        attribute: 'text'
       });
     } else {
       const tag = this.getTagForElementType(elementType);
       locatorStrategies.push({
         strategy: 'xpath',
         value: `//${tag}[contains(text(), '${elementName}')]`,
-        priority: 5
+        priority: 5,
+        attribute: 'text'
       });
     }
     
-    // Sort by priority
-    locatorStrategies.sort((a, b) => a.priority - b.priority);
+    // Sort by priority, preferring attributes that proved stable in past repairs
+    locatorStrategies.sort((a, b) =>
+      (a.priority - this.getStabilityBonus(a.attribute)) - (b.priority - this.getStabilityBonus(b.attribute))
+    );
     
     return {
       key: elementKey,
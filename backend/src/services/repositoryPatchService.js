@@ -0,0 +1,459 @@
+/**
+ * Repository Patch Service
+ *
+ * Writes the output of a pipeline run back into the target test repository
+ * as a reviewable change:
+ * - Generated (and stub) methods are inserted into their Screen class files,
+ *   located through the repository symbol table
+ * - Locator entries are appended to the matching .properties file
+ * - The composed test class is added in the package chosen by TestComposerAgent
+ *
+ * The change can be previewed as a unified diff (dry run) or committed to a
+ * new git branch. Files that changed since the repository was indexed are
+ * never patched - rebuild the index and regenerate instead.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import simpleGit from 'simple-git';
+import codebaseIndexService from './codebaseIndexService.js';
+import { javaSymbolTableService } from './javaSymbolTableService.js';
+import { hybridRAGService } from './hybridRAGService.js';
+import { toScreenKey } from './screenGraphService.js';
+import { componentGeneratorAgent } from '../agents/componentGeneratorAgent.js';
+import { createFilePatch } from '../utils/unifiedDiff.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_INDENT = '    ';
+const JAVA_IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const JAVA_PACKAGE = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+class RepositoryPatchService {
+  /**
+   * Build the patch for a run without touching the repository
+   *
+   * @param {Object} run - Pipeline run (composedTest, generatedComponents)
+   * @param {Object} options - { repositoryPath } (defaults to the run's / last indexed repository)
+   * @returns {Object} { repositoryPath, files, skipped, diff }
+   */
+  async previewPatch(run, options = {}) {
+    const { summary } = await this.createPatch(run, options);
+    return summary;
+  }
+
+  /**
+   * Commit the patch for a run to a new branch. The working tree is switched
+   * back to the original branch afterwards.
+   *
+   * @param {Object} run - Pipeline run
+   * @param {Object} options - { repositoryPath, branchName, commitMessage }
+   * @returns {Object} Patch summary plus { branch, baseBranch, commit }
+   */
+  async applyPatch(run, options = {}) {
+    const { summary, changes, gitRoot } = await this.createPatch(run, options);
+
+    if (changes.length === 0) {
+      throw Object.assign(new Error('Nothing to write back - all generated code already exists'), { status: 400 });
+    }
+    if (!gitRoot) {
+      throw Object.assign(new Error(`${summary.repositoryPath} is not a git repository`), { status: 400 });
+    }
+
+    const git = simpleGit(gitRoot);
+    const status = await git.status();
+    const touched = changes.map(c => c.path);
+
+    const dirty = status.files.map(f => f.path).filter(p => touched.includes(p));
+    if (dirty.length > 0) {
+      throw Object.assign(
+        new Error(`Target files have uncommitted changes: ${dirty.join(', ')}`),
+        { status: 409, changedFiles: dirty }
+      );
+    }
+
+    const branch = options.branchName || this.generateBranchName(summary.className, run.id);
+    const { all: branches } = await git.branchLocal();
+    if (branches.includes(branch)) {
+      throw Object.assign(new Error(`Branch ${branch} already exists`), { status: 409 });
+    }
+
+    const baseBranch = status.current || (await git.revparse(['HEAD'])).trim();
+    const message = options.commitMessage || `Add generated test ${summary.className}`;
+
+    await git.checkoutLocalBranch(branch);
+
+    let commit = null;
+    try {
+      for (const change of changes) {
+        await fs.mkdir(path.dirname(change.absolutePath), { recursive: true });
+        await fs.writeFile(change.absolutePath, change.content);
+      }
+
+      await git.add(touched);
+      commit = (await git.commit(message, touched)).commit;
+    } catch (error) {
+      // Leave the files as they were so the base branch is untouched
+      await git.raw(['reset', '-q', '--', ...touched]).catch(() => {});
+      for (const change of changes) {
+        if (change.original === null) {
+          await fs.rm(change.absolutePath, { force: true });
+        } else {
+          await fs.writeFile(change.absolutePath, change.original);
+        }
+      }
+      throw error;
+    } finally {
+      await git.checkout(baseBranch);
+      if (!commit) {
+        await git.deleteLocalBranch(branch, true).catch(() => {});
+      }
+    }
+
+    logger.info(`Generated code for run ${run.id} committed to ${branch} (${commit})`);
+
+    return {
+      ...summary,
+      branch,
+      baseBranch,
+      commit
+    };
+  }
+
+  /**
+   * Work out every file change for a run
+   *
+   * @returns {Object} { summary, changes, gitRoot }
+   */
+  async createPatch(run, { repositoryPath = null } = {}) {
+    const composedTest = run.composedTest;
+    if (!composedTest?.code) {
+      throw Object.assign(new Error('Run has no composed test to write back'), { status: 400 });
+    }
+
+    const repoPath = repositoryPath || run.input?.repositoryPath || hybridRAGService.repositoryPath;
+    if (!repoPath) {
+      throw Object.assign(new Error('repositoryPath is required (no repository has been indexed)'), { status: 400 });
+    }
+
+    const indexed = await javaSymbolTableService.getIndexedFiles(repoPath);
+    if (!indexed) {
+      throw Object.assign(new Error(`${repoPath} has not been indexed - index the repository and regenerate first`), { status: 409 });
+    }
+
+    const table = await javaSymbolTableService.getSymbolTable(repoPath);
+    const gitRoot = await this.findGitRoot(repoPath);
+    const context = {
+      repoPath,
+      baseDir: gitRoot || repoPath,
+      table,
+      changes: new Map(), // absolute path → change
+      skipped: []
+    };
+
+    const newMethods = run.generatedComponents?.newMethods || [];
+    await this.addMethods(context, newMethods);
+    await this.addProperties(context, run.generatedComponents?.newProperties || [], newMethods, composedTest.className);
+    await this.addTestClass(context, composedTest);
+
+    // Refuse to patch on top of changes made after indexing
+    const modified = [...context.changes.values()].filter(c => c.original !== null);
+    const changedFiles = await javaSymbolTableService.findChangedFiles(indexed.files, modified.map(c => c.absolutePath));
+    if (changedFiles.length > 0) {
+      const relative = changedFiles.map(f => path.relative(context.baseDir, f));
+      throw Object.assign(
+        new Error(`Files changed since the repository was indexed: ${relative.join(', ')}. Rebuild the index and regenerate.`),
+        { status: 409, changedFiles: relative }
+      );
+    }
+
+    const changes = [...context.changes.values()];
+    const summary = {
+      repositoryPath: repoPath,
+      runId: run.id,
+      className: composedTest.className,
+      indexedAt: indexed.indexedAt,
+      files: changes.map(c => ({
+        path: c.path,
+        status: c.original === null ? 'added' : 'modified',
+        methods: c.methods,
+        properties: c.properties
+      })),
+      skipped: context.skipped,
+      diff: changes.map(c => createFilePatch(c.path, c.original, c.content)).join('')
+    };
+
+    return { summary, changes, gitRoot };
+  }
+
+  /**
+   * Insert generated methods into their classes (grouped per file)
+   */
+  async addMethods(context, newMethods) {
+    const byClass = new Map();
+
+    for (const generated of newMethods) {
+      const name = `${generated.class}.${generated.method.name}`;
+      const entry = this.resolveClass(context.table, generated.class);
+
+      if (!entry) {
+        context.skipped.push({ type: 'method', name, reason: `Class ${generated.class} not found in the repository` });
+        continue;
+      }
+
+      const arity = generated.method.parameters?.length || 0;
+      const existing = javaSymbolTableService.findMethod(context.table, entry.name, generated.method.name);
+      if (existing.overloads.some(o => javaSymbolTableService.matchesArity(o, arity))) {
+        context.skipped.push({ type: 'method', name, reason: 'Method already exists' });
+        continue;
+      }
+
+      const group = byClass.get(entry.name) || { entry, methods: [] };
+      if (!group.methods.some(m => m.method.name === generated.method.name &&
+          (m.method.parameters?.length || 0) === arity)) {
+        group.methods.push(generated);
+      }
+      byClass.set(entry.name, group);
+    }
+
+    for (const { entry, methods } of byClass.values()) {
+      const change = await this.loadChange(context, entry.filePath);
+      this.insertMethods(change, entry.name, methods);
+      change.methods.push(...methods.map(m => m.method.name));
+    }
+  }
+
+  /**
+   * Insert methods before the closing brace of a class, using the class's
+   * member indentation
+   */
+  insertMethods(change, className, methods) {
+    const { content } = change;
+    const tree = codebaseIndexService.parseJava(content);
+
+    let body = null;
+    const visit = (node) => {
+      if (body) return;
+      if (node.type === 'class_declaration' && node.childForFieldName('name')?.text === className) {
+        body = node.childForFieldName('body');
+        return;
+      }
+      node.namedChildren.forEach(visit);
+    };
+    visit(tree.rootNode);
+
+    if (!body) {
+      throw Object.assign(new Error(`Could not locate class ${className} in ${change.path}`), { status: 422 });
+    }
+
+    const lineIndent = (index) => content.slice(content.lastIndexOf('\n', index - 1) + 1, index).match(/^[ \t]*/)[0];
+    const outerIndent = lineIndent(body.startIndex);
+
+    // Members declared on their own lines set the indentation; otherwise nest one level
+    const firstMember = body.namedChildren[0];
+    const indent = firstMember && firstMember.startPosition.row > body.startPosition.row
+      ? lineIndent(firstMember.startIndex)
+      : outerIndent + DEFAULT_INDENT;
+    const bodyIndent = indent.slice(outerIndent.length) || DEFAULT_INDENT;
+
+    const block = methods
+      .map(m => componentGeneratorAgent.formatMethod(m, indent, bodyIndent).join('\n'))
+      .join('\n\n');
+
+    const closeIndex = body.endIndex - 1;
+    const lineStart = content.lastIndexOf('\n', closeIndex - 1) + 1;
+    const braceOnOwnLine = content.slice(lineStart, closeIndex).trim() === '';
+
+    change.content = braceOnOwnLine
+      ? `${content.slice(0, lineStart)}\n${block}\n${content.slice(lineStart)}`
+      : `${content.slice(0, closeIndex).trimEnd()}\n${block}\n${outerIndent}${content.slice(closeIndex)}`;
+  }
+
+  /**
+   * Append locator entries to the matching .properties files
+   */
+  async addProperties(context, newProperties, newMethods, className) {
+    const byFile = new Map();
+
+    for (const property of newProperties) {
+      const filePath = this.findPropertiesFile(context, property, newMethods);
+      const list = byFile.get(filePath) || [];
+      list.push(...(property.entries || []));
+      byFile.set(filePath, list);
+    }
+
+    for (const [filePath, entries] of byFile) {
+      const change = await this.loadChange(context, filePath);
+      const existingKeys = new Set(
+        (change.content || '').split('\n')
+          .map(line => line.trim())
+          .filter(line => line && !line.startsWith('#') && !line.startsWith('!'))
+          .map(line => line.split(/\s*[=:]\s*/)[0])
+      );
+
+      const lines = [];
+      for (const entry of entries) {
+        if (existingKeys.has(entry.key)) {
+          context.skipped.push({ type: 'property', name: entry.key, reason: 'Key already exists' });
+          continue;
+        }
+        existingKeys.add(entry.key);
+        lines.push(`${entry.key}=${entry.value}`);
+        change.properties.push(entry.key);
+      }
+
+      if (lines.length === 0) {
+        if (change.original !== null && change.methods.length === 0 && change.properties.length === 0) {
+          context.changes.delete(change.absolutePath);
+        }
+        continue;
+      }
+
+      const current = change.content || '';
+      const separator = current && !current.endsWith('\n') ? '\n' : '';
+      const spacer = current ? '\n' : '';
+      change.content = `${current}${separator}${spacer}# Generated for ${className}\n${lines.join('\n')}\n`;
+    }
+  }
+
+  /**
+   * Pick the .properties file for a property entry: same file name, else the
+   * file named after the screen the locator belongs to, else a new file next
+   * to the existing ones
+   */
+  findPropertiesFile(context, property, newMethods) {
+    const { table, repoPath } = context;
+
+    // The name comes from LLM output: only a plain file name, never a path out of the directory
+    const requested = path.basename(property.file || '');
+    const fileName = /^[\w.-]+\.properties$/.test(requested) ? requested : 'generated.properties';
+
+    const sameName = table.propertiesFiles.find(f => path.basename(f) === fileName);
+    if (sameName) return sameName;
+
+    // Keys look like `<prefix>.<element>.<platform>`
+    const element = property.entries?.[0]?.key.split('.').slice(-2)[0];
+    const method = newMethods.find(m => m.elementName && m.elementName === element);
+    const entry = method && this.resolveClass(table, method.class);
+    if (entry) {
+      const screen = toScreenKey(entry.name).replace(/_/g, '');
+      const match = table.propertiesFiles
+        .filter(f => path.basename(f, '.properties').toLowerCase().replace(/[_.-]/g, '').includes(screen))
+        .sort((a, b) => a.length - b.length)[0];
+      if (match) return match;
+    }
+
+    const dir = table.propertiesFiles.length > 0
+      ? path.dirname(table.propertiesFiles[0])
+      : path.join(repoPath, 'src', 'main', 'resources');
+    return path.join(dir, fileName);
+  }
+
+  /**
+   * Add the composed test class under its package, in the source root of the
+   * repository class whose package is closest
+   */
+  async addTestClass(context, composedTest) {
+    const { className, packageName } = composedTest;
+    // Both come from the request or edited LLM output and end up in the file path
+    if (!JAVA_IDENTIFIER.test(className || '')) {
+      throw Object.assign(new Error(`Invalid test class name: ${className}`), { status: 400 });
+    }
+    if (packageName && !JAVA_PACKAGE.test(packageName)) {
+      throw Object.assign(new Error(`Invalid package name: ${packageName}`), { status: 400 });
+    }
+    const packagePath = (packageName || '').split('.').filter(Boolean);
+
+    let sourceRoot = path.join(context.repoPath, 'src', 'test', 'java');
+    let bestScore = -1;
+    for (const entry of context.table.classes.values()) {
+      const entryPackage = (entry.packageName || '').split('.').filter(Boolean);
+      const suffix = path.join(...entryPackage, `${entry.name}.java`);
+      if (!entry.filePath.endsWith(suffix)) continue;
+
+      let score = 0;
+      while (score < entryPackage.length && entryPackage[score] === packagePath[score]) score++;
+      if (score > bestScore) {
+        bestScore = score;
+        sourceRoot = entry.filePath.slice(0, entry.filePath.length - suffix.length);
+      }
+    }
+
+    const filePath = path.join(sourceRoot, ...packagePath, `${className}.java`);
+    const change = await this.loadChange(context, filePath);
+    if (change.original !== null) {
+      throw Object.assign(
+        new Error(`Test class already exists: ${change.path}`),
+        { status: 409, changedFiles: [change.path] }
+      );
+    }
+
+    change.content = composedTest.code.endsWith('\n') ? composedTest.code : `${composedTest.code}\n`;
+  }
+
+  /**
+   * Get the pending change for a file, reading its current content
+   * (original is null for files that do not exist yet). Files outside the
+   * repository are never written.
+   */
+  async loadChange(context, absolutePath) {
+    if (context.changes.has(absolutePath)) {
+      return context.changes.get(absolutePath);
+    }
+
+    const relative = path.relative(path.resolve(context.repoPath), path.resolve(absolutePath));
+    if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      throw Object.assign(new Error(`Refusing to write outside the repository: ${absolutePath}`), { status: 400 });
+    }
+
+    let original = null;
+    try {
+      original = await fs.readFile(absolutePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const change = {
+      absolutePath,
+      path: path.relative(context.baseDir, absolutePath).split(path.sep).join('/'),
+      original,
+      content: original,
+      methods: [],
+      properties: []
+    };
+    context.changes.set(absolutePath, change);
+    return change;
+  }
+
+  /**
+   * Find a class by name, or by screen (`player` / `PlayerScreen`)
+   */
+  resolveClass(table, className) {
+    if (!className) return null;
+    if (table.classes.has(className)) return table.classes.get(className);
+
+    const key = toScreenKey(className);
+    for (const entry of table.classes.values()) {
+      if (toScreenKey(entry.name) === key) return entry;
+    }
+    return null;
+  }
+
+  async findGitRoot(repoPath) {
+    try {
+      return (await simpleGit(repoPath).revparse(['--show-toplevel'])).trim();
+    } catch {
+      return null;
+    }
+  }
+
+  generateBranchName(className, runId) {
+    const name = (className || 'generated-test')
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .toLowerCase();
+    return `qa-copilot/${name}-${String(runId).slice(-6)}`;
+  }
+}
+
+// Export singleton instance
+export const repositoryPatchService = new RepositoryPatchService();
+export default repositoryPatchService;
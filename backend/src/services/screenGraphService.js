@@ -0,0 +1,296 @@
+/**
+ * Screen Graph Service
+ *
+ * Learns the screen navigation graph from the Java tests in the indexed
+ * repository instead of relying on a hand-written map:
+ * - Walks every test method and follows its screen accessor calls in order
+ *   (`homeScreen()` → `containerScreen()` → `playerScreen()`)
+ * - Records an edge each time the active screen changes, together with the
+ *   call that caused the change (e.g. `HomeScreen.openContainer`)
+ * - Weights edges by how often the transition occurs across the repository
+ *
+ * Learning runs as part of repository indexing (HybridRAGService and
+ * ActionKnowledgeBaseService) or on demand via POST /api/screen-graph/learn.
+ * The result is persisted and used by PrerequisiteBuilderAgent for
+ * navigation paths.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ScreenTransition } from '../models/screenTransition.js';
+import { sequelize } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+
+// Start node for test methods (matches PrerequisiteBuilderAgent's graph)
+const START_SCREEN = 'app_launch';
+
+// Calls on the test base class that usually move to another screen
+const BASE_NAVIGATION_CALL = /^(launch|navigateTo|goTo|open)/;
+
+// Unqualified call, optionally chained (`homeScreen().openContainer(`), in source order
+const CALL_PATTERN = /(?<![.\w])([a-z]\w*)\s*\((\))?(?:\s*\.\s*(\w+)\s*\()?/g;
+
+const SCREEN_SUFFIX = /(Screen|Page)$/;
+const MAX_EXAMPLE_FILES = 5;
+
+/**
+ * Normalize a screen reference to a graph key:
+ * `containerScreen()`, `ContainerScreen` and `container_screen` → `container`
+ */
+export function toScreenKey(screen) {
+  if (!screen) return screen;
+
+  return screen
+    .replace(/\(\)$/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/_(screen|page)$/, '');
+}
+
+class ScreenGraphService {
+  constructor() {
+    this.graph = null; // cached learned graph
+  }
+
+  /**
+   * Start a learning session. Feed it test files with observeTestFile()
+   * and call commit() once the whole repository has been scanned -
+   * the learned edges replace the previously persisted graph.
+   */
+  startLearning() {
+    const transitions = new Map(); // from|to|class|method → transition
+    const stats = { testFiles: 0, transitions: 0 };
+
+    return {
+      stats,
+
+      observeTestFile: (content, relativePath) => {
+        const found = this.extractTransitions(content);
+        stats.testFiles++;
+        stats.transitions += found.length;
+
+        for (const transition of found) {
+          const key = [transition.fromScreen, transition.toScreen, transition.className, transition.methodName].join('|');
+          const entry = transitions.get(key) || { ...transition, count: 0, exampleFiles: [] };
+          entry.count++;
+          if (entry.exampleFiles.length < MAX_EXAMPLE_FILES && !entry.exampleFiles.includes(relativePath)) {
+            entry.exampleFiles.push(relativePath);
+          }
+          transitions.set(key, entry);
+        }
+
+        return found.length;
+      },
+
+      commit: async () => {
+        const records = [...transitions.values()];
+        await sequelize.transaction(async (transaction) => {
+          await ScreenTransition.destroy({ where: {}, transaction });
+          await ScreenTransition.bulkCreate(records, { transaction });
+        });
+        this.graph = null;
+
+        logger.info(`Screen graph learned: ${records.length} transitions from ${stats.testFiles} test files`);
+        return { ...stats, edges: records.length };
+      }
+    };
+  }
+
+  /**
+   * Extract screen transitions from a Java test class
+   *
+   * @returns {Array<{fromScreen, toScreen, className, methodName}>}
+   */
+  extractTransitions(content) {
+    const transitions = [];
+
+    for (const method of this.extractMethodBodies(content)) {
+      // Test methods start from a fresh app; helpers start wherever they are called from
+      let current = method.isTest ? START_SCREEN : null;
+      let lastCall = null;
+
+      const moveTo = (screen) => {
+        if (current && screen !== current) {
+          transitions.push({
+            fromScreen: current,
+            toScreen: screen,
+            className: lastCall?.className || null,
+            methodName: lastCall?.methodName || null
+          });
+          // The call is used up; later navigation needs a call of its own
+          lastCall = null;
+        }
+        current = screen;
+      };
+
+      CALL_PATTERN.lastIndex = 0;
+      let match;
+      while ((match = CALL_PATTERN.exec(method.body)) !== null) {
+        const [, name, noArgs, chainedMethod] = match;
+
+        if (BASE_NAVIGATION_CALL.test(name)) {
+          // Base class navigation: launchAppAndNavigateToHomeScreen() lands on home
+          lastCall = { className: null, methodName: name };
+          if (SCREEN_SUFFIX.test(name)) {
+            moveTo(toScreenKey(name.replace(/^.*(?:To|[oO]pen|launch)(?=[A-Z])/, '')));
+          }
+        } else if (noArgs && SCREEN_SUFFIX.test(name)) {
+          // Screen accessor: homeScreen().openContainer()
+          moveTo(toScreenKey(name));
+          if (chainedMethod) {
+            lastCall = { className: name.charAt(0).toUpperCase() + name.slice(1), methodName: chainedMethod };
+          }
+        }
+      }
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Split a Java class into method bodies (comments and string literals removed)
+   */
+  extractMethodBodies(content) {
+    const source = content
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/\/\/.*$/gm, '')
+      .replace(/"(?:\\.|[^"\\])*"/g, '""');
+
+    const methods = [];
+    const headerPattern = /((?:@\w+(?:\([^)]*\))?\s*)*)(?:public|protected|private)[^;{}=]*?\w+\s*\([^)]*\)\s*(?:throws\s+[\w.,\s]+)?\{/g;
+
+    let match;
+    while ((match = headerPattern.exec(source)) !== null) {
+      // Skip nested type declarations
+      if (/\b(class|interface|enum)\b/.test(match[0])) continue;
+
+      const start = match.index + match[0].length;
+      let depth = 1;
+      let end = start;
+      while (end < source.length && depth > 0) {
+        if (source[end] === '{') depth++;
+        else if (source[end] === '}') depth--;
+        end++;
+      }
+
+      methods.push({
+        isTest: /@Test\b/.test(match[1]),
+        body: source.slice(start, end - 1)
+      });
+      headerPattern.lastIndex = end;
+    }
+
+    return methods;
+  }
+
+  /**
+   * Learn the graph by scanning a repository's test files directly
+   * (without indexing them for RAG)
+   */
+  async learnFromRepository(repositoryPath) {
+    const session = this.startLearning();
+    await this.scanTestFiles(repositoryPath, session);
+    return session.commit();
+  }
+
+  async scanTestFiles(dirPath, session, relativePath = '') {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') ||
+          ['node_modules', 'target', 'build', 'out'].includes(entry.name)) {
+        continue;
+      }
+
+      const fullPath = path.join(dirPath, entry.name);
+      const relPath = path.join(relativePath, entry.name);
+
+      if (entry.isDirectory()) {
+        await this.scanTestFiles(fullPath, session, relPath);
+      } else if (entry.isFile() && this.isTestFile(entry.name)) {
+        try {
+          session.observeTestFile(await fs.readFile(fullPath, 'utf8'), relPath);
+        } catch (error) {
+          logger.debug(`Could not read ${fullPath}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Same test file rule as HybridRAGService.indexFile
+   */
+  isTestFile(fileName) {
+    return fileName.endsWith('.java') &&
+      fileName.includes('Test') &&
+      !fileName.includes('Screen') &&
+      !fileName.includes('Page');
+  }
+
+  /**
+   * Get the learned graph
+   *
+   * @returns {Object} { nodes, edges, adjacency } - edges are weighted by the number of
+   *   observed transitions; adjacency maps from → to → edge for path finding
+   */
+  async getGraph() {
+    if (this.graph) {
+      return this.graph;
+    }
+
+    let records = [];
+    try {
+      records = await ScreenTransition.findAll({ order: [['count', 'DESC']] });
+    } catch (error) {
+      logger.warn(`Could not load learned screen graph: ${error.message}`);
+      return { nodes: [], edges: [], adjacency: {} };
+    }
+
+    const adjacency = {};
+    const edges = [];
+    const nodes = new Set();
+
+    for (const record of records) {
+      const { fromScreen, toScreen, className, methodName, count, exampleFiles } = record.toJSON();
+      nodes.add(fromScreen);
+      nodes.add(toScreen);
+
+      adjacency[fromScreen] = adjacency[fromScreen] || {};
+      let edge = adjacency[fromScreen][toScreen];
+      if (!edge) {
+        edge = { from: fromScreen, to: toScreen, weight: 0, transitions: [] };
+        adjacency[fromScreen][toScreen] = edge;
+        edges.push(edge);
+      }
+
+      // Records are ordered by count, so transitions[0] is the most common way to navigate
+      edge.weight += count;
+      edge.transitions.push({ className, methodName, count, exampleFiles: exampleFiles || [] });
+    }
+
+    edges.sort((a, b) => b.weight - a.weight);
+    this.graph = { nodes: [...nodes].sort(), edges, adjacency };
+    return this.graph;
+  }
+
+  /**
+   * Get a learned edge (null if the transition was never observed)
+   */
+  getEdge(graph, from, to) {
+    return graph?.adjacency[from]?.[to] || null;
+  }
+
+  /**
+   * Delete the learned graph
+   */
+  async reset() {
+    await ScreenTransition.destroy({ where: {} });
+    this.graph = null;
+    logger.info('Learned screen graph cleared');
+  }
+}
+
+// Export singleton instance
+export const screenGraphService = new ScreenGraphService();
+export default screenGraphService;
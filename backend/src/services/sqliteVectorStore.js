@@ -0,0 +1,420 @@
+/**
+ * SQLite Vector Store
+ *
+ * Embedded stand-in for ChromaDB: collections of documents, metadata and
+ * embeddings kept in a better-sqlite3 database, searched by cosine distance in
+ * process. Clients and collections expose the subset of the chromadb API the
+ * services use (getOrCreateCollection, add, upsert, update, get, query,
+ * delete, count, modify) with Chroma-shaped results, so either can back a
+ * service.
+ *
+ * Distances are cosine distances (1 - cosine similarity), the same scale as a
+ * Chroma collection with hnsw:space cosine.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_DB_PATH = path.join(process.cwd(), '.qa-copilot-cache', 'vectors.db');
+
+const GET_INCLUDE = ['documents', 'metadatas'];
+const QUERY_INCLUDE = ['documents', 'metadatas', 'distances'];
+
+let defaultEmbeddingFunction = null;
+
+/**
+ * Chroma's own default (all-MiniLM-L6-v2, run locally), for collections
+ * opened without an embedding function
+ */
+async function getDefaultEmbeddingFunction() {
+  if (!defaultEmbeddingFunction) {
+    const { DefaultEmbeddingFunction } = await import('@chroma-core/default-embed');
+    defaultEmbeddingFunction = new DefaultEmbeddingFunction();
+  }
+  return defaultEmbeddingFunction;
+}
+
+function toBlob(embedding) {
+  return Buffer.from(new Float32Array(embedding).buffer);
+}
+
+function fromBlob(blob) {
+  return Array.from(new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4));
+}
+
+function norm(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  return Math.sqrt(sum);
+}
+
+function cosineDistance(a, normA, b, normB) {
+  if (!normA || !normB || a.length !== b.length) return 1;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return Math.max(0, 1 - dot / (normA * normB));
+}
+
+function compare(value, operator, expected) {
+  // Like Chroma, ranges compare numbers only: null or "10" never matches { $lt: 5 }
+  const numeric = typeof value === 'number' && typeof expected === 'number';
+
+  switch (operator) {
+    case '$eq': return value === expected;
+    case '$ne': return value !== expected;
+    case '$gt': return numeric && value > expected;
+    case '$gte': return numeric && value >= expected;
+    case '$lt': return numeric && value < expected;
+    case '$lte': return numeric && value <= expected;
+    case '$in': return expected.includes(value);
+    case '$nin': return !expected.includes(value);
+    default: throw new Error(`Unsupported where operator ${operator}`);
+  }
+}
+
+/**
+ * Chroma where filter: { field: value }, { field: { $op: value } }, $and, $or
+ */
+export function matchesWhere(metadata, where) {
+  if (!where || Object.keys(where).length === 0) return true;
+
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') return condition.every(clause => matchesWhere(metadata, clause));
+    if (key === '$or') return condition.some(clause => matchesWhere(metadata, clause));
+
+    const value = metadata?.[key];
+    if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+      return Object.entries(condition).every(([operator, expected]) => compare(value, operator, expected));
+    }
+    return value === condition;
+  });
+}
+
+/**
+ * Chroma whereDocument filter: $contains, $not_contains, $and, $or
+ */
+function matchesWhereDocument(document, whereDocument) {
+  if (!whereDocument || Object.keys(whereDocument).length === 0) return true;
+
+  return Object.entries(whereDocument).every(([operator, expected]) => {
+    switch (operator) {
+      case '$contains': return (document || '').includes(expected);
+      case '$not_contains': return !(document || '').includes(expected);
+      case '$and': return expected.every(clause => matchesWhereDocument(document, clause));
+      case '$or': return expected.some(clause => matchesWhereDocument(document, clause));
+      default: throw new Error(`Unsupported whereDocument operator ${operator}`);
+    }
+  });
+}
+
+class SqliteVectorCollection {
+  constructor(store, name, metadata, embeddingFunction) {
+    this.store = store;
+    this.name = name;
+    this.metadata = metadata;
+    this.embeddingFunction = embeddingFunction || null;
+  }
+
+  async embed(texts) {
+    const embeddingFunction = this.embeddingFunction || await getDefaultEmbeddingFunction();
+    return await embeddingFunction.generate(texts);
+  }
+
+  /**
+   * Embeddings for a write: the given ones, else generated from the documents
+   */
+  async resolveEmbeddings(ids, embeddings, documents) {
+    if (embeddings) {
+      if (embeddings.length !== ids.length) {
+        throw new Error(`Got ${embeddings.length} embeddings for ${ids.length} ids`);
+      }
+      return embeddings;
+    }
+    if (!documents) {
+      throw new Error('Either embeddings or documents are required');
+    }
+    return await this.embed(documents);
+  }
+
+  async add({ ids, embeddings, metadatas, documents }) {
+    const vectors = await this.resolveEmbeddings(ids, embeddings, documents);
+    const existing = new Set(this.store.rows(this.name).filter(row => ids.includes(row.id)).map(row => row.id));
+
+    // Like Chroma, adding an id that already exists leaves the record unchanged
+    const records = ids
+      .map((id, i) => ({ id, document: documents?.[i] ?? null, metadata: metadatas?.[i] ?? null, embedding: vectors[i] }))
+      .filter(record => !existing.has(record.id));
+    if (records.length < ids.length) {
+      logger.debug(`${ids.length - records.length} ids already exist in ${this.name}; not added`);
+    }
+
+    this.store.write(this.name, records);
+  }
+
+  async upsert({ ids, embeddings, metadatas, documents }) {
+    const vectors = await this.resolveEmbeddings(ids, embeddings, documents);
+    this.store.write(this.name, ids.map((id, i) => ({
+      id,
+      document: documents?.[i] ?? null,
+      metadata: metadatas?.[i] ?? null,
+      embedding: vectors[i]
+    })));
+  }
+
+  /**
+   * Change existing records; fields that are not given are kept, and metadata
+   * is merged as in Chroma. Unknown ids are ignored.
+   */
+  async update({ ids, embeddings, metadatas, documents }) {
+    const vectors = embeddings || (documents ? await this.embed(documents) : null);
+    const current = new Map(this.store.rows(this.name).map(row => [row.id, row]));
+
+    const records = ids
+      .map((id, i) => {
+        const row = current.get(id);
+        if (!row) return null;
+        return {
+          id,
+          document: documents ? documents[i] : row.document,
+          metadata: metadatas?.[i] ? { ...row.metadata, ...metadatas[i] } : row.metadata,
+          embedding: vectors ? vectors[i] : row.embedding
+        };
+      })
+      .filter(Boolean);
+
+    this.store.write(this.name, records);
+  }
+
+  async get({ ids, where, whereDocument, limit, offset = 0, include = GET_INCLUDE } = {}) {
+    let rows = this.store.rows(this.name).filter(row =>
+      (!ids || ids.includes(row.id)) &&
+      matchesWhere(row.metadata, where) &&
+      matchesWhereDocument(row.document, whereDocument)
+    );
+    rows = rows.slice(offset, limit ? offset + limit : undefined);
+
+    return {
+      ids: rows.map(row => row.id),
+      documents: include.includes('documents') ? rows.map(row => row.document) : [],
+      metadatas: include.includes('metadatas') ? rows.map(row => row.metadata) : [],
+      embeddings: include.includes('embeddings') ? rows.map(row => row.embedding) : [],
+      include
+    };
+  }
+
+  async query({ queryEmbeddings, queryTexts, nResults = 10, where, whereDocument, include = QUERY_INCLUDE }) {
+    const queries = queryEmbeddings || await this.embed(Array.isArray(queryTexts) ? queryTexts : [queryTexts]);
+    const candidates = this.store.rows(this.name).filter(row =>
+      matchesWhere(row.metadata, where) && matchesWhereDocument(row.document, whereDocument)
+    );
+
+    const results = queries.map(query => {
+      const queryNorm = norm(query);
+      return candidates
+        .map(row => ({ row, distance: cosineDistance(query, queryNorm, row.embedding, row.norm) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, nResults);
+    });
+
+    return {
+      ids: results.map(hits => hits.map(hit => hit.row.id)),
+      documents: include.includes('documents') ? results.map(hits => hits.map(hit => hit.row.document)) : [],
+      metadatas: include.includes('metadatas') ? results.map(hits => hits.map(hit => hit.row.metadata)) : [],
+      embeddings: include.includes('embeddings') ? results.map(hits => hits.map(hit => hit.row.embedding)) : [],
+      distances: include.includes('distances') ? results.map(hits => hits.map(hit => hit.distance)) : [],
+      include
+    };
+  }
+
+  async delete({ ids, where, whereDocument } = {}) {
+    const matching = await this.get({ ids, where, whereDocument, include: [] });
+    this.store.remove(this.name, matching.ids);
+  }
+
+  async count() {
+    return this.store.count(this.name);
+  }
+
+  /**
+   * Rename the collection and/or replace its metadata
+   */
+  async modify({ name, metadata } = {}) {
+    this.store.modifyCollection(this.name, { name, metadata });
+    if (name) this.name = name;
+    if (metadata) this.metadata = metadata;
+  }
+}
+
+export class SqliteVectorStore {
+  constructor(dbPath = process.env.VECTOR_STORE_PATH || DEFAULT_DB_PATH) {
+    this.backend = 'sqlite';
+    this.dbPath = dbPath;
+    this.db = null;
+    // Decoded records per collection, dropped on every write to it
+    this.cache = new Map();
+  }
+
+  open() {
+    if (this.db) return this.db;
+
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS vector_collections (
+        name TEXT PRIMARY KEY,
+        metadata TEXT,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS vector_records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        document TEXT,
+        metadata TEXT,
+        embedding BLOB NOT NULL,
+        PRIMARY KEY (collection, id),
+        FOREIGN KEY (collection) REFERENCES vector_collections(name) ON DELETE CASCADE
+      );
+    `);
+    this.db.pragma('foreign_keys = ON');
+
+    logger.info(`SQLite vector store opened at ${this.dbPath}`);
+    return this.db;
+  }
+
+  async heartbeat() {
+    this.open();
+    return Date.now();
+  }
+
+  async listCollections() {
+    return this.open()
+      .prepare('SELECT name, metadata FROM vector_collections ORDER BY name')
+      .all()
+      .map(row => ({ name: row.name, metadata: row.metadata ? JSON.parse(row.metadata) : null }));
+  }
+
+  findCollection(name) {
+    return this.open().prepare('SELECT name, metadata FROM vector_collections WHERE name = ?').get(name);
+  }
+
+  async getCollection({ name, embeddingFunction }) {
+    const row = this.findCollection(name);
+    if (!row) {
+      throw new Error(`Collection ${name} does not exist`);
+    }
+    return new SqliteVectorCollection(this, name, row.metadata ? JSON.parse(row.metadata) : null, embeddingFunction);
+  }
+
+  async createCollection({ name, metadata = null, embeddingFunction }) {
+    if (this.findCollection(name)) {
+      throw new Error(`Collection ${name} already exists`);
+    }
+    this.open()
+      .prepare('INSERT INTO vector_collections (name, metadata, created_at) VALUES (?, ?, ?)')
+      .run(name, metadata ? JSON.stringify(metadata) : null, Date.now());
+    return new SqliteVectorCollection(this, name, metadata, embeddingFunction);
+  }
+
+  async getOrCreateCollection({ name, metadata = null, embeddingFunction }) {
+    return this.findCollection(name)
+      ? await this.getCollection({ name, embeddingFunction })
+      : await this.createCollection({ name, metadata, embeddingFunction });
+  }
+
+  async deleteCollection({ name }) {
+    const db = this.open();
+    db.transaction(() => {
+      db.prepare('DELETE FROM vector_records WHERE collection = ?').run(name);
+      db.prepare('DELETE FROM vector_collections WHERE name = ?').run(name);
+    })();
+    this.cache.delete(name);
+  }
+
+  modifyCollection(current, { name, metadata }) {
+    const db = this.open();
+    db.transaction(() => {
+      if (metadata) {
+        db.prepare('UPDATE vector_collections SET metadata = ? WHERE name = ?').run(JSON.stringify(metadata), current);
+      }
+      if (name && name !== current) {
+        if (this.findCollection(name)) {
+          throw new Error(`Collection ${name} already exists`);
+        }
+        // Records reference the collection by name, so move them under a new row
+        db.prepare('INSERT INTO vector_collections (name, metadata, created_at) SELECT ?, metadata, created_at FROM vector_collections WHERE name = ?').run(name, current);
+        db.prepare('UPDATE vector_records SET collection = ? WHERE collection = ?').run(name, current);
+        db.prepare('DELETE FROM vector_collections WHERE name = ?').run(current);
+      }
+    })();
+    this.cache.delete(current);
+  }
+
+  rows(collection) {
+    if (!this.cache.has(collection)) {
+      const rows = this.open()
+        .prepare('SELECT id, document, metadata, embedding FROM vector_records WHERE collection = ? ORDER BY rowid')
+        .all(collection)
+        .map(row => {
+          const embedding = fromBlob(row.embedding);
+          return {
+            id: row.id,
+            document: row.document,
+            metadata: row.metadata ? JSON.parse(row.metadata) : null,
+            embedding,
+            norm: norm(embedding)
+          };
+        });
+      this.cache.set(collection, rows);
+    }
+    return this.cache.get(collection);
+  }
+
+  write(collection, records) {
+    if (records.length === 0) return;
+
+    const db = this.open();
+    const statement = db.prepare(`
+      INSERT INTO vector_records (collection, id, document, metadata, embedding)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (collection, id) DO UPDATE SET
+        document = excluded.document, metadata = excluded.metadata, embedding = excluded.embedding
+    `);
+    db.transaction(() => {
+      for (const record of records) {
+        statement.run(
+          collection,
+          String(record.id),
+          record.document ?? null,
+          record.metadata ? JSON.stringify(record.metadata) : null,
+          toBlob(record.embedding)
+        );
+      }
+    })();
+    this.cache.delete(collection);
+  }
+
+  remove(collection, ids) {
+    if (ids.length === 0) return;
+
+    const db = this.open();
+    const statement = db.prepare('DELETE FROM vector_records WHERE collection = ? AND id = ?');
+    db.transaction(() => {
+      for (const id of ids) statement.run(collection, id);
+    })();
+    this.cache.delete(collection);
+  }
+
+  count(collection) {
+    return this.open().prepare('SELECT COUNT(*) AS count FROM vector_records WHERE collection = ?').get(collection).count;
+  }
+
+  close() {
+    this.db?.close();
+    this.db = null;
+    this.cache.clear();
+  }
+}
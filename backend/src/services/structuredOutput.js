@@ -0,0 +1,341 @@
+/**
+ * Structured LLM Output
+ *
+ * JSON-schema contracts for the JSON the agents ask an LLM for, checked on
+ * every response:
+ * - test-cases: manual test cases (GeminiService, ClaudeService, OpenRouterService)
+ * - decomposition: scenario steps (ScenarioDecomposerAgent)
+ * - method-selection / new-method: Page Object method choice and definition (IntelligentMethodSelector)
+ * - page-object-methods: methods and locators (ComponentGeneratorAgent)
+ * - cypress-test: Cypress spec (CypressGenerator)
+ *
+ * A response that is not JSON or breaks its schema is sent back to the model
+ * with the validation errors, up to LLM_REPAIR_ATTEMPTS times (default 2, 0
+ * disables repair). If it is still invalid, parsing fails with
+ * LLM_INVALID_OUTPUT and the caller's fallback takes over. Valid, repaired and
+ * failed outputs are counted per schema (GET /api/ai/output-validation).
+ */
+
+import Ajv from 'ajv';
+import { llmGateway } from './llmGateway.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const MAX_REPORTED_ERRORS = 10;
+
+const NON_EMPTY_STRING = { type: 'string', minLength: 1 };
+const JAVA_IDENTIFIER = { type: 'string', pattern: '^[A-Za-z_$][A-Za-z0-9_$]*$' };
+
+// Steps are objects with an action, or plain/Gherkin strings (GeminiService.convertStepsFormat)
+const TEST_STEPS = {
+  type: ['array', 'string'],
+  minItems: 1,
+  minLength: 1,
+  items: {
+    anyOf: [
+      NON_EMPTY_STRING,
+      { type: 'object', required: ['action'], properties: { action: NON_EMPTY_STRING } }
+    ]
+  }
+};
+
+const TEST_CASE = {
+  type: 'object',
+  properties: {
+    title: NON_EMPTY_STRING,
+    Title: NON_EMPTY_STRING,
+    name: NON_EMPTY_STRING,
+    steps: TEST_STEPS,
+    Steps: TEST_STEPS
+  },
+  allOf: [
+    { anyOf: [{ required: ['title'] }, { required: ['Title'] }, { required: ['name'] }] },
+    { anyOf: [{ required: ['steps'] }, { required: ['Steps'] }] }
+  ]
+};
+
+const TEST_CASE_LIST = { type: 'array', minItems: 1, items: TEST_CASE };
+
+export const OUTPUT_SCHEMAS = {
+  'test-cases': {
+    anyOf: [
+      TEST_CASE_LIST,
+      { type: 'object', required: ['testCases'], properties: { testCases: TEST_CASE_LIST } }
+    ]
+  },
+
+  decomposition: {
+    type: 'object',
+    required: ['steps'],
+    properties: {
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['action'],
+          properties: {
+            action: NON_EMPTY_STRING,
+            target: { type: ['string', 'null'] },
+            details: { type: ['string', 'null'] },
+            isPrerequisite: { type: 'boolean' }
+          }
+        }
+      },
+      requires_login: { type: 'boolean' },
+      platforms: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  'method-selection': {
+    type: 'object',
+    required: ['decision'],
+    properties: {
+      decision: { enum: ['SELECT', 'CREATE_NEW'] },
+      selectedMethods: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['methodName'],
+          properties: { methodName: NON_EMPTY_STRING, className: { type: 'string' } }
+        }
+      },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      reasoning: { type: 'string' }
+    },
+    if: { properties: { decision: { const: 'SELECT' } } },
+    then: { required: ['selectedMethods'], properties: { selectedMethods: { type: 'array', minItems: 1 } } }
+  },
+
+  'new-method': {
+    type: 'object',
+    required: ['methodName', 'implementation'],
+    properties: {
+      methodName: JAVA_IDENTIFIER,
+      className: JAVA_IDENTIFIER,
+      methodSignature: { type: 'string' },
+      implementation: NON_EMPTY_STRING,
+      elementLocator: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          locatorType: { type: 'string' },
+          locatorValue: { type: 'string' }
+        }
+      }
+    }
+  },
+
+  'page-object-methods': {
+    type: 'object',
+    required: ['methods'],
+    properties: {
+      methods: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['name', 'body'],
+          properties: {
+            name: JAVA_IDENTIFIER,
+            returnType: { type: 'string' },
+            body: NON_EMPTY_STRING,
+            javadoc: { type: 'string' }
+          }
+        }
+      },
+      locators: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['element', 'xpath'],
+          properties: { element: NON_EMPTY_STRING, xpath: NON_EMPTY_STRING }
+        }
+      }
+    }
+  },
+
+  'cypress-test': {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: NON_EMPTY_STRING,
+      selectors: { type: 'array', items: { type: 'string' } },
+      dependencies: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+/**
+ * JSON value of an LLM response: a ```json block, the whole text, or the
+ * outermost {...} / [...] in it
+ */
+export function extractJson(content) {
+  const text = (content || '').trim();
+  const candidates = [
+    text.match(/```(?:json)?\s*([\s\S]*?)```/)?.[1],
+    text,
+    text.match(/[[{][\s\S]*[\]}]/)?.[0]
+  ].filter(Boolean);
+
+  let lastError = new Error('empty response');
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate.trim());
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw new Error(`Response is not valid JSON (${lastError.message})`);
+}
+
+class StructuredOutputService {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    this.validators = {};
+    this.metrics = {};
+  }
+
+  getRepairAttempts() {
+    const configured = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10);
+    return Number.isNaN(configured) ? DEFAULT_REPAIR_ATTEMPTS : Math.max(0, configured);
+  }
+
+  getValidator(schema) {
+    if (!OUTPUT_SCHEMAS[schema]) {
+      throw new Error(`Unknown LLM output schema "${schema}"; use ${Object.keys(OUTPUT_SCHEMAS).join(', ')}`);
+    }
+    this.validators[schema] = this.validators[schema] || this.ajv.compile(OUTPUT_SCHEMAS[schema]);
+    return this.validators[schema];
+  }
+
+  /**
+   * Parse and validate a response
+   *
+   * @returns {Object} { valid, data, errors } - errors are readable messages
+   */
+  validate(schema, content) {
+    let data;
+    try {
+      data = extractJson(content);
+    } catch (error) {
+      return { valid: false, data: null, errors: [error.message] };
+    }
+
+    const validator = this.getValidator(schema);
+    if (validator(data)) {
+      return { valid: true, data, errors: [] };
+    }
+
+    const errors = [...new Set(validator.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`))];
+    return { valid: false, data, errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+  }
+
+  buildRepairPrompt(schema, prompt, content, errors) {
+    return `${prompt}
+
+Your previous response was rejected:
+${content}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY the corrected JSON (no markdown, no explanations). It must match this JSON schema:
+${JSON.stringify(OUTPUT_SCHEMAS[schema])}`;
+  }
+
+  getSchemaMetrics(schema) {
+    this.metrics[schema] = this.metrics[schema] || {
+      responses: 0, valid: 0, repaired: 0, repairAttempts: 0, fallbacks: 0, lastErrors: []
+    };
+    return this.metrics[schema];
+  }
+
+  /**
+   * Validate a response, asking the model to repair it while attempts remain
+   *
+   * @param {Object} options
+   * @param {string} options.schema - One of OUTPUT_SCHEMAS
+   * @param {string} options.content - The model's response
+   * @param {string} options.prompt - The prompt that produced it
+   * @param {Function} options.retry - (repairPrompt) => Promise<string>; omit to validate only
+   * @returns {Promise<*>} The validated JSON
+   */
+  async parse({ schema, content, prompt = '', retry = null }) {
+    const metrics = this.getSchemaMetrics(schema);
+    metrics.responses++;
+
+    let result = this.validate(schema, content);
+    let attempts = 0;
+    while (!result.valid && retry && attempts < this.getRepairAttempts()) {
+      attempts++;
+      metrics.repairAttempts++;
+      logger.warn(`LLM ${schema} output invalid (${result.errors.join('; ')}); repair attempt ${attempts}`);
+      content = await retry(this.buildRepairPrompt(schema, prompt, content, result.errors));
+      result = this.validate(schema, content);
+    }
+
+    if (result.valid) {
+      if (attempts > 0) {
+        metrics.repaired++;
+        logger.info(`LLM ${schema} output repaired after ${attempts} attempt(s)`);
+      } else {
+        metrics.valid++;
+      }
+      return result.data;
+    }
+
+    metrics.fallbacks++;
+    metrics.lastErrors = result.errors;
+    const message = `LLM ${schema} output is invalid after ${attempts} repair attempt(s): ${result.errors.join('; ')}`;
+    logger.error(message);
+    throw Object.assign(new Error(message), {
+      status: 502,
+      code: 'LLM_INVALID_OUTPUT',
+      schema,
+      errors: result.errors,
+      content
+    });
+  }
+
+  /**
+   * Run a gateway task and validate its output; repairs go to the model that
+   * answered. Only valid output is cached, so an invalid answer is not served
+   * again for identical prompts.
+   *
+   * @param {Object} request - llmGateway.complete request plus schema
+   * @returns {Promise<Object>} { data, response } - response is the last gateway response
+   */
+  async complete({ schema, ...request }) {
+    const validate = (content) => this.validate(schema, content).valid;
+    let response = await llmGateway.complete({ ...request, validate });
+    const data = await this.parse({
+      schema,
+      content: response.content,
+      prompt: request.userPrompt,
+      retry: async (repairPrompt) => {
+        response = await llmGateway.complete({
+          ...request,
+          validate,
+          userPrompt: repairPrompt,
+          provider: `${response.provider}:${response.model}`
+        });
+        return response.content;
+      }
+    });
+    return { data, response };
+  }
+
+  /**
+   * Per-schema counts: responses, valid first time, repaired, repair attempts, fallbacks
+   */
+  getMetrics() {
+    return {
+      repairAttempts: this.getRepairAttempts(),
+      schemas: Object.keys(OUTPUT_SCHEMAS).map(schema => ({ schema, ...this.getSchemaMetrics(schema) }))
+    };
+  }
+}
+
+export const structuredOutput = new StructuredOutputService();
+export default structuredOutput;
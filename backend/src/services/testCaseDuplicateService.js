@@ -0,0 +1,298 @@
+/**
+ * Test Case Duplicate Service
+ *
+ * Embeds TestRail cases (title + preconditions + steps) into a vector store
+ * collection per suite and finds near-duplicates by cosine similarity:
+ * - for newly generated tests before they are saved (reviewTests)
+ * - across an existing suite or section, as clusters of duplicates
+ *
+ * Indexing is incremental: a case is re-embedded only when its text changes,
+ * and cases deleted from TestRail are removed from the collection.
+ */
+
+import crypto from 'crypto';
+import { createVectorStore } from './vectorStore.js';
+import { TestRailService } from './testRailService.js';
+import { openCollection, getEmbeddingFunction } from './embeddingService.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_THRESHOLD = parseFloat(process.env.DUPLICATE_THRESHOLD || '0.9');
+const DEFAULT_SIMILAR_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILAR_THRESHOLD || '0.8');
+// A suite indexed this recently is not re-read from TestRail before a check
+const INDEX_TTL_MS = 5 * 60 * 1000;
+const EMBED_BATCH_SIZE = 64;
+const MAX_CLUSTER_CASES = 3000;
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function round(similarity) {
+  return Math.round(similarity * 1000) / 1000;
+}
+
+class TestCaseDuplicateService {
+  constructor() {
+    this.testRailService = new TestRailService();
+    this.vectorStore = null;
+    this.collections = new Map();
+    this.indexedAt = new Map();
+  }
+
+  async initialize(chromaHost) {
+    if (this.vectorStore) {
+      return;
+    }
+
+    this.vectorStore = await createVectorStore({ chromaHost });
+  }
+
+  async getCollection(suiteId) {
+    await this.initialize();
+
+    const key = String(suiteId);
+    if (!this.collections.has(key)) {
+      try {
+        const name = `testrail_cases_${suiteId}`;
+        const metadata = { description: `TestRail cases of suite ${suiteId} for duplicate detection` };
+        let collection = await openCollection(this.vectorStore, { name, metadata });
+        if (collection.needsReembed) {
+          // Only a copy of TestRail, so rebuild it for the new embedding provider
+          await this.vectorStore.deleteCollection({ name });
+          collection = await openCollection(this.vectorStore, { name, metadata });
+          this.indexedAt.delete(key);
+        }
+        this.collections.set(key, collection);
+      } catch (error) {
+        throw Object.assign(new Error(`Vector store (${this.vectorStore.backend}) is not available: ${error.message}`), { status: 503 });
+      }
+    }
+    return this.collections.get(key);
+  }
+
+  /**
+   * Text that identifies what a case tests
+   */
+  caseText(testCase) {
+    const steps = Array.isArray(testCase.steps)
+      ? testCase.steps.map(step => (typeof step === 'string'
+        ? step
+        : [step.content || step.action || step.description, step.expected || step.expectedResult].filter(Boolean).join(' → ')))
+      : [];
+
+    return [
+      testCase.title,
+      testCase.preconditions && `Preconditions: ${testCase.preconditions}`,
+      steps.length > 0 ? `Steps: ${steps.join('; ')}` : testCase.stepsText && `Steps: ${testCase.stepsText}`,
+      testCase.expectedResult || testCase.expected ? `Expected: ${testCase.expectedResult || testCase.expected}` : null
+    ].filter(Boolean).join('\n');
+  }
+
+  fromTestRail(tc) {
+    return {
+      id: tc.id,
+      title: tc.title,
+      sectionId: tc.section_id || 0,
+      text: this.caseText({
+        title: tc.title,
+        preconditions: tc.custom_preconds,
+        steps: tc.custom_steps_separated || [],
+        stepsText: tc.custom_steps,
+        expected: tc.custom_expected
+      })
+    };
+  }
+
+  async embed(suiteId, texts) {
+    const embeddingFunction = getEmbeddingFunction(`testrail_cases_${suiteId}`);
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+      embeddings.push(...await embeddingFunction.generate(texts.slice(i, i + EMBED_BATCH_SIZE)));
+    }
+    return embeddings;
+  }
+
+  /**
+   * Bring the suite's collection in line with TestRail
+   *
+   * @param {Object} options - refresh: re-read TestRail even if indexed recently;
+   *   reembed: embed every case again (e.g. after changing the embedding model)
+   * @returns {Object} { suiteId, total, embedded, removed, skipped }
+   */
+  async indexSuite(projectId, suiteId, { refresh = false, reembed = false } = {}) {
+    if (!projectId || !suiteId) {
+      throw Object.assign(new Error('projectId and suiteId are required'), { status: 400 });
+    }
+
+    const lastIndexed = this.indexedAt.get(String(suiteId));
+    if (!refresh && !reembed && lastIndexed && Date.now() - lastIndexed < INDEX_TTL_MS) {
+      return { suiteId, skipped: true };
+    }
+
+    const collection = await this.getCollection(suiteId);
+    const cases = (await this.testRailService.getAllTestCases(projectId, suiteId)).map(tc => this.fromTestRail(tc));
+
+    const existing = await collection.get({ include: ['metadatas'] });
+    const hashes = new Map(existing.ids.map((id, i) => [id, existing.metadatas[i]?.hash]));
+
+    const changed = cases
+      .map(c => ({ ...c, hash: crypto.createHash('md5').update(c.text).digest('hex') }))
+      .filter(c => reembed || hashes.get(String(c.id)) !== c.hash);
+    const current = new Set(cases.map(c => String(c.id)));
+    const removed = existing.ids.filter(id => !current.has(id));
+
+    if (changed.length > 0) {
+      const embeddings = await this.embed(suiteId, changed.map(c => c.text));
+      await collection.upsert({
+        ids: changed.map(c => String(c.id)),
+        embeddings,
+        documents: changed.map(c => c.text),
+        metadatas: changed.map(c => ({ caseId: c.id, title: c.title, sectionId: c.sectionId, hash: c.hash }))
+      });
+    }
+    if (removed.length > 0) {
+      await collection.delete({ ids: removed });
+    }
+
+    this.indexedAt.set(String(suiteId), Date.now());
+    logger.info(`Indexed suite ${suiteId} for duplicates: ${cases.length} cases, ${changed.length} embedded, ${removed.length} removed`);
+
+    return { suiteId, total: cases.length, embedded: changed.length, removed: removed.length, skipped: false };
+  }
+
+  /**
+   * Existing cases (and earlier tests of the same batch) similar to each test
+   *
+   * @param {Object[]} tests - Generated tests ({ title, preconditions, steps, expectedResult })
+   * @param {Object} options
+   * @param {number} options.projectId - TestRail project
+   * @param {number} options.suiteId - Suite to compare against
+   * @param {number} options.threshold - Similarity from which a match is a duplicate (default 0.9)
+   * @param {number} options.similarThreshold - Similarity from which a match is reported as similar (default 0.8)
+   * @param {number} options.limit - Matches per test (default 3)
+   * @returns {Object[]} [{ index, title, isDuplicate, matches[{ caseId, title, url, similarity, level }] }]
+   */
+  async findDuplicates(tests, { projectId, suiteId, threshold = DEFAULT_THRESHOLD, similarThreshold = DEFAULT_SIMILAR_THRESHOLD, limit = 3 }) {
+    if (!Array.isArray(tests) || tests.length === 0) {
+      return [];
+    }
+
+    await this.indexSuite(projectId, suiteId);
+    const collection = await this.getCollection(suiteId);
+    const embeddings = await this.embed(suiteId, tests.map(test => this.caseText(test)));
+    const level = (similarity) => (similarity >= threshold ? 'duplicate' : 'similar');
+
+    const results = await collection.count() > 0
+      ? await collection.query({ queryEmbeddings: embeddings, nResults: limit, include: ['metadatas', 'embeddings'] })
+      : { ids: [], metadatas: [], embeddings: [] };
+
+    return tests.map((test, i) => {
+      const matches = (results.ids[i] || [])
+        .map((id, j) => ({
+          caseId: results.metadatas[i][j]?.caseId ?? parseInt(id, 10),
+          title: results.metadatas[i][j]?.title,
+          url: this.testRailService.getCaseUrl(id),
+          similarity: round(cosine(embeddings[i], results.embeddings[i][j]))
+        }))
+        .filter(m => m.similarity >= similarThreshold);
+
+      // Two generated tests covering the same thing are duplicates too
+      for (let k = 0; k < i; k++) {
+        const similarity = round(cosine(embeddings[i], embeddings[k]));
+        if (similarity >= similarThreshold) {
+          matches.push({ generatedIndex: k, title: tests[k].title, similarity });
+        }
+      }
+
+      const sorted = matches
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit)
+        .map(m => ({ ...m, level: level(m.similarity) }));
+
+      return {
+        index: i,
+        title: test.title,
+        isDuplicate: sorted.some(m => m.level === 'duplicate'),
+        matches: sorted
+      };
+    });
+  }
+
+  /**
+   * Groups of near-duplicate cases within a suite or section
+   *
+   * @returns {Object} { suiteId, sectionId, threshold, casesCompared, clusters[{ cases, pairs, maxSimilarity }] }
+   */
+  async findClusters(projectId, suiteId, { sectionId = null, threshold = DEFAULT_THRESHOLD } = {}) {
+    await this.indexSuite(projectId, suiteId);
+    const collection = await this.getCollection(suiteId);
+
+    const stored = await collection.get({
+      ...(sectionId && { where: { sectionId: Number(sectionId) } }),
+      include: ['metadatas', 'embeddings']
+    });
+    if (stored.ids.length > MAX_CLUSTER_CASES) {
+      throw Object.assign(new Error(`${stored.ids.length} cases is too many to compare pairwise; pick a section`), { status: 400 });
+    }
+
+    // Union-find over every pair above the threshold
+    const parent = stored.ids.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const pairs = [];
+
+    for (let i = 0; i < stored.ids.length; i++) {
+      for (let j = i + 1; j < stored.ids.length; j++) {
+        const similarity = cosine(stored.embeddings[i], stored.embeddings[j]);
+        if (similarity >= threshold) {
+          pairs.push({ a: i, b: j, similarity: round(similarity) });
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+
+    const caseRef = (i) => ({
+      caseId: stored.metadatas[i]?.caseId ?? parseInt(stored.ids[i], 10),
+      title: stored.metadatas[i]?.title,
+      sectionId: stored.metadatas[i]?.sectionId || null,
+      url: this.testRailService.getCaseUrl(stored.ids[i])
+    });
+
+    const groups = new Map();
+    for (const pair of pairs) {
+      const root = find(pair.a);
+      if (!groups.has(root)) groups.set(root, { members: new Set(), pairs: [] });
+      const group = groups.get(root);
+      group.members.add(pair.a).add(pair.b);
+      group.pairs.push(pair);
+    }
+
+    const clusters = [...groups.values()]
+      .map(group => ({
+        cases: [...group.members].map(caseRef),
+        pairs: group.pairs.map(p => ({ caseIds: [caseRef(p.a).caseId, caseRef(p.b).caseId], similarity: p.similarity })),
+        maxSimilarity: Math.max(...group.pairs.map(p => p.similarity))
+      }))
+      .sort((a, b) => b.cases.length - a.cases.length || b.maxSimilarity - a.maxSimilarity);
+
+    logger.info(`Found ${clusters.length} duplicate clusters among ${stored.ids.length} cases of suite ${suiteId}${sectionId ? ` section ${sectionId}` : ''}`);
+
+    return {
+      suiteId,
+      sectionId,
+      threshold,
+      casesCompared: stored.ids.length,
+      duplicateCases: clusters.reduce((total, c) => total + c.cases.length, 0),
+      clusters
+    };
+  }
+}
+
+export const testCaseDuplicateService = new TestCaseDuplicateService();
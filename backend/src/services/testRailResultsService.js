@@ -0,0 +1,252 @@
+/**
+ * TestRail Results Service
+ *
+ * Publishes automated results (JUnit XML, testng-results.xml, Allure) to a
+ * TestRail run. Each test is matched to its case by a TestRail case id
+ * (@TmsLink / Allure TMS link / C<id> in the name) or, failing that, by the
+ * case title. Tests matching the same case (data providers, retries) are
+ * folded into one result with the worst status.
+ */
+
+import { TestRailService, TESTRAIL_STATUS } from './testRailService.js';
+import { parseTestResults } from '../utils/testResultsParser.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_STATUS_MAP = {
+  passed: TESTRAIL_STATUS.passed,
+  failed: TESTRAIL_STATUS.failed,
+  skipped: TESTRAIL_STATUS.retest
+};
+
+// Worst first: a case fails if any of its tests fails
+const STATUS_SEVERITY = ['failed', 'skipped', 'passed'];
+const MAX_TRACE_LENGTH = 4000;
+
+class TestRailResultsService {
+  constructor() {
+    this.testRailService = new TestRailService();
+  }
+
+  /**
+   * Match a report's tests to cases and push them as results
+   *
+   * @param {Object} params
+   * @param {number} params.projectId - TestRail project
+   * @param {number} params.suiteId - Suite whose cases the tests are matched against
+   * @param {string|Object[]} params.report - JUnit/TestNG XML, or Allure results
+   * @param {string} params.format - junit, testng or allure (detected when omitted)
+   * @param {Object} params.attachments - Allure attachment contents by source name (base64)
+   * @param {number} params.runId - Existing run to add results to (a new run is created otherwise)
+   * @param {number} params.planId - Existing plan to add the new run to
+   * @param {string} params.runName - Name of the new run
+   * @param {boolean} params.closeRun - Close the run after adding results
+   * @param {Object} params.statusMap - Overrides of { passed, failed, skipped } → TestRail status id
+   * @param {string} params.version - Build/version recorded on each result
+   * @param {boolean} params.dryRun - Match only; create nothing in TestRail
+   * @returns {Object} { run, total, matched, byStatus, results, unmatched, warnings }
+   */
+  async publishResults({
+    projectId,
+    suiteId,
+    report,
+    format = null,
+    attachments = {},
+    runId = null,
+    planId = null,
+    runName = null,
+    description = null,
+    refs = null,
+    milestoneId = null,
+    closeRun = false,
+    statusMap = {},
+    version = null,
+    dryRun = false
+  }) {
+    if (!projectId || !suiteId) {
+      throw Object.assign(new Error('projectId and suiteId are required'), { status: 400 });
+    }
+    if (!report || (Array.isArray(report) && report.length === 0)) {
+      throw Object.assign(new Error('report is required'), { status: 400 });
+    }
+    // Matching against mock cases would publish results under case ids that do not exist
+    if (!this.testRailService.isConfigured()) {
+      throw this.testRailService.notConfiguredError();
+    }
+
+    const statuses = { ...DEFAULT_STATUS_MAP, ...statusMap };
+    const invalid = Object.entries(statuses).filter(([, id]) => !Number.isInteger(id) || id === 3);
+    if (invalid.length > 0) {
+      throw Object.assign(new Error(`Invalid TestRail status ids for ${invalid.map(([s]) => s).join(', ')}`), { status: 400 });
+    }
+
+    const tests = parseTestResults(report, { format, attachments });
+    const cases = await this.testRailService.getAllTestCases(projectId, suiteId, { noMockFallback: true });
+    const { byCase, unmatched } = this.matchTests(tests, cases);
+
+    const results = [...byCase.entries()].map(([caseId, caseTests]) => this.buildResult(caseId, caseTests, { statuses, version }));
+    const byStatus = results.reduce((counts, r) => ({ ...counts, [r.status]: (counts[r.status] || 0) + 1 }), {});
+    const warnings = [];
+
+    logger.info(`Matched ${tests.length - unmatched.length}/${tests.length} tests to ${results.length} TestRail cases`);
+
+    const summary = {
+      total: tests.length,
+      matched: tests.length - unmatched.length,
+      byStatus,
+      results: results.map(({ payload, attachments: files, ...rest }) => ({ ...rest, attachments: files.length })),
+      unmatched: unmatched.map(({ test, reason }) => ({ name: test.name, className: test.className, status: test.status, reason })),
+      warnings
+    };
+
+    if (dryRun || results.length === 0) {
+      if (results.length === 0) {
+        warnings.push('No tests matched a TestRail case; nothing was published');
+      }
+      return { run: null, ...summary };
+    }
+
+    const run = await this.resolveRun({
+      projectId,
+      suiteId,
+      runId,
+      planId,
+      name: runName || `Automated run ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`,
+      description,
+      refs,
+      milestoneId,
+      caseIds: results.map(r => r.caseId)
+    });
+
+    const created = await this.testRailService.addResultsForCases(run.id, results.map(r => r.payload));
+
+    // Results come back in the order sent
+    for (const [i, r] of results.entries()) {
+      const resultId = created?.[i]?.id;
+      if (!resultId) continue;
+
+      for (const file of r.attachments) {
+        try {
+          await this.testRailService.addAttachmentToResult(resultId, file);
+        } catch (error) {
+          warnings.push(`Attachment ${file.filename} for C${r.caseId} was not uploaded: ${error.message}`);
+        }
+      }
+    }
+
+    if (closeRun) {
+      await this.testRailService.closeRun(run.id);
+    }
+
+    logger.info(`Published ${results.length} results to TestRail run ${run.id}${closeRun ? ' (closed)' : ''}`);
+
+    return {
+      run: { id: run.id, name: run.name, url: run.url || null, created: !runId, closed: !!closeRun },
+      ...summary
+    };
+  }
+
+  /**
+   * Group tests by the case they belong to
+   */
+  matchTests(tests, cases) {
+    const caseIds = new Set(cases.map(c => c.id));
+    const byTitle = new Map(cases.map(c => [this.normalizeTitle(c.title), c.id]));
+    const byCase = new Map();
+    const unmatched = [];
+
+    const add = (caseId, test) => {
+      if (!byCase.has(caseId)) byCase.set(caseId, []);
+      byCase.get(caseId).push(test);
+    };
+
+    for (const test of tests) {
+      if (test.caseIds.length > 0) {
+        const known = test.caseIds.filter(id => caseIds.has(id));
+        if (known.length === 0) {
+          unmatched.push({ test, reason: `${test.caseIds.map(id => `C${id}`).join(', ')} not in suite` });
+        }
+        known.forEach(id => add(id, test));
+        continue;
+      }
+
+      const caseId = byTitle.get(this.normalizeTitle(test.title)) || byTitle.get(this.normalizeTitle(test.name));
+      if (caseId) {
+        add(caseId, test);
+      } else {
+        unmatched.push({ test, reason: 'No case id and no case with a matching title' });
+      }
+    }
+
+    return { byCase, unmatched };
+  }
+
+  normalizeTitle(title) {
+    return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  /**
+   * One TestRail result from all tests of a case
+   */
+  buildResult(caseId, tests, { statuses, version }) {
+    const status = STATUS_SEVERITY.find(s => tests.some(t => t.status === s));
+    const elapsedMs = tests.reduce((total, t) => total + t.durationMs, 0);
+    const defects = [...new Set(tests.flatMap(t => t.defects))];
+
+    const sections = tests.map(t => {
+      const lines = [`**${t.status.toUpperCase()}** ${t.className ? `${t.className}.` : ''}${t.name}`];
+      if (t.message) lines.push(t.message);
+      if (t.trace && t.status !== 'passed') {
+        const trace = t.trace.length > MAX_TRACE_LENGTH ? `${t.trace.slice(0, MAX_TRACE_LENGTH)}\n...` : t.trace;
+        lines.push(trace.split('\n').map(line => `    ${line}`).join('\n'));
+      }
+      return lines.join('\n\n');
+    });
+    const comment = `Automated result (${tests.length} test${tests.length === 1 ? '' : 's'})\n\n${sections.join('\n\n')}`;
+
+    const elapsed = this.formatElapsed(elapsedMs);
+    return {
+      caseId,
+      status,
+      tests: tests.map(t => t.name),
+      payload: {
+        case_id: caseId,
+        status_id: statuses[status],
+        comment,
+        ...(elapsed && { elapsed }),
+        ...(defects.length > 0 && { defects: defects.join(',') }),
+        ...(version && { version })
+      },
+      attachments: tests.flatMap(t => t.attachments)
+    };
+  }
+
+  /**
+   * TestRail timespan ("1m 5s"); runs under half a second have no elapsed time
+   */
+  formatElapsed(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 1) return null;
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return [hours && `${hours}h`, minutes && `${minutes}m`, seconds % 60 && `${seconds % 60}s`].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Existing run, a new entry in an existing plan, or a new run
+   */
+  async resolveRun({ projectId, suiteId, runId, planId, name, description, refs, milestoneId, caseIds }) {
+    if (runId) {
+      return { id: runId, name: null };
+    }
+
+    if (planId) {
+      const entry = await this.testRailService.addPlanEntry(planId, { suiteId, name, caseIds });
+      return entry.runs[0];
+    }
+
+    return await this.testRailService.addRun(projectId, { suiteId, name, description, caseIds, refs, milestoneId });
+  }
+}
+
+export const testRailResultsService = new TestRailResultsService();
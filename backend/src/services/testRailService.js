@@ -1,6 +1,14 @@
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
 
+// TestRail's built-in result statuses (3 = Untested cannot be set by a result)
+export const TESTRAIL_STATUS = {
+  passed: 1,
+  blocked: 2,
+  retest: 4,
+  failed: 5
+};
+
 export class TestRailService {
   constructor() {
     // Use environment variables from ~/.zshrc
@@ -17,21 +25,43 @@ export class TestRailService {
     }
   }
 
-  async makeRequest(endpoint, method = 'GET', data = null) {
-    if (!this.baseURL || !this.auth.username || !this.auth.password) {
+  isConfigured() {
+    return !!(this.baseURL && this.auth.username && this.auth.password);
+  }
+
+  getApiUrl(endpoint) {
+    // Check if baseURL already contains /api/v2/
+    return this.baseURL.includes('/api/v2/') 
+      ? `${this.baseURL}${endpoint}`
+      : `${this.baseURL}/api/v2/${endpoint}`;
+  }
+
+  getCaseUrl(caseId) {
+    const root = (this.baseURL || '').replace(/\/?(index\.php\?)?\/?api\/v2\/?$/, '').replace(/\/$/, '');
+    return `${root}/index.php?/cases/view/${caseId}`;
+  }
+
+  /**
+   * Call the TestRail API. Reads fall back to mock data when TestRail is not
+   * configured or fails, unless `noMockFallback` is set; writes never do, so
+   * nothing is reported as saved or published unless TestRail accepted it.
+   */
+  async makeRequest(endpoint, method = 'GET', data = null, { noMockFallback = false } = {}) {
+    const isWrite = method !== 'GET';
+    const strict = isWrite || noMockFallback;
+
+    if (!this.isConfigured()) {
+      if (strict) {
+        throw this.notConfiguredError();
+      }
       logger.warn('TestRail not configured, using fallback data');
       return this.getMockData(endpoint, method, data);
     }
 
     try {
-      // Check if baseURL already contains /api/v2/
-      const apiUrl = this.baseURL.includes('/api/v2/') 
-        ? `${this.baseURL}${endpoint}`
-        : `${this.baseURL}/api/v2/${endpoint}`;
-      
       const response = await axios({
         method,
-        url: apiUrl,
+        url: this.getApiUrl(endpoint),
         auth: this.auth,
         data,
         headers: {
@@ -40,12 +70,25 @@ export class TestRailService {
       });
       return response.data;
     } catch (error) {
-      logger.error(`TestRail API error: ${error.message}`);
+      const detail = error.response?.data?.error;
+      logger.error(`TestRail API error: ${error.message}${detail ? ` (${detail})` : ''}`);
+      if (strict) {
+        throw Object.assign(new Error(`TestRail ${endpoint.split('/')[0]} failed: ${detail || error.message}`), {
+          status: error.response?.status === 400 || error.response?.status === 404 ? error.response.status : 502
+        });
+      }
       logger.warn('Falling back to fallback TestRail data');
       return this.getMockData(endpoint, method, data);
     }
   }
 
+  notConfiguredError() {
+    return Object.assign(
+      new Error('TestRail is not configured; set TESTRAIL_URL, TESTRAIL_EMAIL and TESTRAIL_TOKEN'),
+      { status: 503 }
+    );
+  }
+
   getMockData(endpoint, method, data) {
     // Mock responses for TestRail API
     if (endpoint === 'get_projects') {
@@ -64,16 +107,6 @@ export class TestRailService {
       ];
     }
     
-    if (endpoint.startsWith('add_case/')) {
-      return {
-        id: Math.floor(Math.random() * 1000) + 100,
-        title: data.title,
-        suite_id: data.suite_id,
-        created_on: Math.floor(Date.now() / 1000),
-        ...data
-      };
-    }
-    
     if (endpoint.startsWith('get_cases/')) {
       return [
         { id: 1, title: 'Login with valid credentials', suite_id: 1 },
@@ -102,18 +135,123 @@ export class TestRailService {
     return await this.makeRequest(`add_case/${suiteId}`, 'POST', data);
   }
 
-  async getTestCases(projectId, suiteId, sectionId = null, limit = 250) {
+  /**
+   * Add a case to a section
+   */
+  async addTestCase(sectionId, data) {
+    return await this.makeRequest(`add_case/${sectionId}`, 'POST', data);
+  }
+
+  /**
+   * Update fields of an existing case (only the fields given change)
+   */
+  async updateTestCase(caseId, data) {
+    return await this.makeRequest(`update_case/${caseId}`, 'POST', data);
+  }
+
+  /**
+   * Create a test run for a set of cases
+   *
+   * @param {number} projectId - TestRail project
+   * @param {Object} run - { suiteId, name, description, caseIds, refs, milestoneId }
+   *   where omitting caseIds includes every case of the suite
+   */
+  async addRun(projectId, { suiteId, name, description = null, caseIds = null, refs = null, milestoneId = null }) {
+    return await this.makeRequest(`add_run/${projectId}`, 'POST', {
+      suite_id: suiteId,
+      name,
+      description,
+      refs,
+      milestone_id: milestoneId,
+      include_all: !caseIds,
+      ...(caseIds && { case_ids: caseIds })
+    });
+  }
+
+  /**
+   * Create a test plan with one run per entry
+   *
+   * @param {number} projectId - TestRail project
+   * @param {Object} plan - { name, description, milestoneId, entries[{ suiteId, name, caseIds }] }
+   */
+  async addPlan(projectId, { name, description = null, milestoneId = null, entries = [] }) {
+    return await this.makeRequest(`add_plan/${projectId}`, 'POST', {
+      name,
+      description,
+      milestone_id: milestoneId,
+      entries: entries.map(entry => ({
+        suite_id: entry.suiteId,
+        name: entry.name || name,
+        include_all: !entry.caseIds,
+        ...(entry.caseIds && { case_ids: entry.caseIds })
+      }))
+    });
+  }
+
+  /**
+   * Add a run to an existing plan
+   */
+  async addPlanEntry(planId, { suiteId, name, caseIds = null }) {
+    return await this.makeRequest(`add_plan_entry/${planId}`, 'POST', {
+      suite_id: suiteId,
+      name,
+      include_all: !caseIds,
+      ...(caseIds && { case_ids: caseIds })
+    });
+  }
+
+  /**
+   * Add results to a run by case id
+   *
+   * @param {number} runId - TestRail run
+   * @param {Object[]} results - [{ case_id, status_id, comment, elapsed, defects, version }]
+   * @returns {Object[]} Created results, in the order given
+   */
+  async addResultsForCases(runId, results) {
+    return await this.makeRequest(`add_results_for_cases/${runId}`, 'POST', { results });
+  }
+
+  /**
+   * Attach a file (screenshot, log) to a result
+   */
+  async addAttachmentToResult(resultId, { filename, content }) {
+    if (!this.isConfigured()) {
+      throw this.notConfiguredError();
+    }
+
+    const form = new FormData();
+    form.append('attachment', new Blob([content]), filename);
+
+    try {
+      const response = await axios.post(this.getApiUrl(`add_attachment_to_result/${resultId}`), form, { auth: this.auth });
+      return response.data;
+    } catch (error) {
+      logger.error(`TestRail attachment upload failed for result ${resultId}: ${error.message}`);
+      throw Object.assign(new Error(`TestRail add_attachment_to_result failed: ${error.response?.data?.error || error.message}`), { status: 502 });
+    }
+  }
+
+  /**
+   * Close a run (results can no longer be added)
+   */
+  async closeRun(runId) {
+    return await this.makeRequest(`close_run/${runId}`, 'POST', {});
+  }
+
+  /**
+   * Get the cases of a suite or section, following pagination
+   *
+   * @param {number} limit - Stop after this many cases (all when omitted)
+   */
+  async getTestCases(projectId, suiteId, sectionId = null, limit = null) {
     // TestRail requires project_id in the query for get_cases
     let endpoint = `get_cases/${projectId}&suite_id=${suiteId}`;
     if (sectionId) {
       endpoint += `&section_id=${sectionId}`;
     }
-    endpoint += `&limit=${limit}`;
-    
-    const response = await this.makeRequest(endpoint);
-    // Handle both direct array response and wrapper object
-    const cases = Array.isArray(response) ? response : (response.cases || response || []);
-    
+
+    const cases = await this.fetchCases(endpoint, limit);
+
     // Extract the most important fields for context
     return cases.map(tc => ({
       id: tc.id,
@@ -131,6 +269,58 @@ export class TestRailService {
     }));
   }
 
+  /**
+   * Get every case of a suite (id, title, section, refs, preconditions, steps), following pagination
+   *
+   * @param {Object} options - { noMockFallback: fail instead of returning mock cases }
+   */
+  async getAllTestCases(projectId, suiteId, { noMockFallback = false } = {}) {
+    const cases = await this.fetchCases(`get_cases/${projectId}&suite_id=${suiteId}`, null, { noMockFallback });
+
+    return cases.map(tc => ({
+      id: tc.id,
+      title: tc.title,
+      section_id: tc.section_id,
+      refs: tc.refs,
+      custom_preconds: tc.custom_preconds,
+      custom_steps: tc.custom_steps,
+      custom_steps_separated: tc.custom_steps_separated,
+      custom_expected: tc.custom_expected
+    }));
+  }
+
+  /**
+   * Read get_cases page by page - TestRail returns at most 250 cases per request
+   *
+   * @param {string} endpoint - get_cases endpoint with its filters
+   * @param {number} max - Stop after this many cases (all when omitted)
+   * @param {Object} options - makeRequest options
+   */
+  async fetchCases(endpoint, max = null, options = {}) {
+    const pageSize = 250;
+    let offset = 0;
+    let allCases = [];
+
+    while (true) {
+      const response = await this.makeRequest(`${endpoint}&limit=${pageSize}&offset=${offset}`, 'GET', null, options);
+
+      // Older TestRail versions return a plain array without pagination
+      if (Array.isArray(response)) {
+        allCases = allCases.concat(response);
+        break;
+      }
+
+      const cases = response?.cases || [];
+      allCases = allCases.concat(cases);
+      if (cases.length < pageSize || (response._links && !response._links.next) || (max && allCases.length >= max)) {
+        break;
+      }
+      offset += pageSize;
+    }
+
+    return max ? allCases.slice(0, max) : allCases;
+  }
+
   mapPriorityName(priorityId) {
     const priorities = {
       1: 'Critical',
@@ -0,0 +1,337 @@
+/**
+ * Traceability Service
+ *
+ * Builds a requirements traceability matrix for a sprint or fix version:
+ * Jira ticket → acceptance criterion → TestRail case → automated Java test.
+ *
+ * - Criteria come from GeminiService.parseAcceptanceCriteria; tickets without
+ *   parseable criteria are traced as a whole.
+ * - Cases are those whose refs name the ticket (saveToTestRail sets refs to the
+ *   ticket key) plus cases saved by persisted workflows for the ticket. A case
+ *   covers the criteria whose significant words it shares.
+ * - Automated tests are @Test methods in the Java repository that name the
+ *   ticket (class/method name, annotation values, Javadoc or comments) or a
+ *   case id (@TmsLink("C123"), C123 in the name). Tests that name only the
+ *   ticket are matched to its cases by title.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { JiraService } from './jiraService.js';
+import { TestRailService } from './testRailService.js';
+import { geminiService } from './geminiService.js';
+import codebaseIndexService from './codebaseIndexService.js';
+import { hybridRAGService } from './hybridRAGService.js';
+import { Workflow } from '../models/workflow.js';
+import { extractCaseIds, humanizeTestName } from '../utils/testResultsParser.js';
+import { extractTestMethods } from '../utils/javaTestMethods.js';
+import { logger } from '../utils/logger.js';
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'can', 'should', 'must', 'shall', 'will',
+  'user', 'users', 'when', 'then', 'given', 'able', 'ability', 'into', 'onto', 'has', 'have', 'its',
+  'not', 'all', 'any', 'verify', 'validate', 'test', 'ensure', 'check', 'system', 'page', 'screen'
+]);
+
+// Share of a criterion's significant words a case must contain to cover it
+const CRITERION_MATCH = 0.4;
+// Share of a case title's words a test name must contain to automate it
+const TITLE_MATCH = 0.6;
+
+function significantWords(text) {
+  return new Set(String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word)));
+}
+
+function overlap(words, otherWords) {
+  if (words.size === 0) return 0;
+  return [...words].filter(word => otherWords.has(word)).length / words.size;
+}
+
+class TraceabilityService {
+  constructor() {
+    this.testRailService = new TestRailService();
+    this.jiraService = null;
+  }
+
+  /**
+   * Request configuration when sent, else the environment-configured Jira
+   */
+  async getJiraService(config = null) {
+    if (config) {
+      return await JiraService.createWithConfig(config);
+    }
+    if (!this.jiraService) {
+      try {
+        this.jiraService = new JiraService();
+      } catch (error) {
+        throw Object.assign(new Error('JIRA not configured. Please set JIRA_HOST, JIRA_EMAIL, and JIRA_API_TOKEN'), { status: 400 });
+      }
+    }
+    return this.jiraService;
+  }
+
+  /**
+   * Build the matrix for a sprint or a fix version
+   *
+   * @param {Object} params
+   * @param {number} params.sprintId - Jira sprint (or fixVersion + projectKey)
+   * @param {string} params.fixVersion - Jira fix version name
+   * @param {string} params.projectKey - Jira project of the fix version
+   * @param {number} params.projectId - TestRail project holding the cases
+   * @param {number} params.suiteId - TestRail suite holding the cases
+   * @param {string} params.repoPath - Java test repository to scan for automation
+   * @param {Object} params.jiraConfig - Jira configuration from the request, if any
+   * @returns {Object} { scope, generatedAt, summary, tickets, warnings }
+   */
+  async buildReport({ sprintId = null, fixVersion = null, projectKey = null, projectId = null, suiteId = null, repoPath = null, jiraConfig = null }) {
+    if (!sprintId && !fixVersion) {
+      throw Object.assign(new Error('sprintId or fixVersion is required'), { status: 400 });
+    }
+    if (fixVersion && !projectKey) {
+      throw Object.assign(new Error('projectKey is required with fixVersion'), { status: 400 });
+    }
+
+    const warnings = [];
+    const jira = await this.getJiraService(jiraConfig);
+    const issues = sprintId
+      ? await jira.getSprintIssues(sprintId)
+      : await jira.getVersionIssues(projectKey, fixVersion);
+    const ticketKeys = issues.map(issue => issue.key);
+
+    logger.info(`Building traceability for ${issues.length} tickets (${sprintId ? `sprint ${sprintId}` : `${projectKey} ${fixVersion}`})`);
+
+    const casesByTicket = await this.getCases(ticketKeys, { projectId, suiteId, warnings });
+    const allCaseIds = new Set([...casesByTicket.values()].flat().map(c => c.id));
+    const automation = repoPath ? await this.scanAutomation(repoPath, ticketKeys, allCaseIds) : [];
+
+    if (!repoPath) {
+      warnings.push('No repoPath given; automation coverage was not checked');
+    }
+
+    const jiraBase = jira.baseURL?.replace(/\/$/, '');
+    const tickets = issues.map(issue => this.traceTicket(issue, casesByTicket.get(issue.key) || [], automation, {
+      url: jiraBase ? `${jiraBase}/browse/${issue.key}` : null,
+      checkAutomation: !!repoPath
+    }));
+
+    return {
+      scope: { sprintId, fixVersion, projectKey, projectId, suiteId, repoPath },
+      generatedAt: new Date().toISOString(),
+      summary: this.summarize(tickets),
+      tickets,
+      warnings
+    };
+  }
+
+  /**
+   * Cases per ticket from TestRail refs and saved workflows
+   */
+  async getCases(ticketKeys, { projectId, suiteId, warnings }) {
+    const byTicket = new Map(ticketKeys.map(key => [key, []]));
+    const add = (key, testCase) => {
+      const cases = byTicket.get(key);
+      const existing = cases.find(c => c.id === testCase.id);
+      if (existing) {
+        existing.sources = [...new Set([...existing.sources, ...testCase.sources])];
+      } else {
+        cases.push(testCase);
+      }
+    };
+
+    if (projectId && suiteId) {
+      const cases = await this.testRailService.getAllTestCases(projectId, suiteId);
+      for (const testCase of cases) {
+        const refs = String(testCase.refs || '').split(/[,\s]+/).filter(Boolean);
+        for (const key of refs.filter(ref => byTicket.has(ref))) {
+          add(key, {
+            id: testCase.id,
+            title: testCase.title,
+            text: [testCase.title, testCase.custom_steps, testCase.custom_expected].filter(Boolean).join(' '),
+            url: this.testRailService.getCaseUrl(testCase.id),
+            sources: ['testrail']
+          });
+        }
+      }
+    } else {
+      warnings.push('No TestRail projectId/suiteId given; only cases saved by QA Copilot workflows are included');
+    }
+
+    if (ticketKeys.length === 0) {
+      return byTicket;
+    }
+
+    try {
+      const workflows = await Workflow.findAll({ where: { ticketKey: ticketKeys } });
+      for (const workflow of workflows) {
+        for (const saved of workflow.steps?.[5]?.data?.savedTests || []) {
+          if (!saved.testRailId) continue;
+          add(workflow.ticketKey, {
+            id: saved.testRailId,
+            title: saved.title,
+            text: saved.title,
+            url: saved.testRailUrl || this.testRailService.getCaseUrl(saved.testRailId),
+            sources: ['workflow']
+          });
+        }
+      }
+    } catch (error) {
+      logger.warn(`Could not read saved workflows for traceability: ${error.message}`);
+      warnings.push('Saved workflows could not be read; only TestRail refs were used');
+    }
+
+    return byTicket;
+  }
+
+  /**
+   * @Test methods that name one of the tickets or cases
+   *
+   * @returns {Object[]} [{ className, method, title, relativePath, ticketKeys, caseIds }]
+   */
+  async scanAutomation(repoPath, ticketKeys, caseIds) {
+    let files;
+    try {
+      files = await codebaseIndexService.findJavaFiles(repoPath);
+    } catch (error) {
+      throw Object.assign(new Error(`Cannot read repository ${repoPath}: ${error.message}`), { status: 400 });
+    }
+
+    // Keys also appear without the dash in identifiers (ESWCTV_123, ESWCTV123Test)
+    const keyPatterns = ticketKeys.map(key => ({
+      key,
+      pattern: new RegExp(`(?<![A-Za-z0-9])${key.replace('-', '[-_]?')}(?!\\d)`, 'i')
+    }));
+    const namesKeys = (text) => keyPatterns.filter(({ pattern }) => pattern.test(text)).map(({ key }) => key);
+
+    const tests = [];
+    for (const file of files) {
+      const content = await fs.readFile(file, 'utf-8');
+      if (!content.includes('@Test')) continue;
+
+      const className = hybridRAGService.extractClassName(content) || path.basename(file, '.java');
+      const firstTest = content.indexOf('@Test');
+      const classHeader = content.slice(0, firstTest);
+      const classKeys = namesKeys(`${className} ${classHeader}`);
+      const classCaseIds = extractCaseIds(className);
+
+      for (const method of extractTestMethods(content)) {
+        const keys = [...new Set([...classKeys, ...namesKeys(method.header)])];
+        const ids = [...new Set([...classCaseIds, ...method.caseIds])].filter(id => caseIds.has(id));
+        if (keys.length === 0 && ids.length === 0) continue;
+
+        tests.push({
+          className,
+          method: method.name,
+          title: method.description || humanizeTestName(method.name),
+          relativePath: path.relative(repoPath, file).split(path.sep).join('/'),
+          ticketKeys: keys,
+          caseIds: ids
+        });
+      }
+    }
+
+    logger.info(`Found ${tests.length} automated tests referencing the tickets or their cases in ${files.length} Java files`);
+    return tests;
+  }
+
+  /**
+   * Criteria, cases, automation and gaps for one ticket
+   */
+  traceTicket(issue, cases, automation, { url, checkAutomation }) {
+    const parsed = geminiService.parseAcceptanceCriteria(issue.acceptanceCriteria || issue.description);
+    const criteria = parsed.length > 0
+      ? parsed.map((text, i) => ({ id: `AC${i + 1}`, text, words: significantWords(text), cases: [] }))
+      : [{ id: 'AC', text: 'Ticket (no acceptance criteria list found)', implicit: true, cases: [] }];
+
+    const tracedCases = cases.map(testCase => {
+      const words = significantWords(testCase.text);
+      const covered = criteria.filter(criterion => criterion.implicit || overlap(criterion.words, words) >= CRITERION_MATCH);
+      covered.forEach(criterion => criterion.cases.push(testCase.id));
+
+      return {
+        id: testCase.id,
+        title: testCase.title,
+        url: testCase.url,
+        sources: testCase.sources,
+        criteria: covered.map(criterion => criterion.id),
+        automation: []
+      };
+    });
+
+    // Tests naming a case are linked to it; tests naming only the ticket are matched by title
+    const ticketTests = [];
+    for (const test of automation) {
+      const linked = tracedCases.filter(c => test.caseIds.includes(c.id));
+      if (linked.length > 0) {
+        linked.forEach(c => c.automation.push(this.automationRef(test, 'caseId')));
+        continue;
+      }
+      if (!test.ticketKeys.includes(issue.key)) continue;
+
+      const testWords = significantWords(`${test.method} ${test.title}`);
+      const byTitle = tracedCases.filter(c => overlap(significantWords(c.title), testWords) >= TITLE_MATCH);
+      if (byTitle.length > 0) {
+        byTitle.forEach(c => c.automation.push(this.automationRef(test, 'title')));
+      } else {
+        ticketTests.push(this.automationRef(test, 'ticket'));
+      }
+    }
+
+    const gaps = [];
+    if (cases.length === 0) {
+      gaps.push({ type: 'ticket_without_cases', ref: issue.key, text: issue.summary });
+    } else {
+      criteria.filter(c => c.cases.length === 0).forEach(c => gaps.push({ type: 'criterion_without_case', ref: c.id, text: c.text }));
+    }
+    if (checkAutomation) {
+      tracedCases.filter(c => c.automation.length === 0).forEach(c => gaps.push({ type: 'case_without_automation', ref: `C${c.id}`, text: c.title }));
+    }
+
+    return {
+      key: issue.key,
+      summary: issue.summary,
+      type: issue.type,
+      status: issue.status,
+      url,
+      criteria: criteria.map(({ words, ...criterion }) => criterion),
+      cases: tracedCases,
+      automation: ticketTests,
+      gaps
+    };
+  }
+
+  automationRef(test, match) {
+    return {
+      className: test.className,
+      method: test.method,
+      relativePath: test.relativePath,
+      match
+    };
+  }
+
+  summarize(tickets) {
+    const criteria = tickets.flatMap(t => t.criteria.filter(c => !c.implicit));
+    const cases = tickets.flatMap(t => t.cases);
+    const gaps = tickets.flatMap(t => t.gaps);
+
+    return {
+      tickets: tickets.length,
+      ticketsWithoutCases: gaps.filter(g => g.type === 'ticket_without_cases').length,
+      criteria: criteria.length,
+      criteriaCovered: criteria.filter(c => c.cases.length > 0).length,
+      criteriaWithoutCases: criteria.filter(c => c.cases.length === 0).length,
+      cases: cases.length,
+      casesAutomated: cases.filter(c => c.automation.length > 0).length,
+      casesWithoutAutomation: gaps.filter(g => g.type === 'case_without_automation').length,
+      automatedTests: new Set(tickets.flatMap(t => [
+        ...t.cases.flatMap(c => c.automation),
+        ...t.automation
+      ]).map(a => `${a.relativePath}#${a.method}`)).size
+    };
+  }
+}
+
+export const traceabilityService = new TraceabilityService();
@@ -0,0 +1,477 @@
+/**
+ * Usage Ledger Service
+ *
+ * Records every LLM call (provider, model, task, tokens, estimated cost,
+ * latency) with the user, workflow and pipeline run it was made for, and
+ * enforces spending budgets.
+ *
+ * Attribution comes from a per-request usage context (AsyncLocalStorage):
+ * the usageContext middleware fills userId/workflowId from the X-User-Id and
+ * X-Workflow-Id headers, the workflow routes set the workflow from the URL and
+ * pipeline runs set their run id, so callers deep in the agents need no
+ * extra parameters.
+ *
+ * Costs come from a price table in USD per million prompt/completion tokens,
+ * keyed by model name (a trailing * matches a prefix). LLM_PRICES_FILE points
+ * to a JSON file of the same shape that extends or overrides the defaults:
+ *   { "google/gemini-2.5-flash*": { "input": 0.3, "output": 2.5 } }
+ *
+ * Budgets are per UTC day: "daily" caps everyone's spend together, "user:*"
+ * caps each user and "user:<id>" overrides that for one user. Requests that
+ * name no user all count as the user "anonymous", so leaving the header out
+ * does not escape the per-user cap. Defaults come from LLM_BUDGET_DAILY_USD,
+ * LLM_BUDGET_USER_DAILY_USD and LLM_BUDGET_USERS ("alice=20,bob=5"); budgets
+ * saved through the API take precedence. Once a budget is spent further calls
+ * fail with 429 until the next day.
+ */
+
+import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { fn, col, Op } from 'sequelize';
+import { LlmUsage } from '../models/llmUsage.js';
+import { LlmBudget } from '../models/llmBudget.js';
+import { llmCassette } from './llmCassette.js';
+import { logger } from '../utils/logger.js';
+
+export const USAGE_GROUPS = {
+  day: fn('substr', col('createdAt'), 1, 10),
+  user: col('userId'),
+  workflow: col('workflowId'),
+  pipelineRun: col('pipelineRunId'),
+  task: col('task'),
+  provider: col('provider'),
+  model: col('model')
+};
+
+// USD per million tokens
+const DEFAULT_PRICES = {
+  'anthropic/claude-sonnet-4*': { input: 3, output: 15 },
+  'anthropic/claude-3.5-sonnet*': { input: 3, output: 15 },
+  'claude-sonnet-4*': { input: 3, output: 15 },
+  'claude-opus-4*': { input: 15, output: 75 },
+  'claude-3-opus*': { input: 15, output: 75 },
+  'claude-3-5-sonnet*': { input: 3, output: 15 },
+  'claude-3-haiku*': { input: 0.25, output: 1.25 },
+  'gemini-2.5-pro*': { input: 1.25, output: 10 },
+  'gemini-2.5-flash*': { input: 0.3, output: 2.5 },
+  'google/gemini-2.5-pro*': { input: 1.25, output: 10 },
+  'google/gemini-2.5-flash*': { input: 0.3, output: 2.5 },
+  'google/gemini-2.0-flash*': { input: 0.1, output: 0.4 },
+  'google/gemini-3-flash-preview': { input: 0.5, output: 3 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 }
+};
+
+// User that requests without X-User-Id / userId are attributed (and budgeted) to
+export const ANONYMOUS_USER = 'anonymous';
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run `callback` with usage attributed to the given user/workflow/pipeline run
+ * (merged over the current context)
+ */
+export function runWithUsageContext(context, callback) {
+  return usageContext.run({ ...getUsageContext(), ...context }, callback);
+}
+
+/**
+ * Attribution of the current request: { userId, workflowId, pipelineRunId },
+ * plus bypassCache when the request asked for fresh LLM responses
+ */
+export function getUsageContext() {
+  return usageContext.getStore() || {};
+}
+
+/**
+ * Add attribution to the current context, e.g. once a route knows the workflow
+ */
+export function setUsageContext(values) {
+  const store = usageContext.getStore();
+  if (store) {
+    Object.assign(store, values);
+  }
+}
+
+function startOfUtcDay() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function parseLimit(value) {
+  const limit = parseFloat(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : null;
+}
+
+function buildWhere({ from, to, userId, workflowId, pipelineRunId, task, provider, status } = {}) {
+  const where = {};
+  if (from || to) {
+    where.createdAt = {
+      ...(from && { [Op.gte]: new Date(from) }),
+      ...(to && { [Op.lte]: new Date(to) })
+    };
+  }
+  Object.assign(where, Object.fromEntries(
+    Object.entries({ userId, workflowId, pipelineRunId, task, provider, status }).filter(([, value]) => value)
+  ));
+  return where;
+}
+
+const TOTALS = [
+  [fn('COUNT', col('id')), 'calls'],
+  [fn('SUM', col('promptTokens')), 'promptTokens'],
+  [fn('SUM', col('completionTokens')), 'completionTokens'],
+  [fn('SUM', col('totalTokens')), 'totalTokens'],
+  [fn('SUM', col('costUsd')), 'costUsd'],
+  [fn('AVG', col('latencyMs')), 'avgLatencyMs']
+];
+
+function normalizeTotals(row = {}) {
+  return {
+    calls: Number(row.calls) || 0,
+    promptTokens: Number(row.promptTokens) || 0,
+    completionTokens: Number(row.completionTokens) || 0,
+    totalTokens: Number(row.totalTokens) || 0,
+    costUsd: Number(row.costUsd) || 0,
+    avgLatencyMs: Math.round(Number(row.avgLatencyMs) || 0)
+  };
+}
+
+class UsageLedgerService {
+  constructor() {
+    this.prices = null;
+    this.budgets = null;
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * Price table: defaults extended by LLM_PRICES_FILE
+   */
+  getPrices() {
+    if (!this.prices) {
+      this.prices = { ...DEFAULT_PRICES };
+      if (process.env.LLM_PRICES_FILE) {
+        try {
+          Object.assign(this.prices, JSON.parse(fs.readFileSync(process.env.LLM_PRICES_FILE, 'utf8')));
+        } catch (error) {
+          logger.error(`Could not read LLM_PRICES_FILE ${process.env.LLM_PRICES_FILE}: ${error.message}`);
+        }
+      }
+    }
+    return this.prices;
+  }
+
+  /**
+   * Price entry for a model: an exact key, else the longest matching prefix*
+   */
+  getPrice(model) {
+    if (!model) return null;
+    const prices = this.getPrices();
+    if (prices[model]) return prices[model];
+
+    const prefix = Object.keys(prices)
+      .filter(key => key.endsWith('*') && model.startsWith(key.slice(0, -1)))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+  }
+
+  /**
+   * Estimated cost in USD, or null when the model is not in the price table
+   */
+  estimateCost(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+    const price = this.getPrice(model);
+    if (!price) {
+      if (model && !this.unpricedModels.has(model)) {
+        this.unpricedModels.add(model);
+        logger.warn(`No price for LLM model ${model}; its calls are recorded without cost (see LLM_PRICES_FILE)`);
+      }
+      return null;
+    }
+    return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+  }
+
+  /**
+   * Record one LLM call, attributed to the current usage context
+   *
+   * Never throws: a ledger failure must not fail the generation it measured.
+   *
+   * @param {Object} entry
+   * @param {string} entry.task - Gateway task or other call site label
+   * @param {string} entry.provider - openrouter | claude | gemini
+   * @param {string} entry.model - Model that answered
+   * @param {string} entry.status - ok | failed | blocked (default ok)
+   * @param {Object} entry.usage - { promptTokens, completionTokens, totalTokens }
+   * @param {number} entry.latencyMs - Call duration
+   * @param {string} entry.error - Failure reason
+   */
+  async record({ task, provider, model = null, status = 'ok', usage = {}, latencyMs = null, error = null }) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    const { userId = null, workflowId = null, pipelineRunId = null } = getUsageContext();
+
+    try {
+      return await LlmUsage.create({
+        task,
+        provider,
+        model,
+        status,
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.totalTokens || promptTokens + completionTokens,
+        costUsd: status === 'ok' ? this.estimateCost(model, { promptTokens, completionTokens }) : 0,
+        latencyMs,
+        error,
+        userId,
+        workflowId,
+        pipelineRunId
+      });
+    } catch (recordError) {
+      logger.warn(`Could not record LLM usage for ${task}: ${recordError.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Budgets in USD per UTC day: { daily, userDefault, users: { [userId]: limit } }
+   */
+  async getBudgets() {
+    if (!this.budgets) {
+      const budgets = {
+        daily: parseLimit(process.env.LLM_BUDGET_DAILY_USD),
+        userDefault: parseLimit(process.env.LLM_BUDGET_USER_DAILY_USD),
+        users: {}
+      };
+      for (const entry of (process.env.LLM_BUDGET_USERS || '').split(',')) {
+        const [userId, limit] = entry.split('=').map(part => part.trim());
+        if (userId && parseLimit(limit) !== null) {
+          budgets.users[userId] = parseLimit(limit);
+        }
+      }
+
+      try {
+        for (const budget of await LlmBudget.findAll()) {
+          if (budget.key === 'daily') budgets.daily = budget.limitUsd;
+          else if (budget.key === 'user:*') budgets.userDefault = budget.limitUsd;
+          else if (budget.key.startsWith('user:')) budgets.users[budget.key.slice(5)] = budget.limitUsd;
+        }
+      } catch (error) {
+        logger.warn(`Could not load saved LLM budgets: ${error.message}`);
+      }
+
+      this.budgets = budgets;
+    }
+    return this.budgets;
+  }
+
+  /**
+   * Save budgets; a null limit removes the saved budget (back to the env default)
+   *
+   * @param {Object} changes - { daily, userDefault, users: { [userId]: limit|null } }
+   */
+  async setBudgets({ daily, userDefault, users = {} }) {
+    const entries = [
+      ...(daily !== undefined ? [['daily', daily]] : []),
+      ...(userDefault !== undefined ? [['user:*', userDefault]] : []),
+      ...Object.entries(users).map(([userId, limit]) => [`user:${userId}`, limit])
+    ];
+
+    const invalid = entries.find(([, limit]) => limit !== null && parseLimit(limit) === null);
+    if (invalid) {
+      throw Object.assign(new Error(`Budget ${invalid[0]} must be a non-negative number of USD or null`), { status: 400 });
+    }
+
+    for (const [key, limit] of entries) {
+      if (limit === null) {
+        await LlmBudget.destroy({ where: { key } });
+      } else {
+        await LlmBudget.upsert({ key, limitUsd: parseLimit(limit) });
+      }
+    }
+
+    this.budgets = null;
+    logger.info(`LLM budgets updated: ${entries.map(([key, limit]) => `${key}=${limit ?? 'default'}`).join(', ')}`);
+    return this.getBudgets();
+  }
+
+  /**
+   * Spend so far today, in USD, for everyone or one user
+   */
+  async getSpendToday(userId = null) {
+    const spent = await LlmUsage.sum('costUsd', {
+      where: buildWhere({ from: startOfUtcDay(), userId })
+    });
+    return spent || 0;
+  }
+
+  /**
+   * Today's spend against each budget that applies
+   *
+   * @param {string} userId - Also report this user's budget
+   * @returns {Promise<Object>} { day, daily: { limitUsd, spentUsd }, user: { userId, limitUsd, spentUsd } }
+   */
+  async getBudgetStatus(userId = null) {
+    const budgets = await this.getBudgets();
+    const status = {
+      day: startOfUtcDay().toISOString().slice(0, 10),
+      daily: { limitUsd: budgets.daily, spentUsd: await this.getSpendToday() }
+    };
+
+    if (userId) {
+      status.user = {
+        userId,
+        limitUsd: budgets.users[userId] ?? budgets.userDefault,
+        spentUsd: await this.getSpendToday(userId)
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Throw 429 when today's daily or user budget is spent; the refused call is
+   * recorded as blocked
+   *
+   * @param {Object} call - { task, provider, model } being attempted
+   */
+  async assertWithinBudget({ task, provider = 'none', model = null }) {
+    const budgets = await this.getBudgets();
+    const { userId } = getUsageContext();
+    const userLimit = userId ? (budgets.users[userId] ?? budgets.userDefault) : null;
+    if (budgets.daily === null && userLimit === null) {
+      return;
+    }
+
+    let exceeded = null;
+    try {
+      if (budgets.daily !== null && await this.getSpendToday() >= budgets.daily) {
+        exceeded = `the daily LLM budget of $${budgets.daily.toFixed(2)}`;
+      } else if (userLimit !== null && await this.getSpendToday(userId) >= userLimit) {
+        exceeded = `the daily LLM budget of $${userLimit.toFixed(2)} for ${userId}`;
+      }
+    } catch (error) {
+      logger.warn(`Could not check LLM budgets: ${error.message}`);
+      return;
+    }
+
+    if (exceeded) {
+      const message = `${task} was blocked: ${exceeded} is spent`;
+      await this.record({ task, provider, model, status: 'blocked', error: message });
+      logger.warn(message);
+      throw Object.assign(new Error(message), { status: 429, code: 'LLM_BUDGET_EXCEEDED' });
+    }
+  }
+
+  /**
+   * Budget-check, run and record a provider call made outside the LLM gateway.
+   * Such calls bypass the cassette, so they are refused while one is replayed.
+   *
+   * @param {Object} call - { task, provider, model }
+   * @param {Function} request - Makes the call and resolves to the provider response
+   * @param {Function} usageOf - Maps that response to { promptTokens, completionTokens, totalTokens }
+   * @returns {Promise<*>} The provider response
+   */
+  async track(call, request, usageOf) {
+    llmCassette.assertLive(`${call.provider} ${call.task}`);
+    await this.assertWithinBudget(call);
+
+    const started = Date.now();
+    try {
+      const response = await request();
+      await this.record({ ...call, usage: usageOf(response) || {}, latencyMs: Date.now() - started });
+      return response;
+    } catch (error) {
+      await this.record({ ...call, status: 'failed', latencyMs: Date.now() - started, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Totals for the filtered calls, split by status
+   *
+   * @param {Object} filters - { from, to, userId, workflowId, pipelineRunId, task, provider }
+   * @returns {Promise<Object>} { totals, byStatus, unpricedCalls, perPipelineRun, perWorkflow }
+   */
+  async getSummary(filters = {}) {
+    const where = buildWhere(filters);
+    const [totals] = await LlmUsage.findAll({ attributes: TOTALS, where, raw: true });
+    const byStatus = await LlmUsage.findAll({
+      attributes: ['status', [fn('COUNT', col('id')), 'calls']],
+      where,
+      group: ['status'],
+      raw: true
+    });
+    const unpricedCalls = where.status && where.status !== 'ok'
+      ? 0
+      : await LlmUsage.count({ where: { ...where, status: 'ok', costUsd: null } });
+
+    return {
+      totals: normalizeTotals(totals),
+      byStatus: Object.fromEntries(byStatus.map(row => [row.status, Number(row.calls)])),
+      unpricedCalls,
+      perPipelineRun: await this.getAverageCost('pipelineRunId', where),
+      perWorkflow: await this.getAverageCost('workflowId', where)
+    };
+  }
+
+  /**
+   * Spend of the calls attributed to a pipeline run or workflow, and the
+   * average per run/workflow (what one generated test costs)
+   */
+  async getAverageCost(column, where) {
+    const [row] = await LlmUsage.findAll({
+      attributes: [
+        [fn('COUNT', fn('DISTINCT', col(column))), 'count'],
+        [fn('SUM', col('costUsd')), 'costUsd']
+      ],
+      where: { ...where, [column]: where[column] ?? { [Op.ne]: null } },
+      raw: true
+    });
+    const count = Number(row?.count) || 0;
+    const costUsd = Number(row?.costUsd) || 0;
+    return { count, costUsd, avgCostUsd: count > 0 ? costUsd / count : 0 };
+  }
+
+  /**
+   * Totals per day, user, workflow, pipeline run, task, provider or model,
+   * most expensive first (days in date order)
+   *
+   * @param {string} groupBy - Key of USAGE_GROUPS
+   * @param {Object} filters - As for getSummary
+   * @param {number} limit - Maximum groups (default 50)
+   */
+  async getBreakdown(groupBy, filters = {}, limit = 50) {
+    const group = USAGE_GROUPS[groupBy];
+    if (!group) {
+      throw Object.assign(
+        new Error(`Unknown groupBy "${groupBy}"; use ${Object.keys(USAGE_GROUPS).join(', ')}`),
+        { status: 400 }
+      );
+    }
+
+    const rows = await LlmUsage.findAll({
+      attributes: [[group, 'key'], ...TOTALS],
+      where: buildWhere(filters),
+      group: [group],
+      order: groupBy === 'day' ? [[group, 'DESC']] : [[fn('SUM', col('costUsd')), 'DESC']],
+      limit,
+      raw: true
+    });
+
+    return rows.map(row => ({ key: row.key, ...normalizeTotals(row) }));
+  }
+
+  /**
+   * Individual ledger entries, newest first
+   */
+  async getCalls(filters = {}, { limit = 100, offset = 0 } = {}) {
+    const { rows, count } = await LlmUsage.findAndCountAll({
+      where: buildWhere(filters),
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+    return { calls: rows.map(row => row.toJSON()), total: count };
+  }
+}
+
+export const usageLedgerService = new UsageLedgerService();
+export default usageLedgerService;
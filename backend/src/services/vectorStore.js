@@ -0,0 +1,183 @@
+/**
+ * Vector Store
+ *
+ * Picks the backend for the knowledge base, RAG and duplicate collections:
+ * - chroma: a ChromaDB server (CHROMA_URL, default http://localhost:8000)
+ * - sqlite: the embedded SqliteVectorStore (VECTOR_STORE_PATH)
+ * - auto (default): ChromaDB when its server answers, else SQLite
+ *
+ * Both backends hand out clients with the same interface:
+ *   backend, heartbeat(), listCollections() → [{ name, metadata }],
+ *   getCollection / createCollection / getOrCreateCollection({ name, metadata, embeddingFunction }),
+ *   deleteCollection({ name })
+ * and collections with the chromadb methods add, upsert, update, get, query,
+ * delete and count. Distances are cosine distances on both: ChromaDB
+ * collections are created with hnsw:space cosine.
+ */
+
+import { ChromaClient } from 'chromadb';
+import { SqliteVectorStore } from './sqliteVectorStore.js';
+import { logger } from '../utils/logger.js';
+
+export const VECTOR_STORE_BACKENDS = ['chroma', 'sqlite'];
+
+const DEFAULT_CHROMA_HOST = 'http://localhost:8000';
+
+// Same scale as SqliteVectorStore, so scores and thresholds do not depend on the backend
+const DISTANCE_SPACE = 'cosine';
+
+/**
+ * ChromaClient with the vector store interface
+ */
+export class ChromaVectorStore {
+  constructor(chromaHost = process.env.CHROMA_URL || DEFAULT_CHROMA_HOST) {
+    this.backend = 'chroma';
+    this.chromaHost = chromaHost;
+    this.client = new ChromaClient({ path: chromaHost });
+  }
+
+  async heartbeat() {
+    return await this.client.heartbeat();
+  }
+
+  async listCollections() {
+    const collections = [];
+    for (let offset = 0; ; offset += 100) {
+      const page = await this.client.listCollections({ limit: 100, offset });
+      collections.push(...page.map(c => ({ name: c.name, metadata: c.metadata || null })));
+      if (page.length < 100) return collections;
+    }
+  }
+
+  async getCollection(args) {
+    return await this.client.getCollection(args);
+  }
+
+  async createCollection(args) {
+    return await this.client.createCollection(this.withCosineSpace(args));
+  }
+
+  async getOrCreateCollection(args) {
+    const collection = await this.client.getOrCreateCollection(this.withCosineSpace(args));
+
+    const space = collection.configuration?.hnsw?.space || collection.metadata?.['hnsw:space'] || 'l2';
+    if (space !== DISTANCE_SPACE) {
+      logger.warn(`ChromaDB collection ${args.name} uses ${space} distances, not ${DISTANCE_SPACE}; ` +
+        'similarity scores will be off until it is recreated (copy it with replace, or re-embed it)');
+    }
+    return collection;
+  }
+
+  /**
+   * The distance space is fixed when a collection is created
+   */
+  withCosineSpace(args) {
+    return { ...args, metadata: { ...args.metadata, 'hnsw:space': DISTANCE_SPACE } };
+  }
+
+  async deleteCollection(args) {
+    return await this.client.deleteCollection(args);
+  }
+}
+
+// One connection to the embedded database per process
+let sqliteStore = null;
+
+export function getSqliteVectorStore() {
+  if (!sqliteStore) {
+    sqliteStore = new SqliteVectorStore();
+  }
+  return sqliteStore;
+}
+
+/**
+ * Vector store for the configured backend
+ *
+ * @param {Object} options
+ * @param {string} options.backend - chroma | sqlite | auto (default VECTOR_STORE, else auto)
+ * @param {string} options.chromaHost - ChromaDB URL (default CHROMA_URL, else http://localhost:8000)
+ * @returns {Promise<ChromaVectorStore|SqliteVectorStore>}
+ */
+export async function createVectorStore({ backend = process.env.VECTOR_STORE || 'auto', chromaHost } = {}) {
+  if (backend === 'sqlite') {
+    return getSqliteVectorStore();
+  }
+
+  const chroma = new ChromaVectorStore(chromaHost || undefined);
+  if (backend === 'chroma') {
+    return chroma;
+  }
+  if (backend !== 'auto') {
+    throw Object.assign(new Error(`Unknown vector store "${backend}"; use ${VECTOR_STORE_BACKENDS.join(', ')} or auto`), { status: 400 });
+  }
+
+  try {
+    await chroma.heartbeat();
+    return chroma;
+  } catch (error) {
+    logger.warn(`ChromaDB is not reachable at ${chroma.chromaHost} (${error.message}); using the embedded SQLite vector store`);
+    return getSqliteVectorStore();
+  }
+}
+
+/**
+ * Copy collections (documents, metadata and embeddings) from one store to
+ * another, e.g. to move the knowledge base from the SQLite fallback into
+ * ChromaDB once the server is running. Embeddings are copied as they are, so
+ * nothing is re-embedded.
+ *
+ * @param {Object} source - Store to read from
+ * @param {Object} target - Store to write to
+ * @param {Object} options
+ * @param {string[]} options.collections - Names to copy (default: all in source)
+ * @param {boolean} options.replace - Delete each target collection first instead of upserting into it
+ * @param {number} options.batchSize - Records per read/write (default 500)
+ * @param {boolean} options.dryRun - Only count what would be copied
+ * @returns {Promise<Object[]>} [{ name, copied }]
+ */
+export async function copyCollections(source, target, { collections = null, replace = false, batchSize = 500, dryRun = false } = {}) {
+  const available = await source.listCollections();
+  const names = collections || available.map(c => c.name);
+  const results = [];
+
+  for (const name of names) {
+    const info = available.find(c => c.name === name);
+    if (!info) {
+      throw Object.assign(new Error(`Collection ${name} does not exist in the ${source.backend} store`), { status: 404 });
+    }
+
+    const from = await source.getCollection({ name });
+    if (dryRun) {
+      results.push({ name, copied: 0, records: await from.count() });
+      continue;
+    }
+
+    if (replace) {
+      const existing = await target.listCollections();
+      if (existing.some(c => c.name === name)) {
+        await target.deleteCollection({ name });
+      }
+    }
+    const to = await target.getOrCreateCollection({ name, ...(info.metadata && { metadata: info.metadata }) });
+
+    let copied = 0;
+    for (let offset = 0; ; offset += batchSize) {
+      const batch = await from.get({ limit: batchSize, offset, include: ['documents', 'metadatas', 'embeddings'] });
+      if (batch.ids.length === 0) break;
+
+      await to.upsert({
+        ids: batch.ids,
+        embeddings: batch.embeddings.map(embedding => Array.from(embedding)),
+        documents: batch.documents,
+        metadatas: batch.metadatas
+      });
+      copied += batch.ids.length;
+      if (batch.ids.length < batchSize) break;
+    }
+
+    logger.info(`Copied ${copied} records of ${name} from ${source.backend} to ${target.backend}`);
+    results.push({ name, copied });
+  }
+
+  return results;
+}
@@ -1,3 +1,4 @@
+import NodeCache from 'node-cache';
 import { logger } from '../utils/logger.js';
 import { filterJiraTicket } from '../config/fieldFilter.config.js';
 import { JiraService } from './jiraService.js';
@@ -5,14 +6,25 @@ import { TestRailService } from './testRailService.js';
 import geminiService from './geminiService.js';
 import { CypressGenerator } from './cypressGenerator.js';
 import patternLearningService from './patternLearningService.js';
+import { testCaseDuplicateService } from './testCaseDuplicateService.js';
+import { Workflow } from '../models/workflow.js';
+
+// Seconds a workflow stays in memory after its last use
+const WORKFLOW_IDLE_TTL = parseInt(process.env.WORKFLOW_IDLE_TTL_SECONDS || '3600', 10);
 
 /**
  * Workflow Orchestrator Service
- * Manages the complete flow from JIRA ticket to TestRail test cases
+ * Manages the complete flow from JIRA ticket to TestRail test cases.
+ * Workflows are saved to the database after every step, so they survive
+ * restarts and can be listed and resumed later. Workflows in use are kept in
+ * memory and dropped after WORKFLOW_IDLE_TTL_SECONDS (default 1h) without a
+ * step; a saved one is read back from the database on its next step, one that
+ * was started but never stepped is gone.
  */
 export class WorkflowOrchestrator {
   constructor() {
-    this.workflows = new Map(); // Store active workflows
+    // Workflows in use; steps mutate the cached object, so it is not cloned
+    this.workflows = new NodeCache({ stdTTL: WORKFLOW_IDLE_TTL, checkperiod: 60, useClones: false });
     this.jiraService = new JiraService();
     this.testRailService = new TestRailService();
     this.geminiService = geminiService; // Use the singleton instance
@@ -20,7 +32,8 @@ export class WorkflowOrchestrator {
   }
 
   /**
-   * Start a new workflow
+   * Start a new workflow. It is saved with its first step, so opening the
+   * wizard without going further leaves no empty workflow behind.
    */
   async startWorkflow(userId) {
     const workflowId = `workflow_${Date.now()}_${userId}`;
@@ -38,6 +51,8 @@ export class WorkflowOrchestrator {
         5: { name: 'saveToTestRail', status: 'pending', data: null },
         6: { name: 'generateCypress', status: 'optional', data: null }
       },
+      artifacts: [], // Generated automation (test files, branches) for the Jira write-back
+      jiraWriteBack: null,
       createdAt: new Date(),
       updatedAt: new Date()
     };
@@ -55,8 +70,7 @@ export class WorkflowOrchestrator {
    * Execute Step 1: Select and process JIRA ticket
    */
   async selectTicket(workflowId, ticketData) {
-    const workflow = this.workflows.get(workflowId);
-    if (!workflow) throw new Error('Workflow not found');
+    const workflow = await this.loadWorkflow(workflowId);
     
     try {
       logger.info(`Step 1: Selecting ticket ${ticketData.key} for workflow ${workflowId}`);
@@ -76,6 +90,7 @@ export class WorkflowOrchestrator {
         status: 'completed',
         data: {
           original: ticketData.key,
+          ticket: ticketData, // As selected, for resuming in the wizard
           filtered: filteredTicket,
           platforms: filteredTicket.platforms,
           testRequirements: filteredTicket.testRequirements
@@ -83,6 +98,7 @@ export class WorkflowOrchestrator {
       };
       workflow.currentStep = 2;
       workflow.updatedAt = new Date();
+      await this.saveWorkflow(workflow);
       
       logger.info(`Ticket ${ticketData.key} processed. Platforms: ${filteredTicket.platforms.join(', ')}`);
       
@@ -95,6 +111,7 @@ export class WorkflowOrchestrator {
       logger.error(`Error in selectTicket: ${error.message}`);
       workflow.steps[1].status = 'error';
       workflow.steps[1].error = error.message;
+      await this.saveWorkflow(workflow);
       throw error;
     }
   }
@@ -103,8 +120,7 @@ export class WorkflowOrchestrator {
    * Execute Step 2: Select TestRail context for training
    */
   async selectContext(workflowId, contextData) {
-    const workflow = this.workflows.get(workflowId);
-    if (!workflow) throw new Error('Workflow not found');
+    const workflow = await this.loadWorkflow(workflowId);
     
     try {
       logger.info(`Step 2: Selecting TestRail context for workflow ${workflowId}`);
@@ -138,6 +154,7 @@ export class WorkflowOrchestrator {
           projectId,
           suiteId,
           sectionId,
+          selection: contextData, // As selected, for resuming in the wizard
           testCount: testCases.length,
           patterns,
           examples, // Now contains full test details
@@ -146,6 +163,7 @@ export class WorkflowOrchestrator {
       };
       workflow.currentStep = 3;
       workflow.updatedAt = new Date();
+      await this.saveWorkflow(workflow);
       
       logger.info(`Context selected: ${testCases.length} tests analyzed from TestRail`);
       
@@ -159,6 +177,7 @@ export class WorkflowOrchestrator {
       logger.error(`Error in selectContext: ${error.message}`);
       workflow.steps[2].status = 'error';
       workflow.steps[2].error = error.message;
+      await this.saveWorkflow(workflow);
       throw error;
     }
   }
@@ -167,8 +186,7 @@ export class WorkflowOrchestrator {
    * Execute Step 3: Generate test cases with AI
    */
   async generateTests(workflowId, data = {}) {
-    const workflow = this.workflows.get(workflowId);
-    if (!workflow) throw new Error('Workflow not found');
+    const workflow = await this.loadWorkflow(workflowId);
     
     try {
       logger.info(`Step 3: Generating tests for workflow ${workflowId}`);
@@ -237,6 +255,7 @@ export class WorkflowOrchestrator {
       };
       workflow.currentStep = 4;
       workflow.updatedAt = new Date();
+      await this.saveWorkflow(workflow);
       
       logger.info(`Generated ${generatedTests.length} tests with quality score: ${qualityScore}%`);
       
@@ -250,44 +269,64 @@ export class WorkflowOrchestrator {
       logger.error(`Error in generateTests: ${error.message}`);
       workflow.steps[3].status = 'error';
       workflow.steps[3].error = error.message;
+      await this.saveWorkflow(workflow);
       throw error;
     }
   }
 
   /**
    * Execute Step 4: Review and edit tests
+   * Each test is checked against the selected suite for near-duplicates
    */
-  async reviewTests(workflowId, reviewedTests) {
-    const workflow = this.workflows.get(workflowId);
-    if (!workflow) throw new Error('Workflow not found');
+  async reviewTests(workflowId, reviewedTests, { checkDuplicates = true } = {}) {
+    const workflow = await this.loadWorkflow(workflowId);
     
     try {
       logger.info(`Step 4: Reviewing tests for workflow ${workflowId}`);
       
+      // Duplicate detection is advisory; the review goes through without it
+      let duplicates = workflow.steps[4].data?.duplicates || null;
+      let duplicateError = null;
+      const { projectId, suiteId } = workflow.steps[2].data || {};
+      if (checkDuplicates && projectId && suiteId) {
+        try {
+          duplicates = await testCaseDuplicateService.findDuplicates(reviewedTests, { projectId, suiteId });
+        } catch (error) {
+          logger.warn(`Duplicate check skipped for workflow ${workflowId}: ${error.message}`);
+          duplicateError = error.message;
+        }
+      }
+      
       workflow.steps[4] = {
         name: 'reviewTests',
         status: 'completed',
         data: {
-          originalTests: workflow.steps[3].data.tests,
+          originalTests: workflow.steps[3].data?.tests || reviewedTests,
           reviewedTests,
-          changes: this.diffTests(workflow.steps[3].data.tests, reviewedTests),
+          changes: this.diffTests(workflow.steps[3].data?.tests || reviewedTests, reviewedTests),
+          duplicates,
           reviewedAt: new Date()
         }
       };
       workflow.currentStep = 5;
       workflow.updatedAt = new Date();
+      await this.saveWorkflow(workflow);
       
-      logger.info(`Tests reviewed. ${reviewedTests.length} tests ready for saving`);
+      logger.info(`Tests reviewed. ${reviewedTests.length} tests ready for saving` +
+        `${duplicates ? `, ${duplicates.filter(d => d.isDuplicate).length} likely duplicates` : ''}`);
       
       return {
         success: true,
         reviewedTests,
+        duplicates,
+        duplicateError,
         nextStep: 'saveToTestRail'
       };
     } catch (error) {
       logger.error(`Error in reviewTests: ${error.message}`);
       workflow.steps[4].status = 'error';
       workflow.steps[4].error = error.message;
+      await this.saveWorkflow(workflow);
       throw error;
     }
   }
@@ -296,12 +335,16 @@ export class WorkflowOrchestrator {
    * Execute Step 5: Save tests to TestRail
    */
   async saveToTestRail(workflowId, saveOptions) {
-    const workflow = this.workflows.get(workflowId);
-    if (!workflow) throw new Error('Workflow not found');
+    const workflow = await this.loadWorkflow(workflowId);
     
     try {
       logger.info(`Step 5: Saving to TestRail for workflow ${workflowId}`);
       
+      // The wizard reviews tests in place and sends them with the save
+      if (saveOptions.tests) {
+        await this.reviewTests(workflowId, saveOptions.tests, { checkDuplicates: false });
+      }
+      
       const tests = workflow.steps[4].data.reviewedTests;
       const { projectId, suiteId, sectionId } = saveOptions;
       
@@ -353,6 +396,7 @@ export class WorkflowOrchestrator {
       };
       workflow.currentStep = 6;
       workflow.updatedAt = new Date();
+      await this.saveWorkflow(workflow);
       
       logger.info(`Saved ${savedTests.filter(t => t.testRailId).length}/${tests.length} tests to TestRail`);
       
@@ -365,6 +409,7 @@ export class WorkflowOrchestrator {
       logger.error(`Error in saveToTestRail: ${error.message}`);
       workflow.steps[5].status = 'error';
       workflow.steps[5].error = error.message;
+      await this.saveWorkflow(workflow);
       throw error;
     }
   }
@@ -373,8 +418,7 @@ export class WorkflowOrchestrator {
    * Execute Step 6: Generate Cypress tests (optional)
    */
   async generateCypress(workflowId, cypressOptions = {}) {
-    const workflow = this.workflows.get(workflowId);
-    if (!workflow) throw new Error('Workflow not found');
+    const workflow = await this.loadWorkflow(workflowId);
     
     try {
       logger.info(`Step 6: Generating Cypress tests for workflow ${workflowId}`);
@@ -408,6 +452,7 @@ export class WorkflowOrchestrator {
       };
       workflow.status = 'completed';
       workflow.updatedAt = new Date();
+      await this.saveWorkflow(workflow);
       
       logger.info(`Generated ${cypressTests.length} Cypress tests`);
       
@@ -420,56 +465,148 @@ export class WorkflowOrchestrator {
       logger.error(`Error in generateCypress: ${error.message}`);
       workflow.steps[6].status = 'error';
       workflow.steps[6].error = error.message;
+      await this.saveWorkflow(workflow);
       throw error;
     }
   }
 
+  /**
+   * Record a generated artifact (e.g. a saved Java test file and its branch).
+   * An artifact with the same type and path replaces the earlier one.
+   *
+   * @param {string} workflowId - Workflow the artifact belongs to
+   * @param {Object} artifact - { type: 'testFile'|'branch', path, branch, repoPath, url, title }
+   */
+  async recordArtifact(workflowId, artifact) {
+    const workflow = await this.loadWorkflow(workflowId);
+    
+    workflow.artifacts = [
+      ...(workflow.artifacts || []).filter(a => !(a.type === artifact.type && a.path === artifact.path && a.branch === artifact.branch)),
+      { ...artifact, recordedAt: new Date() }
+    ];
+    workflow.updatedAt = new Date();
+    await this.saveWorkflow(workflow);
+    
+    logger.info(`Recorded ${artifact.type} artifact for workflow ${workflowId}`);
+    return workflow.artifacts;
+  }
+
+  /**
+   * Mark a workflow finished (the wizard can complete without the Cypress step)
+   */
+  async completeWorkflow(workflowId) {
+    const workflow = await this.loadWorkflow(workflowId);
+    
+    workflow.status = 'completed';
+    workflow.updatedAt = new Date();
+    await this.saveWorkflow(workflow);
+    
+    logger.info(`Completed workflow ${workflowId}`);
+    return { success: true, workflowComplete: true };
+  }
+
   /**
    * Get workflow status
    */
-  getWorkflow(workflowId) {
-    const workflow = this.workflows.get(workflowId);
-    if (!workflow) throw new Error('Workflow not found');
-    return workflow;
+  async getWorkflow(workflowId) {
+    return this.loadWorkflow(workflowId);
+  }
+
+  /**
+   * Load a workflow for resuming, with the step to continue from
+   */
+  async resumeWorkflow(workflowId) {
+    const workflow = await this.loadWorkflow(workflowId);
+    logger.info(`Resuming workflow ${workflowId} at step ${workflow.currentStep}`);
+    
+    return {
+      workflowId,
+      workflow,
+      nextStep: workflow.steps[workflow.currentStep]?.name || null
+    };
   }
 
   /**
-   * Recreate workflow after server restart
+   * Get a user's workflows, most recently updated first
+   *
+   * @param {string} userId - Workflow owner
+   * @param {Object} options - status filter, limit and offset
+   * @returns {Object} { total, workflows } where workflows omit step data
    */
-  async recreateWorkflow(workflowId, userId) {
+  async getUserWorkflows(userId, { status = null, limit = 20, offset = 0 } = {}) {
+    const { rows, count } = await Workflow.findAndCountAll({
+      where: status ? { userId, status } : { userId },
+      attributes: { exclude: ['steps'] },
+      order: [['updatedAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 20, 100),
+      offset: parseInt(offset) || 0
+    });
+    
+    return { total: count, workflows: rows.map(w => w.toJSON()) };
+  }
+
+  /**
+   * Get a workflow from memory, or from the database after a restart or once
+   * it was idle. Every step of a workflow works on the same object until it
+   * is dropped, so nested steps (saveToTestRail → reviewTests) see each
+   * other's changes.
+   */
+  async loadWorkflow(workflowId) {
+    if (this.workflows.has(workflowId)) {
+      // Each use restarts the idle timeout
+      this.workflows.ttl(workflowId);
+      return this.workflows.get(workflowId);
+    }
+    
+    const record = await Workflow.findByPk(workflowId);
+    if (!record) {
+      throw Object.assign(new Error('Workflow not found'), { status: 404 });
+    }
+    
     const workflow = {
-      id: workflowId,
-      userId,
-      status: 'in_progress',
-      currentStep: 2, // Assume we're at least on step 2 if recreating
-      steps: {
-        1: { name: 'selectTicket', status: 'completed', data: null },
-        2: { name: 'selectContext', status: 'pending', data: null },
-        3: { name: 'generateTests', status: 'pending', data: null },
-        4: { name: 'reviewTests', status: 'pending', data: null },
-        5: { name: 'saveToTestRail', status: 'pending', data: null },
-        6: { name: 'generateCypress', status: 'optional', data: null }
-      },
-      createdAt: new Date(),
-      updatedAt: new Date()
+      id: record.id,
+      userId: record.userId,
+      status: record.status,
+      currentStep: record.currentStep,
+      steps: record.steps,
+      artifacts: record.artifacts || [],
+      jiraWriteBack: record.jiraWriteBack || null,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
     };
     
     this.workflows.set(workflowId, workflow);
-    logger.info(`Recreated workflow ${workflowId} for user ${userId}`);
     return workflow;
   }
 
   /**
-   * Get all workflows for a user
+   * Save a workflow's state. Failures are logged rather than thrown so a
+   * database problem never fails a step whose work (e.g. TestRail saves) is done.
    */
-  getUserWorkflows(userId) {
-    const userWorkflows = [];
-    for (const [id, workflow] of this.workflows) {
-      if (workflow.userId === userId) {
-        userWorkflows.push(workflow);
-      }
+  async saveWorkflow(workflow) {
+    // A workflow is in progress once any step has run
+    if (workflow.status === 'started' && Object.values(workflow.steps).some(step => step.data || step.status === 'error')) {
+      workflow.status = 'in_progress';
+    }
+    
+    const ticket = workflow.steps[1].data?.filtered;
+    
+    try {
+      await Workflow.upsert({
+        id: workflow.id,
+        userId: workflow.userId,
+        status: workflow.status,
+        currentStep: workflow.currentStep,
+        ticketKey: ticket?.key || workflow.steps[1].data?.original || null,
+        ticketSummary: ticket?.summary?.slice(0, 500) || null,
+        steps: workflow.steps,
+        artifacts: workflow.artifacts,
+        jiraWriteBack: workflow.jiraWriteBack,
+        createdAt: workflow.createdAt
+      });
+    } catch (error) {
+      logger.error(`Failed to save workflow ${workflow.id}: ${error.message}`);
     }
-    return userWorkflows;
   }
 
   // Helper methods
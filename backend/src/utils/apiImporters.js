@@ -0,0 +1,702 @@
+/**
+ * HAR and Postman collection importers
+ *
+ * Turns recorded traffic (HAR files from browser devtools) and Postman v2.x
+ * collections into an OpenAPI 3 document, so the API test generators can work
+ * from them like from a real spec. Concrete ids in paths are folded into path
+ * templates (/users/123 -> /users/{id}) and request/response schemas are
+ * inferred from the observed bodies. Credentials are never copied, only the
+ * kind of authentication used.
+ */
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+const STATIC_RESOURCE = /\.(?:js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|eot|otf|html?|mp4|webm|mp3)$/i;
+const NON_API_MIME = /^(?:text\/(?:html|css|javascript)|image\/|font\/|video\/|audio\/|application\/(?:javascript|font|x-font))/i;
+const MAX_BODY_LENGTH = 1024 * 1024;
+const MAX_DEPTH = 10;
+const MAX_ARRAY_SAMPLES = 20;
+
+// Headers clients set on every request; never useful as API parameters
+const STANDARD_HEADERS = new Set([
+  'accept', 'accept-encoding', 'accept-language', 'authorization', 'cache-control', 'connection',
+  'content-length', 'content-type', 'cookie', 'host', 'origin', 'pragma', 'referer', 'user-agent'
+]);
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK', 201: 'Created', 202: 'Accepted', 204: 'No Content',
+  400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found',
+  409: 'Conflict', 422: 'Unprocessable Entity', 429: 'Too Many Requests', 500: 'Internal Server Error'
+};
+
+const SECURITY_SCHEMES = {
+  bearer: ['bearerAuth', { type: 'http', scheme: 'bearer' }],
+  basic: ['basicAuth', { type: 'http', scheme: 'basic' }],
+  apiKey: ['apiKeyAuth', header => ({ type: 'apiKey', in: 'header', name: header })]
+};
+
+function importError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+export function isHar(document) {
+  return Array.isArray(document?.log?.entries);
+}
+
+export function isPostmanCollection(document) {
+  const collection = document?.collection || document;
+  return Array.isArray(collection?.item) && !!(collection.info?._postman_id || collection.info?.schema?.includes('getpostman.com'));
+}
+
+/**
+ * A path segment that identifies a resource rather than naming one
+ */
+function isIdSegment(segment) {
+  return /^\d+$/.test(segment) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+    /^[0-9a-f]{16,}$/i.test(segment) ||
+    /^(?=.*\d)(?=.*[a-z])[\w-]{20,}$/i.test(segment);
+}
+
+function singular(word) {
+  const camel = word.replace(/[^a-zA-Z0-9]+(.)?/g, (match, char) => (char ? char.toUpperCase() : ''));
+  if (/ies$/.test(camel)) return `${camel.slice(0, -3)}y`;
+  if (/(?:ss|us|x|z|ch|sh)es$/.test(camel)) return camel.slice(0, -2);
+  // "status" and "class" are already singular
+  return camel.replace(/(?<![su])s$/, '');
+}
+
+/**
+ * Fold concrete ids into a path template
+ *
+ * @param {string} path - Concrete path (e.g. /users/123/orders/9)
+ * @returns {Object} { template: '/users/{userId}/orders/{id}', values: { userId: '123', id: '9' } }
+ */
+export function toPathTemplate(path) {
+  const segments = path.split('/');
+  const idIndexes = segments
+    .map((segment, index) => (isIdSegment(safeDecode(segment)) ? index : -1))
+    .filter(index => index >= 0);
+  const used = new Set(segments.map(segment => segment.match(/^\{(.+)\}$/)?.[1]).filter(Boolean));
+  const values = {};
+
+  for (const index of idIndexes) {
+    const previous = segments[index - 1];
+    let name = index === idIndexes[idIndexes.length - 1] || !/^[a-z][\w-]*$/i.test(previous || '')
+      ? 'id'
+      : `${singular(previous)}Id`;
+    for (let n = 2; used.has(name); n++) {
+      name = `${name.replace(/\d+$/, '')}${n}`;
+    }
+    used.add(name);
+    values[name] = safeDecode(segments[index]);
+    segments[index] = `{${name}}`;
+  }
+
+  const template = segments.join('/').replace(/(.)\/$/, '$1') || '/';
+  return { template, values };
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+function stringFormat(value) {
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return 'date-time';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'date';
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return 'email';
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) return 'uuid';
+  if (/^https?:\/\//.test(value)) return 'uri';
+  return null;
+}
+
+/**
+ * JSON schema describing one observed value
+ */
+export function inferSchema(value, depth = 0) {
+  if (value === null || value === undefined) {
+    return { nullable: true };
+  }
+  if (Array.isArray(value)) {
+    const items = depth >= MAX_DEPTH
+      ? null
+      : value.slice(0, MAX_ARRAY_SAMPLES).reduce((schema, item) => mergeSchemas(schema, inferSchema(item, depth + 1)), null);
+    return items ? { type: 'array', items } : { type: 'array' };
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'string': {
+      const format = stringFormat(value);
+      return format ? { type: 'string', format } : { type: 'string' };
+    }
+    case 'object': {
+      if (depth >= MAX_DEPTH) return { type: 'object' };
+      const properties = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, inferSchema(item, depth + 1)]));
+      return {
+        type: 'object',
+        properties,
+        // Keys seen as null are optional: generated tests assert required keys are non-null
+        required: Object.keys(value).filter(key => value[key] !== null)
+      };
+    }
+    default:
+      return {};
+  }
+}
+
+/**
+ * Combine the schemas of two observations of the same value
+ */
+export function mergeSchemas(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  const nullable = a.nullable || b.nullable;
+  if (!a.type || !b.type) {
+    // {} accepts anything; a side that only saw null makes the other side nullable
+    if ((!a.type && !a.nullable) || (!b.type && !b.nullable)) return {};
+    return { ...(a.type ? a : b), nullable: true };
+  }
+
+  let merged;
+  if (a.type === b.type) {
+    if (a.type === 'object') {
+      const properties = { ...a.properties };
+      for (const [key, schema] of Object.entries(b.properties || {})) {
+        properties[key] = mergeSchemas(properties[key], schema);
+      }
+      merged = {
+        type: 'object',
+        properties,
+        required: (a.required || []).filter(key => (b.required || []).includes(key))
+      };
+    } else if (a.type === 'array') {
+      // Empty arrays carry no items schema
+      const items = a.items && b.items ? mergeSchemas(a.items, b.items) : a.items || b.items;
+      merged = items ? { type: 'array', items } : { type: 'array' };
+    } else if (a.type === 'string') {
+      merged = a.format && a.format === b.format ? { type: 'string', format: a.format } : { type: 'string' };
+    } else {
+      merged = { type: a.type };
+    }
+  } else if ([a.type, b.type].every(type => type === 'integer' || type === 'number')) {
+    merged = { type: 'number' };
+  } else {
+    // Conflicting observations: accept anything
+    return {};
+  }
+
+  return nullable ? { ...merged, nullable: true } : merged;
+}
+
+/**
+ * Schema and typed example for a value observed as text (query, path, header)
+ */
+function scalarFromText(text) {
+  if (/^-?\d+$/.test(text) && text.length < 16) return { schema: { type: 'integer' }, example: Number(text) };
+  if (/^-?\d+\.\d+$/.test(text)) return { schema: { type: 'number' }, example: Number(text) };
+  if (text === 'true' || text === 'false') return { schema: { type: 'boolean' }, example: text === 'true' };
+  const format = stringFormat(text);
+  return { schema: format ? { type: 'string', format } : { type: 'string' }, example: text };
+}
+
+function parseJson(text) {
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_BODY_LENGTH) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function isJsonMime(mimeType) {
+  return /[/+]json\b/i.test(mimeType || '');
+}
+
+function detectAuthentication(headers) {
+  for (const [name, value] of Object.entries(headers)) {
+    const lower = name.toLowerCase();
+    if (lower === 'authorization') {
+      if (/^bearer\s/i.test(value)) return { type: 'bearer' };
+      if (/^basic\s/i.test(value)) return { type: 'basic' };
+    } else if (/^x-api-key$|api[-_]?key|^x-auth-token$/i.test(lower)) {
+      return { type: 'apiKey', header: name };
+    }
+  }
+  return null;
+}
+
+function headersToObject(headers = [], keyName = 'name') {
+  return Object.fromEntries(headers
+    .filter(header => !header.disabled && header[keyName])
+    .map(header => [header[keyName], String(header.value ?? '')]));
+}
+
+function operationIdFor(method, template) {
+  const words = template.split('/').filter(Boolean).map(segment => {
+    const param = segment.match(/^\{(.+)\}$/);
+    const word = (param ? `by-${param[1]}` : segment).replace(/[^a-zA-Z0-9]+(.)?/g, (match, char) => (char ? char.toUpperCase() : ''));
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  });
+  return `${method}${words.join('') || 'Root'}`;
+}
+
+/**
+ * Build the parameter list for one group of observations of an endpoint
+ */
+function buildParameters(group) {
+  const parameters = [];
+
+  for (const name of Object.keys(group[0].pathValues)) {
+    const observed = group.map(({ pathValues }) => scalarFromText(pathValues[name]));
+    parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      schema: observed.reduce((schema, item) => mergeSchemas(schema, item.schema), null),
+      example: observed[0].example
+    });
+  }
+
+  // Path params written as {name} in a Postman collection have no concrete value
+  for (const name of group[0].template.match(/\{([^}]+)\}/g)?.map(match => match.slice(1, -1)) || []) {
+    if (!parameters.some(param => param.name === name)) {
+      const value = group[0].observation.pathExamples?.[name];
+      parameters.push({
+        name,
+        in: 'path',
+        required: true,
+        ...(value ? { schema: scalarFromText(value).schema, example: scalarFromText(value).example } : { schema: { type: 'string' } })
+      });
+    }
+  }
+
+  for (const location of ['query', 'header']) {
+    const names = [...new Set(group.flatMap(({ observation }) => Object.keys(observation[location] || {})))];
+    for (const name of names) {
+      const values = group
+        .map(({ observation }) => observation[location]?.[name])
+        .filter(value => value !== undefined);
+      const typed = values.filter(value => value !== null).map(value => scalarFromText(value));
+      parameters.push({
+        name,
+        in: location,
+        required: values.length === group.length,
+        schema: typed.reduce((schema, item) => mergeSchemas(schema, item.schema), null) || { type: 'string' },
+        ...(typed.length > 0 && { example: typed[0].example })
+      });
+    }
+  }
+
+  return parameters;
+}
+
+function buildRequestBody(group) {
+  const withBody = group.filter(({ observation }) => observation.body !== undefined);
+  if (withBody.length === 0) return undefined;
+
+  const mediaType = withBody[0].observation.bodyMediaType || 'application/json';
+  const sameType = withBody
+    .filter(({ observation }) => (observation.bodyMediaType || 'application/json') === mediaType)
+    .map(({ observation }) => observation);
+  const bodies = sameType.map(observation => observation.body);
+  const example = sameType.find(observation => !observation.bodyHasVariables);
+
+  return {
+    required: withBody.length === group.length,
+    content: {
+      [mediaType]: {
+        schema: bodies.reduce((schema, body) => mergeSchemas(schema, inferSchema(body)), null),
+        ...(example && { example: example.body })
+      }
+    }
+  };
+}
+
+function buildResponses(group) {
+  const responses = {};
+
+  for (const { observation } of group) {
+    const status = observation.status ? String(observation.status) : null;
+    if (!status) continue;
+
+    const response = responses[status] || { description: STATUS_DESCRIPTIONS[status] || 'Observed response' };
+    if (observation.responseBody !== undefined) {
+      const mediaType = observation.responseMediaType || 'application/json';
+      const existing = response.content?.[mediaType]?.schema;
+      response.content = {
+        ...response.content,
+        [mediaType]: { schema: mergeSchemas(existing, inferSchema(observation.responseBody)) }
+      };
+    }
+    responses[status] = response;
+  }
+
+  return Object.keys(responses).length > 0 ? responses : { 200: { description: 'OK' } };
+}
+
+/**
+ * Assemble an OpenAPI 3 document from normalized request observations
+ *
+ * Each observation is { method, path, query, header, body, bodyMediaType, status,
+ * responseBody, responseMediaType, auth, summary, tags, pathExamples }.
+ */
+export function buildSpec(observations, { title, description, serverUrl, serverVariables, source, warnings = [] }) {
+  const groups = new Map();
+
+  for (const observation of observations) {
+    const { template, values } = toPathTemplate(observation.path);
+    const key = `${observation.method} ${template}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ observation, template, pathValues: values });
+  }
+
+  const paths = {};
+  const securitySchemes = {};
+  const operationIds = new Set();
+  let anyAuthenticated = false;
+
+  for (const group of groups.values()) {
+    const { template, observation: first } = group[0];
+    const method = first.method;
+
+    let operationId = operationIdFor(method, template);
+    for (let n = 2; operationIds.has(operationId); n++) {
+      operationId = `${operationIdFor(method, template)}${n}`;
+    }
+    operationIds.add(operationId);
+
+    const auth = group.map(({ observation }) => observation.auth).find(Boolean);
+    let security;
+    if (auth) {
+      const [name, scheme] = SECURITY_SCHEMES[auth.type];
+      securitySchemes[name] = typeof scheme === 'function' ? scheme(auth.header) : scheme;
+      security = [{ [name]: [] }];
+      anyAuthenticated = true;
+    }
+
+    const operation = {
+      operationId,
+      ...(first.summary && { summary: first.summary }),
+      ...(first.description && { description: first.description }),
+      ...(first.tags?.length && { tags: first.tags }),
+      parameters: buildParameters(group),
+      requestBody: buildRequestBody(group),
+      responses: buildResponses(group),
+      security: security || []
+    };
+    if (!operation.requestBody) delete operation.requestBody;
+
+    paths[template] = paths[template] || {};
+    paths[template][method] = operation;
+  }
+
+  if (!anyAuthenticated) {
+    for (const pathItem of Object.values(paths)) {
+      for (const operation of Object.values(pathItem)) delete operation.security;
+    }
+  }
+
+  if (Object.keys(paths).length === 0) {
+    throw importError(`No API requests found in the ${source} input`);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title: title || `Imported ${source} API`, version: '1.0.0', ...(description && { description }) },
+    servers: serverUrl ? [{ url: serverUrl, ...(serverVariables && { variables: serverVariables }) }] : [],
+    components: { schemas: {}, securitySchemes },
+    paths,
+    'x-import': { source, requests: observations.length, warnings }
+  };
+}
+
+function splitUrl(url) {
+  const match = url.match(/^((?:[a-z][a-z0-9+.-]*:\/\/)?[^/?#]*)([^?#]*)(?:\?([^#]*))?/i);
+  return { origin: match[1], path: match[2] || '/', query: match[3] || '' };
+}
+
+function parseQueryString(query) {
+  const values = {};
+  for (const [name, value] of new URLSearchParams(query)) {
+    values[name] = value;
+  }
+  return values;
+}
+
+function harBody(postData) {
+  if (!postData) return {};
+  const mimeType = (postData.mimeType || '').split(';')[0].trim();
+
+  if (isJsonMime(mimeType) || (!mimeType && parseJson(postData.text) !== undefined)) {
+    const body = parseJson(postData.text);
+    return body === undefined ? {} : { body, bodyMediaType: 'application/json' };
+  }
+  if (mimeType === 'application/x-www-form-urlencoded') {
+    const body = postData.params?.length
+      ? Object.fromEntries(postData.params.map(param => [param.name, param.value ?? '']))
+      : parseQueryString(postData.text || '');
+    return { body, bodyMediaType: mimeType };
+  }
+  return {};
+}
+
+function harResponseBody(content = {}) {
+  const mimeType = (content.mimeType || '').split(';')[0].trim();
+  if (!isJsonMime(mimeType) || !content.text) return {};
+
+  const text = content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+  const body = parseJson(text);
+  return body === undefined ? {} : { responseBody: body, responseMediaType: 'application/json' };
+}
+
+/**
+ * Convert a HAR capture to an OpenAPI 3 document
+ *
+ * Static assets and non-API responses are skipped. Unless an origin is given, only
+ * requests to the origin with the most API calls are kept (captures usually include
+ * analytics and CDN traffic).
+ *
+ * @param {Object} har - Parsed HAR file
+ * @param {Object} options - { origin, title }
+ */
+export function harToOpenAPI(har, options = {}) {
+  const warnings = [];
+  const candidates = [];
+
+  for (const entry of har.log.entries) {
+    const request = entry.request || {};
+    const method = (request.method || '').toLowerCase();
+    if (!HTTP_METHODS.includes(method) || !request.url) continue;
+
+    let url;
+    try {
+      url = new URL(request.url);
+    } catch {
+      continue;
+    }
+
+    const responseMime = entry.response?.content?.mimeType || '';
+    const isApi = entry._resourceType === 'xhr' || entry._resourceType === 'fetch' ||
+      isJsonMime(responseMime) || isJsonMime(request.postData?.mimeType);
+    if (!isApi || STATIC_RESOURCE.test(url.pathname) || NON_API_MIME.test(responseMime)) continue;
+
+    candidates.push({ entry, method, url });
+  }
+
+  const byOrigin = new Map();
+  for (const candidate of candidates) {
+    byOrigin.set(candidate.url.origin, (byOrigin.get(candidate.url.origin) || 0) + 1);
+  }
+  const origin = options.origin
+    ? new URL(options.origin).origin
+    : [...byOrigin.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+
+  const skippedOrigins = [...byOrigin.keys()].filter(other => other !== origin);
+  if (skippedOrigins.length > 0) {
+    warnings.push(`Skipped requests to ${skippedOrigins.join(', ')} (only ${origin} was imported)`);
+  }
+
+  const observations = candidates
+    .filter(({ url }) => url.origin === origin)
+    .map(({ entry, method, url }) => {
+      const headers = headersToObject(entry.request.headers);
+      return {
+        method,
+        path: url.pathname,
+        query: Object.fromEntries((entry.request.queryString || []).map(param => [param.name, safeDecode(param.value ?? '')])),
+        ...harBody(entry.request.postData),
+        status: entry.response?.status > 0 ? entry.response.status : null,
+        ...harResponseBody(entry.response?.content),
+        auth: detectAuthentication(headers)
+      };
+    });
+
+  const skipped = har.log.entries.length - observations.length;
+  if (skipped > 0) {
+    warnings.push(`${skipped} of ${har.log.entries.length} HAR entries were not API requests to ${origin || 'the API'} and were skipped`);
+  }
+
+  return buildSpec(observations, {
+    title: options.title || (origin ? `${new URL(origin).hostname} API` : undefined),
+    description: 'Inferred from a HAR capture',
+    serverUrl: origin,
+    source: 'har',
+    warnings
+  });
+}
+
+/**
+ * Flatten a Postman item tree into requests with their folder names and effective auth
+ */
+function flattenPostmanItems(items, folders = [], auth = null) {
+  const requests = [];
+
+  for (const item of items || []) {
+    const itemAuth = item.auth || auth;
+    if (Array.isArray(item.item)) {
+      requests.push(...flattenPostmanItems(item.item, [...folders, item.name], itemAuth));
+    } else if (item.request) {
+      requests.push({ item, folders, auth: item.request.auth || itemAuth });
+    }
+  }
+
+  return requests;
+}
+
+function postmanAuth(auth) {
+  if (!auth || auth.type === 'noauth') return null;
+  if (auth.type === 'bearer' || auth.type === 'oauth2' || auth.type === 'jwt') return { type: 'bearer' };
+  if (auth.type === 'basic') return { type: 'basic' };
+  if (auth.type === 'apikey') {
+    const settings = Array.isArray(auth.apikey) ? Object.fromEntries(auth.apikey.map(entry => [entry.key, entry.value])) : {};
+    if (settings.in === 'query') return null;
+    return { type: 'apiKey', header: settings.key || 'X-API-Key' };
+  }
+  return null;
+}
+
+function postmanRawUrl(url) {
+  if (typeof url === 'string') return url;
+  if (url.raw) return url.raw;
+
+  const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+  const path = Array.isArray(url.path) ? url.path.join('/') : url.path || '';
+  return `${url.protocol ? `${url.protocol}://` : ''}${host}/${path}`;
+}
+
+/**
+ * Convert a Postman v2.x collection to an OpenAPI 3 document
+ *
+ * Collection variables (and options.variables) are substituted; variables left in
+ * the host become a server variable and ones left in the path become path parameters.
+ * Saved example responses provide the response schemas.
+ *
+ * @param {Object} document - Parsed collection (or { collection } export wrapper)
+ * @param {Object} options - { variables, title }
+ */
+export function postmanToOpenAPI(document, options = {}) {
+  const collection = document.collection || document;
+  if (collection.info?.schema && !/v2\.\d/.test(collection.info.schema)) {
+    throw importError('Only Postman v2.0/v2.1 collections are supported');
+  }
+
+  const variables = {
+    ...Object.fromEntries((collection.variable || []).filter(v => v.key).map(v => [v.key, String(v.value ?? '')])),
+    ...options.variables
+  };
+  const substitute = text => String(text ?? '').replace(/\{\{([^{}]+)\}\}/g, (match, name) =>
+    (variables[name] !== undefined && variables[name] !== '' ? variables[name] : match)
+  );
+
+  const warnings = [];
+  const observations = [];
+  let serverUrl = null;
+  let serverVariables = null;
+
+  for (const { item, folders, auth } of flattenPostmanItems(collection.item, [], collection.auth)) {
+    const request = typeof item.request === 'string' ? { method: 'GET', url: item.request } : item.request;
+    const method = (request.method || 'GET').toLowerCase();
+    if (!HTTP_METHODS.includes(method)) continue;
+
+    const { origin, path, query } = splitUrl(substitute(postmanRawUrl(request.url || '')));
+
+    // A host variable without a value stays a server variable
+    let requestServer = origin;
+    const hostVariable = origin.match(/^\{\{([^{}]+)\}\}$/);
+    if (hostVariable) {
+      requestServer = `{${hostVariable[1]}}`;
+      serverVariables = { [hostVariable[1]]: { default: 'http://localhost:8080' } };
+    } else if (origin && !/^[a-z][a-z0-9+.-]*:\/\//i.test(origin)) {
+      requestServer = `${/^(localhost|127\.)/.test(origin) ? 'http' : 'https'}://${origin}`;
+    }
+    if (!serverUrl && requestServer) {
+      serverUrl = requestServer;
+    } else if (requestServer && requestServer !== serverUrl) {
+      warnings.push(`"${item.name}" targets ${requestServer}; the project uses ${serverUrl}`);
+    }
+
+    const pathExamples = Object.fromEntries(((typeof request.url === 'object' && request.url.variable) || [])
+      .filter(v => v.key && v.value)
+      .map(v => [v.key, substitute(v.value)]));
+    const templatedPath = path
+      .split('/')
+      .map(segment => segment.replace(/^:(\w+)$/, '{$1}').replace(/^\{\{([^{}]+)\}\}$/, '{$1}'))
+      .join('/');
+
+    const queryValues = typeof request.url === 'object' && Array.isArray(request.url.query)
+      ? Object.fromEntries(request.url.query.filter(q => !q.disabled && q.key).map(q => [q.key, substitute(q.value)]))
+      : parseQueryString(query);
+    for (const [name, value] of Object.entries(queryValues)) {
+      // Unresolved variables are not usable examples
+      if (/\{\{.+\}\}/.test(value)) queryValues[name] = null;
+    }
+
+    const headers = headersToObject(request.header, 'key');
+    const customHeaders = Object.fromEntries(Object.entries(headers)
+      .filter(([name]) => !STANDARD_HEADERS.has(name.toLowerCase()) && !detectAuthentication({ [name]: 'x' }))
+      .map(([name, value]) => [name, /\{\{.+\}\}/.test(substitute(value)) ? null : substitute(value)]));
+
+    let body = {};
+    const requestBody = request.body;
+    if (requestBody?.mode === 'raw' && requestBody.raw?.trim()) {
+      // Unresolved variables still give the body's shape, but not a usable example
+      const raw = substitute(requestBody.raw);
+      const parsed = parseJson(raw.replace(/"\{\{[^{}]+\}\}"/g, '""').replace(/\{\{[^{}]+\}\}/g, '0'));
+      if (parsed !== undefined) {
+        body = { body: parsed, bodyMediaType: 'application/json', bodyHasVariables: /\{\{.+\}\}/.test(raw) };
+      } else if (requestBody.options?.raw?.language === 'json' || /json/i.test(headers['Content-Type'] || '')) {
+        warnings.push(`"${item.name}" has a JSON body that could not be parsed; its schema was skipped`);
+      }
+    } else if (requestBody?.mode === 'urlencoded') {
+      body = {
+        body: Object.fromEntries((requestBody.urlencoded || []).filter(p => !p.disabled).map(p => [p.key, substitute(p.value)])),
+        bodyMediaType: 'application/x-www-form-urlencoded'
+      };
+    }
+
+    const base = {
+      method,
+      path: templatedPath || '/',
+      pathExamples,
+      query: queryValues,
+      header: customHeaders,
+      ...body,
+      auth: postmanAuth(auth),
+      summary: item.name,
+      description: typeof request.description === 'string' ? request.description : request.description?.content,
+      tags: folders.length > 0 ? [folders[0]] : []
+    };
+
+    const examples = (item.response || []).filter(response => response.code);
+    if (examples.length === 0) {
+      observations.push({ ...base, status: null });
+    }
+    for (const example of examples) {
+      const responseHeaders = headersToObject(example.header || [], 'key');
+      const contentType = Object.entries(responseHeaders).find(([name]) => name.toLowerCase() === 'content-type')?.[1] || '';
+      const responseBody = (isJsonMime(contentType) || example._postman_previewlanguage === 'json') ? parseJson(example.body) : undefined;
+      observations.push({
+        ...base,
+        status: example.code,
+        ...(responseBody !== undefined && { responseBody, responseMediaType: 'application/json' })
+      });
+    }
+  }
+
+  return buildSpec(observations, {
+    title: options.title || collection.info?.name,
+    description: typeof collection.info?.description === 'string' ? collection.info.description : undefined,
+    serverUrl,
+    serverVariables,
+    source: 'postman',
+    warnings
+  });
+}
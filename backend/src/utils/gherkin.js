@@ -0,0 +1,368 @@
+/**
+ * Gherkin (.feature) parsing and formatting
+ *
+ * Covers the subset acceptance criteria are written in: Feature, Background,
+ * Scenario, Scenario Outline with Examples, Rule, tags, Given/When/Then/And/But
+ * steps, data tables and doc strings. Comments and language headers are ignored.
+ */
+
+const STEP_TYPES = {
+  given: 'given',
+  when: 'when',
+  then: 'then'
+};
+
+const STEP_KEYWORD = /^(Given|When|Then|And|But|\*)\s+(.*)$/;
+const HEADER_KEYWORD = /^(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenario|Example|Examples|Scenarios)\s*:\s*(.*)$/;
+const DOC_STRING = /^("""|```)/;
+
+/**
+ * Check whether text looks like Gherkin rather than free-form prose
+ */
+export function isGherkin(text) {
+  if (!text || typeof text !== 'string') {
+    return false;
+  }
+
+  if (/^\s*(?:Feature|Background|Scenario(?: Outline| Template)?|Example)\s*:/m.test(text)) {
+    return true;
+  }
+
+  // Bare Given/When/Then acceptance criteria without a Scenario header
+  return /^\s*Given\s+/m.test(text) && /^\s*(?:When|Then)\s+/m.test(text);
+}
+
+function parseError(message, lineNumber) {
+  return Object.assign(new Error(`Gherkin line ${lineNumber}: ${message}`), { status: 400 });
+}
+
+/**
+ * Split a table row into trimmed cells, honouring \| escapes
+ */
+function parseTableRow(line) {
+  const cells = [];
+  let cell = '';
+
+  const body = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\' && i + 1 < body.length) {
+      const next = body[++i];
+      cell += next === 'n' ? '\n' : next;
+    } else if (char === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+}
+
+function parseTags(line) {
+  return line.trim().split(/\s+/).filter(tag => tag.startsWith('@'));
+}
+
+/**
+ * Parse a feature file (or bare Given/When/Then text)
+ *
+ * @param {string} text - Gherkin source
+ * @returns {Object} { name, description, tags, background, scenarios[] }
+ *   where each scenario is { name, description, tags, outline, steps[], examples[] },
+ *   each step { keyword, type, text, dataTable, docString } and each examples
+ *   block { name, tags, headers, rows }
+ */
+export function parseFeature(text) {
+  const feature = { name: '', description: '', tags: [], background: [], scenarios: [] };
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+
+  let pendingTags = [];
+  let ruleTags = [];
+  let current = null;       // scenario, background or feature being filled
+  let currentSteps = null;  // steps array steps are added to
+  let lastStep = null;
+  let examples = null;
+  let descriptionTarget = feature;
+  let previousType = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const lineNumber = index + 1;
+    const line = lines[index].trim();
+
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    // Doc string attached to the previous step
+    const docStart = line.match(DOC_STRING);
+    if (docStart) {
+      if (!lastStep) {
+        throw parseError('doc string without a step', lineNumber);
+      }
+      const fence = docStart[1];
+      const indent = lines[index].indexOf(fence);
+      const content = [];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith(fence)) {
+        content.push(lines[index].slice(Math.min(indent, lines[index].search(/\S|$/))));
+        index++;
+      }
+      if (index >= lines.length) {
+        throw parseError('unterminated doc string', lineNumber);
+      }
+      lastStep.docString = content.join('\n');
+      continue;
+    }
+
+    // Table rows belong to the examples block or the previous step
+    if (line.startsWith('|')) {
+      const cells = parseTableRow(line);
+      if (examples) {
+        if (!examples.headers) {
+          examples.headers = cells;
+        } else {
+          if (cells.length !== examples.headers.length) {
+            throw parseError(`expected ${examples.headers.length} cells, found ${cells.length}`, lineNumber);
+          }
+          examples.rows.push(cells);
+        }
+      } else if (lastStep) {
+        lastStep.dataTable = lastStep.dataTable || [];
+        lastStep.dataTable.push(cells);
+      } else {
+        throw parseError('table without a step or Examples', lineNumber);
+      }
+      continue;
+    }
+
+    if (line.startsWith('@')) {
+      pendingTags.push(...parseTags(line));
+      continue;
+    }
+
+    const header = line.match(HEADER_KEYWORD);
+    if (header) {
+      const [, keyword, name] = header;
+      lastStep = null;
+      previousType = null;
+
+      if (keyword === 'Feature') {
+        feature.name = name.trim();
+        feature.tags = pendingTags;
+        descriptionTarget = feature;
+        current = null;
+        currentSteps = null;
+        examples = null;
+      } else if (keyword === 'Rule') {
+        ruleTags = pendingTags;
+        descriptionTarget = null;
+        current = null;
+        currentSteps = null;
+        examples = null;
+      } else if (keyword === 'Background') {
+        current = null;
+        currentSteps = feature.background;
+        descriptionTarget = null;
+        examples = null;
+      } else if (keyword === 'Examples' || keyword === 'Scenarios') {
+        if (!current) {
+          throw parseError('Examples outside a Scenario Outline', lineNumber);
+        }
+        current.outline = true;
+        examples = { name: name.trim(), tags: pendingTags, headers: null, rows: [] };
+        current.examples.push(examples);
+        descriptionTarget = null;
+      } else {
+        current = {
+          name: name.trim(),
+          description: '',
+          tags: [...feature.tags, ...ruleTags, ...pendingTags],
+          outline: keyword === 'Scenario Outline' || keyword === 'Scenario Template',
+          steps: [],
+          examples: []
+        };
+        feature.scenarios.push(current);
+        currentSteps = current.steps;
+        descriptionTarget = current;
+        examples = null;
+      }
+
+      pendingTags = [];
+      continue;
+    }
+
+    const step = line.match(STEP_KEYWORD);
+    if (step) {
+      const [, keyword, stepText] = step;
+
+      // Bare Given/When/Then text gets an implicit scenario
+      if (!currentSteps || examples) {
+        if (examples) {
+          throw parseError('step after Examples', lineNumber);
+        }
+        current = { name: feature.name || 'Scenario', description: '', tags: [...feature.tags], outline: false, steps: [], examples: [] };
+        feature.scenarios.push(current);
+        currentSteps = current.steps;
+      }
+
+      const lowerKeyword = keyword.toLowerCase();
+      const type = STEP_TYPES[lowerKeyword] || previousType || STEP_TYPES.given;
+      lastStep = { keyword, type, text: stepText.trim(), dataTable: null, docString: null };
+      currentSteps.push(lastStep);
+      previousType = type;
+      descriptionTarget = null;
+      continue;
+    }
+
+    // Free text under Feature/Scenario headers is description
+    if (descriptionTarget) {
+      descriptionTarget.description = descriptionTarget.description
+        ? `${descriptionTarget.description}\n${line}`
+        : line;
+      continue;
+    }
+
+    throw parseError(`unexpected text "${line.substring(0, 40)}"`, lineNumber);
+  }
+
+  if (feature.scenarios.length === 0) {
+    throw Object.assign(new Error('No scenarios found in Gherkin input'), { status: 400 });
+  }
+
+  for (const scenario of feature.scenarios) {
+    if (scenario.outline && scenario.examples.every(block => block.rows.length === 0)) {
+      throw Object.assign(new Error(`Scenario Outline "${scenario.name}" has no Examples rows`), { status: 400 });
+    }
+  }
+
+  return feature;
+}
+
+/**
+ * Replace <placeholder> references with values from an Examples row
+ */
+export function substitutePlaceholders(text, values) {
+  if (!text) return text;
+  return text.replace(/<([^<>]+)>/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  );
+}
+
+/**
+ * Expand a Scenario Outline into one concrete scenario per Examples row
+ */
+export function expandOutline(scenario) {
+  if (!scenario.outline) {
+    return [scenario];
+  }
+
+  const expanded = [];
+  for (const block of scenario.examples) {
+    block.rows.forEach((row, rowIndex) => {
+      const values = Object.fromEntries(block.headers.map((header, i) => [header, row[i]]));
+      const label = block.headers.map(header => `${header}=${values[header]}`).join(', ');
+
+      expanded.push({
+        name: `${substitutePlaceholders(scenario.name, values)} (${label})`,
+        description: scenario.description,
+        tags: [...scenario.tags, ...block.tags],
+        outline: false,
+        steps: scenario.steps.map(step => ({
+          ...step,
+          text: substitutePlaceholders(step.text, values),
+          dataTable: step.dataTable?.map(cells => cells.map(cell => substitutePlaceholders(cell, values))) || null,
+          docString: substitutePlaceholders(step.docString, values)
+        })),
+        examples: [],
+        example: { name: block.name, index: rowIndex, values }
+      });
+    });
+  }
+
+  return expanded;
+}
+
+function formatTable(rows, indent) {
+  const escape = cell => String(cell ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, '\\n');
+  const escaped = rows.map(cells => cells.map(escape));
+  const widths = escaped[0].map((_, column) => Math.max(...escaped.map(cells => (cells[column] || '').length)));
+
+  return escaped.map(cells =>
+    `${indent}| ${cells.map((cell, column) => cell.padEnd(widths[column])).join(' | ')} |`
+  );
+}
+
+function formatSteps(steps, indent) {
+  const lines = [];
+  let previousType = null;
+
+  for (const step of steps) {
+    const keyword = step.type === previousType
+      ? 'And'
+      : step.type.charAt(0).toUpperCase() + step.type.slice(1);
+    lines.push(`${indent}${keyword} ${step.text}`);
+    previousType = step.type;
+
+    if (step.dataTable?.length) {
+      lines.push(...formatTable(step.dataTable, `${indent}  `));
+    }
+    if (step.docString != null) {
+      lines.push(`${indent}  """`);
+      lines.push(...step.docString.split('\n').map(line => line ? `${indent}  ${line}` : ''));
+      lines.push(`${indent}  """`);
+    }
+  }
+
+  return lines;
+}
+
+function formatDescription(description, indent) {
+  return description ? description.split('\n').map(line => `${indent}${line}`) : [];
+}
+
+/**
+ * Format a feature (same shape parseFeature returns) as .feature text
+ */
+export function formatFeature(feature) {
+  const lines = [];
+
+  if (feature.tags?.length) {
+    lines.push(feature.tags.join(' '));
+  }
+  lines.push(`Feature: ${feature.name || 'Generated scenarios'}`);
+  lines.push(...formatDescription(feature.description, '  '));
+
+  if (feature.background?.length) {
+    lines.push('');
+    lines.push('  Background:');
+    lines.push(...formatSteps(feature.background, '    '));
+  }
+
+  for (const scenario of feature.scenarios) {
+    lines.push('');
+
+    // Feature-level tags are inherited, so only the scenario's own are written
+    const tags = (scenario.tags || []).filter(tag => !feature.tags?.includes(tag));
+    if (tags.length) {
+      lines.push(`  ${tags.join(' ')}`);
+    }
+
+    const outline = scenario.examples?.length > 0;
+    lines.push(`  ${outline ? 'Scenario Outline' : 'Scenario'}: ${scenario.name}`);
+    lines.push(...formatDescription(scenario.description, '    '));
+    lines.push(...formatSteps(scenario.steps, '    '));
+
+    for (const block of scenario.examples || []) {
+      lines.push('');
+      if (block.tags?.length) {
+        lines.push(`    ${block.tags.join(' ')}`);
+      }
+      lines.push(`    Examples:${block.name ? ` ${block.name}` : ''}`);
+      lines.push(...formatTable([block.headers, ...block.rows], '      '));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
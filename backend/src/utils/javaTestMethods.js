@@ -0,0 +1,80 @@
+/**
+ * @Test methods of a Java test class
+ *
+ * Finds each @Test method with the annotations, Javadoc and comments above it,
+ * and the TestRail case ids it names (@TmsLink, @TestRail, @CaseId,
+ * @TestCaseId, @Tms values, or C123 in the method name).
+ */
+
+import { extractCaseIds } from './testResultsParser.js';
+
+const CASE_ANNOTATION = /@(?:TmsLink|TestRail|CaseId|TestCaseId|Tms)\s*\(([^)]*)\)/g;
+
+/**
+ * Offsets where a Java member can end: `;`, `{` and `}` outside comments,
+ * string and char literals and parentheses, so annotation arguments such as
+ * `@TmsLink({"C1"})` or `description = "a; b"` are not mistaken for one
+ */
+function memberBoundaries(content) {
+  const boundaries = [];
+  let parenDepth = 0;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '/' && content[i + 1] === '/') {
+      i = content.indexOf('\n', i);
+      if (i === -1) break;
+    } else if (char === '/' && content[i + 1] === '*') {
+      i = content.indexOf('*/', i + 2) + 1;
+      if (i === 0) break;
+    } else if (char === '"' || char === "'") {
+      for (i++; i < content.length && content[i] !== char; i++) {
+        if (content[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      parenDepth++;
+    } else if (char === ')') {
+      parenDepth = Math.max(0, parenDepth - 1);
+    } else if (parenDepth === 0 && (char === ';' || char === '{' || char === '}')) {
+      boundaries.push(i);
+    }
+  }
+
+  return boundaries;
+}
+
+/**
+ * @Test methods with the annotations, Javadoc and comments above them
+ *
+ * @param {string} content - Java source
+ * @returns {Array<{name, header, description, caseIds}>} where header is the
+ *   source from the end of the previous member up to the method name
+ */
+export function extractTestMethods(content) {
+  const methods = [];
+  const boundaries = memberBoundaries(content);
+  const regex = /@Test\b[\s\S]*?\bvoid\s+(\w+)\s*\(/g;
+  let match;
+
+  while ((match = regex.exec(content)) !== null) {
+    // Back to the end of the previous member (or the class body's opening
+    // brace) so leading annotations and Javadoc are included
+    const previous = boundaries.filter(offset => offset < match.index).pop();
+    const start = previous === undefined ? 0 : previous + 1;
+    const header = content.slice(start, match.index + match[0].length);
+
+    // Every string of the annotation, so arrays like @TmsLink({"C1", "C2"}) link each case
+    const annotationValues = [...header.matchAll(CASE_ANNOTATION)]
+      .flatMap(m => [...m[1].matchAll(/"([^"]+)"/g)])
+      .flatMap(m => extractCaseIds(m[1], { bare: true }));
+
+    methods.push({
+      name: match[1],
+      header,
+      description: header.match(/description\s*=\s*"([^"]+)"/)?.[1] || header.match(/@DisplayName\(\s*"([^"]+)"/)?.[1] || null,
+      caseIds: [...new Set([...annotationValues, ...extractCaseIds(match[1])])]
+    });
+  }
+
+  return methods;
+}
@@ -0,0 +1,338 @@
+/**
+ * OpenAPI spec diffing
+ *
+ * Compares the endpoints of two spec versions (as parsed by
+ * ApiTestGenerationService.parseOpenAPIEndpoints from normalized specs) and
+ * classifies each change as breaking or non-breaking for existing clients.
+ * Requests and responses are judged in opposite directions: a new required
+ * request field breaks clients, a new response field does not.
+ */
+
+const MAX_DEPTH = 8;
+
+/**
+ * Operation key that ignores path parameter names (/pets/{id} == /pets/{petId})
+ */
+export function operationKey(endpoint) {
+  return `${endpoint.method} ${endpoint.path.replace(/\{[^}]+\}/g, '{}')}`;
+}
+
+function label(endpoint) {
+  return `${endpoint.method} ${endpoint.path}`;
+}
+
+function jsonSchema(bodyOrResponse) {
+  const content = bodyOrResponse?.content || {};
+  const type = Object.keys(content).find(t => t.includes('json'));
+  return type ? content[type].schema : null;
+}
+
+function isSuccess(code) {
+  return /^2\d\d$/.test(code);
+}
+
+function typeOf(schema) {
+  return Array.isArray(schema?.type) ? schema.type.filter(t => t !== 'null').join('|') : schema?.type;
+}
+
+/**
+ * Compare two schemas, recording changes under location.
+ * direction is 'request' (the client sends it) or 'response' (the client reads it).
+ */
+function compareSchemas(before, after, direction, location, record, depth = 0) {
+  if (!before || !after || depth > MAX_DEPTH) return;
+  const request = direction === 'request';
+
+  const oldType = typeOf(before);
+  const newType = typeOf(after);
+  if (oldType && newType && oldType !== newType) {
+    // integer -> number widens what a request accepts but not what a response promises
+    const widened = oldType === 'integer' && newType === 'number';
+    const narrowed = oldType === 'number' && newType === 'integer';
+    record('type-changed', request ? !widened : !narrowed, `${location} type changed from ${oldType} to ${newType}`);
+    return;
+  }
+
+  if (before.format !== after.format && (before.format || after.format)) {
+    record('format-changed', true, `${location} format changed from ${before.format || 'none'} to ${after.format || 'none'}`);
+  }
+
+  if (!before.nullable && after.nullable && !request) {
+    record('nullable-added', true, `${location} can now be null`);
+  } else if (before.nullable && !after.nullable && request) {
+    record('nullable-removed', true, `${location} no longer accepts null`);
+  }
+
+  if (before.enum || after.enum) {
+    const oldValues = before.enum || [];
+    const newValues = after.enum || [];
+    const removed = before.enum && after.enum ? oldValues.filter(value => !newValues.includes(value)) : [];
+    const added = before.enum && after.enum ? newValues.filter(value => !oldValues.includes(value)) : [];
+    if (removed.length > 0) {
+      record('enum-value-removed', request, `${location} no longer allows ${removed.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (added.length > 0) {
+      record('enum-value-added', !request, `${location} now allows ${added.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (!before.enum && after.enum) {
+      record('enum-added', request, `${location} is now restricted to ${newValues.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+  }
+
+  if (request) {
+    const tightened = [
+      ['minLength', (a, b) => b > a], ['maxLength', (a, b) => b < a],
+      ['minimum', (a, b) => b > a], ['maximum', (a, b) => b < a],
+      ['minItems', (a, b) => b > a], ['maxItems', (a, b) => b < a]
+    ].filter(([keyword, stricter]) => after[keyword] !== undefined &&
+      (before[keyword] === undefined || stricter(before[keyword], after[keyword])));
+    for (const [keyword] of tightened) {
+      record('constraint-tightened', true, `${location} ${keyword} is now ${after[keyword]}${before[keyword] !== undefined ? ` (was ${before[keyword]})` : ''}`);
+    }
+  }
+
+  if (before.properties || after.properties) {
+    const oldProperties = before.properties || {};
+    const newProperties = after.properties || {};
+    const oldRequired = before.required || [];
+    const newRequired = after.required || [];
+
+    for (const name of Object.keys(oldProperties)) {
+      const path = `${location}.${name}`;
+      if (!(name in newProperties)) {
+        record('property-removed', !request, `${path} removed`);
+        continue;
+      }
+      if (oldRequired.includes(name) && !newRequired.includes(name)) {
+        record('property-optional', !request, `${path} is no longer required`);
+      } else if (!oldRequired.includes(name) && newRequired.includes(name)) {
+        record('property-required', request, `${path} is now required`);
+      }
+      compareSchemas(oldProperties[name], newProperties[name], direction, path, record, depth + 1);
+    }
+
+    for (const name of Object.keys(newProperties)) {
+      if (!(name in oldProperties)) {
+        const required = newRequired.includes(name);
+        record('property-added', request && required, `${location}.${name} added${required ? ' (required)' : ''}`);
+      }
+    }
+  }
+
+  if (before.items || after.items) {
+    compareSchemas(before.items, after.items, direction, `${location}[]`, record, depth + 1);
+  }
+}
+
+function compareParameters(before, after, record) {
+  const key = param => `${param.in}:${param.in === 'header' ? param.name.toLowerCase() : param.name}`;
+  const describe = param => `${param.in} parameter \`${param.name}\``;
+  const oldParams = new Map((before.parameters || []).map(param => [key(param), param]));
+  const newParams = new Map((after.parameters || []).map(param => [key(param), param]));
+
+  for (const [id, param] of oldParams) {
+    // Renamed path parameters are the same parameter
+    const match = newParams.get(id) || (param.in === 'path'
+      ? after.parameters?.filter(p => p.in === 'path')[before.parameters.filter(p => p.in === 'path').indexOf(param)]
+      : null);
+
+    if (!match) {
+      record('parameter-removed', true, `${describe(param)} removed`);
+      continue;
+    }
+    if (!param.required && match.required) {
+      record('parameter-required', true, `${describe(param)} is now required`);
+    } else if (param.required && !match.required) {
+      record('parameter-optional', false, `${describe(param)} is no longer required`);
+    }
+    compareSchemas(param.schema, match.schema, 'request', describe(param), record);
+  }
+
+  for (const [id, param] of newParams) {
+    if (!oldParams.has(id) && param.in !== 'path') {
+      record('parameter-added', !!param.required, `${param.required ? 'New required' : 'New optional'} ${describe(param)}`);
+    }
+  }
+}
+
+function compareRequestBodies(before, after, record) {
+  const oldBody = before.requestBody;
+  const newBody = after.requestBody;
+
+  if (!oldBody && newBody) {
+    record('request-body-added', !!newBody.required, `Request body added${newBody.required ? ' (required)' : ''}`);
+    return;
+  }
+  if (oldBody && !newBody) {
+    record('request-body-removed', false, 'Request body removed');
+    return;
+  }
+  if (!oldBody) return;
+
+  if (!oldBody.required && newBody.required) {
+    record('request-body-required', true, 'Request body is now required');
+  }
+
+  const removedTypes = Object.keys(oldBody.content || {}).filter(type => !(type in (newBody.content || {})));
+  for (const type of removedTypes) {
+    record('request-media-type-removed', true, `Request body no longer accepts ${type}`);
+  }
+
+  compareSchemas(jsonSchema(oldBody), jsonSchema(newBody), 'request', 'request body', record);
+}
+
+function compareResponses(before, after, record) {
+  const oldResponses = before.responses || {};
+  const newResponses = after.responses || {};
+
+  for (const code of Object.keys(oldResponses)) {
+    if (!(code in newResponses)) {
+      record('response-status-removed', isSuccess(code), `Response ${code} removed`);
+    }
+  }
+  for (const code of Object.keys(newResponses)) {
+    if (!(code in oldResponses)) {
+      // A new success code replacing the old one changes what clients receive
+      const replacesSuccess = isSuccess(code) && Object.keys(oldResponses).some(isSuccess) &&
+        !Object.keys(oldResponses).some(old => isSuccess(old) && old in newResponses);
+      record('response-status-added', replacesSuccess, `Response ${code} added`);
+    }
+  }
+
+  for (const code of Object.keys(oldResponses).filter(c => c in newResponses)) {
+    const removedTypes = Object.keys(oldResponses[code].content || {})
+      .filter(type => !(type in (newResponses[code].content || {})));
+    for (const type of removedTypes) {
+      record('response-media-type-removed', true, `Response ${code} no longer returns ${type}`);
+    }
+    compareSchemas(jsonSchema(oldResponses[code]), jsonSchema(newResponses[code]), 'response', `response ${code} body`, record);
+  }
+}
+
+function compareSecurity(before, after, record) {
+  const schemes = endpoint => [...new Set((endpoint.security || []).flatMap(requirement => Object.keys(requirement)))].sort();
+  const oldSchemes = schemes(before);
+  const newSchemes = schemes(after);
+
+  if (oldSchemes.join() === newSchemes.join()) return;
+  if (oldSchemes.length === 0) {
+    record('security-added', true, `Now requires authentication (${newSchemes.join(', ')})`);
+  } else if (newSchemes.length === 0) {
+    record('security-removed', false, 'No longer requires authentication');
+  } else {
+    record('security-changed', true, `Authentication changed from ${oldSchemes.join(', ')} to ${newSchemes.join(', ')}`);
+  }
+}
+
+/**
+ * Diff two sets of endpoints
+ *
+ * @param {Object[]} oldEndpoints - Endpoints of the previous spec version
+ * @param {Object[]} newEndpoints - Endpoints of the new spec version
+ * @returns {Object} { summary, changes[{ operation, operationId, kind, breaking, message }],
+ *   operations: { added, removed, changed } } where operations hold operation keys
+ */
+export function diffEndpoints(oldEndpoints, newEndpoints) {
+  const oldByKey = new Map(oldEndpoints.map(endpoint => [operationKey(endpoint), endpoint]));
+  const newByKey = new Map(newEndpoints.map(endpoint => [operationKey(endpoint), endpoint]));
+  const changes = [];
+  const operations = { added: [], removed: [], changed: [] };
+
+  for (const [key, endpoint] of oldByKey) {
+    if (!newByKey.has(key)) {
+      operations.removed.push(key);
+      changes.push({ operation: label(endpoint), operationId: endpoint.operationId, kind: 'endpoint-removed', breaking: true, message: 'Endpoint removed' });
+    }
+  }
+
+  for (const [key, endpoint] of newByKey) {
+    const previous = oldByKey.get(key);
+    if (!previous) {
+      operations.added.push(key);
+      changes.push({ operation: label(endpoint), operationId: endpoint.operationId, kind: 'endpoint-added', breaking: false, message: 'Endpoint added' });
+      continue;
+    }
+
+    const operationChanges = [];
+    const record = (kind, breaking, message) => operationChanges.push({
+      operation: label(endpoint),
+      operationId: endpoint.operationId,
+      kind,
+      breaking: !!breaking,
+      message
+    });
+
+    if (!previous.deprecated && endpoint.deprecated) {
+      record('endpoint-deprecated', false, 'Endpoint deprecated');
+    }
+    compareParameters(previous, endpoint, record);
+    compareRequestBodies(previous, endpoint, record);
+    compareResponses(previous, endpoint, record);
+    compareSecurity(previous, endpoint, record);
+
+    if (operationChanges.length > 0) {
+      operations.changed.push(key);
+      changes.push(...operationChanges);
+    }
+  }
+
+  const breaking = changes.filter(change => change.breaking).length;
+  return {
+    summary: {
+      breaking,
+      nonBreaking: changes.length - breaking,
+      added: operations.added.length,
+      removed: operations.removed.length,
+      changed: operations.changed.length
+    },
+    changes,
+    operations
+  };
+}
+
+/**
+ * Human-readable (Markdown) change report
+ *
+ * @param {Object} diff - diffEndpoints result
+ * @param {Object} options - { title, fromVersion, toVersion }
+ */
+export function formatDiffReport(diff, { title = 'API', fromVersion, toVersion } = {}) {
+  const lines = [];
+  const versions = fromVersion || toVersion ? ` ${fromVersion || '?'} → ${toVersion || '?'}` : '';
+  lines.push(`# ${title} changes${versions}`);
+  lines.push('');
+
+  if (diff.changes.length === 0) {
+    lines.push('No changes to endpoints, parameters, bodies, responses or authentication.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  const { summary } = diff;
+  lines.push(`**${summary.breaking} breaking** and ${summary.nonBreaking} non-breaking changes: ` +
+    `${summary.added} endpoint(s) added, ${summary.removed} removed, ${summary.changed} changed.`);
+
+  for (const [heading, breaking] of [['Breaking changes', true], ['Non-breaking changes', false]]) {
+    const changes = diff.changes.filter(change => change.breaking === breaking);
+    if (changes.length === 0) continue;
+
+    lines.push('');
+    lines.push(`## ${heading}`);
+    lines.push('');
+
+    const byOperation = new Map();
+    for (const change of changes) {
+      if (!byOperation.has(change.operation)) byOperation.set(change.operation, []);
+      byOperation.get(change.operation).push(change.message);
+    }
+    for (const [operation, messages] of byOperation) {
+      if (messages.length === 1) {
+        lines.push(`- \`${operation}\`: ${messages[0]}`);
+      } else {
+        lines.push(`- \`${operation}\``);
+        lines.push(...messages.map(message => `  - ${message}`));
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
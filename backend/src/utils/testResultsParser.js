@@ -0,0 +1,248 @@
+/**
+ * Automated test result parsing
+ *
+ * Reads JUnit XML (Surefire, Gradle, most CI tools), TestNG's testng-results.xml
+ * and Allure result JSON (allure-results/*-result.json) into one shape:
+ * { name, className, title, status, durationMs, message, trace, caseIds, defects, attachments }
+ * where status is passed | failed | skipped, caseIds are TestRail case ids taken
+ * from Allure TMS links, result properties or a C<id> token in the name, and
+ * title is a readable form of the test name for matching cases by title.
+ */
+
+import * as cheerio from 'cheerio';
+
+// A C<id> token stands alone: "test_C12_login" and "C12 login" carry C12, "check_C3PO" and "ABC12" none
+const CASE_ID_TOKEN = /(?<![A-Za-z0-9])C(\d{1,9})(?![A-Za-z0-9])/g;
+const TMS_PROPERTIES = ['tms', 'tmslink', 'testrail', 'testrail_case_id', 'case_id'];
+
+/**
+ * Guess the report format from its content
+ *
+ * @returns {string|null} 'junit', 'testng', 'allure' or null
+ */
+export function detectResultFormat(report) {
+  if (Array.isArray(report) || (report && typeof report === 'object')) {
+    return 'allure';
+  }
+  if (typeof report !== 'string') {
+    return null;
+  }
+
+  const text = report.trim();
+  if (text.startsWith('[') || text.startsWith('{')) return 'allure';
+  if (/<testng-results[\s>]/.test(text)) return 'testng';
+  if (/<testsuites?[\s>]/.test(text)) return 'junit';
+  return null;
+}
+
+/**
+ * TestRail case ids in a TMS link value or test name ("C123", "123", "test_C123_login")
+ */
+export function extractCaseIds(text, { bare = false } = {}) {
+  if (text === undefined || text === null) return [];
+  const value = String(text).trim();
+
+  if (bare && /^C?\d+$/i.test(value)) {
+    return [parseInt(value.replace(/^C/i, ''), 10)];
+  }
+  return [...value.matchAll(CASE_ID_TOKEN)].map(match => parseInt(match[1], 10));
+}
+
+/**
+ * Readable title from a method name ("testLoginWithValidPassword" → "Login with valid password")
+ */
+export function humanizeTestName(name) {
+  const words = String(name || '')
+    .replace(/\[.*\]$/, '')                        // Parameterized suffix
+    .replace(/\(.*\)$/, '')
+    .replace(CASE_ID_TOKEN, ' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/[_\-.]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (words[0]?.toLowerCase() === 'test' && words.length > 1) {
+    words.shift();
+  }
+
+  const sentence = words.map(word => (/^[A-Z0-9]+$/.test(word) && word.length > 1 ? word : word.toLowerCase())).join(' ');
+  return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function result({ name, className = null, title = null, status, durationMs = 0, message = null, trace = null, caseIds = [], defects = [], attachments = [] }) {
+  return {
+    name,
+    className,
+    title: title || humanizeTestName(name),
+    status,
+    durationMs: Math.max(0, Math.round(durationMs || 0)),
+    message: message || null,
+    trace: trace || null,
+    caseIds: unique([...caseIds, ...extractCaseIds(name)]),
+    defects: unique(defects),
+    attachments
+  };
+}
+
+function loadXml(xml) {
+  try {
+    return cheerio.load(xml, { xml: true });
+  } catch (error) {
+    throw Object.assign(new Error(`Report is not valid XML: ${error.message}`), { status: 400 });
+  }
+}
+
+/**
+ * Case ids from <property name="tms" value="C123"/> style properties
+ */
+function propertyCaseIds($, element) {
+  return $(element).find('property, attribute').toArray().flatMap(property => {
+    const name = ($(property).attr('name') || '').toLowerCase();
+    if (!TMS_PROPERTIES.includes(name)) return [];
+    return extractCaseIds($(property).attr('value') ?? $(property).text(), { bare: true });
+  });
+}
+
+/**
+ * Parse JUnit XML (<testsuites>/<testsuite>/<testcase>)
+ */
+export function parseJUnitXml(xml) {
+  const $ = loadXml(xml);
+  const testcases = $('testcase').toArray();
+
+  if (testcases.length === 0 && $('testsuite, testsuites').length === 0) {
+    throw Object.assign(new Error('Report has no <testsuite> or <testcase> elements'), { status: 400 });
+  }
+
+  return testcases.map(testcase => {
+    const element = $(testcase);
+    const failure = element.children('failure, error').first();
+    const skipped = element.children('skipped').first();
+    const output = element.children('system-out').text().trim();
+
+    let status = 'passed';
+    if (failure.length > 0) status = 'failed';
+    else if (skipped.length > 0) status = 'skipped';
+
+    return result({
+      name: element.attr('name') || 'unnamed',
+      className: element.attr('classname') || null,
+      status,
+      durationMs: parseFloat(element.attr('time') || '0') * 1000,
+      message: failure.attr('message') || skipped.attr('message') || null,
+      trace: failure.text().trim() || (status === 'failed' ? output : null),
+      caseIds: propertyCaseIds($, testcase)
+    });
+  });
+}
+
+/**
+ * Parse TestNG's testng-results.xml (configuration methods are skipped)
+ */
+export function parseTestNGXml(xml) {
+  const $ = loadXml(xml);
+
+  if ($('testng-results').length === 0) {
+    throw Object.assign(new Error('Report has no <testng-results> element'), { status: 400 });
+  }
+
+  return $('test-method').toArray()
+    .filter(method => $(method).attr('is-config') !== 'true')
+    .map(method => {
+      const element = $(method);
+      const exception = element.children('exception').first();
+      const testngStatus = (element.attr('status') || '').toUpperCase();
+      const status = testngStatus === 'PASS' ? 'passed' : testngStatus === 'SKIP' ? 'skipped' : 'failed';
+
+      return result({
+        name: element.attr('name') || 'unnamed',
+        className: element.parent('class').attr('name') || null,
+        title: element.attr('description') || null,
+        status,
+        durationMs: parseInt(element.attr('duration-ms') || '0', 10),
+        message: exception.children('message').text().trim() || exception.attr('class') || null,
+        trace: exception.children('full-stacktrace').text().trim() || null,
+        caseIds: propertyCaseIds($, method)
+      });
+    });
+}
+
+/**
+ * Parse Allure results
+ *
+ * @param {Object[]|string} results - Result objects (or their JSON); containers are ignored
+ * @param {Object} attachments - Optional attachment contents by source file name (base64)
+ */
+export function parseAllureResults(results, attachments = {}) {
+  let items = results;
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch (error) {
+      throw Object.assign(new Error(`Allure results are not valid JSON: ${error.message}`), { status: 400 });
+    }
+  }
+  items = (Array.isArray(items) ? items : [items]).filter(item => item && item.status && item.name);
+
+  if (items.length === 0) {
+    throw Object.assign(new Error('No Allure results with a name and status'), { status: 400 });
+  }
+
+  const collectAttachments = (node) => [
+    ...(node.attachments || []),
+    ...(node.steps || []).flatMap(collectAttachments)
+  ];
+
+  return items.map(item => {
+    const links = item.links || [];
+    const labels = item.labels || [];
+    const label = (name) => labels.find(l => l.name === name)?.value;
+
+    return result({
+      name: item.name,
+      className: label('testClass') || item.fullName?.replace(/[.#][^.#]*$/, '') || null,
+      title: item.name,
+      // Allure's "broken" is an error outside the assertions
+      status: item.status === 'passed' ? 'passed' : item.status === 'skipped' ? 'skipped' : 'failed',
+      durationMs: item.stop && item.start ? item.stop - item.start : 0,
+      message: item.statusDetails?.message,
+      trace: item.statusDetails?.trace,
+      caseIds: [
+        ...links.filter(link => link.type === 'tms').flatMap(link => extractCaseIds(link.name || link.url?.split('/').pop(), { bare: true })),
+        ...labels.filter(l => ['testId', 'as_id', 'AS_ID'].includes(l.name)).flatMap(l => extractCaseIds(l.value, { bare: true }))
+      ],
+      defects: links.filter(link => link.type === 'issue').map(link => link.name).filter(Boolean),
+      attachments: collectAttachments(item)
+        .filter(attachment => attachments[attachment.source])
+        .map(attachment => ({
+          filename: attachment.source,
+          name: attachment.name || attachment.source,
+          content: Buffer.from(attachments[attachment.source], 'base64')
+        }))
+    });
+  });
+}
+
+/**
+ * Parse a report in any supported format
+ *
+ * @param {string|Object[]} report - XML text, or Allure results (array or JSON)
+ * @param {Object} options - { format: 'junit'|'testng'|'allure' (detected when omitted), attachments }
+ */
+export function parseTestResults(report, { format = null, attachments = {} } = {}) {
+  const resolved = format || detectResultFormat(report);
+
+  if (resolved === 'junit') return parseJUnitXml(report);
+  if (resolved === 'testng') return parseTestNGXml(report);
+  if (resolved === 'allure') return parseAllureResults(report, attachments);
+
+  throw Object.assign(new Error(format
+    ? `Unsupported result format "${format}" (use junit, testng, allure)`
+    : 'Could not detect the report format (expected JUnit XML, testng-results.xml or Allure results)'), { status: 400 });
+}
@@ -0,0 +1,152 @@
+/**
+ * Traceability matrix exports
+ *
+ * Flattens a TraceabilityService report into CSV (one row per
+ * criterion → case → automated test link) or a standalone HTML page with the
+ * gaps highlighted.
+ */
+
+const CSV_COLUMNS = ['Ticket', 'Summary', 'Status', 'Criterion', 'Criterion text', 'Case', 'Case title', 'Automated test', 'Match', 'Gap'];
+
+const GAP_LABELS = {
+  ticket_without_cases: 'Ticket has no cases',
+  criterion_without_case: 'Criterion has no case',
+  case_without_automation: 'Case has no automation'
+};
+
+function testName(automation) {
+  return `${automation.className}.${automation.method}`;
+}
+
+/**
+ * One row per link, with gaps as their own rows
+ */
+export function traceabilityRows(report) {
+  const rows = [];
+
+  for (const ticket of report.tickets) {
+    const base = { ticket: ticket.key, summary: ticket.summary, status: ticket.status };
+    const casesById = new Map(ticket.cases.map(c => [c.id, c]));
+    const caseRows = (testCase, criterion) => {
+      const automation = testCase.automation.length > 0 ? testCase.automation : [null];
+      return automation.map(test => ({
+        ...base,
+        criterion: criterion?.id || '',
+        criterionText: criterion?.text || '',
+        caseId: `C${testCase.id}`,
+        caseTitle: testCase.title,
+        test: test ? testName(test) : '',
+        match: test?.match || '',
+        gap: !test && report.scope.repoPath ? GAP_LABELS.case_without_automation : ''
+      }));
+    };
+
+    if (ticket.cases.length === 0) {
+      rows.push({ ...base, criterion: '', criterionText: '', caseId: '', caseTitle: '', test: '', match: '', gap: GAP_LABELS.ticket_without_cases });
+    } else {
+      for (const criterion of ticket.criteria) {
+        if (criterion.cases.length === 0) {
+          rows.push({ ...base, criterion: criterion.id, criterionText: criterion.text, caseId: '', caseTitle: '', test: '', match: '', gap: GAP_LABELS.criterion_without_case });
+        }
+        criterion.cases.forEach(id => rows.push(...caseRows(casesById.get(id), criterion)));
+      }
+      ticket.cases.filter(c => c.criteria.length === 0).forEach(c => rows.push(...caseRows(c, null)));
+    }
+
+    for (const test of ticket.automation) {
+      rows.push({ ...base, criterion: '', criterionText: '', caseId: '', caseTitle: '', test: testName(test), match: test.match, gap: '' });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * CSV with a header row (RFC 4180 quoting)
+ */
+export function formatTraceabilityCsv(report) {
+  const quote = (value) => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of traceabilityRows(report)) {
+    lines.push([row.ticket, row.summary, row.status, row.criterion, row.criterionText, row.caseId, row.caseTitle, row.test, row.match, row.gap].map(quote).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Standalone HTML page
+ */
+export function formatTraceabilityHtml(report) {
+  const { scope, summary } = report;
+  const title = scope.sprintId ? `Sprint ${scope.sprintId}` : `${scope.projectKey} ${scope.fixVersion}`;
+  const link = (url, text) => (url ? `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>` : escapeHtml(text));
+  const percent = (part, whole) => (whole > 0 ? `${Math.round((part / whole) * 100)}%` : '–');
+
+  const tickets = report.tickets.map(ticket => {
+    const casesById = new Map(ticket.cases.map(c => [c.id, c]));
+    const rows = traceabilityRows({ ...report, tickets: [ticket] }).map(row => {
+      const testCase = row.caseId ? casesById.get(Number(row.caseId.slice(1))) : null;
+      return `<tr class="${row.gap ? 'gap' : ''}">
+        <td>${escapeHtml(row.criterion)}</td>
+        <td>${escapeHtml(row.criterionText)}</td>
+        <td>${testCase ? link(testCase.url, row.caseId) : ''}</td>
+        <td>${escapeHtml(row.caseTitle)}</td>
+        <td><code>${escapeHtml(row.test)}</code>${row.match ? ` <span class="match">${escapeHtml(row.match)}</span>` : ''}</td>
+        <td>${escapeHtml(row.gap)}</td>
+      </tr>`;
+    }).join('');
+
+    return `<section>
+      <h2>${link(ticket.url, ticket.key)} ${escapeHtml(ticket.summary)} <span class="status">${escapeHtml(ticket.status)}</span></h2>
+      <table>
+        <thead><tr><th>Criterion</th><th>Text</th><th>Case</th><th>Title</th><th>Automated test</th><th>Gap</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Traceability – ${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem; color: #111827; }
+  .summary { display: flex; gap: 1rem; margin-bottom: 2rem; }
+  .summary div { background: #f3f4f6; border-radius: 8px; padding: 0.75rem 1rem; }
+  .summary strong { display: block; font-size: 1.5rem; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; font-size: 0.875rem; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f9fafb; }
+  tr.gap td { background: #fef2f2; }
+  .status, .match { color: #6b7280; font-size: 0.75rem; font-weight: normal; }
+  .warnings { color: #92400e; }
+</style>
+</head>
+<body>
+<h1>Traceability – ${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(report.generatedAt)}</p>
+<div class="summary">
+  <div><strong>${summary.tickets}</strong>tickets (${summary.ticketsWithoutCases} without cases)</div>
+  <div><strong>${percent(summary.criteriaCovered, summary.criteria)}</strong>${summary.criteriaCovered}/${summary.criteria} criteria with cases</div>
+  <div><strong>${percent(summary.casesAutomated, summary.cases)}</strong>${summary.casesAutomated}/${summary.cases} cases automated</div>
+  <div><strong>${summary.automatedTests}</strong>automated tests</div>
+</div>
+${report.warnings.length > 0 ? `<ul class="warnings">${report.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>` : ''}
+${tickets}
+</body>
+</html>
+`;
+}
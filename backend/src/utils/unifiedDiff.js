@@ -0,0 +1,96 @@
+/**
+ * Minimal unified diff generation (git format)
+ *
+ * Produces a single hunk covering the changed region between two versions
+ * of a file, which is all the code write-back needs (insertions at one
+ * place in a file, appends, new files).
+ */
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Split content into lines, remembering whether the last line ends with a newline
+ */
+function splitLines(content) {
+  if (!content) {
+    return { lines: [], trailingNewline: true };
+  }
+
+  const trailingNewline = content.endsWith('\n');
+  const lines = content.split('\n');
+  if (trailingNewline) {
+    lines.pop();
+  }
+  return { lines, trailingNewline };
+}
+
+function hunkRange(start, count) {
+  // Empty ranges point at the line before the hunk (git convention)
+  if (count === 0) return `${start - 1},0`;
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Create a git-style unified diff for one file
+ *
+ * @param {string} filePath - Path relative to the repository root
+ * @param {string|null} oldContent - Current content (null for a new file)
+ * @param {string} newContent - Content after the change
+ * @returns {string} Diff text ('' if the contents are identical)
+ */
+export function createFilePatch(filePath, oldContent, newContent) {
+  if (oldContent === newContent) {
+    return '';
+  }
+
+  const isNew = oldContent === null || oldContent === undefined;
+  const before = splitLines(isNew ? '' : oldContent);
+  const after = splitLines(newContent);
+
+  // A missing final newline makes the last line differ even if its text is equal
+  const lineKey = (side, index) => (
+    index === side.lines.length - 1 && !side.trailingNewline ? `${side.lines[index]}\0` : side.lines[index]
+  );
+
+  let prefix = 0;
+  while (prefix < before.lines.length && prefix < after.lines.length &&
+         lineKey(before, prefix) === lineKey(after, prefix)) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (suffix < before.lines.length - prefix && suffix < after.lines.length - prefix &&
+         lineKey(before, before.lines.length - 1 - suffix) === lineKey(after, after.lines.length - 1 - suffix)) {
+    suffix++;
+  }
+
+  const start = Math.max(0, prefix - CONTEXT_LINES);
+  const beforeEnd = Math.min(before.lines.length, before.lines.length - suffix + CONTEXT_LINES);
+  const afterEnd = Math.min(after.lines.length, after.lines.length - suffix + CONTEXT_LINES);
+
+  const body = [];
+  const pushLine = (marker, side, index) => {
+    body.push(`${marker}${side.lines[index]}`);
+    if (index === side.lines.length - 1 && !side.trailingNewline) {
+      body.push('\\ No newline at end of file');
+    }
+  };
+
+  for (let i = start; i < prefix; i++) pushLine(' ', before, i);
+  for (let i = prefix; i < before.lines.length - suffix; i++) pushLine('-', before, i);
+  for (let i = prefix; i < after.lines.length - suffix; i++) pushLine('+', after, i);
+  for (let i = before.lines.length - suffix; i < beforeEnd; i++) pushLine(' ', before, i);
+
+  const header = [`diff --git a/${filePath} b/${filePath}`];
+  if (isNew) {
+    header.push('new file mode 100644', '--- /dev/null', `+++ b/${filePath}`);
+  } else {
+    header.push(`--- a/${filePath}`, `+++ b/${filePath}`);
+  }
+
+  const oldCount = beforeEnd - start;
+  const newCount = afterEnd - start;
+  header.push(`@@ -${hunkRange(start + 1, oldCount)} +${hunkRange(start + 1, newCount)} @@`);
+
+  return [...header, ...body].join('\n') + '\n';
+}
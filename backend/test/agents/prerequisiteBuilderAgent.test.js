@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { prerequisiteBuilderAgent } from '../../src/agents/prerequisiteBuilderAgent.js';
+
+// Agent bound to a profile whose tests extend AppTest
+function agentWithBaseClass(baseClass) {
+  const agent = Object.create(prerequisiteBuilderAgent);
+  agent.applyProfile({
+    id: 'app-test',
+    composer: { baseClass },
+    prerequisites: { screenClassMap: { player: 'VideoPlayerScreen' } }
+  });
+  return agent;
+}
+
+// Learned graph with a single home → container edge
+const learnedGraph = {
+  adjacency: {
+    home: {
+      container: {
+        from: 'home',
+        to: 'container',
+        weight: 3,
+        transitions: [{ className: null, methodName: 'openFirstShow', count: 3, exampleFiles: ['WatchTest.java'] }]
+      }
+    }
+  }
+};
+
+describe('PrerequisiteBuilderAgent.buildNavigationSteps', () => {
+  it('assigns base class navigation to the profile\'s base class', () => {
+    const agent = agentWithBaseClass('AppTest');
+
+    const [container] = agent.buildNavigationSteps(['home', 'container'], learnedGraph);
+
+    assert.deepEqual([container.class, container.method, container.learned], ['AppTest', 'openFirstShow', true]);
+  });
+
+  it('falls back to the screen class map for transitions never learned', () => {
+    const agent = agentWithBaseClass('AppTest');
+
+    const steps = agent.buildNavigationSteps(['home', 'container', 'player'], learnedGraph);
+
+    assert.deepEqual(steps.map(step => [step.screen, step.class, step.method]), [
+      ['container', 'AppTest', 'openFirstShow'],
+      ['player', 'VideoPlayerScreen', 'navigateToPlayer']
+    ]);
+  });
+
+  it('calls base class steps without a receiver in the setup code', () => {
+    const agent = agentWithBaseClass('AppTest');
+    const navigationToTarget = agent.buildNavigationSteps(['home', 'container'], learnedGraph);
+
+    const code = agent.generateBeforeMethodCode({
+      setupSequence: agent.buildSetupSequence(['app_launch', 'home', 'container'], false),
+      navigationToTarget
+    });
+
+    assert.match(code, /^    launchApp\(\);$/m);
+    assert.match(code, /^    openFirstShow\(\);$/m);
+    assert.doesNotMatch(code, /appTest\./);
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scenarioDecomposerAgent } from '../../src/agents/scenarioDecomposerAgent.js';
+
+describe('ScenarioDecomposerAgent.decompose', () => {
+  it('refuses Gherkin with several scenarios instead of keeping the first', async () => {
+    const feature = `Feature: Playback
+  Scenario: Resume a show
+    When the user clicks resume
+    Then playback starts
+
+  Scenario: Restart a show
+    When the user clicks restart
+    Then playback starts from the beginning
+`;
+
+    const result = await scenarioDecomposerAgent.decompose(feature);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /2 scenarios \("Resume a show", "Restart a show"\)/);
+    assert.match(result.error, /decompose-gherkin/);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import apiTestGenerationService from '../../src/services/apiTestGenerationService.js';
+
+const SPEC_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/petstore.openapi.yaml');
+
+describe('ApiTestGenerationService.generateProject', () => {
+  let spec;
+
+  before(async () => {
+    spec = await apiTestGenerationService.loadSpec({ specPath: SPEC_PATH });
+  });
+
+  const paths = project => project.files.map(file => file.path);
+  const file = (project, filePath) => project.files.find(f => f.path === filePath).content;
+
+  it('lays out a Maven project for Rest Assured', async () => {
+    const project = await apiTestGenerationService.generateProject(spec, { framework: 'restAssured' });
+
+    assert.equal(project.projectName, 'pet-store');
+    assert.equal(project.baseUrl, 'https://api.example.com/v1');
+    assert.deepEqual(paths(project), [
+      'pom.xml',
+      'src/test/java/api/BaseApiTest.java',
+      'README.md',
+      'src/test/java/api/PetsApiTest.java',
+      'src/test/java/api/PetsPetIdApiTest.java',
+      'src/test/resources/schemas/listPets-response.json',
+      'src/test/resources/schemas/createPet-response.json',
+      'src/test/resources/schemas/getPetsPetId-response.json'
+    ]);
+    assert.match(file(project, 'pom.xml'), /<artifactId>rest-assured<\/artifactId>/);
+    assert.match(file(project, 'src/test/java/api/PetsApiTest.java'), /class PetsApiTest extends BaseApiTest/);
+  });
+
+  it('lays out an npm project for Playwright', async () => {
+    const project = await apiTestGenerationService.generateProject(spec, { framework: 'playwright' });
+
+    assert.deepEqual(paths(project), [
+      'package.json',
+      'playwright.config.ts',
+      'tsconfig.json',
+      'README.md',
+      'tests/api/functional.spec.ts',
+      'tests/api/contract.spec.ts',
+      'tests/api/schemas/listPets-response.json',
+      'tests/api/schemas/createPet-response.json',
+      'tests/api/schemas/getPetsPetId-response.json'
+    ]);
+    assert.equal(JSON.parse(file(project, 'package.json')).name, 'pet-store');
+    assert.match(file(project, 'tests/api/functional.spec.ts'), /process\.env\.BASE_URL \|\| 'https:\/\/api\.example\.com\/v1'/);
+    assert.match(file(project, 'tests/api/functional.spec.ts'), /Authorization: `Bearer \$\{process\.env\.API_TOKEN\}`/);
+  });
+
+  it('lays out one feature per operation for Karate', async () => {
+    const project = await apiTestGenerationService.generateProject(spec, { framework: 'karate' });
+
+    assert.deepEqual(paths(project), [
+      'pom.xml',
+      'src/test/java/karate-config.js',
+      'src/test/java/features/ApiTest.java',
+      'README.md',
+      'src/test/java/features/listPets.feature',
+      'src/test/java/features/createPet.feature',
+      'src/test/java/features/getPetsPetId.feature'
+    ]);
+    assert.deepEqual(project.byType, { functional: 3 });
+    assert.ok(project.warnings.includes('Karate projects include happy-path features only'));
+  });
+
+  it('counts tests per type and names operations without an operationId', async () => {
+    const project = await apiTestGenerationService.generateProject(spec, { framework: 'restAssured' });
+
+    assert.deepEqual(project.byType, { functional: 7, contract: 12 });
+    assert.equal(project.totalTests, 19);
+    assert.equal(project.files.reduce((sum, f) => sum + (f.testCount || 0), 0), project.totalTests);
+    assert.deepEqual(project.endpoints.map(e => `${e.method} ${e.path} ${e.operationId}`), [
+      'GET /pets listPets',
+      'POST /pets createPet',
+      'GET /pets/{petId} getPetsPetId'
+    ]);
+    assert.ok(project.warnings.includes('1 operation(s) have no operationId; names were derived from method and path'));
+  });
+
+  it('writes response schemas only for contract tests', async () => {
+    const project = await apiTestGenerationService.generateProject(spec, { framework: 'playwright', testTypes: ['functional'] });
+
+    assert.ok(!paths(project).some(p => p.includes('schemas/')));
+    assert.deepEqual(JSON.parse(file(
+      await apiTestGenerationService.generateProject(spec, { framework: 'playwright' }),
+      'tests/api/schemas/getPetsPetId-response.json'
+    )).required, ['id', 'name']);
+  });
+
+  it('rejects unsupported frameworks and test types', async () => {
+    await assert.rejects(apiTestGenerationService.generateProject(spec, { framework: 'postman' }), { status: 400, message: /Unsupported framework "postman"/ });
+    await assert.rejects(apiTestGenerationService.generateProject(spec, { testTypes: ['fuzz'] }), { status: 400, message: /Unknown test types: fuzz/ });
+  });
+});
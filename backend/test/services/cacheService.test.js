@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import cacheService from '../../src/services/cacheService.js';
+
+describe('CacheService.getPromptHash', () => {
+  const request = {
+    provider: 'gemini',
+    model: 'gemini-2.5-flash',
+    temperature: 0.3,
+    maxTokens: 2000,
+    systemPrompt: 'You are a QA engineer.',
+    userPrompt: 'Write test cases for login.'
+  };
+  const hash = overrides => cacheService.getPromptHash({ ...request, ...overrides });
+
+  it('ignores whitespace differences in the prompts', () => {
+    assert.equal(hash({ userPrompt: '  Write test cases\n\nfor   login. ' }), hash());
+  });
+
+  it('keys on every generation parameter', () => {
+    assert.notEqual(hash({ maxTokens: 8192 }), hash());
+    assert.notEqual(hash({ temperature: 0.7 }), hash());
+    assert.notEqual(hash({ topP: 0.9 }), hash());
+  });
+
+  it('does not depend on the order parameters are passed in', () => {
+    const { temperature, maxTokens, ...rest } = request;
+
+    assert.equal(cacheService.getPromptHash({ maxTokens, ...rest, temperature }), hash());
+  });
+
+  it('keys on provider, model and prompts', () => {
+    assert.notEqual(hash({ provider: 'claude' }), hash());
+    assert.notEqual(hash({ model: 'gemini-2.5-pro' }), hash());
+    assert.notEqual(hash({ systemPrompt: '' }), hash());
+  });
+});
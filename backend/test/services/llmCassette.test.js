@@ -0,0 +1,134 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { llmCassette } from '../../src/services/llmCassette.js';
+import { llmGateway } from '../../src/services/llmGateway.js';
+import { structuredOutput } from '../../src/services/structuredOutput.js';
+
+const CASSETTE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/cassettes');
+
+// Prompts and route the decompose cassette was recorded with
+const SYSTEM_PROMPT = 'Break the test scenario into atomic steps. Respond with JSON only.';
+const PLAY_SCENARIO = 'Play a video from the Continue Watching row on the home screen';
+const SEARCH_SCENARIO = 'Search for Star Trek and check it is listed';
+const ROUTE = 'openrouter:google/gemini-2.5-flash,gemini:gemini-2.5-flash';
+
+describe('LLM cassette replay', () => {
+  const env = {};
+
+  before(() => {
+    for (const key of ['LLM_ROUTE_DECOMPOSE', 'LLM_CACHE']) env[key] = process.env[key];
+    process.env.LLM_ROUTE_DECOMPOSE = ROUTE;
+    process.env.LLM_CACHE = 'off';
+    llmCassette.configure({ mode: 'replay', name: 'decompose', dir: CASSETTE_DIR });
+  });
+
+  after(() => {
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    llmCassette.configure({ mode: 'off' });
+  });
+
+  it('answers from the cassette without provider credentials', async () => {
+    assert.equal(llmGateway.isAvailable('decompose'), true);
+
+    const response = await llmGateway.complete({ task: 'decompose', systemPrompt: SYSTEM_PROMPT, userPrompt: PLAY_SCENARIO });
+
+    assert.equal(response.replayed, true);
+    assert.equal(response.provider, 'openrouter');
+    assert.equal(response.model, 'google/gemini-2.5-flash');
+    assert.deepEqual(response.usage, { promptTokens: 412, completionTokens: 96, totalTokens: 508 });
+  });
+
+  it('reproduces identical structured output on every run', async () => {
+    const run = () => structuredOutput.complete({
+      schema: 'decomposition',
+      task: 'decompose',
+      systemPrompt: SYSTEM_PROMPT,
+      userPrompt: PLAY_SCENARIO
+    });
+
+    const first = await run();
+    const second = await run();
+
+    assert.deepEqual(second.data, first.data);
+    assert.deepEqual(first.data.steps.map(step => step.action), ['navigate', 'select', 'play', 'verify']);
+    assert.equal(first.data.requires_login, true);
+  });
+
+  it('replays recorded provider failures, so the fallback is the same', async () => {
+    const response = await llmGateway.complete({ task: 'decompose', systemPrompt: SYSTEM_PROMPT, userPrompt: SEARCH_SCENARIO });
+
+    assert.equal(response.provider, 'gemini');
+    assert.deepEqual(response.attempts.map(a => [a.provider, a.status]), [['openrouter', 'failed'], ['gemini', 'ok']]);
+    assert.equal(response.attempts[0].error, 'Request failed with status code 503');
+    assert.deepEqual(JSON.parse(response.content).steps.map(step => step.action), ['search', 'verify']);
+  });
+
+  it('fails with LLM_CASSETTE_MISS for a prompt that was not recorded', async () => {
+    await assert.rejects(
+      llmGateway.complete({ task: 'decompose', systemPrompt: SYSTEM_PROMPT, userPrompt: 'Pause the video and resume it' }),
+      error => error.code === 'LLM_CASSETTE_MISS' && /no recording of openrouter:google\/gemini-2\.5-flash/.test(error.message)
+    );
+  });
+
+  it('misses when any part of the fingerprint differs', async () => {
+    await assert.rejects(
+      llmGateway.complete({ task: 'decompose', systemPrompt: SYSTEM_PROMPT, userPrompt: PLAY_SCENARIO, temperature: 0.7 }),
+      { code: 'LLM_CASSETTE_MISS' }
+    );
+  });
+});
+
+describe('LLM cassette record', () => {
+  const providers = { ...llmGateway.providers };
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-copilot-cassette-'));
+    process.env.LLM_CACHE = 'off';
+  });
+
+  after(() => {
+    llmGateway.providers = providers;
+    llmCassette.configure({ mode: 'off' });
+    delete process.env.LLM_CACHE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replays exactly what was recorded', async () => {
+    let calls = 0;
+    llmGateway.providers = {
+      ...providers,
+      claude: {
+        isConfigured: () => true,
+        defaultModel: () => 'claude-test',
+        complete: async ({ model }) => {
+          calls++;
+          return { content: `{"steps":[{"action":"open","target":"settings ${calls}"}]}`, model, usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } };
+        }
+      }
+    };
+    const request = { task: 'decompose', provider: 'claude', userPrompt: 'Open settings' };
+
+    llmCassette.configure({ mode: 'record', name: 'roundtrip', dir });
+    // Recorded calls are live: keep them out of the usage ledger
+    const recorded = await llmCassette.intercept(
+      { task: 'decompose', provider: 'claude', model: 'claude-test', systemPrompt: '', userPrompt: request.userPrompt, temperature: 0.3, maxTokens: 2000 },
+      () => llmGateway.providers.claude.complete({ model: 'claude-test' })
+    );
+    assert.equal(fs.existsSync(path.join(dir, 'roundtrip.json')), true);
+
+    llmCassette.configure({ mode: 'replay', name: 'roundtrip', dir });
+    const replayed = await llmGateway.complete(request);
+
+    assert.equal(calls, 1);
+    assert.equal(replayed.content, recorded.content);
+    assert.equal(replayed.replayed, true);
+  });
+});
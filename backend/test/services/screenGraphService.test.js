@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { screenGraphService, toScreenKey } from '../../src/services/screenGraphService.js';
+
+function transitions(content) {
+  return screenGraphService.extractTransitions(content)
+    .map(t => [t.fromScreen, t.toScreen, t.className && `${t.className}.${t.methodName}` || t.methodName]);
+}
+
+describe('toScreenKey', () => {
+  it('normalizes accessors, class names and snake case', () => {
+    assert.equal(toScreenKey('containerScreen()'), 'container');
+    assert.equal(toScreenKey('ContainerScreen'), 'container');
+    assert.equal(toScreenKey('container_screen'), 'container');
+    assert.equal(toScreenKey('EpisodePickerPage'), 'episode_picker');
+  });
+});
+
+describe('ScreenGraphService.extractTransitions', () => {
+  it('follows screen accessors from the app launch of a test', () => {
+    const content = `
+      public class WatchTest extends BaseTest {
+        @Test(groups = { "smoke" })
+        public void watchEpisode() {
+          launchAppAndNavigateToHomeScreen();
+          homeScreen().openContainer("Show");
+          containerScreen().playEpisode(1);
+          playerScreen().waitForPlayback();
+        }
+      }`;
+
+    assert.deepEqual(transitions(content), [
+      ['app_launch', 'home', 'launchAppAndNavigateToHomeScreen'],
+      ['home', 'container', 'HomeScreen.openContainer'],
+      ['container', 'player', 'ContainerScreen.playEpisode']
+    ]);
+  });
+
+  it('records back navigation as an edge to the earlier screen', () => {
+    const content = `
+      public class BackTest extends BaseTest {
+        @Test
+        public void returnsHome() {
+          launchAppAndNavigateToHomeScreen();
+          homeScreen().openContainer("Show");
+          containerScreen().goBack();
+          homeScreen().openSearch();
+          searchScreen().isDisplayed();
+        }
+      }`;
+
+    assert.deepEqual(transitions(content), [
+      ['app_launch', 'home', 'launchAppAndNavigateToHomeScreen'],
+      ['home', 'container', 'HomeScreen.openContainer'],
+      ['container', 'home', 'ContainerScreen.goBack'],
+      ['home', 'search', 'HomeScreen.openSearch']
+    ]);
+  });
+
+  it('leaves the call empty when no call led to the screen', () => {
+    const content = `
+      public class DirectTest extends BaseTest {
+        @Test
+        public void opensPlayer() {
+          launchApp();
+          playerScreen().waitForPlayback();
+          homeScreen();
+          settingsScreen().open();
+        }
+      }`;
+
+    assert.deepEqual(transitions(content), [
+      ['app_launch', 'player', 'launchApp'],
+      ['player', 'home', 'PlayerScreen.waitForPlayback'],
+      ['home', 'settings', null]
+    ]);
+  });
+
+  it('starts helpers on the first screen they use and ignores methods without screens', () => {
+    const content = `
+      public class HelperTest extends BaseTest {
+        private void openSettings() {
+          profileScreen().openSettings();
+          settingsScreen().toggleAutoplay();
+        }
+
+        @Test
+        public void checksNothing() {
+          // homeScreen().openSearch();
+          String screen = "searchScreen()";
+          softAssert.assertAll();
+        }
+      }`;
+
+    assert.deepEqual(transitions(content), [
+      ['profile', 'settings', 'ProfileScreen.openSettings']
+    ]);
+  });
+
+  it('skips nested types and finds nothing in a class without methods', () => {
+    assert.deepEqual(transitions('public class Empty extends BaseTest { }'), []);
+    assert.deepEqual(transitions(`
+      public class Outer {
+        public static class Inner {
+          @Test
+          public void inner() {
+            homeScreen().openLive();
+            liveScreen();
+          }
+        }
+      }`), [
+      ['app_launch', 'home', null],
+      ['home', 'live', 'HomeScreen.openLive']
+    ]);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { matchesWhere, SqliteVectorStore } from '../../src/services/sqliteVectorStore.js';
+
+describe('matchesWhere', () => {
+  const metadata = { type: 'page_object', file: 'LoginPage.java', methods: 4, deprecated: false, score: 0.5 };
+
+  it('matches everything without a filter', () => {
+    assert.equal(matchesWhere(metadata, undefined), true);
+    assert.equal(matchesWhere(metadata, {}), true);
+    assert.equal(matchesWhere(null, {}), true);
+  });
+
+  it('compares plain values strictly', () => {
+    assert.equal(matchesWhere(metadata, { type: 'page_object', deprecated: false }), true);
+    assert.equal(matchesWhere(metadata, { methods: '4' }), false);
+    assert.equal(matchesWhere(metadata, { deprecated: 0 }), false);
+  });
+
+  it('applies every operator of a field', () => {
+    assert.equal(matchesWhere(metadata, { methods: { $gte: 4, $lt: 10 } }), true);
+    assert.equal(matchesWhere(metadata, { methods: { $gt: 4 } }), false);
+    assert.equal(matchesWhere(metadata, { score: { $lte: 0.5 } }), true);
+    assert.equal(matchesWhere(metadata, { type: { $ne: 'test' } }), true);
+    assert.equal(matchesWhere(metadata, { type: { $in: ['test', 'page_object'] } }), true);
+    assert.equal(matchesWhere(metadata, { type: { $nin: ['page_object'] } }), false);
+  });
+
+  it('never matches a range against a missing, null or non-numeric value', () => {
+    assert.equal(matchesWhere({}, { methods: { $lt: 5 } }), false);
+    assert.equal(matchesWhere({ methods: null }, { methods: { $lt: 5 } }), false);
+    assert.equal(matchesWhere({ methods: '' }, { methods: { $lte: 0 } }), false);
+    assert.equal(matchesWhere({ methods: '10' }, { methods: { $gt: 5 } }), false);
+  });
+
+  it('treats a missing field as not equal to anything', () => {
+    assert.equal(matchesWhere({}, { type: 'page_object' }), false);
+    assert.equal(matchesWhere({}, { type: { $ne: 'page_object' } }), true);
+    assert.equal(matchesWhere({}, { type: { $nin: ['page_object'] } }), true);
+    assert.equal(matchesWhere(null, { type: 'page_object' }), false);
+  });
+
+  it('nests $and and $or', () => {
+    const where = {
+      $or: [
+        { $and: [{ type: 'page_object' }, { methods: { $gt: 3 } }] },
+        { file: { $in: ['BasePage.java'] } }
+      ]
+    };
+
+    assert.equal(matchesWhere(metadata, where), true);
+    assert.equal(matchesWhere({ ...metadata, methods: 2 }, where), false);
+    assert.equal(matchesWhere({ type: 'util', file: 'BasePage.java' }, where), true);
+  });
+
+  it('combines $and with field conditions at the same level', () => {
+    assert.equal(matchesWhere(metadata, { type: 'page_object', $and: [{ methods: 4 }] }), true);
+    assert.equal(matchesWhere(metadata, { type: 'test', $and: [{ methods: 4 }] }), false);
+  });
+
+  it('rejects unsupported operators', () => {
+    assert.throws(() => matchesWhere(metadata, { type: { $like: 'page%' } }), /Unsupported where operator \$like/);
+  });
+});
+
+describe('SqliteVectorStore filters', () => {
+  let dir;
+  let store;
+  let collection;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-copilot-vectors-'));
+    store = new SqliteVectorStore(path.join(dir, 'vectors.db'));
+    collection = await store.getOrCreateCollection({ name: 'code' });
+    await collection.add({
+      ids: ['login', 'home', 'util'],
+      embeddings: [[1, 0], [0.8, 0.6], [0, 1]],
+      documents: ['class LoginPage', 'class HomePage', 'class WaitUtils'],
+      metadatas: [
+        { type: 'page_object', methods: 4 },
+        { type: 'page_object', methods: 9 },
+        { type: 'util', methods: null }
+      ]
+    });
+  });
+
+  after(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('filters get by metadata and document', async () => {
+    const pages = await collection.get({ where: { type: 'page_object' }, whereDocument: { $not_contains: 'Home' } });
+    const small = await collection.get({ where: { methods: { $lt: 5 } } });
+
+    assert.deepEqual(pages.ids, ['login']);
+    assert.deepEqual(small.ids, ['login']);
+  });
+
+  it('ranks only the records that pass the filter', async () => {
+    const result = await collection.query({ queryEmbeddings: [[0, 1]], nResults: 2, where: { type: 'page_object' } });
+
+    assert.deepEqual(result.ids, [['home', 'login']]);
+    assert.ok(result.distances[0][0] < result.distances[0][1]);
+  });
+
+  it('deletes only the records that pass the filter', async () => {
+    await collection.delete({ where: { type: { $ne: 'page_object' } } });
+
+    assert.equal(await collection.count(), 2);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TestRailService } from '../../src/services/testRailService.js';
+import { testRailResultsService } from '../../src/services/testRailResultsService.js';
+
+const REPORT = `<testsuite name="Login">
+  <testcase name="test_C1_login" classname="LoginTests" time="1"/>
+  <testcase name="test_C2_lockout" classname="LoginTests" time="1"><failure message="not locked"/></testcase>
+</testsuite>`;
+
+describe('testRailResultsService.publishResults', () => {
+  it('refuses to publish when TestRail cannot be read', async () => {
+    const service = new TestRailService();
+    service.baseURL = 'http://127.0.0.1:9/';
+    service.auth = { username: 'qa@example.com', password: 'token' };
+    const writes = [];
+    const makeRequest = service.makeRequest.bind(service);
+    service.makeRequest = (endpoint, method = 'GET', ...rest) => {
+      if (method !== 'GET') writes.push(endpoint);
+      return makeRequest(endpoint, method, ...rest);
+    };
+    testRailResultsService.testRailService = service;
+
+    await assert.rejects(
+      testRailResultsService.publishResults({ projectId: 1, suiteId: 2, report: REPORT }),
+      { status: 502, message: /get_cases failed/ }
+    );
+    assert.deepEqual(writes, []);
+  });
+
+  it('refuses to publish when TestRail is not configured', async () => {
+    testRailResultsService.testRailService = Object.assign(new TestRailService(), { baseURL: null });
+
+    await assert.rejects(
+      testRailResultsService.publishResults({ projectId: 1, suiteId: 2, report: REPORT, dryRun: true }),
+      { status: 503 }
+    );
+  });
+});
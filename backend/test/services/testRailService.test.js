@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TestRailService } from '../../src/services/testRailService.js';
+
+// Paginated get_cases responses (TestRail 6.7+) for a section of `total` cases
+function paginatedService(total) {
+  const service = new TestRailService();
+  const requests = [];
+
+  service.makeRequest = async (endpoint) => {
+    requests.push(endpoint);
+    const limit = Number(endpoint.match(/&limit=(\d+)/)[1]);
+    const offset = Number(endpoint.match(/&offset=(\d+)/)[1]);
+    const cases = Array.from({ length: Math.max(0, Math.min(limit, total - offset)) }, (_, i) => ({
+      id: offset + i + 1,
+      title: `Case ${offset + i + 1}`,
+      section_id: 7
+    }));
+    const next = offset + limit < total ? `/api/v2/get_cases/1&suite_id=2&section_id=7&limit=${limit}&offset=${offset + limit}` : null;
+    return { offset, limit, size: cases.length, _links: { next, prev: null }, cases };
+  };
+
+  return { service, requests };
+}
+
+describe('TestRailService case pagination', () => {
+  it('reads every case of a section with more than 250 cases', async () => {
+    const { service, requests } = paginatedService(601);
+
+    const cases = await service.getTestCases(1, 2, 7);
+
+    assert.equal(cases.length, 601);
+    assert.deepEqual([cases[0].id, cases[250].id, cases[600].id], [1, 251, 601]);
+    assert.deepEqual(requests, [
+      'get_cases/1&suite_id=2&section_id=7&limit=250&offset=0',
+      'get_cases/1&suite_id=2&section_id=7&limit=250&offset=250',
+      'get_cases/1&suite_id=2&section_id=7&limit=250&offset=500'
+    ]);
+  });
+
+  it('stops at the last full page when TestRail has no next link', async () => {
+    const { service, requests } = paginatedService(500);
+
+    assert.equal((await service.getTestCases(1, 2, 7)).length, 500);
+    assert.equal(requests.length, 2);
+  });
+
+  it('stops once an explicit limit is reached', async () => {
+    const { service, requests } = paginatedService(900);
+
+    const cases = await service.getTestCases(1, 2, 7, 300);
+
+    assert.equal(cases.length, 300);
+    assert.equal(requests.length, 2);
+  });
+
+  it('accepts the plain array older TestRail versions return', async () => {
+    const service = new TestRailService();
+    service.makeRequest = async () => [{ id: 1, title: 'Login', custom_preconds: 'Logged out' }];
+
+    const cases = await service.getTestCases(1, 2);
+
+    assert.deepEqual(cases.map(tc => [tc.id, tc.preconditions]), [[1, 'Logged out']]);
+  });
+
+  it('pages through a whole suite the same way', async () => {
+    const { service } = paginatedService(260);
+
+    assert.equal((await service.getAllTestCases(1, 2)).length, 260);
+  });
+});
+
+describe('TestRailService mock fallback', () => {
+  function unconfiguredService() {
+    const service = new TestRailService();
+    service.baseURL = null;
+    return service;
+  }
+
+  // Configured, but nothing listens on the port
+  function unreachableService() {
+    const service = new TestRailService();
+    service.baseURL = 'http://127.0.0.1:9/';
+    service.auth = { username: 'qa@example.com', password: 'token' };
+    return service;
+  }
+
+  it('answers reads with mock data when TestRail fails', async () => {
+    const cases = await unreachableService().getAllTestCases(1, 2);
+
+    assert.deepEqual(cases.map(tc => tc.id), [1, 2, 3]);
+  });
+
+  it('fails instead when asked for no mock fallback', async () => {
+    await assert.rejects(unreachableService().getAllTestCases(1, 2, { noMockFallback: true }), { status: 502, message: /TestRail get_cases failed/ });
+    await assert.rejects(unconfiguredService().getAllTestCases(1, 2, { noMockFallback: true }), { status: 503 });
+  });
+
+  it('never answers writes with mock data', async () => {
+    await assert.rejects(unconfiguredService().addTestCase(7, { title: 'Login' }), { status: 503 });
+    await assert.rejects(unreachableService().addTestCase(7, { title: 'Login' }), { status: 502 });
+  });
+});
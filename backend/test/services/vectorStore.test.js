@@ -0,0 +1,102 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ChromaVectorStore } from '../../src/services/vectorStore.js';
+import { SqliteVectorStore } from '../../src/services/sqliteVectorStore.js';
+
+const RECORDS = {
+  ids: ['same', 'close', 'orthogonal', 'opposite'],
+  embeddings: [[1, 2, 3], [1, 2, 2.5], [3, 0, -1], [-1, -2, -3]],
+  documents: ['same', 'close', 'orthogonal', 'opposite']
+};
+const QUERY = [2, 4, 6];
+
+// Chroma's cosine space: 1 - cosine similarity
+function cosineDistance(a, b) {
+  const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+  const norm = vector => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return 1 - dot / (norm(a) * norm(b));
+}
+
+const EXPECTED = RECORDS.embeddings.map(embedding => cosineDistance(QUERY, embedding));
+
+// Embeddings are passed explicitly, so no embedding function is ever called
+const noEmbeddings = { generate: async () => { throw new Error('not used'); } };
+
+async function queryDistances(store) {
+  const collection = await store.createCollection({ name: `distance_check_${Date.now()}`, embeddingFunction: noEmbeddings });
+  try {
+    await collection.add(RECORDS);
+    const result = await collection.query({ queryEmbeddings: [QUERY], nResults: RECORDS.ids.length });
+    return Object.fromEntries(result.ids[0].map((id, i) => [id, result.distances[0][i]]));
+  } finally {
+    await store.deleteCollection({ name: collection.name });
+  }
+}
+
+function assertDistances(distances) {
+  RECORDS.ids.forEach((id, i) => {
+    assert.ok(Math.abs(distances[id] - EXPECTED[i]) < 1e-5, `${id}: ${distances[id]} != ${EXPECTED[i]}`);
+  });
+}
+
+describe('vector store distances', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-copilot-distances-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates ChromaDB collections in the cosine space', async () => {
+    const store = new ChromaVectorStore('http://127.0.0.1:9');
+    const calls = [];
+    store.client = {
+      createCollection: async (args) => { calls.push(args); return { metadata: args.metadata }; },
+      getOrCreateCollection: async (args) => { calls.push(args); return { metadata: args.metadata }; }
+    };
+
+    await store.createCollection({ name: 'a', metadata: { description: 'A' } });
+    await store.getOrCreateCollection({ name: 'b' });
+
+    assert.deepEqual(calls.map(call => call.metadata), [
+      { description: 'A', 'hnsw:space': 'cosine' },
+      { 'hnsw:space': 'cosine' }
+    ]);
+  });
+
+  it('returns cosine distances from the SQLite store', async () => {
+    const store = new SqliteVectorStore(path.join(dir, 'vectors.db'));
+    try {
+      assertDistances(await queryDistances(store));
+    } finally {
+      store.close();
+    }
+  });
+
+  it('returns the same distances from ChromaDB and SQLite', async (t) => {
+    const chroma = new ChromaVectorStore();
+    try {
+      await chroma.heartbeat();
+    } catch {
+      t.skip(`no ChromaDB server at ${chroma.chromaHost}`);
+      return;
+    }
+
+    const sqlite = new SqliteVectorStore(path.join(dir, 'compare.db'));
+    try {
+      const chromaDistances = await queryDistances(chroma);
+      const sqliteDistances = await queryDistances(sqlite);
+
+      assertDistances(chromaDistances);
+      RECORDS.ids.forEach(id => assert.ok(Math.abs(chromaDistances[id] - sqliteDistances[id]) < 1e-5, id));
+    } finally {
+      sqlite.close();
+    }
+  });
+});
@@ -0,0 +1,283 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isHar,
+  isPostmanCollection,
+  toPathTemplate,
+  inferSchema,
+  mergeSchemas,
+  harToOpenAPI,
+  postmanToOpenAPI
+} from '../../src/utils/apiImporters.js';
+
+function harEntry(method, url, { status = 200, request = {}, response = {}, resourceType = 'xhr' } = {}) {
+  return {
+    _resourceType: resourceType,
+    request: { method, url, headers: [], queryString: [], ...request },
+    response: { status, content: { mimeType: 'application/json', text: '{}' }, ...response }
+  };
+}
+
+function jsonContent(value) {
+  return { content: { mimeType: 'application/json; charset=utf-8', text: JSON.stringify(value) } };
+}
+
+describe('toPathTemplate', () => {
+  it('names ids after the collection before them, the last one id', () => {
+    assert.deepEqual(toPathTemplate('/users/123/orders/9'), {
+      template: '/users/{userId}/orders/{id}',
+      values: { userId: '123', id: '9' }
+    });
+  });
+
+  it('recognizes uuids and long hex ids but keeps words', () => {
+    assert.equal(toPathTemplate('/accounts/6f1c2e9a-3b4d-4c5e-8f90-112233445566/settings').template, '/accounts/{id}/settings');
+    assert.equal(toPathTemplate('/blobs/0123456789abcdef0123').template, '/blobs/{id}');
+    assert.equal(toPathTemplate('/api/v2/profile').template, '/api/v2/profile');
+  });
+
+  it('singularizes collection names', () => {
+    assert.equal(toPathTemplate('/categories/4/addresses/7/items/1').template, '/categories/{categoryId}/addresses/{addressId}/items/{id}');
+    assert.equal(toPathTemplate('/statuses/1/cases/2/boxes/3/items/4').template, '/statuses/{statusId}/cases/{caseId}/boxes/{boxId}/items/{id}');
+    assert.equal(toPathTemplate('/status/1/steps/2').template, '/status/{statusId}/steps/{id}');
+  });
+
+  it('never reuses a parameter name', () => {
+    assert.equal(toPathTemplate('/files/{id}/versions/3').template, '/files/{id}/versions/{id2}');
+  });
+
+  it('drops a trailing slash but keeps the root', () => {
+    assert.equal(toPathTemplate('/users/').template, '/users');
+    assert.equal(toPathTemplate('/').template, '/');
+  });
+});
+
+describe('inferSchema', () => {
+  it('types scalars and string formats', () => {
+    assert.deepEqual(inferSchema(3), { type: 'integer' });
+    assert.deepEqual(inferSchema(3.5), { type: 'number' });
+    assert.deepEqual(inferSchema(true), { type: 'boolean' });
+    assert.deepEqual(inferSchema('2024-05-01T10:00:00Z'), { type: 'string', format: 'date-time' });
+    assert.deepEqual(inferSchema('2024-05-01'), { type: 'string', format: 'date' });
+    assert.deepEqual(inferSchema('qa@example.com'), { type: 'string', format: 'email' });
+    assert.deepEqual(inferSchema('https://example.com'), { type: 'string', format: 'uri' });
+    assert.deepEqual(inferSchema('plain'), { type: 'string' });
+  });
+
+  it('makes keys seen as null optional', () => {
+    assert.deepEqual(inferSchema({ id: 1, nickname: null }), {
+      type: 'object',
+      properties: { id: { type: 'integer' }, nickname: { nullable: true } },
+      required: ['id']
+    });
+  });
+
+  it('merges the items of an array', () => {
+    assert.deepEqual(inferSchema([1, 2.5]), { type: 'array', items: { type: 'number' } });
+    assert.deepEqual(inferSchema([]), { type: 'array' });
+  });
+});
+
+describe('mergeSchemas', () => {
+  it('keeps only keys required by every observation', () => {
+    const merged = mergeSchemas(inferSchema({ id: 1, name: 'a' }), inferSchema({ id: 2 }));
+    assert.deepEqual(merged.required, ['id']);
+    assert.deepEqual(Object.keys(merged.properties), ['id', 'name']);
+  });
+
+  it('widens integer and number to number', () => {
+    assert.deepEqual(mergeSchemas({ type: 'integer' }, { type: 'number' }), { type: 'number' });
+  });
+
+  it('makes a value seen as null nullable', () => {
+    assert.deepEqual(mergeSchemas({ nullable: true }, { type: 'string' }), { type: 'string', nullable: true });
+  });
+
+  it('accepts anything when observations conflict', () => {
+    assert.deepEqual(mergeSchemas({ type: 'string' }, { type: 'object', properties: {}, required: [] }), {});
+    assert.deepEqual(mergeSchemas({}, { type: 'string' }), {});
+  });
+
+  it('drops a string format the observations disagree on', () => {
+    assert.deepEqual(mergeSchemas({ type: 'string', format: 'date' }, { type: 'string', format: 'email' }), { type: 'string' });
+  });
+});
+
+describe('format detection', () => {
+  it('tells HAR captures and Postman collections apart', () => {
+    assert.equal(isHar({ log: { entries: [] } }), true);
+    assert.equal(isHar({ item: [] }), false);
+    assert.equal(isPostmanCollection({ info: { _postman_id: 'x' }, item: [] }), true);
+    assert.equal(isPostmanCollection({ collection: { info: { schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' }, item: [] } }), true);
+    assert.equal(isPostmanCollection({ log: { entries: [] } }), false);
+  });
+});
+
+describe('harToOpenAPI', () => {
+  const har = {
+    log: {
+      entries: [
+        harEntry('GET', 'https://api.example.com/users/1?expand=orders', {
+          request: { queryString: [{ name: 'expand', value: 'orders' }], headers: [{ name: 'Authorization', value: 'Bearer secret-token' }] },
+          response: jsonContent({ id: 1, email: 'a@example.com', nickname: null })
+        }),
+        harEntry('GET', 'https://api.example.com/users/2', {
+          response: jsonContent({ id: 2, email: 'b@example.com', nickname: 'bee' })
+        }),
+        harEntry('POST', 'https://api.example.com/users', {
+          status: 201,
+          request: { postData: { mimeType: 'application/json', text: '{"email":"c@example.com"}' } },
+          response: jsonContent({ id: 3 })
+        }),
+        harEntry('GET', 'https://api.example.com/app.js', { response: { content: { mimeType: 'application/javascript', text: '' } }, resourceType: 'script' }),
+        harEntry('GET', 'https://cdn.example.net/logo.png', { response: { content: { mimeType: 'image/png', text: '' } }, resourceType: 'image' }),
+        harEntry('POST', 'https://analytics.example.org/collect')
+      ]
+    }
+  };
+
+  it('keeps the API origin and folds ids into templates', () => {
+    const spec = harToOpenAPI(har);
+
+    assert.deepEqual(spec.servers, [{ url: 'https://api.example.com' }]);
+    assert.deepEqual(Object.keys(spec.paths).sort(), ['/users', '/users/{id}']);
+    assert.equal(spec.paths['/users/{id}'].get.operationId, 'getUsersById');
+    assert.deepEqual(spec['x-import'].warnings, [
+      'Skipped requests to https://analytics.example.org (only https://api.example.com was imported)',
+      '3 of 6 HAR entries were not API requests to https://api.example.com and were skipped'
+    ]);
+  });
+
+  it('marks query parameters seen on some requests only as optional', () => {
+    const parameters = harToOpenAPI(har).paths['/users/{id}'].get.parameters;
+
+    assert.deepEqual(parameters.find(p => p.in === 'path'), { name: 'id', in: 'path', required: true, schema: { type: 'integer' }, example: 1 });
+    assert.equal(parameters.find(p => p.name === 'expand').required, false);
+  });
+
+  it('infers request and response schemas from the bodies', () => {
+    const spec = harToOpenAPI(har);
+    const userSchema = spec.paths['/users/{id}'].get.responses['200'].content['application/json'].schema;
+
+    assert.deepEqual(userSchema.required, ['id', 'email']);
+    assert.deepEqual(userSchema.properties.nickname, { type: 'string', nullable: true });
+    assert.deepEqual(spec.paths['/users'].post.requestBody.content['application/json'].example, { email: 'c@example.com' });
+    assert.equal(spec.paths['/users'].post.responses['201'].description, 'Created');
+  });
+
+  it('records the kind of authentication, never the credential', () => {
+    const spec = harToOpenAPI(har);
+
+    assert.deepEqual(spec.components.securitySchemes, { bearerAuth: { type: 'http', scheme: 'bearer' } });
+    assert.deepEqual(spec.paths['/users/{id}'].get.security, [{ bearerAuth: [] }]);
+    assert.equal(JSON.stringify(spec).includes('secret-token'), false);
+  });
+
+  it('imports only the origin asked for', () => {
+    const spec = harToOpenAPI(har, { origin: 'https://analytics.example.org/anything' });
+    assert.deepEqual(Object.keys(spec.paths), ['/collect']);
+  });
+
+  it('decodes base64 response bodies', () => {
+    const spec = harToOpenAPI({
+      log: {
+        entries: [harEntry('GET', 'https://api.example.com/ping', {
+          response: { content: { mimeType: 'application/json', encoding: 'base64', text: Buffer.from('{"ok":true}').toString('base64') } }
+        })]
+      }
+    });
+    assert.deepEqual(spec.paths['/ping'].get.responses['200'].content['application/json'].schema, {
+      type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok']
+    });
+  });
+
+  it('rejects a capture without API requests', () => {
+    assert.throws(
+      () => harToOpenAPI({ log: { entries: [harEntry('GET', 'https://example.com/index.html', { response: { content: { mimeType: 'text/html' } }, resourceType: 'document' })] } }),
+      { status: 400, message: 'No API requests found in the har input' }
+    );
+  });
+});
+
+describe('postmanToOpenAPI', () => {
+  const collection = {
+    info: { name: 'Shop', _postman_id: 'abc', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+    variable: [{ key: 'baseUrl', value: 'https://shop.example.com' }, { key: 'token', value: '' }],
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}' }] },
+    item: [
+      {
+        name: 'Orders',
+        item: [
+          {
+            name: 'Get order',
+            request: {
+              method: 'GET',
+              header: [{ key: 'X-Tenant', value: 'acme' }, { key: 'Accept', value: 'application/json' }],
+              url: { raw: '{{baseUrl}}/orders/:orderId?include=lines', variable: [{ key: 'orderId', value: '42' }] }
+            },
+            response: [{
+              code: 200,
+              header: [{ key: 'Content-Type', value: 'application/json' }],
+              body: '{"id":42,"total":9.99}'
+            }]
+          },
+          {
+            name: 'Create order',
+            request: {
+              method: 'POST',
+              url: '{{baseUrl}}/orders',
+              body: { mode: 'raw', raw: '{"customerId":"{{customerId}}","quantity":{{qty}}}', options: { raw: { language: 'json' } } }
+            }
+          }
+        ]
+      },
+      { name: 'Broken', request: { method: 'POST', url: '{{baseUrl}}/broken', body: { mode: 'raw', raw: '{not json', options: { raw: { language: 'json' } } } } }
+    ]
+  };
+
+  it('substitutes variables and turns :params into path parameters', () => {
+    const spec = postmanToOpenAPI(collection);
+    const operation = spec.paths['/orders/{orderId}'].get;
+
+    assert.equal(spec.info.title, 'Shop');
+    assert.deepEqual(spec.servers, [{ url: 'https://shop.example.com' }]);
+    assert.deepEqual(operation.tags, ['Orders']);
+    assert.deepEqual(operation.parameters.map(p => [p.name, p.in, p.example]), [
+      ['orderId', 'path', 42],
+      ['include', 'query', 'lines'],
+      ['X-Tenant', 'header', 'acme']
+    ]);
+    assert.deepEqual(operation.responses['200'].content['application/json'].schema.properties, { id: { type: 'integer' }, total: { type: 'number' } });
+  });
+
+  it('keeps the shape of a body with unresolved variables but no example', () => {
+    const body = postmanToOpenAPI(collection).paths['/orders'].post.requestBody.content['application/json'];
+
+    assert.deepEqual(body.schema.properties, { customerId: { type: 'string' }, quantity: { type: 'integer' } });
+    assert.equal(body.example, undefined);
+  });
+
+  it('inherits collection auth and warns about unparsable JSON bodies', () => {
+    const spec = postmanToOpenAPI(collection);
+
+    assert.deepEqual(spec.paths['/orders'].post.security, [{ bearerAuth: [] }]);
+    assert.deepEqual(spec['x-import'].warnings, ['"Broken" has a JSON body that could not be parsed; its schema was skipped']);
+  });
+
+  it('keeps an unresolved host variable as a server variable', () => {
+    const spec = postmanToOpenAPI({ ...collection, variable: [] });
+    assert.deepEqual(spec.servers, [{ url: '{baseUrl}', variables: { baseUrl: { default: 'http://localhost:8080' } } }]);
+  });
+
+  it('lets options override collection variables', () => {
+    const spec = postmanToOpenAPI(collection, { variables: { baseUrl: 'localhost:3000' } });
+    assert.deepEqual(spec.servers, [{ url: 'http://localhost:3000' }]);
+  });
+
+  it('rejects v1 collections', () => {
+    assert.throws(
+      () => postmanToOpenAPI({ info: { schema: 'https://schema.getpostman.com/json/collection/v1.0.0/collection.json' }, item: [] }),
+      { status: 400 }
+    );
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isGherkin,
+  parseFeature,
+  substitutePlaceholders,
+  expandOutline,
+  formatFeature
+} from '../../src/utils/gherkin.js';
+
+const FEATURE = `# language: en
+@smoke
+Feature: Playback
+  Users can watch shows from the home screen
+
+  Background:
+    Given the user is logged in
+    And the home screen is displayed
+
+  @resume
+  Scenario: Resume a show
+    When the user opens "Star Trek"
+    And the user clicks resume
+    Then playback starts at the saved position
+    But the intro is not shown again
+
+  Scenario Outline: Seek in the player
+    When the user plays "<show>"
+    And the user seeks <seconds> seconds
+    Then the position is <seconds>
+
+    @short
+    Examples: Short seeks
+      | show      | seconds |
+      | Star Trek | 10      |
+      | Halo      | 30      |
+
+    Examples:
+      | show  | seconds |
+      | Yellowstone \\| Live | 600 |
+
+  Scenario: Search with a table
+    When the user searches with
+      | field | value  |
+      | title | Halo   |
+    Then the results contain
+      """
+      Halo
+        Season 1
+      """
+`;
+
+describe('isGherkin', () => {
+  it('detects feature files and bare Given/When/Then', () => {
+    assert.equal(isGherkin(FEATURE), true);
+    assert.equal(isGherkin('Scenario: Login\n  Given a user'), true);
+    assert.equal(isGherkin('Given a user\nWhen they log in\nThen home is shown'), true);
+  });
+
+  it('rejects prose and non-strings', () => {
+    assert.equal(isGherkin('Given enough time, the user logs in'), false);
+    assert.equal(isGherkin('Login and watch a show'), false);
+    assert.equal(isGherkin(null), false);
+  });
+});
+
+describe('parseFeature', () => {
+  it('reads the feature header, description and tags', () => {
+    const feature = parseFeature(FEATURE);
+
+    assert.equal(feature.name, 'Playback');
+    assert.equal(feature.description, 'Users can watch shows from the home screen');
+    assert.deepEqual(feature.tags, ['@smoke']);
+  });
+
+  it('keeps Background steps apart from the scenarios', () => {
+    const feature = parseFeature(FEATURE);
+
+    assert.deepEqual(feature.background.map(step => [step.keyword, step.type, step.text]), [
+      ['Given', 'given', 'the user is logged in'],
+      ['And', 'given', 'the home screen is displayed']
+    ]);
+    assert.ok(feature.scenarios.every(scenario => !scenario.steps.some(step => step.text === 'the user is logged in')));
+  });
+
+  it('parses every scenario of the feature', () => {
+    const feature = parseFeature(FEATURE);
+
+    assert.deepEqual(feature.scenarios.map(scenario => [scenario.name, scenario.outline]), [
+      ['Resume a show', false],
+      ['Seek in the player', true],
+      ['Search with a table', false]
+    ]);
+    assert.deepEqual(feature.scenarios[0].tags, ['@smoke', '@resume']);
+  });
+
+  it('gives And and But the type of the step before them', () => {
+    const [resume] = parseFeature(FEATURE).scenarios;
+
+    assert.deepEqual(resume.steps.map(step => [step.keyword, step.type]), [
+      ['When', 'when'],
+      ['And', 'when'],
+      ['Then', 'then'],
+      ['But', 'then']
+    ]);
+  });
+
+  it('collects Examples blocks with their tags and escaped cells', () => {
+    const outline = parseFeature(FEATURE).scenarios[1];
+
+    assert.deepEqual(outline.examples.map(block => [block.name, block.tags, block.headers, block.rows]), [
+      ['Short seeks', ['@short'], ['show', 'seconds'], [['Star Trek', '10'], ['Halo', '30']]],
+      ['', [], ['show', 'seconds'], [['Yellowstone | Live', '600']]]
+    ]);
+  });
+
+  it('attaches data tables and doc strings to their step', () => {
+    const [when, then] = parseFeature(FEATURE).scenarios[2].steps;
+
+    assert.deepEqual(when.dataTable, [['field', 'value'], ['title', 'Halo']]);
+    assert.equal(then.docString, 'Halo\n  Season 1');
+  });
+
+  it('wraps bare Given/When/Then text in one scenario', () => {
+    const feature = parseFeature('Given a user\nWhen they log in\nThen home is shown');
+
+    assert.equal(feature.scenarios.length, 1);
+    assert.deepEqual(feature.scenarios[0].steps.map(step => step.type), ['given', 'when', 'then']);
+  });
+
+  it('rejects input it cannot place', () => {
+    assert.throws(() => parseFeature('Feature: Empty'), { status: 400, message: /No scenarios/ });
+    assert.throws(() => parseFeature('Scenario Outline: Seek\n  When I seek <s>\n  Examples:\n    | s |'), { status: 400, message: /no Examples rows/ });
+    assert.throws(() => parseFeature('Feature: X\n  Examples:\n    | s |'), { status: 400, message: /line 2: Examples outside/ });
+    assert.throws(() => parseFeature('Scenario: X\n  Given a\n  Examples:\n  | a |\n  | 1 |\n  When b'), { status: 400, message: /line 6: step after Examples/ });
+    assert.throws(() => parseFeature('Scenario: X\n  Given a\n  """\n  never closed'), { status: 400, message: /unterminated doc string/ });
+    assert.throws(() => parseFeature('Scenario: X\n  Given a\n  Examples:\n  | a | b |\n  | 1 |'), { status: 400, message: /expected 2 cells, found 1/ });
+  });
+});
+
+describe('expandOutline', () => {
+  it('turns each Examples row into a scenario', () => {
+    const outline = parseFeature(FEATURE).scenarios[1];
+    const expanded = expandOutline(outline);
+
+    assert.deepEqual(expanded.map(scenario => scenario.name), [
+      'Seek in the player (show=Star Trek, seconds=10)',
+      'Seek in the player (show=Halo, seconds=30)',
+      'Seek in the player (show=Yellowstone | Live, seconds=600)'
+    ]);
+    assert.deepEqual(expanded[1].steps.map(step => step.text), ['the user plays "Halo"', 'the user seeks 30 seconds', 'the position is 30']);
+    assert.deepEqual(expanded[0].tags, ['@smoke', '@short']);
+    assert.deepEqual(expanded[2].example, { name: '', index: 0, values: { show: 'Yellowstone | Live', seconds: '600' } });
+  });
+
+  it('returns a plain scenario unchanged', () => {
+    const [resume] = parseFeature(FEATURE).scenarios;
+
+    assert.deepEqual(expandOutline(resume), [resume]);
+  });
+
+  it('leaves placeholders without a column in place', () => {
+    assert.equal(substitutePlaceholders('play <show> on <device>', { show: 'Halo' }), 'play Halo on <device>');
+  });
+});
+
+describe('formatFeature', () => {
+  // Keywords are rewritten from the step types (But becomes And)
+  const withoutKeywords = steps => steps.map(({ keyword, ...step }) => step);
+
+  it('writes a feature that parses back to the same scenarios', () => {
+    const feature = parseFeature(FEATURE);
+    const reparsed = parseFeature(formatFeature(feature));
+
+    assert.equal(reparsed.name, feature.name);
+    assert.deepEqual(reparsed.tags, feature.tags);
+    assert.deepEqual(reparsed.background, feature.background);
+    assert.deepEqual(
+      reparsed.scenarios.map(scenario => ({ ...scenario, steps: withoutKeywords(scenario.steps) })),
+      feature.scenarios.map(scenario => ({ ...scenario, steps: withoutKeywords(scenario.steps) }))
+    );
+  });
+
+  it('writes repeated step types as And', () => {
+    const text = formatFeature(parseFeature('Given a\nGiven b\nWhen c'));
+
+    assert.match(text, /^ {4}Given a\n {4}And b\n {4}When c$/m);
+  });
+});
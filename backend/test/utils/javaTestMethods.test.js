@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractTestMethods } from '../../src/utils/javaTestMethods.js';
+
+describe('extractTestMethods', () => {
+  const source = `package com.acme.tests;
+
+import org.testng.annotations.Test;
+
+/**
+ * Checkout for ESWCTV-12
+ */
+public class CheckoutTests extends BaseTest {
+    private final String label = "ignored; {still ignored}";
+
+    /** Pays with a saved card */
+    @TmsLink({"C101", "C102"})
+    @Test(groups = {"smoke"}, description = "Pay with a saved card")
+    public void payWithCard() {
+        if (true) { cart().open(); }
+    }
+
+    // ESWCTV-13 voucher; see the ticket
+    @Test(description = "Pay with a voucher; {no card}")
+    @TestRail(value = {"C201"})
+    public void payWithVoucher() {
+        String text = "}";
+        char brace = '}';
+    }
+
+    @Tms("C301")
+    @Test
+    public void test_C302_payWithPaypal() {
+    }
+
+    @Test
+    public void payLater() {
+    }
+}
+`;
+
+  it('links every case of an array-valued annotation', () => {
+    const [card, voucher] = extractTestMethods(source);
+
+    assert.deepEqual(card.caseIds, [101, 102]);
+    assert.deepEqual(voucher.caseIds, [201]);
+  });
+
+  it('keeps annotations, Javadoc and comments above each method in its header', () => {
+    const [card, voucher] = extractTestMethods(source);
+
+    assert.match(card.header, /^\s*\/\*\* Pays with a saved card \*\/\s*@TmsLink\(\{"C101", "C102"\}\)/);
+    assert.match(voucher.header, /^\s*\/\/ ESWCTV-13 voucher; see the ticket/);
+    assert.doesNotMatch(voucher.header, /payWithCard|cart\(\)/);
+  });
+
+  it('starts the first header after the class body opens, not inside a field', () => {
+    const [card] = extractTestMethods(source);
+
+    assert.doesNotMatch(card.header, /label|ESWCTV-12/);
+  });
+
+  it('reads descriptions with braces and semicolons in them', () => {
+    assert.deepEqual(extractTestMethods(source).map(method => method.description), [
+      'Pay with a saved card',
+      'Pay with a voucher; {no card}',
+      null,
+      null
+    ]);
+  });
+
+  it('adds case ids from the method name and skips methods without any', () => {
+    const methods = extractTestMethods(source);
+
+    assert.deepEqual(methods.map(method => [method.name, method.caseIds]), [
+      ['payWithCard', [101, 102]],
+      ['payWithVoucher', [201]],
+      ['test_C302_payWithPaypal', [301, 302]],
+      ['payLater', []]
+    ]);
+  });
+
+  it('reads @DisplayName for JUnit tests', () => {
+    const [method] = extractTestMethods('class A {\n  @Test\n  @DisplayName("Opens the cart")\n  void opensCart() {}\n}');
+
+    assert.equal(method.description, 'Opens the cart');
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { operationKey, diffEndpoints, formatDiffReport } from '../../src/utils/openApiDiff.js';
+
+function endpoint(method, path, fields = {}) {
+  return { method, path, operationId: `${method.toLowerCase()}${path.replace(/\W/g, '')}`, parameters: [], responses: {}, ...fields };
+}
+
+function json(schema) {
+  return { content: { 'application/json': { schema } } };
+}
+
+function kinds(diff) {
+  return diff.changes.map(change => [change.kind, change.breaking]);
+}
+
+describe('operationKey', () => {
+  it('ignores path parameter names', () => {
+    assert.equal(operationKey(endpoint('GET', '/pets/{id}')), operationKey(endpoint('GET', '/pets/{petId}')));
+    assert.notEqual(operationKey(endpoint('GET', '/pets/{id}')), operationKey(endpoint('DELETE', '/pets/{id}')));
+  });
+});
+
+describe('diffEndpoints', () => {
+  it('reports nothing for identical endpoints', () => {
+    const endpoints = [endpoint('GET', '/pets', { responses: { 200: json({ type: 'array', items: { type: 'string' } }) } })];
+    const diff = diffEndpoints(endpoints, structuredClone(endpoints));
+
+    assert.deepEqual(diff.changes, []);
+    assert.deepEqual(diff.summary, { breaking: 0, nonBreaking: 0, added: 0, removed: 0, changed: 0 });
+  });
+
+  it('treats removed endpoints as breaking and added ones as not', () => {
+    const diff = diffEndpoints([endpoint('GET', '/pets')], [endpoint('GET', '/owners')]);
+
+    assert.deepEqual(kinds(diff), [['endpoint-removed', true], ['endpoint-added', false]]);
+    assert.deepEqual(diff.operations, { added: ['GET /owners'], removed: ['GET /pets'], changed: [] });
+  });
+
+  it('matches a renamed path parameter to the old one', () => {
+    const before = endpoint('GET', '/pets/{id}', { parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }] });
+    const after = endpoint('GET', '/pets/{petId}', { parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string' } }] });
+
+    assert.deepEqual(kinds(diffEndpoints([before], [after])), [['type-changed', true]]);
+  });
+
+  it('compares header parameters case-insensitively', () => {
+    const before = endpoint('GET', '/pets', { parameters: [{ name: 'X-Request-Id', in: 'header', schema: { type: 'string' } }] });
+    const after = endpoint('GET', '/pets', { parameters: [{ name: 'x-request-id', in: 'header', schema: { type: 'string' } }] });
+
+    assert.deepEqual(diffEndpoints([before], [after]).changes, []);
+  });
+
+  it('only breaks clients with a new parameter when it is required', () => {
+    const before = endpoint('GET', '/pets');
+    const after = endpoint('GET', '/pets', {
+      parameters: [
+        { name: 'limit', in: 'query', schema: { type: 'integer' } },
+        { name: 'tenant', in: 'query', required: true, schema: { type: 'string' } }
+      ]
+    });
+
+    assert.deepEqual(kinds(diffEndpoints([before], [after])), [['parameter-added', false], ['parameter-added', true]]);
+  });
+
+  it('judges widening and narrowing by direction', () => {
+    const before = endpoint('POST', '/pets', {
+      requestBody: json({ type: 'object', properties: { age: { type: 'integer' } } }),
+      responses: { 200: json({ type: 'object', properties: { age: { type: 'integer' } } }) }
+    });
+    const after = endpoint('POST', '/pets', {
+      requestBody: json({ type: 'object', properties: { age: { type: 'number' } } }),
+      responses: { 200: json({ type: 'object', properties: { age: { type: 'number' } } }) }
+    });
+
+    assert.deepEqual(diffEndpoints([before], [after]).changes.map(c => [c.message, c.breaking]), [
+      ['request body.age type changed from integer to number', false],
+      ['response 200 body.age type changed from integer to number', true]
+    ]);
+  });
+
+  it('breaks requests on new required fields and responses on removed fields', () => {
+    const before = endpoint('POST', '/pets', {
+      requestBody: json({ type: 'object', properties: { name: { type: 'string' } }, required: ['name'] }),
+      responses: { 201: json({ type: 'object', properties: { id: { type: 'integer' }, tag: { type: 'string' } } }) }
+    });
+    const after = endpoint('POST', '/pets', {
+      requestBody: json({ type: 'object', properties: { name: { type: 'string' }, owner: { type: 'string' } }, required: ['name', 'owner'] }),
+      responses: { 201: json({ type: 'object', properties: { id: { type: 'integer' }, createdAt: { type: 'string' } } }) }
+    });
+
+    assert.deepEqual(kinds(diffEndpoints([before], [after])), [
+      ['property-added', true],
+      ['property-removed', true],
+      ['property-added', false]
+    ]);
+  });
+
+  it('treats enum changes in opposite directions for requests and responses', () => {
+    const status = values => ({ type: 'object', properties: { status: { type: 'string', enum: values } } });
+    const before = endpoint('PUT', '/pets', { requestBody: json(status(['a', 'b'])), responses: { 200: json(status(['a', 'b'])) } });
+    const after = endpoint('PUT', '/pets', { requestBody: json(status(['a', 'c'])), responses: { 200: json(status(['a', 'c'])) } });
+
+    assert.deepEqual(kinds(diffEndpoints([before], [after])), [
+      ['enum-value-removed', true],
+      ['enum-value-added', false],
+      ['enum-value-removed', false],
+      ['enum-value-added', true]
+    ]);
+  });
+
+  it('flags tightened request constraints', () => {
+    const before = endpoint('POST', '/pets', { requestBody: json({ type: 'string', maxLength: 50 }) });
+    const after = endpoint('POST', '/pets', { requestBody: json({ type: 'string', maxLength: 20, minLength: 1 }) });
+
+    assert.deepEqual(diffEndpoints([before], [after]).changes.map(c => c.message), [
+      'request body minLength is now 1',
+      'request body maxLength is now 20 (was 50)'
+    ]);
+  });
+
+  it('ignores null in type arrays but flags a response that can now be null', () => {
+    const before = endpoint('GET', '/pets', { responses: { 200: json({ type: 'object', properties: { tag: { type: 'string' } } }) } });
+    const after = endpoint('GET', '/pets', { responses: { 200: json({ type: 'object', properties: { tag: { type: ['string', 'null'], nullable: true } } }) } });
+
+    assert.deepEqual(kinds(diffEndpoints([before], [after])), [['nullable-added', true]]);
+  });
+
+  it('breaks clients when the success status is replaced but not when one is added', () => {
+    const before = endpoint('POST', '/pets', { responses: { 200: json({ type: 'object' }), 400: {} } });
+    const replaced = endpoint('POST', '/pets', { responses: { 201: json({ type: 'object' }), 400: {} } });
+    const added = endpoint('POST', '/pets', { responses: { 200: json({ type: 'object' }), 202: {}, 400: {} } });
+
+    assert.deepEqual(kinds(diffEndpoints([before], [replaced])), [['response-status-removed', true], ['response-status-added', true]]);
+    assert.deepEqual(kinds(diffEndpoints([before], [added])), [['response-status-added', false]]);
+  });
+
+  it('classifies authentication changes', () => {
+    const open = endpoint('GET', '/pets');
+    const bearer = endpoint('GET', '/pets', { security: [{ bearerAuth: [] }] });
+    const apiKey = endpoint('GET', '/pets', { security: [{ apiKey: [] }] });
+
+    assert.deepEqual(kinds(diffEndpoints([open], [bearer])), [['security-added', true]]);
+    assert.deepEqual(kinds(diffEndpoints([bearer], [open])), [['security-removed', false]]);
+    assert.deepEqual(kinds(diffEndpoints([bearer], [apiKey])), [['security-changed', true]]);
+  });
+
+  it('stops at the maximum schema depth', () => {
+    const nest = (leaf, depth) => depth === 0 ? leaf : { type: 'object', properties: { child: nest(leaf, depth - 1) } };
+    const before = endpoint('GET', '/deep', { responses: { 200: json(nest({ type: 'string' }, 12)) } });
+    const after = endpoint('GET', '/deep', { responses: { 200: json(nest({ type: 'integer' }, 12)) } });
+
+    assert.deepEqual(diffEndpoints([before], [after]).changes, []);
+  });
+});
+
+describe('formatDiffReport', () => {
+  it('says so when nothing changed', () => {
+    assert.equal(
+      formatDiffReport(diffEndpoints([], []), { title: 'Pets', fromVersion: '1.0' }),
+      '# Pets changes 1.0 → ?\n\nNo changes to endpoints, parameters, bodies, responses or authentication.\n'
+    );
+  });
+
+  it('groups messages by operation under breaking and non-breaking headings', () => {
+    const before = [endpoint('GET', '/pets'), endpoint('GET', '/owners')];
+    const after = [
+      endpoint('GET', '/pets', { deprecated: true, parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }] }),
+      endpoint('GET', '/stores')
+    ];
+
+    assert.equal(formatDiffReport(diffEndpoints(before, after)), [
+      '# API changes',
+      '',
+      '**1 breaking** and 3 non-breaking changes: 1 endpoint(s) added, 1 removed, 1 changed.',
+      '',
+      '## Breaking changes',
+      '',
+      '- `GET /owners`: Endpoint removed',
+      '',
+      '## Non-breaking changes',
+      '',
+      '- `GET /pets`',
+      '  - Endpoint deprecated',
+      '  - New optional query parameter `limit`',
+      '- `GET /stores`: Endpoint added',
+      ''
+    ].join('\n'));
+  });
+});
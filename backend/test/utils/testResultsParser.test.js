@@ -0,0 +1,226 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectResultFormat,
+  extractCaseIds,
+  humanizeTestName,
+  parseJUnitXml,
+  parseTestNGXml,
+  parseAllureResults,
+  parseTestResults
+} from '../../src/utils/testResultsParser.js';
+
+describe('extractCaseIds', () => {
+  it('reads C<id> tokens that stand alone', () => {
+    assert.deepEqual(extractCaseIds('test_C12_login'), [12]);
+    assert.deepEqual(extractCaseIds('C12 login C345'), [12, 345]);
+    assert.deepEqual(extractCaseIds('[C7] checkout'), [7]);
+  });
+
+  it('ignores C<id> inside words', () => {
+    assert.deepEqual(extractCaseIds('check_C3PO'), []);
+    assert.deepEqual(extractCaseIds('ABC12'), []);
+    assert.deepEqual(extractCaseIds('C12a'), []);
+  });
+
+  it('accepts a bare id only when asked to', () => {
+    assert.deepEqual(extractCaseIds('123', { bare: true }), [123]);
+    assert.deepEqual(extractCaseIds(' c45 ', { bare: true }), [45]);
+    assert.deepEqual(extractCaseIds('123'), []);
+    assert.deepEqual(extractCaseIds(null), []);
+  });
+});
+
+describe('humanizeTestName', () => {
+  it('turns method names into sentences', () => {
+    assert.equal(humanizeTestName('testLoginWithValidPassword'), 'Login with valid password');
+    assert.equal(humanizeTestName('test_C12_checkout_as_guest'), 'Checkout as guest');
+    assert.equal(humanizeTestName('shouldParseHTMLResponse'), 'Should parse HTML response');
+  });
+
+  it('drops parameterized suffixes', () => {
+    assert.equal(humanizeTestName('loginWorks[admin]'), 'Login works');
+    assert.equal(humanizeTestName('loginWorks(String, int)'), 'Login works');
+  });
+
+  it('keeps a name that is only "test"', () => {
+    assert.equal(humanizeTestName('test'), 'Test');
+  });
+});
+
+describe('detectResultFormat', () => {
+  it('detects each format from its content', () => {
+    assert.equal(detectResultFormat('<?xml version="1.0"?>\n<testsuite name="x"></testsuite>'), 'junit');
+    assert.equal(detectResultFormat('<testsuites><testsuite/></testsuites>'), 'junit');
+    assert.equal(detectResultFormat('<testng-results skipped="0"></testng-results>'), 'testng');
+    assert.equal(detectResultFormat('  [{"name":"a","status":"passed"}]'), 'allure');
+    assert.equal(detectResultFormat([{ name: 'a', status: 'passed' }]), 'allure');
+    assert.equal(detectResultFormat('<html></html>'), null);
+    assert.equal(detectResultFormat(42), null);
+  });
+});
+
+describe('parseJUnitXml', () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuite name="LoginTests" tests="4">
+  <testcase name="testLoginWithValidPassword" classname="com.acme.LoginTests" time="1.25">
+    <properties><property name="TmsLink" value="C101"/></properties>
+  </testcase>
+  <testcase name="test_C102_lockout" classname="com.acme.LoginTests" time="0.5">
+    <failure message="expected locked">java.lang.AssertionError: expected locked
+	at com.acme.LoginTests.lockout(LoginTests.java:42)</failure>
+  </testcase>
+  <testcase name="testRememberMe" classname="com.acme.LoginTests">
+    <skipped message="flaky"/>
+  </testcase>
+  <testcase name="testLogout" classname="com.acme.LoginTests" time="0.1">
+    <error/>
+    <system-out>session still open</system-out>
+  </testcase>
+</testsuite>`;
+
+  it('maps statuses, durations and messages', () => {
+    const tests = parseJUnitXml(xml);
+
+    assert.deepEqual(tests.map(t => [t.name, t.status, t.durationMs]), [
+      ['testLoginWithValidPassword', 'passed', 1250],
+      ['test_C102_lockout', 'failed', 500],
+      ['testRememberMe', 'skipped', 0],
+      ['testLogout', 'failed', 100]
+    ]);
+    assert.equal(tests[1].message, 'expected locked');
+    assert.match(tests[1].trace, /LoginTests\.java:42/);
+    assert.equal(tests[2].message, 'flaky');
+  });
+
+  it('reads case ids from TMS properties and the name', () => {
+    const tests = parseJUnitXml(xml);
+
+    assert.deepEqual(tests.map(t => t.caseIds), [[101], [102], [], []]);
+    assert.equal(tests[0].title, 'Login with valid password');
+  });
+
+  it('falls back to system-out as the trace of a failure without text', () => {
+    assert.equal(parseJUnitXml(xml)[3].trace, 'session still open');
+  });
+
+  it('rejects XML without suites or cases', () => {
+    assert.throws(() => parseJUnitXml('<report/>'), { status: 400, message: /no <testsuite> or <testcase>/ });
+  });
+});
+
+describe('parseTestNGXml', () => {
+  const xml = `<testng-results>
+  <suite name="Regression">
+    <test name="Checkout">
+      <class name="com.acme.CheckoutTests">
+        <test-method status="PASS" signature="setUp()" name="setUp" is-config="true" duration-ms="10"/>
+        <test-method status="PASS" name="payWithCard" description="Pay with a saved card" duration-ms="850">
+          <attributes><attribute name="testrail"><![CDATA[C201]]></attribute></attributes>
+        </test-method>
+        <test-method status="FAIL" name="payWithVoucher" duration-ms="120">
+          <exception class="org.openqa.selenium.TimeoutException">
+            <message><![CDATA[Voucher field not found]]></message>
+            <full-stacktrace><![CDATA[org.openqa.selenium.TimeoutException: Voucher field not found]]></full-stacktrace>
+          </exception>
+        </test-method>
+        <test-method status="SKIP" name="payWithPaypal" duration-ms="0">
+          <exception class="org.testng.SkipException"/>
+        </test-method>
+      </class>
+    </test>
+  </suite>
+</testng-results>`;
+
+  it('skips configuration methods and maps statuses', () => {
+    const tests = parseTestNGXml(xml);
+
+    assert.deepEqual(tests.map(t => [t.name, t.status, t.durationMs]), [
+      ['payWithCard', 'passed', 850],
+      ['payWithVoucher', 'failed', 120],
+      ['payWithPaypal', 'skipped', 0]
+    ]);
+    assert.equal(tests[0].className, 'com.acme.CheckoutTests');
+  });
+
+  it('uses the description as title and attribute text as case id', () => {
+    const [card] = parseTestNGXml(xml);
+
+    assert.equal(card.title, 'Pay with a saved card');
+    assert.deepEqual(card.caseIds, [201]);
+  });
+
+  it('takes the message from the exception, or its class when there is none', () => {
+    const tests = parseTestNGXml(xml);
+
+    assert.equal(tests[1].message, 'Voucher field not found');
+    assert.match(tests[1].trace, /^org\.openqa\.selenium\.TimeoutException/);
+    assert.equal(tests[2].message, 'org.testng.SkipException');
+  });
+
+  it('rejects XML that is not a TestNG report', () => {
+    assert.throws(() => parseTestNGXml('<testsuite/>'), { status: 400 });
+  });
+});
+
+describe('parseAllureResults', () => {
+  const results = [
+    {
+      name: 'Search returns the title',
+      fullName: 'com.acme.SearchTests.searchReturnsTitle',
+      status: 'broken',
+      start: 1000,
+      stop: 3500,
+      statusDetails: { message: 'NoSuchElement', trace: 'at SearchPage.results' },
+      links: [
+        { type: 'tms', name: 'C301' },
+        { type: 'tms', url: 'https://acme.testrail.io/index.php?/cases/view/302' },
+        { type: 'issue', name: 'BUG-7' }
+      ],
+      labels: [{ name: 'AS_ID', value: '303' }],
+      steps: [{ name: 'open', attachments: [{ name: 'Screenshot', source: 'shot.png' }] }],
+      attachments: [{ name: 'Log', source: 'missing.txt' }]
+    },
+    { name: 'Filters by year', status: 'skipped', labels: [{ name: 'testClass', value: 'com.acme.FilterTests' }] },
+    { uuid: 'container', children: [] }
+  ];
+
+  it('treats broken as failed and ignores containers', () => {
+    const tests = parseAllureResults(results);
+
+    assert.deepEqual(tests.map(t => [t.name, t.status]), [['Search returns the title', 'failed'], ['Filters by year', 'skipped']]);
+    assert.equal(tests[0].durationMs, 2500);
+    assert.equal(tests[0].className, 'com.acme.SearchTests');
+    assert.equal(tests[1].className, 'com.acme.FilterTests');
+  });
+
+  it('collects case ids from TMS links and id labels, and defects from issue links', () => {
+    const [search] = parseAllureResults(results);
+
+    assert.deepEqual(search.caseIds, [301, 302, 303]);
+    assert.deepEqual(search.defects, ['BUG-7']);
+  });
+
+  it('attaches only the step attachments whose content was uploaded', () => {
+    const [search] = parseAllureResults(results, { 'shot.png': Buffer.from('png').toString('base64') });
+
+    assert.deepEqual(search.attachments.map(a => [a.filename, a.name, a.content.toString()]), [['shot.png', 'Screenshot', 'png']]);
+  });
+
+  it('accepts a JSON string and rejects invalid JSON or empty results', () => {
+    assert.equal(parseAllureResults(JSON.stringify(results[1]))[0].status, 'skipped');
+    assert.throws(() => parseAllureResults('{not json'), { status: 400, message: /not valid JSON/ });
+    assert.throws(() => parseAllureResults([{ uuid: 'container' }]), { status: 400 });
+  });
+});
+
+describe('parseTestResults', () => {
+  it('uses the given format over detection', () => {
+    assert.throws(() => parseTestResults('<testsuite/>', { format: 'testng' }), { status: 400, message: /testng-results/ });
+  });
+
+  it('rejects unknown formats and undetectable reports', () => {
+    assert.throws(() => parseTestResults('<testsuite/>', { format: 'nunit' }), { status: 400, message: /Unsupported result format "nunit"/ });
+    assert.throws(() => parseTestResults('plain text'), { status: 400, message: /Could not detect/ });
+  });
+});
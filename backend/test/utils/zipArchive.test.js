@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { createZip } from '../../src/utils/zipArchive.js';
+
+/**
+ * Read an archive back through its central directory, checking each local
+ * header against its central entry
+ */
+function readZip(archive) {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50, 'end of central directory');
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+  assert.equal(position + archive.readUInt32LE(end + 12), end, 'central directory size');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50, 'central entry');
+    const flags = archive.readUInt16LE(position + 8);
+    const crc = archive.readUInt32LE(position + 16);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength;
+
+    assert.equal(archive.readUInt32LE(offset), 0x04034b50, `local header of ${name}`);
+    assert.equal(archive.readUInt32LE(offset + 14), crc, `local CRC of ${name}`);
+    assert.equal(archive.toString('utf8', offset + 30, offset + 30 + nameLength), name);
+    const dataStart = offset + 30 + nameLength + archive.readUInt16LE(offset + 28);
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+    entries.push({ name, flags, crc, size, content });
+  }
+  return entries;
+}
+
+describe('createZip', () => {
+  const files = [
+    { path: 'pom.xml', content: '<project>\n  <artifactId>pet-store</artifactId>\n</project>\n' },
+    { path: 'src/test/java/api/PetsApiTest.java', content: 'class PetsApiTest {}\n'.repeat(50) },
+    { path: '/README.md', content: 'Größe – ✓' },
+    { path: 'schemas\\pet.json', content: Buffer.from('{"type":"object"}') },
+    { path: 'empty.txt', content: '' }
+  ];
+
+  it('round-trips every entry with its content', () => {
+    const entries = readZip(createZip(files));
+
+    assert.deepEqual(entries.map(entry => entry.content.toString('utf8')), files.map(file => file.content.toString()));
+    assert.deepEqual(entries.map(entry => entry.size), files.map(file => Buffer.byteLength(file.content)));
+  });
+
+  it('names entries with forward slashes and no leading slash, flagged as UTF-8', () => {
+    const entries = readZip(createZip(files));
+
+    assert.deepEqual(entries.map(entry => entry.name), [
+      'pom.xml',
+      'src/test/java/api/PetsApiTest.java',
+      'README.md',
+      'schemas/pet.json',
+      'empty.txt'
+    ]);
+    assert.ok(entries.every(entry => entry.flags & 0x0800));
+  });
+
+  it('stores the CRC-32 of the uncompressed content', () => {
+    const entries = readZip(createZip(files));
+
+    entries.forEach((entry, i) => assert.equal(entry.crc, zlib.crc32(Buffer.from(files[i].content)), entry.name));
+    assert.equal(entries[4].crc, 0);
+  });
+
+  it('writes a valid archive without files', () => {
+    assert.deepEqual(readZip(createZip([])), []);
+  });
+});
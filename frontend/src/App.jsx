@@ -8,6 +8,7 @@ import WorkflowPage from './pages/WorkflowPage';
 import AutomateExistingTests from './pages/AutomateExistingTests';
 import TestGenerator from './pages/TestGenerator';
 import LocatorTraining from './pages/LocatorTraining';
+import ApiTestGenerator from './pages/ApiTestGenerator';
 
 function App() {
   return (
@@ -18,6 +19,7 @@ function App() {
         <Route path="automate-tests" element={<AutomateExistingTests />} />
         <Route path="test-generator" element={<TestGenerator />} />
         <Route path="locator-training" element={<LocatorTraining />} />
+        <Route path="api-tests" element={<ApiTestGenerator />} />
         <Route path="testrail" element={<TestRailBrowser />} />
         <Route path="settings" element={<Settings />} />
         <Route path="test-connection" element={<TestConnection />} />
@@ -1,15 +1,27 @@
 import { useState, useEffect } from 'react';
-import { TrendingUp, Database, Zap, Clock, BarChart3 } from 'lucide-react';
+import { TrendingUp, Database, Zap, Clock, BarChart3, Sparkles } from 'lucide-react';
 import cacheService from '../services/cacheService';
+import { usageApi } from '../services/usageApi';
+
+function formatTtl(ms) {
+  if (!ms) return 'off';
+  return ms >= 86400000 ? `${Math.round(ms / 86400000)}d` : `${Math.round(ms / 3600000)}h`;
+}
 
 export default function CacheStats({ compact = false }) {
   const [stats, setStats] = useState(null);
+  const [promptCache, setPromptCache] = useState(null);
   const [refreshInterval, setRefreshInterval] = useState(5000); // 5 seconds
 
   useEffect(() => {
     const updateStats = () => {
       const currentStats = cacheService.getStats();
       setStats(currentStats);
+
+      // LLM prompt response cache on the backend
+      usageApi.getPromptCache()
+        .then(setPromptCache)
+        .catch(() => setPromptCache(null));
     };
 
     // Initial load
@@ -33,6 +45,18 @@ export default function CacheStats({ compact = false }) {
     ? `${Math.floor(savedTime / 60000)}m ${Math.floor((savedTime % 60000) / 1000)}s`
     : `${Math.floor(savedTime / 1000)}s`;
 
+  const promptTotals = (promptCache?.tasks || []).reduce((totals, task) => ({
+    hits: totals.hits + task.hits,
+    lookups: totals.lookups + task.hits + task.misses,
+    tokensSaved: totals.tokensSaved + task.tokensSaved
+  }), { hits: 0, lookups: 0, tokensSaved: 0 });
+  const promptHitRate = promptTotals.lookups > 0 ? ((promptTotals.hits / promptTotals.lookups) * 100).toFixed(1) : 0;
+
+  const clearPromptCache = async (task = null) => {
+    await usageApi.clearPromptCache(task);
+    setPromptCache(await usageApi.getPromptCache());
+  };
+
   if (compact) {
     // Compact inline display for header/navbar
     return (
@@ -136,6 +160,62 @@ export default function CacheStats({ compact = false }) {
         </div>
       </div>
 
+      {/* LLM prompt cache */}
+      {promptCache && (
+        <div className="mt-4 pt-3 border-t border-gray-100">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-semibold text-gray-900 flex items-center gap-2">
+              <Sparkles className="h-4 w-4 text-indigo-600" />
+              LLM Prompt Cache
+            </h4>
+            <span className="text-xs text-gray-500">
+              {promptCache.enabled
+                ? `${promptHitRate}% hits · ${promptTotals.tokensSaved.toLocaleString()} tokens saved`
+                : 'Disabled'}
+            </span>
+          </div>
+          {promptCache.enabled && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b">
+                  <th className="py-1 font-medium">Task</th>
+                  <th className="py-1 font-medium text-right">TTL</th>
+                  <th className="py-1 font-medium text-right">Entries</th>
+                  <th className="py-1 font-medium text-right">Hits</th>
+                  <th className="py-1 font-medium text-right">Misses</th>
+                  <th className="py-1 font-medium text-right">Bypassed</th>
+                  <th className="py-1 font-medium text-right">Invalidated</th>
+                  <th className="py-1" />
+                </tr>
+              </thead>
+              <tbody>
+                {promptCache.tasks.map(task => (
+                  <tr key={task.task} className="border-b border-gray-100">
+                    <td className="py-1 text-gray-700">{task.task}</td>
+                    <td className="py-1 text-right text-gray-600">{formatTtl(task.ttlMs)}</td>
+                    <td className="py-1 text-right text-gray-600">{task.entries}</td>
+                    <td className="py-1 text-right text-gray-600">{task.hits}</td>
+                    <td className="py-1 text-right text-gray-600">{task.misses}</td>
+                    <td className="py-1 text-right text-gray-600">{task.bypassed}</td>
+                    <td className="py-1 text-right text-gray-600">{task.invalidated}</td>
+                    <td className="py-1 text-right">
+                      {task.entries > 0 && (
+                        <button
+                          onClick={() => clearPromptCache(task.task)}
+                          className="text-xs text-indigo-600 hover:text-indigo-700"
+                        >
+                          Clear
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
       {/* Tips */}
       {hitRatePercent < 60 && totalRequests > 10 && (
         <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
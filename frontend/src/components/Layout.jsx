@@ -7,7 +7,8 @@ import {
   Cog6ToothIcon,
   SparklesIcon,
   RocketLaunchIcon,
-  CursorArrowRaysIcon
+  CursorArrowRaysIcon,
+  ServerStackIcon
 } from '@heroicons/react/24/outline';
 import Logo from './Logo';
 
@@ -17,6 +18,7 @@ export default function Layout() {
     { name: 'Create Test Cases', href: '/workflow', icon: SparklesIcon, color: 'text-purple-600' },
     { name: 'Automate Tests', href: '/automate-tests', icon: RocketLaunchIcon, color: 'text-green-600' },
     { name: 'Locator Training', href: '/locator-training', icon: CursorArrowRaysIcon, color: 'text-indigo-600' },
+    { name: 'API Tests', href: '/api-tests', icon: ServerStackIcon, color: 'text-teal-600' },
     { name: 'TestRail', href: '/testrail', icon: FolderOpenIcon, color: 'text-orange-600' },
     { name: 'Settings', href: '/settings', icon: Cog6ToothIcon, color: 'text-gray-600' },
   ];
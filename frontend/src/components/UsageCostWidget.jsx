@@ -0,0 +1,248 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { DollarSign, TrendingUp, FlaskConical, Workflow, Wallet } from 'lucide-react';
+import { usageApi } from '../services/usageApi';
+
+const PERIOD_DAYS = 30;
+
+function formatUsd(value) {
+  if (!value) return '$0.00';
+  return value < 0.01 ? `$${value.toFixed(4)}` : `$${value.toFixed(2)}`;
+}
+
+function formatTokens(value) {
+  return value >= 1e6 ? `${(value / 1e6).toFixed(1)}M` : value >= 1e3 ? `${(value / 1e3).toFixed(1)}k` : `${value}`;
+}
+
+export default function UsageCostWidget() {
+  const queryClient = useQueryClient();
+  const userId = localStorage.getItem('userId') || 'demo-user';
+  const [editingBudgets, setEditingBudgets] = useState(false);
+  const [budgetForm, setBudgetForm] = useState({ daily: '', userDefault: '' });
+
+  const from = new Date(Date.now() - PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: summary, error } = useQuery({
+    queryKey: ['usageSummary', PERIOD_DAYS],
+    queryFn: () => usageApi.getSummary({ from }),
+    staleTime: 60 * 1000,
+    refetchInterval: 60 * 1000
+  });
+
+  const { data: byTask } = useQuery({
+    queryKey: ['usageByTask', PERIOD_DAYS],
+    queryFn: () => usageApi.getBreakdown('task', { from }),
+    staleTime: 60 * 1000
+  });
+
+  const { data: budgets } = useQuery({
+    queryKey: ['usageBudgets', userId],
+    queryFn: () => usageApi.getBudgets(userId),
+    staleTime: 60 * 1000,
+    refetchInterval: 60 * 1000
+  });
+
+  const saveBudgets = useMutation({
+    mutationFn: () => usageApi.setBudgets({
+      daily: budgetForm.daily === '' ? null : Number(budgetForm.daily),
+      userDefault: budgetForm.userDefault === '' ? null : Number(budgetForm.userDefault)
+    }),
+    onSuccess: () => {
+      setEditingBudgets(false);
+      queryClient.invalidateQueries({ queryKey: ['usageBudgets'] });
+    }
+  });
+
+  if (error) {
+    return (
+      <div className="bg-white/95 backdrop-blur-sm shadow-xl rounded-xl p-4 border border-blue-100/50">
+        <p className="text-sm text-gray-500">LLM usage is unavailable: {error.message}</p>
+      </div>
+    );
+  }
+
+  if (!summary) {
+    return null;
+  }
+
+  const { totals, perPipelineRun, perWorkflow, unpricedCalls, byStatus } = summary;
+  const daily = budgets?.status?.daily;
+  const user = budgets?.status?.user;
+  const dailyPercent = daily?.limitUsd ? Math.min(100, (daily.spentUsd / daily.limitUsd) * 100) : 0;
+
+  const startEditing = () => {
+    setBudgetForm({
+      daily: budgets?.budgets?.daily ?? '',
+      userDefault: budgets?.budgets?.userDefault ?? ''
+    });
+    setEditingBudgets(true);
+  };
+
+  return (
+    <div className="bg-white/95 backdrop-blur-sm shadow-xl rounded-xl p-4 card-hover border border-blue-100/50">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <DollarSign className="h-5 w-5 text-indigo-600" />
+          LLM Usage &amp; Cost
+        </h3>
+        <span className="text-xs text-gray-500">Last {PERIOD_DAYS} days</span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {/* Today vs budget */}
+        <div className="bg-gradient-to-br from-green-50 to-green-100 rounded-lg p-3">
+          <div className="flex items-center gap-2 mb-1">
+            <Wallet className="h-4 w-4 text-green-600" />
+            <span className="text-xs font-medium text-green-700">Today</span>
+          </div>
+          <div className="text-2xl font-bold text-green-900">{formatUsd(daily?.spentUsd)}</div>
+          <div className="text-xs text-green-600 mt-1">
+            {daily?.limitUsd != null ? `of ${formatUsd(daily.limitUsd)} daily budget` : 'No daily budget'}
+          </div>
+          {daily?.limitUsd != null && (
+            <div className="w-full bg-green-200 rounded-full h-1.5 mt-2 overflow-hidden">
+              <div
+                className={`h-full ${dailyPercent >= 90 ? 'bg-red-500' : 'bg-green-600'}`}
+                style={{ width: `${dailyPercent}%` }}
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Period total */}
+        <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-lg p-3">
+          <div className="flex items-center gap-2 mb-1">
+            <TrendingUp className="h-4 w-4 text-blue-600" />
+            <span className="text-xs font-medium text-blue-700">Total</span>
+          </div>
+          <div className="text-2xl font-bold text-blue-900">{formatUsd(totals.costUsd)}</div>
+          <div className="text-xs text-blue-600 mt-1">
+            {totals.calls} calls · {formatTokens(totals.totalTokens)} tokens
+          </div>
+        </div>
+
+        {/* Per generated test */}
+        <div className="bg-gradient-to-br from-purple-50 to-purple-100 rounded-lg p-3">
+          <div className="flex items-center gap-2 mb-1">
+            <FlaskConical className="h-4 w-4 text-purple-600" />
+            <span className="text-xs font-medium text-purple-700">Per Generated Test</span>
+          </div>
+          <div className="text-2xl font-bold text-purple-900">{formatUsd(perPipelineRun.avgCostUsd)}</div>
+          <div className="text-xs text-purple-600 mt-1">
+            avg of {perPipelineRun.count} pipeline runs
+          </div>
+        </div>
+
+        {/* Per workflow */}
+        <div className="bg-gradient-to-br from-yellow-50 to-yellow-100 rounded-lg p-3">
+          <div className="flex items-center gap-2 mb-1">
+            <Workflow className="h-4 w-4 text-yellow-600" />
+            <span className="text-xs font-medium text-yellow-700">Per Workflow</span>
+          </div>
+          <div className="text-2xl font-bold text-yellow-900">{formatUsd(perWorkflow.avgCostUsd)}</div>
+          <div className="text-xs text-yellow-600 mt-1">
+            avg of {perWorkflow.count} workflows
+          </div>
+        </div>
+      </div>
+
+      {/* Cost by task */}
+      {byTask?.groups?.length > 0 && (
+        <table className="w-full mt-4 text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 border-b">
+              <th className="py-1 font-medium">Task</th>
+              <th className="py-1 font-medium text-right">Calls</th>
+              <th className="py-1 font-medium text-right">Tokens</th>
+              <th className="py-1 font-medium text-right">Avg latency</th>
+              <th className="py-1 font-medium text-right">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {byTask.groups.map(group => (
+              <tr key={group.key} className="border-b border-gray-100">
+                <td className="py-1 text-gray-700">{group.key}</td>
+                <td className="py-1 text-right text-gray-600">{group.calls}</td>
+                <td className="py-1 text-right text-gray-600">{formatTokens(group.totalTokens)}</td>
+                <td className="py-1 text-right text-gray-600">{(group.avgLatencyMs / 1000).toFixed(1)}s</td>
+                <td className="py-1 text-right font-medium text-gray-900">{formatUsd(group.costUsd)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {(unpricedCalls > 0 || byStatus.blocked > 0) && (
+        <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-xs text-yellow-800">
+            {byStatus.blocked > 0 && <>⛔ {byStatus.blocked} calls were blocked by a budget. </>}
+            {unpricedCalls > 0 && <>💡 {unpricedCalls} calls used models missing from the price table (LLM_PRICES_FILE) and are not costed.</>}
+          </p>
+        </div>
+      )}
+
+      {/* Budgets */}
+      <div className="mt-4 pt-3 border-t border-gray-100">
+        {editingBudgets ? (
+          <div className="flex flex-wrap items-end gap-3">
+            <label className="text-xs text-gray-600">
+              Daily budget (USD)
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={budgetForm.daily}
+                onChange={(e) => setBudgetForm({ ...budgetForm, daily: e.target.value })}
+                placeholder="none"
+                className="block w-28 mt-1 rounded-md border-gray-300 shadow-sm sm:text-sm p-1 border"
+              />
+            </label>
+            <label className="text-xs text-gray-600">
+              Per user per day (USD)
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={budgetForm.userDefault}
+                onChange={(e) => setBudgetForm({ ...budgetForm, userDefault: e.target.value })}
+                placeholder="none"
+                className="block w-28 mt-1 rounded-md border-gray-300 shadow-sm sm:text-sm p-1 border"
+              />
+            </label>
+            <button
+              onClick={() => saveBudgets.mutate()}
+              disabled={saveBudgets.isPending}
+              className="bg-indigo-600 text-white px-3 py-1 rounded text-sm hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setEditingBudgets(false)}
+              className="text-sm text-gray-600 px-3 py-1 rounded border border-gray-300 hover:border-gray-400"
+            >
+              Cancel
+            </button>
+            {saveBudgets.error && (
+              <span className="text-xs text-red-600">{saveBudgets.error.response?.data?.error || saveBudgets.error.message}</span>
+            )}
+          </div>
+        ) : (
+          <div className="flex justify-between items-center text-xs text-gray-600">
+            <span>
+              {user && (
+                <>Your spend today: {formatUsd(user.spentUsd)}{user.limitUsd != null && ` of ${formatUsd(user.limitUsd)}`} · </>
+              )}
+              Per-user budget: {budgets?.budgets?.userDefault != null ? `${formatUsd(budgets.budgets.userDefault)}/day` : 'none'}
+            </span>
+            <button
+              onClick={startEditing}
+              className="text-indigo-600 hover:text-indigo-700 bg-white px-3 py-1 rounded border border-indigo-300 hover:border-indigo-400"
+            >
+              Edit budgets
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
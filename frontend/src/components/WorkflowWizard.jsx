@@ -3,7 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { 
   ChevronRight, ChevronLeft, CheckCircle, Circle, 
   AlertCircle, Loader2, FileText, FolderOpen, 
-  TestTube, Save, Code, Zap
+  TestTube, Save, Code, Zap, History, RotateCcw
 } from 'lucide-react';
 import axios from 'axios';
 import TicketSelector from './workflow/TicketSelector';
@@ -27,6 +27,9 @@ const WORKFLOW_STEPS = [
   { id: 5, name: 'generateAutomation', label: '☕ Generate Automation', icon: Zap, highlight: true }
 ];
 
+// Backend workflow step (1-6) → wizard step (generate and review share step 3)
+const RESUME_STEP = { 1: 1, 2: 2, 3: 3, 4: 3, 5: 4, 6: 5 };
+
 export default function WorkflowWizard({ initialTicket = null }) {
   const navigate = useNavigate();
   const [workflowId, setWorkflowId] = useState(null);
@@ -43,16 +46,21 @@ export default function WorkflowWizard({ initialTicket = null }) {
   const [generatedTests, setGeneratedTests] = useState([]);
   const [reviewedTests, setReviewedTests] = useState([]);
   const [savedTests, setSavedTests] = useState([]);
+  const [duplicates, setDuplicates] = useState(null);
   const [seleniumTest, setSeleniumTest] = useState(null);
   const [cypressCode, setCypressCode] = useState([]);
   const [selectedAutomationFramework, setSelectedAutomationFramework] = useState('selenium'); // Default to Selenium
   const [showSuccessAnimation, setShowSuccessAnimation] = useState(false);
   const [successAnimationType, setSuccessAnimationType] = useState('manual');
   const [successTestCount, setSuccessTestCount] = useState(0);
+  const [pastWorkflows, setPastWorkflows] = useState([]);
 
   // Initialize workflow on mount
   useEffect(() => {
     startWorkflow();
+    if (!initialTicket) {
+      loadPastWorkflows();
+    }
   }, []);
 
   // Debug: Track step changes
@@ -103,6 +111,53 @@ export default function WorkflowWizard({ initialTicket = null }) {
     }
   };
 
+  const loadPastWorkflows = async () => {
+    try {
+      const userId = localStorage.getItem('userId') || 'demo-user';
+      const response = await axios.get(`${API_URL}/api/workflow/user/${encodeURIComponent(userId)}`, {
+        params: { status: 'in_progress', limit: 5 }
+      });
+      setPastWorkflows(response.data.workflows || []);
+    } catch (err) {
+      console.error('Error loading past workflows:', err);
+    }
+  };
+
+  const resumeWorkflow = async (id) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await axios.post(`${API_URL}/api/workflow/${id}/resume`);
+      const { workflow } = response.data;
+      const { steps } = workflow;
+      const tests = steps[3].data?.tests || [];
+
+      setWorkflowId(id);
+      setWorkflowData(workflow);
+      localStorage.setItem('currentWorkflowId', id);
+      setSelectedTicket(steps[1].data?.ticket || steps[1].data?.filtered || null);
+      setSelectedContext(steps[2].data?.selection || steps[2].data || null);
+      setGeneratedTests(tests);
+      setReviewedTests(steps[4].data?.reviewedTests || tests);
+      setSavedTests(steps[5].data?.savedTests || []);
+      setDuplicates(steps[4].data?.duplicates || null);
+      setCurrentStep(RESUME_STEP[workflow.currentStep] || 1);
+      setPastWorkflows([]);
+    } catch (err) {
+      console.error('Error resuming workflow:', err);
+      setError(err.response?.data?.error || 'Failed to resume workflow');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Completion is recorded so the workflow leaves the resume list
+  const markWorkflowComplete = () => {
+    if (!workflowId) return;
+    axios.post(`${API_URL}/api/workflow/${workflowId}/step`, { step: 'complete' })
+      .catch(err => console.error('Error completing workflow:', err));
+  };
+
   const executeStep = async (stepName, data) => {
     if (!workflowId) return;
     
@@ -179,6 +234,9 @@ export default function WorkflowWizard({ initialTicket = null }) {
           // If we already have tests, just move to next step (user clicked Next after reviewing)
           if (generatedTests && generatedTests.length > 0) {
             console.log('Tests already generated, moving to next step');
+            // Record the review and check the tests against the suite for duplicates
+            result = await executeStep('reviewTests', reviewedTests);
+            setDuplicates(result?.duplicates || null);
             break; // Continue to next step
           }
           
@@ -227,6 +285,7 @@ export default function WorkflowWizard({ initialTicket = null }) {
             setCypressCode(result.cypressTests || []);
           }
           // For Selenium, the component handles everything locally
+          markWorkflowComplete();
           setIsComplete(true);
           break;
       }
@@ -258,10 +317,12 @@ export default function WorkflowWizard({ initialTicket = null }) {
   };
 
   const handleSkipCypress = () => {
+    markWorkflowComplete();
     setIsComplete(true);
   };
 
   const handleComplete = () => {
+    markWorkflowComplete();
     setIsComplete(true);
   };
 
@@ -280,9 +341,11 @@ export default function WorkflowWizard({ initialTicket = null }) {
       setGeneratedTests([]);
       setReviewedTests([]);
       setSavedTests([]);
+      setDuplicates(null);
       setCypressCode([]);
       setIsComplete(false);
       startWorkflow();
+      loadPastWorkflows();
     }
   };
 
@@ -370,6 +433,7 @@ export default function WorkflowWizard({ initialTicket = null }) {
         return (
           <TestRailSaver
             tests={reviewedTests}
+            duplicates={duplicates}
             context={selectedContext}
             onSaved={setSavedTests}
             saved={savedTests}
@@ -542,6 +606,39 @@ export default function WorkflowWizard({ initialTicket = null }) {
         </div>
       </div>
 
+      {/* Resume a previous workflow */}
+      {currentStep === 1 && !hasPreSelectedTicket && pastWorkflows.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-4">
+          <h3 className="text-sm font-semibold text-gray-900 mb-3 flex items-center gap-2">
+            <History className="h-4 w-4 text-indigo-600" />
+            Resume a previous workflow
+          </h3>
+          <div className="divide-y divide-gray-100">
+            {pastWorkflows.map(past => (
+              <div key={past.id} className="flex items-center justify-between py-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {past.ticketKey || 'No ticket selected'}
+                    {past.ticketSummary && <span className="font-normal text-gray-600"> · {past.ticketSummary}</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {WORKFLOW_STEPS[(RESUME_STEP[past.currentStep] || 1) - 1]?.label} · updated {new Date(past.updatedAt).toLocaleString()}
+                  </p>
+                </div>
+                <button
+                  onClick={() => resumeWorkflow(past.id)}
+                  disabled={isLoading}
+                  className="ml-4 flex items-center gap-1 px-3 py-1.5 text-sm text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+                >
+                  <RotateCcw className="h-3.5 w-3.5" />
+                  Resume
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Error Display */}
       {error && (
         <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
@@ -684,7 +684,8 @@ export default function JavaSeleniumGenerator({
         testDirectory: testDir,
         generatedTest,
         createBranch: saveOptions.createBranch,
-        ticketId: ticket?.key
+        ticketId: ticket?.key,
+        workflowId: localStorage.getItem('currentWorkflowId')
       });
       
       setSaveResult(response.data);
@@ -0,0 +1,189 @@
+import { useState } from 'react';
+import { Send, Eye, CheckCircle, AlertCircle, Loader2, ExternalLink, Tag, ArrowRight, MessageSquare, Link2 } from 'lucide-react';
+import { jiraApi } from '../../services/jiraApi';
+
+export default function JiraWriteBack({ workflowId, ticketKey }) {
+  const [options, setOptions] = useState({
+    comment: true,
+    remoteLinks: true,
+    label: true,
+    labelName: 'qa-copilot-covered',
+    transition: false,
+    transitionName: ''
+  });
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const requestOptions = () => ({
+    comment: options.comment,
+    remoteLinks: options.remoteLinks,
+    label: options.label ? options.labelName.trim() || undefined : false,
+    transition: options.transition ? options.transitionName.trim() || undefined : false
+  });
+
+  const updateOption = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }));
+    // A preview is only valid for the options it was made with
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setPreview(await jiraApi.previewWriteBack(workflowId, requestOptions()));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleApply = async () => {
+    const force = preview?.alreadyApplied;
+    if (force && !window.confirm(`QA Copilot already wrote to ${preview.ticketKey} for this workflow. Write again (adds another comment)?`)) {
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      setResult(await jiraApi.applyWriteBack(workflowId, { ...requestOptions(), force }));
+      setPreview(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const actionIcon = (type) => {
+    if (type === 'comment') return <MessageSquare className="h-4 w-4 text-indigo-600" />;
+    if (type === 'remoteLink') return <Link2 className="h-4 w-4 text-indigo-600" />;
+    if (type === 'label') return <Tag className="h-4 w-4 text-indigo-600" />;
+    return <ArrowRight className="h-4 w-4 text-indigo-600" />;
+  };
+
+  return (
+    <div className="bg-white rounded-lg p-6 mb-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1">Update {ticketKey}</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Write the generated coverage back to the Jira ticket. Nothing is written until you apply.
+      </p>
+
+      <div className="space-y-2 mb-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={options.comment} onChange={(e) => updateOption('comment', e.target.checked)} />
+          Add a comment listing the test cases and their TestRail links
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={options.remoteLinks} onChange={(e) => updateOption('remoteLinks', e.target.checked)} />
+          Link the generated test files and branch
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={options.label} onChange={(e) => updateOption('label', e.target.checked)} />
+          Add label
+          <input
+            type="text"
+            value={options.labelName}
+            onChange={(e) => updateOption('labelName', e.target.value)}
+            disabled={!options.label}
+            className="px-2 py-1 border border-gray-300 rounded text-sm disabled:bg-gray-100"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={options.transition} onChange={(e) => updateOption('transition', e.target.checked)} />
+          Transition to
+          <input
+            type="text"
+            value={options.transitionName}
+            onChange={(e) => updateOption('transitionName', e.target.value)}
+            disabled={!options.transition}
+            placeholder="e.g. Ready for QA"
+            className="px-2 py-1 border border-gray-300 rounded text-sm disabled:bg-gray-100"
+          />
+        </label>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle className="h-4 w-4 text-red-600 mt-0.5" />
+          <span className="text-sm text-red-700">{error}</span>
+        </div>
+      )}
+
+      {preview && (
+        <div className="mb-4 border border-gray-200 rounded-lg p-4 space-y-3">
+          {preview.actions.length === 0 && (
+            <p className="text-sm text-gray-600">Nothing to write with these options.</p>
+          )}
+          {preview.actions.map((action, index) => (
+            <div key={index} className="flex items-start gap-2">
+              {actionIcon(action.type)}
+              <div className="flex-1 text-sm text-gray-800">
+                {action.type === 'comment' && (
+                  <pre className="whitespace-pre-wrap font-mono text-xs bg-gray-50 p-3 rounded max-h-64 overflow-auto">
+                    {action.body}
+                  </pre>
+                )}
+                {action.type === 'remoteLink' && (
+                  <a href={action.url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-700 inline-flex items-center gap-1">
+                    {action.title} <ExternalLink className="h-3 w-3" />
+                  </a>
+                )}
+                {action.type === 'label' && <span>Label <span className="font-mono">{action.label}</span></span>}
+                {action.type === 'transition' && <span>{action.name}{action.to && ` → ${action.to}`}</span>}
+              </div>
+            </div>
+          ))}
+          {preview.warnings.map((warning, index) => (
+            <div key={index} className="flex items-start gap-2 text-sm text-yellow-800">
+              <AlertCircle className="h-4 w-4 text-yellow-600 mt-0.5" />
+              {warning}
+            </div>
+          ))}
+          {options.transition && preview.availableTransitions.length > 0 && (
+            <p className="text-xs text-gray-500">
+              Available transitions: {preview.availableTransitions.map(t => t.name).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      {result && (
+        <div className="mb-4 space-y-1">
+          {result.results.map((r, index) => (
+            <div key={index} className="flex items-center gap-2 text-sm">
+              {r.status === 'done'
+                ? <CheckCircle className="h-4 w-4 text-green-600" />
+                : <AlertCircle className="h-4 w-4 text-red-600" />}
+              <span className="text-gray-800">{r.detail}</span>
+              {r.error && <span className="text-red-600">— {r.error}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={handlePreview}
+          disabled={isLoading}
+          className="px-4 py-2 border border-indigo-600 text-indigo-600 rounded-lg hover:bg-indigo-50 disabled:opacity-50 flex items-center gap-2"
+        >
+          {isLoading && !preview ? <Loader2 className="h-4 w-4 animate-spin" /> : <Eye className="h-4 w-4" />}
+          Preview
+        </button>
+        <button
+          onClick={handleApply}
+          disabled={isLoading || !preview || preview.actions.length === 0}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-2"
+        >
+          {isLoading && preview ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
+          Apply to {ticketKey}
+        </button>
+      </div>
+    </div>
+  );
+}
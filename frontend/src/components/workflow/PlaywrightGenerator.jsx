@@ -12,7 +12,9 @@ import {
   FileCode,
   Zap,
   Shield,
-  TestTube
+  TestTube,
+  XCircle,
+  Clock
 } from 'lucide-react';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
@@ -47,7 +49,8 @@ const PlaywrightGenerator = ({
     enableVideo: false,
     selfHealing: true,
     parallelExecution: true,
-    retryCount: 2
+    retryCount: 2,
+    runAfterSave: false
   });
 
   // Pattern learning state
@@ -57,6 +60,11 @@ const PlaywrightGenerator = ({
   // Generated test state
   const [generatedTests, setGeneratedTests] = useState([]);
   const [selectedTest, setSelectedTest] = useState(0);
+
+  // Saved test state
+  const [savedResult, setSavedResult] = useState(null);
+  const [runReports, setRunReports] = useState([]);
+  const [running, setRunning] = useState(false);
   
   // Repository validation
   const [repoValidation, setRepoValidation] = useState({
@@ -216,14 +224,15 @@ const PlaywrightGenerator = ({
       const result = { success: savedPaths.length > 0, paths: savedPaths, branch };
       
       if (result.success) {
+        setSavedResult(result);
         setSuccess(true);
-        setTimeout(() => {
-          onComplete({
-            tests: generatedTests,
-            savedPaths: result.paths,
-            branch: result.branch
-          });
-        }, 2000);
+
+        // With a run requested, stay on this step so the results can be reviewed
+        if (config.runAfterSave) {
+          await runSavedTests(result.paths);
+        } else {
+          setTimeout(() => completeStep(result, []), 2000);
+        }
       }
     } catch (err) {
       setError('Failed to save tests: ' + err.message);
@@ -232,6 +241,50 @@ const PlaywrightGenerator = ({
     }
   };
 
+  // Run saved specs in the project (headless Chromium) and collect the reports
+  const runSavedTests = async (paths) => {
+    setRunning(true);
+    setError(null);
+
+    const reports = [];
+    try {
+      for (const testPath of paths) {
+        try {
+          const response = await axios.post(`${API_URL}/api/playwright/run`, {
+            repoPath: config.projectPath,
+            testPath
+          });
+          reports.push(response.data);
+        } catch (err) {
+          reports.push({
+            success: false,
+            status: 'error',
+            spec: testPath,
+            summary: { total: 0, passed: 0, failed: 0, skipped: 0 },
+            tests: [],
+            errors: [{ message: err.response?.data?.error || err.message }]
+          });
+        }
+        setRunReports([...reports]);
+      }
+    } finally {
+      setRunning(false);
+    }
+
+    return reports;
+  };
+
+  const completeStep = (result, reports) => {
+    onComplete({
+      tests: generatedTests,
+      savedPaths: result.paths,
+      branch: result.branch,
+      runReports: reports
+    });
+  };
+
+  const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
   const renderStepIndicator = () => (
     <div className="flex items-center justify-between mb-8">
       {steps.map((step, index) => {
@@ -698,6 +751,92 @@ const PlaywrightGenerator = ({
     </div>
   );
 
+  const renderRunReports = () => (
+    <div className="mt-8 space-y-4 text-left">
+      <h4 className="font-medium">Test Run Results</h4>
+
+      {running && (
+        <div className="flex items-center gap-2 text-sm text-gray-600">
+          <div className="animate-spin w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full"></div>
+          Running tests in headless Chromium...
+        </div>
+      )}
+
+      {runReports.map((report, idx) => (
+        <div key={report.runId || idx} className="border rounded-md overflow-hidden">
+          <div className={`flex items-center justify-between px-4 py-2 ${report.success ? 'bg-green-50' : 'bg-red-50'}`}>
+            <div className="flex items-center gap-2">
+              {report.success
+                ? <CheckCircle className="w-5 h-5 text-green-600" />
+                : <XCircle className="w-5 h-5 text-red-600" />}
+              <span className="font-mono text-sm">{report.spec}</span>
+            </div>
+            <div className="flex items-center gap-3 text-sm text-gray-600">
+              <span>{report.summary.passed}/{report.summary.total} passed</span>
+              {report.durationMs != null && (
+                <span className="flex items-center gap-1">
+                  <Clock className="w-4 h-4" />
+                  {formatDuration(report.durationMs)}
+                </span>
+              )}
+            </div>
+          </div>
+
+          <div className="p-4 space-y-4">
+            {report.errors?.map((err, errIdx) => (
+              <p key={errIdx} className="text-sm text-red-700">{err.message}</p>
+            ))}
+
+            {report.tests.map((test, testIdx) => (
+              <div key={testIdx} className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <span className={`text-sm font-medium ${test.passed ? 'text-green-700' : 'text-red-700'}`}>
+                    {test.title} <span className="text-gray-500 font-normal">({test.status})</span>
+                  </span>
+                  <span className="text-xs text-gray-500">{formatDuration(test.durationMs)}</span>
+                </div>
+
+                {test.steps.length > 0 && (
+                  <ul className="text-xs font-mono bg-gray-50 rounded p-2 space-y-1">
+                    {test.steps.map((step, stepIdx) => (
+                      <li key={stepIdx} className={`flex justify-between ${step.error ? 'text-red-600' : 'text-gray-700'}`}>
+                        <span>{step.title}</span>
+                        <span className="text-gray-500">{formatDuration(step.durationMs)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {test.error && (
+                  <pre className="text-xs bg-red-50 text-red-800 p-2 rounded overflow-x-auto whitespace-pre-wrap">
+                    {test.error.message}
+                  </pre>
+                )}
+
+                {test.artifacts.screenshots.length > 0 && (
+                  <div className="flex gap-2 flex-wrap">
+                    {test.artifacts.screenshots.map((shot, shotIdx) => (
+                      <a key={shotIdx} href={`${API_URL}${shot.url}`} target="_blank" rel="noreferrer">
+                        <img src={`${API_URL}${shot.url}`} alt={shot.name} className="h-32 border rounded" />
+                      </a>
+                    ))}
+                  </div>
+                )}
+
+                {test.artifacts.trace && (
+                  <a href={`${API_URL}${test.artifacts.trace}`} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline">
+                    <Download className="w-4 h-4" />
+                    Download trace (open with npx playwright show-trace)
+                  </a>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
   const renderSaveAndExecute = () => (
     <div className="space-y-6">
       <h3 className="text-lg font-semibold mb-4">Save and Execute Tests</h3>
@@ -717,6 +856,27 @@ const PlaywrightGenerator = ({
               Tests saved to: <span className="font-mono">{config.testDirectory}/</span>
             </p>
           </div>
+
+          {(running || runReports.length > 0) && renderRunReports()}
+
+          {(config.runAfterSave || runReports.length > 0) && (
+            <div className="flex justify-center gap-3 mt-6">
+              <button
+                onClick={() => runSavedTests(savedResult.paths)}
+                disabled={running}
+                className="px-4 py-2 text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50 disabled:opacity-50"
+              >
+                {running ? 'Running...' : 'Run Again'}
+              </button>
+              <button
+                onClick={() => completeStep(savedResult, runReports)}
+                disabled={running}
+                className="px-6 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+              >
+                Continue
+              </button>
+            </div>
+          )}
         </div>
       ) : (
         <div className="space-y-4">
@@ -757,14 +917,14 @@ const PlaywrightGenerator = ({
               <label className="flex items-center">
                 <input
                   type="checkbox"
-                  checked={false}
-                  onChange={() => {}}
+                  checked={config.runAfterSave}
+                  onChange={(e) => setConfig({ ...config, runAfterSave: e.target.checked })}
                   className="mr-3"
                 />
                 <div>
                   <span className="font-medium">Run Tests After Saving</span>
                   <p className="text-sm text-gray-600">
-                    Execute tests immediately to verify they work
+                    Execute tests immediately in headless Chromium to verify they work
                   </p>
                 </div>
               </label>
@@ -1,9 +1,9 @@
 import { useState, useEffect } from 'react';
-import { Save, CheckCircle, AlertCircle, Loader2, ExternalLink } from 'lucide-react';
+import { Save, CheckCircle, AlertCircle, Loader2, ExternalLink, Copy } from 'lucide-react';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
-export default function TestRailSaver({ tests, context, onSaved, saved, isLoading: parentLoading }) {
+export default function TestRailSaver({ tests, duplicates, context, onSaved, saved, isLoading: parentLoading }) {
   const [isSaving, setIsSaving] = useState(false);
   const [saveResults, setSaveResults] = useState([]);
   const [error, setError] = useState(null);
@@ -112,18 +112,37 @@ export default function TestRailSaver({ tests, context, onSaved, saved, isLoadin
       <div className="bg-gray-50 rounded-lg p-4">
         <h4 className="text-sm font-medium text-gray-900 mb-2">Tests to Save</h4>
         <ul className="space-y-1">
-          {tests.map((test, index) => (
-            <li key={test.id} className="text-sm text-gray-600 flex items-center gap-2">
-              <span className="text-gray-400">{index + 1}.</span>
-              {test.title}
-              {saveResults.find(r => r.id === test.id)?.status === 'success' && (
-                <CheckCircle className="h-3 w-3 text-green-500 ml-auto" />
-              )}
-              {saveResults.find(r => r.id === test.id)?.status === 'failed' && (
-                <AlertCircle className="h-3 w-3 text-red-500 ml-auto" />
-              )}
-            </li>
-          ))}
+          {tests.map((test, index) => {
+            const match = duplicates?.[index]?.matches?.[0];
+            return (
+              <li key={test.id} className="text-sm text-gray-600">
+                <div className="flex items-center gap-2">
+                  <span className="text-gray-400">{index + 1}.</span>
+                  {test.title}
+                  {saveResults.find(r => r.id === test.id)?.status === 'success' && (
+                    <CheckCircle className="h-3 w-3 text-green-500 ml-auto" />
+                  )}
+                  {saveResults.find(r => r.id === test.id)?.status === 'failed' && (
+                    <AlertCircle className="h-3 w-3 text-red-500 ml-auto" />
+                  )}
+                </div>
+                {match && (
+                  <div className={`ml-5 mt-0.5 text-xs flex items-center gap-1 ${match.level === 'duplicate' ? 'text-red-600' : 'text-yellow-700'}`}>
+                    <Copy className="h-3 w-3" />
+                    {match.level === 'duplicate' ? 'Likely duplicate of' : 'Similar to'}
+                    {match.caseId ? (
+                      <a href={match.url} target="_blank" rel="noopener noreferrer" className="underline inline-flex items-center gap-0.5">
+                        C{match.caseId} {match.title} <ExternalLink className="h-3 w-3" />
+                      </a>
+                    ) : (
+                      <span>test {match.generatedIndex + 1} ({match.title})</span>
+                    )}
+                    <span>({Math.round(match.similarity * 100)}%)</span>
+                  </div>
+                )}
+              </li>
+            );
+          })}
         </ul>
       </div>
 
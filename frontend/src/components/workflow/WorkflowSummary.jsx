@@ -1,4 +1,5 @@
 import { Trophy, Clock, TestTube, Code, ExternalLink, Home, RefreshCw } from 'lucide-react';
+import JiraWriteBack from './JiraWriteBack';
 
 export default function WorkflowSummary({ 
   workflowId, 
@@ -134,6 +135,11 @@ export default function WorkflowSummary({
           </div>
         </div>
 
+        {/* Jira Write-Back (opt-in) */}
+        {workflowId && ticket?.key && (
+          <JiraWriteBack workflowId={workflowId} ticketKey={ticket.key} />
+        )}
+
         {/* Action Buttons */}
         <div className="flex flex-wrap gap-3 justify-center">
           {savedTests?.length > 0 && savedTests[0].testRailUrl && (
@@ -0,0 +1,489 @@
+import { useState } from 'react';
+import { useMutation, useQuery } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import {
+  Upload,
+  FolderOpen,
+  FileCode,
+  Download,
+  RefreshCw,
+  Server,
+  List,
+  AlertTriangle,
+  GitCompare
+} from 'lucide-react';
+import { apiTestsApi } from '../services/apiTestsApi';
+
+const SOURCE_LABELS = {
+  openapi: 'OpenAPI',
+  swagger: 'Swagger',
+  har: 'Imported from HAR',
+  postman: 'Imported from Postman'
+};
+
+const FRAMEWORK_LABELS = {
+  restAssured: 'Rest Assured (Java)',
+  playwright: 'Playwright (TypeScript)',
+  karate: 'Karate'
+};
+
+export default function ApiTestGenerator() {
+  const [sourceMode, setSourceMode] = useState('upload');
+  const [specText, setSpecText] = useState('');
+  const [specFileName, setSpecFileName] = useState('');
+  const [specPath, setSpecPath] = useState('');
+  const [repositoryPath, setRepositoryPath] = useState('');
+  const [framework, setFramework] = useState('restAssured');
+  const [testTypes, setTestTypes] = useState(['functional', 'contract']);
+  const [baseUrl, setBaseUrl] = useState('');
+  const [projectName, setProjectName] = useState('');
+  const [endpoints, setEndpoints] = useState(null);
+  const [project, setProject] = useState(null);
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [previousSpecText, setPreviousSpecText] = useState('');
+  const [previousFileName, setPreviousFileName] = useState('');
+  const [previousRef, setPreviousRef] = useState('');
+
+  const { data: options } = useQuery({
+    queryKey: ['api-tests-options'],
+    queryFn: apiTestsApi.getOptions
+  });
+
+  const getSource = () => (sourceMode === 'upload'
+    ? { spec: specText }
+    : { specPath, repositoryPath: repositoryPath || undefined });
+
+  const getOptions = () => ({
+    framework,
+    testTypes,
+    baseUrl: baseUrl || undefined,
+    projectName: projectName || undefined
+  });
+
+  // Uploaded specs compare against an uploaded previous version, repository specs against a git ref
+  const getPrevious = () => (sourceMode === 'upload'
+    ? { previousSpec: previousSpecText }
+    : { previousRef });
+
+  const hasSource = sourceMode === 'upload' ? !!specText : !!specPath;
+  const hasPrevious = sourceMode === 'upload' ? !!previousSpecText : !!previousRef;
+  const errorMessage = (error) => error.response?.data?.error || error.message;
+
+  const previewMutation = useMutation({
+    mutationFn: () => apiTestsApi.previewEndpoints(getSource()),
+    onSuccess: (data) => {
+      setEndpoints(data);
+      if (!baseUrl && data.baseUrl) {
+        setBaseUrl(data.baseUrl);
+      }
+    },
+    onError: (error) => toast.error(errorMessage(error))
+  });
+
+  const generateMutation = useMutation({
+    mutationFn: () => apiTestsApi.generateProject(getSource(), getOptions()),
+    onSuccess: (data) => {
+      setProject(data);
+      setSelectedFile(data.files.find(file => file.testCount > 0) || data.files[0]);
+      toast.success(`Generated ${data.totalTests} tests in ${data.files.length} files`);
+    },
+    onError: (error) => toast.error(errorMessage(error))
+  });
+
+  const regressionMutation = useMutation({
+    mutationFn: () => apiTestsApi.generateRegressionPack(getSource(), getPrevious(), {
+      framework,
+      baseUrl: baseUrl || undefined,
+      projectName: projectName || undefined
+    }),
+    onSuccess: (data) => {
+      setProject(data);
+      setSelectedFile(data.files.find(file => file.path === 'CHANGES.md'));
+      toast.success(`${data.diff.summary.breaking} breaking changes, ${data.totalTests} regression tests`);
+    },
+    onError: (error) => toast.error(errorMessage(error))
+  });
+
+  // Blob responses carry the JSON error body as a blob
+  const downloadMutation = useMutation({
+    mutationFn: () => apiTestsApi.downloadProject(getSource(), getOptions()),
+    onSuccess: (blob) => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${project?.projectName || projectName || 'api-tests'}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    },
+    onError: async (error) => {
+      const data = error.response?.data;
+      const message = data instanceof Blob ? JSON.parse(await data.text()).error : errorMessage(error);
+      toast.error(message);
+    }
+  });
+
+  const handleFileUpload = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setSpecText(reader.result);
+      setSpecFileName(file.name);
+      setEndpoints(null);
+      setProject(null);
+    };
+    reader.onerror = () => toast.error(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  };
+
+  const handlePreviousUpload = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setPreviousSpecText(reader.result);
+      setPreviousFileName(file.name);
+    };
+    reader.onerror = () => toast.error(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  };
+
+  const toggleTestType = (type) => {
+    setTestTypes(current => (current.includes(type)
+      ? current.filter(t => t !== type)
+      : [...current, type]));
+  };
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold mb-2">API Test Generator</h1>
+        <p className="text-gray-600">Generate a runnable API test project from an OpenAPI 3 / Swagger 2 specification, a HAR capture or a Postman collection</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Left Panel - Spec and options */}
+        <div className="space-y-6">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
+              <Server className="w-5 h-5" />
+              Specification
+            </h2>
+
+            <div className="flex gap-2 mb-4">
+              <button
+                onClick={() => setSourceMode('upload')}
+                className={`flex-1 px-3 py-2 rounded-md text-sm flex items-center justify-center gap-2 ${
+                  sourceMode === 'upload' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                <Upload className="w-4 h-4" />
+                Upload
+              </button>
+              <button
+                onClick={() => setSourceMode('path')}
+                className={`flex-1 px-3 py-2 rounded-md text-sm flex items-center justify-center gap-2 ${
+                  sourceMode === 'path' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                <FolderOpen className="w-4 h-4" />
+                Repository Path
+              </button>
+            </div>
+
+            {sourceMode === 'upload' ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Spec, HAR or Postman collection (.json, .yaml, .yml, .har)
+                </label>
+                <input
+                  type="file"
+                  accept=".json,.yaml,.yml,.har"
+                  onChange={handleFileUpload}
+                  className="w-full text-sm"
+                />
+                {specFileName && (
+                  <p className="text-xs text-gray-500 mt-1">Loaded {specFileName}</p>
+                )}
+              </div>
+            ) : (
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Repository Path
+                  </label>
+                  <input
+                    type="text"
+                    placeholder="/path/to/service"
+                    value={repositoryPath}
+                    onChange={(e) => setRepositoryPath(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Spec Path
+                  </label>
+                  <input
+                    type="text"
+                    placeholder="docs/openapi.yaml"
+                    value={specPath}
+                    onChange={(e) => setSpecPath(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+            )}
+
+            <button
+              onClick={() => previewMutation.mutate()}
+              disabled={!hasSource || previewMutation.isPending}
+              className="w-full mt-4 px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {previewMutation.isPending ? <RefreshCw className="w-4 h-4 animate-spin" /> : <List className="w-4 h-4" />}
+              Preview Endpoints
+            </button>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold mb-4">Options</h2>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Framework
+                </label>
+                <select
+                  value={framework}
+                  onChange={(e) => setFramework(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {(options?.frameworks || Object.keys(FRAMEWORK_LABELS)).map(name => (
+                    <option key={name} value={name}>{FRAMEWORK_LABELS[name] || name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Test Types
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                  {Object.keys(options?.testTypes || { functional: [], contract: [], security: [], performance: [] }).map(type => (
+                    <label key={type} className="flex items-center gap-2 text-sm capitalize">
+                      <input
+                        type="checkbox"
+                        checked={testTypes.includes(type)}
+                        onChange={() => toggleTestType(type)}
+                      />
+                      {type}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Base URL
+                </label>
+                <input
+                  type="url"
+                  placeholder="Defaults to the spec's first server"
+                  value={baseUrl}
+                  onChange={(e) => setBaseUrl(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Project Name
+                </label>
+                <input
+                  type="text"
+                  placeholder="Defaults to the spec title"
+                  value={projectName}
+                  onChange={(e) => setProjectName(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
+              <button
+                onClick={() => generateMutation.mutate()}
+                disabled={!hasSource || testTypes.length === 0 || generateMutation.isPending}
+                className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center justify-center gap-2"
+              >
+                {generateMutation.isPending ? (
+                  <>
+                    <RefreshCw className="w-4 h-4 animate-spin" />
+                    Generating...
+                  </>
+                ) : (
+                  <>
+                    <FileCode className="w-4 h-4" />
+                    Generate Project
+                  </>
+                )}
+              </button>
+
+              <button
+                onClick={() => downloadMutation.mutate()}
+                disabled={!hasSource || testTypes.length === 0 || downloadMutation.isPending}
+                className="w-full px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-gray-400 flex items-center justify-center gap-2"
+              >
+                {downloadMutation.isPending ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                Download Zip
+              </button>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold mb-1 flex items-center gap-2">
+              <GitCompare className="w-5 h-5" />
+              Compare with Previous Version
+            </h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Contract tests for added and changed endpoints, plus a change report
+            </p>
+
+            {sourceMode === 'upload' ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Previous spec
+                </label>
+                <input
+                  type="file"
+                  accept=".json,.yaml,.yml,.har"
+                  onChange={handlePreviousUpload}
+                  className="w-full text-sm"
+                />
+                {previousFileName && (
+                  <p className="text-xs text-gray-500 mt-1">Loaded {previousFileName}</p>
+                )}
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Previous Git Ref
+                </label>
+                <input
+                  type="text"
+                  placeholder="main, v1.2.0 or a commit"
+                  value={previousRef}
+                  onChange={(e) => setPreviousRef(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            )}
+
+            <button
+              onClick={() => regressionMutation.mutate()}
+              disabled={!hasSource || !hasPrevious || framework === 'karate' || regressionMutation.isPending}
+              className="w-full mt-4 px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:bg-gray-400 flex items-center justify-center gap-2"
+            >
+              {regressionMutation.isPending ? <RefreshCw className="w-4 h-4 animate-spin" /> : <GitCompare className="w-4 h-4" />}
+              Generate Regression Pack
+            </button>
+            {framework === 'karate' && (
+              <p className="text-xs text-gray-500 mt-2">Regression packs are generated for Rest Assured and Playwright</p>
+            )}
+          </div>
+        </div>
+
+        {/* Right Panel - Endpoints and generated files */}
+        <div className="lg:col-span-2 space-y-6">
+          {endpoints && (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-xl font-semibold mb-1">
+                {endpoints.title || 'Endpoints'} ({endpoints.count})
+              </h2>
+              <p className="text-sm text-gray-500 mb-4">
+                {SOURCE_LABELS[endpoints.source] || endpoints.source}
+                {['openapi', 'swagger'].includes(endpoints.source) && ` ${endpoints.version}`}
+                {endpoints.authentication && ` · ${endpoints.authentication.type} auth`}
+              </p>
+              {endpoints.warnings?.length > 0 && (
+                <ul className="mb-4 text-xs text-yellow-800 list-disc list-inside">
+                  {endpoints.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                </ul>
+              )}
+              <div className="max-h-64 overflow-y-auto border rounded-lg divide-y">
+                {endpoints.endpoints.map(endpoint => (
+                  <div key={`${endpoint.method} ${endpoint.path}`} className="p-2 flex items-center gap-3 text-sm">
+                    <span className="inline-block w-16 px-2 py-1 text-xs text-center font-mono bg-gray-200 rounded">
+                      {endpoint.method}
+                    </span>
+                    <span className="font-mono">{endpoint.path}</span>
+                    {endpoint.summary && <span className="text-gray-500 truncate">{endpoint.summary}</span>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {project ? (
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-xl font-semibold">{project.projectName}</h2>
+                <span className="text-sm text-gray-500">
+                  {project.totalTests} tests · {Object.entries(project.byType).map(([type, count]) => `${count} ${type}`).join(', ')}
+                </span>
+              </div>
+
+              {project.diff && (
+                <div className={`mb-4 p-3 rounded-lg text-sm border ${
+                  project.diff.summary.breaking > 0 ? 'bg-red-50 border-red-200 text-red-800' : 'bg-green-50 border-green-200 text-green-800'
+                }`}>
+                  {project.diff.summary.breaking} breaking, {project.diff.summary.nonBreaking} non-breaking changes ·{' '}
+                  {project.diff.summary.added} added, {project.diff.summary.removed} removed, {project.diff.summary.changed} changed endpoints
+                </div>
+              )}
+
+              {project.warnings?.length > 0 && (
+                <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 space-y-1">
+                  {project.warnings.map(warning => (
+                    <div key={warning} className="flex items-start gap-2">
+                      <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                      {warning}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="border rounded-lg p-2 max-h-[32rem] overflow-y-auto">
+                  {[...project.files].sort((a, b) => a.path.localeCompare(b.path)).map(file => (
+                    <button
+                      key={file.path}
+                      onClick={() => setSelectedFile(file)}
+                      className={`w-full text-left px-2 py-1 rounded text-xs font-mono break-all ${
+                        selectedFile?.path === file.path ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-50'
+                      }`}
+                    >
+                      {file.path}
+                      {file.testCount > 0 && <span className="ml-1 text-gray-400">({file.testCount})</span>}
+                    </button>
+                  ))}
+                </div>
+                <div className="md:col-span-2">
+                  {selectedFile && (
+                    <pre className="bg-gray-900 text-gray-100 text-xs p-4 rounded-lg overflow-auto max-h-[32rem]">
+                      {selectedFile.content}
+                    </pre>
+                  )}
+                </div>
+              </div>
+            </div>
+          ) : (
+            <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-500">
+              <FileCode className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+              Upload a specification and generate a project to browse its files
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
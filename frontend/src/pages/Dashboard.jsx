@@ -2,6 +2,7 @@ import { useState, useEffect, useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { useNavigate } from 'react-router-dom';
 import { ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/24/outline';
+import UsageCostWidget from '../components/UsageCostWidget';
 
 export default function Dashboard() {
   // Load saved project from localStorage
@@ -234,6 +235,9 @@ export default function Dashboard() {
         </p>
       </div>
 
+      {/* LLM cost accounting */}
+      <UsageCostWidget />
+
       {/* Project Selection */}
       <div className="bg-white/95 backdrop-blur-sm shadow-xl rounded-xl p-4 card-hover border border-blue-100/50">
         <div className="space-y-3">
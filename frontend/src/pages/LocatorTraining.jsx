@@ -16,7 +16,8 @@ import {
   Upload,
   Zap,
   Shield,
-  Accessibility
+  Accessibility,
+  Wrench
 } from 'lucide-react';
 import axios from 'axios';
 
@@ -37,6 +38,12 @@ const LocatorTraining = () => {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
 
+  // Locator repair state
+  const [repairForm, setRepairForm] = useState({ locator: '', key: '', propertiesFile: '' });
+  const [repairResult, setRepairResult] = useState(null);
+  const [isRepairing, setIsRepairing] = useState(false);
+  const [applyRepair, setApplyRepair] = useState(true);
+
   const platformIcons = {
     web: <Globe className="w-4 h-4" />,
     android: <Smartphone className="w-4 h-4" />,
@@ -164,6 +171,55 @@ const LocatorTraining = () => {
     }
   };
 
+  const findRepairs = async () => {
+    if (!url || (!repairForm.locator && !(repairForm.key && repairForm.propertiesFile))) {
+      setError('Enter the page URL and the failing locator (or its key and properties file)');
+      return;
+    }
+
+    setIsRepairing(true);
+    setError(null);
+    setRepairResult(null);
+
+    try {
+      const response = await axios.post(`${API_URL}/api/locator-repair/propose`, {
+        url,
+        locator: repairForm.locator || undefined,
+        key: repairForm.key || undefined,
+        propertiesFile: repairForm.propertiesFile || undefined
+      });
+      setRepairResult(response.data);
+    } catch (error) {
+      console.error('Error finding locator repairs:', error);
+      setError(error.response?.data?.error || 'Failed to find locator repairs');
+    } finally {
+      setIsRepairing(false);
+    }
+  };
+
+  const acceptRepair = async (candidate) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/locator-repair/accept`, {
+        key: repairResult.key,
+        propertiesFile: repairResult.propertiesFile,
+        url: repairResult.url,
+        oldLocator: repairResult.locator,
+        newLocator: candidate.locator,
+        score: candidate.score,
+        element: candidate.element,
+        apply: applyRepair && !!repairResult.propertiesFile
+      });
+
+      setSuccess(response.data.updated
+        ? `Repair written to ${repairResult.propertiesFile}`
+        : 'Repair recorded');
+      setRepairResult(null);
+    } catch (error) {
+      console.error('Error accepting locator repair:', error);
+      setError(error.response?.data?.error || 'Failed to accept repair');
+    }
+  };
+
   const exportPatterns = () => {
     const dataStr = JSON.stringify(trainedPatterns, null, 2);
     const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
@@ -308,6 +364,127 @@ const LocatorTraining = () => {
           </div>
         </div>
 
+        {/* Locator Repair */}
+        <div className="lg:col-span-2">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
+              <Wrench className="w-5 h-5" />
+              Repair Broken Locator
+            </h2>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Failing Locator
+                </label>
+                <input
+                  type="text"
+                  placeholder="e.g., //button[@data-testid='login-btn']"
+                  value={repairForm.locator}
+                  onChange={(e) => setRepairForm({ ...repairForm, locator: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Property Key
+                  </label>
+                  <input
+                    type="text"
+                    placeholder="e.g., login.submitButton"
+                    value={repairForm.key}
+                    onChange={(e) => setRepairForm({ ...repairForm, key: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Properties File
+                  </label>
+                  <input
+                    type="text"
+                    placeholder="/path/to/login.properties"
+                    value={repairForm.propertiesFile}
+                    onChange={(e) => setRepairForm({ ...repairForm, propertiesFile: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </div>
+
+              <button
+                onClick={findRepairs}
+                disabled={isRepairing}
+                className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex items-center justify-center gap-2"
+              >
+                {isRepairing ? (
+                  <>
+                    <RefreshCw className="w-4 h-4 animate-spin" />
+                    Analyzing page...
+                  </>
+                ) : (
+                  <>
+                    <Wrench className="w-4 h-4" />
+                    Find Repairs
+                  </>
+                )}
+              </button>
+
+              {repairResult && (
+                <div className="space-y-3">
+                  <p className="text-sm text-gray-600">
+                    {repairResult.matches === null
+                      ? 'Could not check the current locator on the page.'
+                      : `Current locator matches ${repairResult.matches} element(s)${repairResult.broken ? ' - it is broken' : ''}.`}
+                  </p>
+
+                  {repairResult.propertiesFile && (
+                    <label className="flex items-center text-sm">
+                      <input
+                        type="checkbox"
+                        checked={applyRepair}
+                        onChange={(e) => setApplyRepair(e.target.checked)}
+                        className="mr-2"
+                      />
+                      Update {repairResult.propertiesFile} when accepting
+                    </label>
+                  )}
+
+                  {repairResult.candidates.length === 0 && (
+                    <p className="text-sm text-gray-500">No similar elements found on the page</p>
+                  )}
+
+                  {repairResult.candidates.map((candidate, index) => (
+                    <div key={index} className="p-3 border rounded-lg">
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="text-sm font-medium">
+                          {candidate.element.tagName}
+                          {candidate.element.text && <span className="text-gray-600 font-normal"> "{candidate.element.text}"</span>}
+                        </span>
+                        <span className="text-xs text-gray-500">
+                          {Math.round(candidate.score * 100)}% match · {candidate.attribute}{candidate.unique ? '' : ' (not unique)'}
+                        </span>
+                      </div>
+                      <code className="text-xs block text-gray-700 break-all">{candidate.entry}</code>
+                      {candidate.reasons.length > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">{candidate.reasons.join(', ')}</p>
+                      )}
+                      <button
+                        onClick={() => acceptRepair(candidate)}
+                        className="mt-2 px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700 flex items-center gap-1"
+                      >
+                        <Check className="w-4 h-4" />
+                        Accept
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
         {/* Right Panel - Locator Training */}
         <div>
           <div className="bg-white rounded-lg shadow-md p-6">
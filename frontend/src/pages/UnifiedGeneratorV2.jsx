@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
   ChevronRight, ChevronLeft, FileText, FolderOpen, 
@@ -8,6 +8,7 @@ import {
 } from 'lucide-react';
 import axios from 'axios';
 import { cachedApi } from '../services/cacheService';
+import { streamMultiAgentGeneration } from '../services/multiAgentStream';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
@@ -50,6 +51,13 @@ function UnifiedGeneratorV2() {
   const [selectedTestsForCypress, setSelectedTestsForCypress] = useState([]);
   const [cypressCode, setCypressCode] = useState('');
 
+  // Java test generation via the multi-agent pipeline (streamed)
+  const [javaGeneration, setJavaGeneration] = useState(null);
+  const javaAbortRef = useRef(null);
+
+  // Stop any running pipeline when leaving the page
+  useEffect(() => () => javaAbortRef.current?.abort(), []);
+
   // Load boards and saved selections
   useEffect(() => {
     loadBoards();
@@ -326,6 +334,89 @@ function UnifiedGeneratorV2() {
     }
   };
 
+  // Apply one pipeline event to the live generation state
+  const applyGenerationEvent = (prev, type, data) => {
+    switch (type) {
+      case 'run':
+        return { ...prev, runId: data.runId };
+      case 'stage': {
+        const next = { ...prev, stages: { ...prev.stages, [data.stage]: data.status } };
+        if (data.stage === 'decomposition' && data.status === 'completed') {
+          next.steps = (data.output?.steps || []).map(step => ({
+            action: step.action,
+            target: step.target,
+            status: 'pending'
+          }));
+        }
+        return next;
+      }
+      case 'step': {
+        const steps = [...prev.steps];
+        steps[data.index] = { ...steps[data.index], ...data };
+        return { ...prev, steps };
+      }
+      case 'complete':
+        return { ...prev, status: 'completed', code: data.code, className: data.className, validation: data.validation };
+      case 'error':
+        return {
+          ...prev,
+          status: 'failed',
+          error: data.details ? `${data.error}: ${data.details}` : data.error
+        };
+      default:
+        return prev;
+    }
+  };
+
+  // Generate a Java test for one test case, rendering progress as it streams in
+  const generateJavaTest = async (test) => {
+    const controller = new AbortController();
+    javaAbortRef.current?.abort();
+    javaAbortRef.current = controller;
+
+    setJavaGeneration({
+      testId: test.id,
+      title: test.title,
+      status: 'running',
+      runId: null,
+      stages: {},
+      steps: [],
+      code: null,
+      validation: null,
+      error: null
+    });
+
+    const scenario = [
+      test.title,
+      ...(test.steps || []).map((step, i) => `${i + 1}. ${typeof step === 'string' ? step : step.action}`)
+    ].join('\n');
+
+    try {
+      await streamMultiAgentGeneration({ scenario }, {
+        signal: controller.signal,
+        onEvent: (type, data) => setJavaGeneration(prev => applyGenerationEvent(prev, type, data))
+      });
+
+      setJavaGeneration(prev => prev.status === 'running'
+        ? { ...prev, status: 'failed', error: 'Stream ended before the pipeline finished' }
+        : prev);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setJavaGeneration(prev => prev && { ...prev, status: 'aborted' });
+      } else {
+        setJavaGeneration(prev => ({ ...prev, status: 'failed', error: error.message }));
+      }
+    } finally {
+      if (javaAbortRef.current === controller) {
+        javaAbortRef.current = null;
+      }
+    }
+  };
+
+  const abortJavaGeneration = () => {
+    javaAbortRef.current?.abort();
+  };
+
   // Step 1: Enhanced Ticket Selection
   const renderStep1 = () => (
     <div className="bg-white rounded-lg shadow-md">
@@ -800,12 +891,24 @@ function UnifiedGeneratorV2() {
 
             <div className="space-y-3 max-h-96 overflow-y-auto">
               {generatedTests.map((test, index) => (
-                <div key={test.id || index} className="p-4 border rounded-lg">
-                  <h4 className="font-medium">{test.title}</h4>
-                  <p className="text-sm text-gray-600 mt-1">{test.objective}</p>
+                <div key={test.id || index} className="p-4 border rounded-lg flex justify-between items-start">
+                  <div>
+                    <h4 className="font-medium">{test.title}</h4>
+                    <p className="text-sm text-gray-600 mt-1">{test.objective}</p>
+                  </div>
+                  <button
+                    onClick={() => generateJavaTest(test)}
+                    disabled={javaGeneration?.status === 'running'}
+                    className="ml-4 px-3 py-1 text-sm bg-purple-500 text-white rounded hover:bg-purple-600 disabled:opacity-50 flex items-center whitespace-nowrap"
+                  >
+                    <Code className="mr-1" size={16} />
+                    Generate Java
+                  </button>
                 </div>
               ))}
             </div>
+
+            {javaGeneration && renderJavaGeneration()}
           </>
         )}
       </div>
@@ -831,6 +934,147 @@ function UnifiedGeneratorV2() {
     </div>
   );
 
+  // Live multi-agent pipeline progress for the selected test case
+  const renderJavaGeneration = () => {
+    const stageLabels = {
+      decomposition: 'Decompose',
+      mapping: 'Map Actions',
+      prerequisites: 'Prerequisites',
+      composition: 'Compose',
+      validation: 'Compile Check',
+      componentGeneration: 'Components'
+    };
+
+    return (
+      <div className="mt-6 border rounded-lg">
+        <div className="p-4 border-b flex justify-between items-center">
+          <div>
+            <h3 className="font-semibold flex items-center">
+              <Code className="mr-2" size={18} />
+              Java Test: {javaGeneration.title}
+            </h3>
+            {javaGeneration.runId && (
+              <span className="text-xs text-gray-500">Run {javaGeneration.runId}</span>
+            )}
+          </div>
+          {javaGeneration.status === 'running' ? (
+            <button
+              onClick={abortJavaGeneration}
+              className="px-3 py-1 text-sm bg-red-500 text-white rounded hover:bg-red-600 flex items-center"
+            >
+              <X className="mr-1" size={16} />
+              Abort
+            </button>
+          ) : (
+            <button
+              onClick={() => setJavaGeneration(null)}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <X size={18} />
+            </button>
+          )}
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(stageLabels).map(([stage, label]) => {
+              const status = javaGeneration.stages[stage];
+              return (
+                <span
+                  key={stage}
+                  className={`px-2 py-1 text-xs rounded-full flex items-center ${
+                    status === 'completed' ? 'bg-green-100 text-green-700'
+                      : status === 'started' ? 'bg-blue-100 text-blue-700'
+                      : 'bg-gray-100 text-gray-500'
+                  }`}
+                >
+                  {status === 'started' && <RefreshCw className="animate-spin mr-1" size={12} />}
+                  {status === 'completed' && <CheckCircle className="mr-1" size={12} />}
+                  {label}
+                </span>
+              );
+            })}
+          </div>
+
+          {javaGeneration.steps.length > 0 && (
+            <ol className="space-y-1 text-sm">
+              {javaGeneration.steps.map((step, index) => (
+                <li key={index} className="flex justify-between items-center p-2 bg-gray-50 rounded">
+                  <span>
+                    {index + 1}. {step.action} {step.target}
+                    {step.methodName && (
+                      <code className="ml-2 text-xs text-purple-700">
+                        {step.className}.{step.methodName}()
+                      </code>
+                    )}
+                  </span>
+                  {step.status === 'found' && (
+                    <span className={`text-xs font-medium ${
+                      step.confidence >= 0.8 ? 'text-green-600' : step.confidence >= 0.5 ? 'text-yellow-600' : 'text-red-600'
+                    }`}>
+                      {Math.round(step.confidence * 100)}%
+                    </span>
+                  )}
+                  {step.status === 'missing' && (
+                    <span className="text-xs font-medium text-red-600 flex items-center">
+                      <AlertCircle className="mr-1" size={12} />
+                      Missing
+                    </span>
+                  )}
+                  {step.status === 'pending' && (
+                    <span className="text-xs text-gray-400">Pending</span>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {javaGeneration.status === 'aborted' && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-700">
+              Generation aborted.
+            </div>
+          )}
+
+          {javaGeneration.status === 'failed' && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+              {javaGeneration.error}
+            </div>
+          )}
+
+          {javaGeneration.validation?.issues?.length > 0 && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded text-sm">
+              <div className="font-medium text-yellow-800 mb-1">
+                {javaGeneration.validation.issues.length} call(s) not found in the repository
+              </div>
+              <ul className="space-y-1 text-yellow-700">
+                {javaGeneration.validation.issues.map((issue, index) => (
+                  <li key={index}>
+                    Line {issue.line}: {issue.message}
+                    {issue.suggestion && <span className="text-gray-600"> (did you mean <code>{issue.suggestion}</code>?)</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {javaGeneration.code && (
+            <div className="relative">
+              <button
+                onClick={() => navigator.clipboard.writeText(javaGeneration.code)}
+                className="absolute top-2 right-2 p-1 bg-gray-700 text-white rounded hover:bg-gray-600"
+              >
+                <Copy size={16} />
+              </button>
+              <pre className="p-4 bg-gray-900 text-gray-100 rounded text-xs overflow-x-auto max-h-96">
+                {javaGeneration.code}
+              </pre>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   // Progress indicator
   const renderStepIndicator = () => (
     <div className="flex items-center justify-center mb-8">
@@ -24,8 +24,16 @@ function getJiraConfig() {
 // Request interceptor to add JIRA config headers
 api.interceptors.request.use(
   config => {
+    // Attribute LLM usage (cost accounting and budgets) to the user and workflow
+    config.headers['X-User-Id'] = localStorage.getItem('userId') || 'demo-user';
+    const workflowId = localStorage.getItem('currentWorkflowId');
+    if (workflowId) {
+      config.headers['X-Workflow-Id'] = workflowId;
+    }
+
     // Add JIRA config headers if available and the request is to a JIRA endpoint
-    if (config.url && config.url.includes('/api/jira/')) {
+    // (/api/jira/... or a workflow's /jira/ write-back)
+    if (config.url && config.url.includes('/jira/')) {
       const jiraConfig = getJiraConfig();
       if (jiraConfig && jiraConfig.host && jiraConfig.email && jiraConfig.apiToken) {
         config.headers['X-JIRA-Host'] = jiraConfig.host;
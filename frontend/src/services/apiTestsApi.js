@@ -0,0 +1,41 @@
+import { api } from './api';
+
+export const apiTestsApi = {
+  getOptions: async () => {
+    const response = await api.get('/api/api-tests/options');
+    return response.data;
+  },
+
+  previewEndpoints: async (source) => {
+    const response = await api.post('/api/api-tests/endpoints', source);
+    return response.data;
+  },
+
+  generateProject: async (source, options = {}) => {
+    const response = await api.post('/api/api-tests/generate', {
+      ...source,
+      ...options,
+      format: 'tree'
+    });
+    return response.data;
+  },
+
+  generateRegressionPack: async (source, previous, options = {}) => {
+    const response = await api.post('/api/api-tests/diff', {
+      ...source,
+      ...previous,
+      ...options,
+      format: 'tree'
+    });
+    return response.data;
+  },
+
+  downloadProject: async (source, options = {}) => {
+    const response = await api.post('/api/api-tests/generate', {
+      ...source,
+      ...options,
+      format: 'zip'
+    }, { responseType: 'blob' });
+    return response.data;
+  }
+};
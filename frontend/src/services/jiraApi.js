@@ -20,5 +20,13 @@ export const jiraApi = {
   getProjectIssues: async (projectKey) => {
     const response = await api.get(`/api/jira/project/${projectKey}/issues`);
     return response.data;
+  },
+  previewWriteBack: async (workflowId, options) => {
+    const response = await api.post(`/api/workflow/${workflowId}/jira/preview`, options);
+    return response.data;
+  },
+  applyWriteBack: async (workflowId, options) => {
+    const response = await api.post(`/api/workflow/${workflowId}/jira/apply`, options);
+    return response.data;
   }
 };
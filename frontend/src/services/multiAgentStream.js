@@ -0,0 +1,61 @@
+// Streaming client for the multi-agent pipeline
+// Reads Server-Sent Events from POST /api/multi-agent/generate/stream
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// Parse one SSE block ("event: x\ndata: {...}") into { type, data }
+function parseEvent(block) {
+  let type = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+
+  if (dataLines.length === 0) return null;
+  return { type, data: JSON.parse(dataLines.join('\n')) };
+}
+
+// Run the pipeline and call onEvent(type, data) as each event arrives.
+// Pass an AbortSignal to cancel - the backend stops the run when the stream closes.
+export async function streamMultiAgentGeneration(body, { onEvent, signal } = {}) {
+  // EventSource only supports GET, so read the POST response body directly
+  const response = await fetch(`${API_URL}/api/multi-agent/generate/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const payload = await response.json().catch(() => ({}));
+    throw new Error(payload.error || `Request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const event = parseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+
+      if (event) {
+        onEvent?.(event.type, event.data);
+      }
+    }
+  }
+}
+
+export default streamMultiAgentGeneration;
@@ -27,5 +27,17 @@ export const testRailApi = {
       existingTestCases
     });
     return response.data;
+  },
+  
+  checkDuplicates: async (projectId, suiteId, tests) => {
+    const response = await api.post('/api/testrail/duplicates/check', { projectId, suiteId, tests });
+    return response.data;
+  },
+  
+  getDuplicateClusters: async (projectId, suiteId, sectionId) => {
+    const response = await api.get(`/api/testrail/duplicates/${projectId}/${suiteId}`, {
+      params: sectionId ? { sectionId } : {}
+    });
+    return response.data;
   }
 };
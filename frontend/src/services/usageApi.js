@@ -0,0 +1,33 @@
+import { api } from './api';
+
+export const usageApi = {
+  getSummary: async (filters = {}) => {
+    const response = await api.get('/api/usage/summary', { params: filters });
+    return response.data;
+  },
+
+  getBreakdown: async (groupBy, filters = {}) => {
+    const response = await api.get('/api/usage/breakdown', { params: { groupBy, ...filters } });
+    return response.data;
+  },
+
+  getBudgets: async (userId) => {
+    const response = await api.get('/api/usage/budgets', { params: { userId } });
+    return response.data;
+  },
+
+  setBudgets: async (budgets) => {
+    const response = await api.put('/api/usage/budgets', budgets);
+    return response.data;
+  },
+
+  getPromptCache: async () => {
+    const response = await api.get('/api/usage/cache');
+    return response.data;
+  },
+
+  clearPromptCache: async (task = null) => {
+    const response = await api.delete('/api/usage/cache', { params: task ? { task } : {} });
+    return response.data;
+  }
+};